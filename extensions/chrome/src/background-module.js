@@ -10,12 +10,20 @@
 import { Logger } from '../../shared/utils/logger.js';
 import { IconManager } from '../../shared/utils/icons.js';
 import { WebSocketConnection } from '../../shared/connection/websocket.js';
+import { DebuggerConnection } from '../../shared/connection/debugger.js';
 import { TabHandlers } from '../../shared/handlers/tabs.js';
 import { NetworkTracker } from '../../shared/handlers/network.js';
 import { DialogHandler } from '../../shared/handlers/dialogs.js';
 import { ConsoleHandler } from '../../shared/handlers/console.js';
+import { CDPBuffers } from '../../shared/handlers/cdpBuffers.js';
+import { resolveFrame } from '../../shared/handlers/frames.js';
+import { dragAndDrop, dropFiles } from '../../shared/handlers/dragDrop.js';
+import { NetworkInterceptor } from '../../shared/handlers/intercept.js';
+import { NetworkConditions } from '../../shared/handlers/networkConditions.js';
+import { sendWebSocketFrame, tagWebSockets } from '../../shared/handlers/webSocket.js';
 import { createBrowserAdapter } from '../../shared/adapters/browser.js';
 import { wrapWithUnwrap, shouldUnwrap } from '../../shared/utils/unwrap.js';
+import { deepQuerySelector } from '../../shared/utils/deepQuery.js';
 import { setupInstallHandler } from '../../shared/handlers/install.js';
 
 // Initialize browser adapter at top level (before async IIFE)
@@ -162,12 +170,13 @@ networkTracker.init();
 // State variables
 let techStackInfo = {}; // Stores detected tech stack per tab
 // let pendingDialogResponse = null; // Stores response for next dialog (unused - removed)
-let debuggerAttached = false; // Track if debugger is attached to current tab
-let currentDebuggerTabId = null; // Track which tab has debugger attached
 
-// CDP Network tracking storage
-const cdpNetworkRequests = new Map(); // Stores CDP network requests by requestId
-const MAX_CDP_REQUESTS = 500; // Keep only last 500 requests
+// CDP network/console buffer sizes per tab (optional overrides in storage)
+const bufferStorage = await chrome.storage.local.get(['networkBufferSize', 'consoleBufferSize']);
+const bufferLimits = {
+  maxNetworkRequests: bufferStorage.networkBufferSize,
+  maxConsoleMessages: bufferStorage.consoleBufferSize
+};
 
 // Set up keepalive alarm (Chrome-specific - prevents service worker suspension)
 if (chrome.alarms) {
@@ -179,105 +188,35 @@ if (chrome.alarms) {
   });
 }
 
-// Set up CDP debugger event listener for Network and Runtime events
-chrome.debugger.onEvent.addListener((source, method, params) => {
-  // Only track Network and Runtime events
-  if (!method.startsWith('Network.') && !method.startsWith('Runtime.')) return;
+// Debugger for the single-session tab (multi-session mode gives each session its own)
+const debuggerConnection = new DebuggerConnection(chrome, logger, () => tabHandlers.getAttachedTabId());
 
-  // Only track events for the currently attached tab
-  if (!currentDebuggerTabId || source.tabId !== currentDebuggerTabId) return;
-
-  try {
-    switch (method) {
-      case 'Network.requestWillBeSent': {
-        const requestId = params.requestId;
-        const request = params.request;
-        const type = params.type || 'other';
-
-        cdpNetworkRequests.set(requestId, {
-          requestId,
-          url: request.url,
-          method: request.method,
-          requestHeaders: request.headers,
-          type,
-          timestamp: params.timestamp || Date.now() / 1000
-        });
-
-        // Limit storage size
-        if (cdpNetworkRequests.size > MAX_CDP_REQUESTS) {
-          const firstKey = cdpNetworkRequests.keys().next().value;
-          cdpNetworkRequests.delete(firstKey);
-        }
-        break;
-      }
-
-      case 'Network.responseReceived': {
-        const requestId = params.requestId;
-        const response = params.response;
-
-        const existing = cdpNetworkRequests.get(requestId);
-        if (existing) {
-          existing.statusCode = response.status;
-          existing.statusText = response.statusText;
-          existing.responseHeaders = response.headers;
-          existing.mimeType = response.mimeType;
-        }
-        break;
-      }
-
-      case 'Network.loadingFinished': {
-        const requestId = params.requestId;
-        const existing = cdpNetworkRequests.get(requestId);
-        if (existing) {
-          existing.finished = true;
-          existing.encodedDataLength = params.encodedDataLength;
-        }
-        break;
-      }
-
-      case 'Network.loadingFailed': {
-        const requestId = params.requestId;
-        const existing = cdpNetworkRequests.get(requestId);
-        if (existing) {
-          existing.failed = true;
-          existing.errorText = params.errorText;
-        }
-        break;
-      }
-
-      case 'Runtime.consoleAPICalled': {
-        // Capture ALL console messages (page + extensions) via CDP
-        const level = params.type; // 'log', 'warning', 'error', 'info', 'debug', etc
-        const args = params.args || [];
-
-        // Convert CDP RemoteObject arguments to strings
-        const text = args.map(arg => {
-          if (arg.value !== undefined) {
-            return String(arg.value);
-          } else if (arg.description) {
-            return arg.description;
-          } else if (arg.type) {
-            return `[${arg.type}]`;
-          }
-          return '';
-        }).join(' ');
-
-        // Add console message via ConsoleHandler
-        consoleHandler.addMessage({
-          tabId: source.tabId,
-          level: level === 'warning' ? 'warn' : level, // Normalize 'warning' to 'warn'
-          text: text,
-          timestamp: Date.now(),
-          url: params.stackTrace?.callFrames?.[0]?.url || 'unknown'
-        });
-        break;
-      }
-    }
-  } catch (error) {
-    logger.log(`[Background] Error handling CDP event ${method}:`, error);
+// A multi-session session took the tab's debugger over - let the server know the tab is gone
+debuggerConnection.onDetach((tabId, reason) => {
+  if (reason === 'taken_over' && tabHandlers.handleDebuggerTakenOver(tabId) && wsConnection?.isConnected) {
+    wsConnection.sendNotification('notifications/tab_ownership_lost', { tabId, wasAttached: true, takenBy: {} });
   }
 });
 
+// CDP network/console capture for the single-session tab
+const cdpBuffers = new CDPBuffers(logger, bufferLimits);
+debuggerConnection.onEvent((method, params, tabId) => cdpBuffers.handleEvent(method, params, tabId));
+tagWebSockets(debuggerConnection, logger);
+
+// Request interception rules and network conditions for the single-session tab
+const networkInterceptor = new NetworkInterceptor(debuggerConnection, logger);
+const networkConditions = new NetworkConditions(debuggerConnection, networkInterceptor, logger);
+
+// Default CDP command context: global tab handlers, debugger, buffers, interception rules and network conditions
+// Multi-session mode passes the Session instead, which has the same shape
+const defaultContext = {
+  tabHandlers,
+  debugger: debuggerConnection,
+  buffers: cdpBuffers,
+  interceptor: networkInterceptor,
+  networkConditions
+};
+
 // Set up console message listener from content script
 // Use sendResponse callback pattern for Chrome Manifest V3 compatibility
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -323,8 +262,33 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return;
       }
 
+      // Clean up tabs of disconnected sessions now (popup button)
+      if (message.type === 'collectSessionGarbage') {
+        if (!globalThis.multiSessionManager) {
+          sendResponse({ error: 'Multi-session mode is not enabled' });
+          return;
+        }
+        const result = await globalThis.multiSessionManager.collectGarbage({
+          disconnected: { action: 'close', minutes: 0 }
+        });
+        sendResponse(result);
+        return;
+      }
+
       // Handle connection status request from popup
       if (message.type === 'getConnectionStatus') {
+        // Multi-session mode: report every session so the popup can name them
+        if (globalThis.multiSessionManager) {
+          const { sessions, orphanedTabs } = globalThis.multiSessionManager.getStatusSummary();
+          sendResponse({
+            connected: sessions.some(session => session.status === 'connected'),
+            multiSession: true,
+            orphanedTabs,
+            sessions
+          });
+          return;
+        }
+
         const status = {
           connected: wsConnection.isConnected,
           connectedTabId: tabHandlers.getAttachedTabId(),
@@ -350,80 +314,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Initialize WebSocket connection
 wsConnection = new WebSocketConnection(chrome, logger, iconManager, buildTimestamp);
 
-// Listen for debugger detach events to keep state in sync
-chrome.debugger.onDetach.addListener((source, reason) => {
-  logger.log(`[Background] Debugger detached from tab ${source.tabId}, reason: ${reason}`);
-
-  // Reset debugger state if it was detached from the current tab
-  if (source.tabId === currentDebuggerTabId) {
-    debuggerAttached = false;
-    currentDebuggerTabId = null;
-    logger.log('[Background] Debugger state reset');
-  }
-});
-
-// Helper function to ensure debugger is attached to current tab
-async function ensureDebuggerAttached() {
-  const attachedTabId = tabHandlers.getAttachedTabId();
-
-  if (!attachedTabId) {
-    throw new Error('No tab attached');
-  }
-
-  // If debugger is already attached to this tab, we're good
-  if (debuggerAttached && currentDebuggerTabId === attachedTabId) {
-    return;
-  }
-
-  // Detach from previous tab if needed
-  if (debuggerAttached && currentDebuggerTabId) {
-    try {
-      await chrome.debugger.detach({ tabId: currentDebuggerTabId });
-      logger.log(`[Background] Detached debugger from tab ${currentDebuggerTabId}`);
-    } catch (e) {
-      logger.log(`[Background] Failed to detach debugger: ${e.message}`);
-    }
-  }
-
-  // Attach to new tab
-  try {
-    await chrome.debugger.attach({ tabId: attachedTabId }, '1.3');
-    debuggerAttached = true;
-    currentDebuggerTabId = attachedTabId;
-    logger.log(`[Background] Attached debugger to tab ${attachedTabId}`);
-
-    // Enable Network domain for CDP network tracking
-    try {
-      await chrome.debugger.sendCommand(
-        { tabId: attachedTabId },
-        'Network.enable',
-        {}
-      );
-      logger.log(`[Background] Enabled Network domain for tab ${attachedTabId}`);
-    } catch (netError) {
-      logger.log(`[Background] Warning: Could not enable Network domain: ${netError.message}`);
-    }
-
-    // Enable Runtime domain for console message capture (captures ALL console logs including extensions!)
-    try {
-      await chrome.debugger.sendCommand(
-        { tabId: attachedTabId },
-        'Runtime.enable',
-        {}
-      );
-      logger.log(`[Background] Enabled Runtime domain for console capture on tab ${attachedTabId}`);
-    } catch (runtimeError) {
-      logger.log(`[Background] Warning: Could not enable Runtime domain: ${runtimeError.message}`);
-    }
-  } catch (error) {
-    debuggerAttached = false;
-    currentDebuggerTabId = null;
-    throw new Error(`Failed to attach debugger: ${error.message}`);
-  }
-}
-
 // Handle CDP commands from MCP server
-async function handleCDPCommand(cdpMethod, cdpParams) {
+// context provides tabHandlers and debugger (defaults to single-session state)
+async function handleCDPCommand(cdpMethod, cdpParams, context = defaultContext) {
+  const { tabHandlers } = context;
   const attachedTabId = tabHandlers.getAttachedTabId();
 
   logger.log(`[Background] handleCDPCommand called: ${cdpMethod} tab: ${attachedTabId}`);
@@ -517,15 +411,17 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
         // Use Chrome Debugger Protocol for evaluation (like old TypeScript extension)
         // This provides better isolation and passes mainWorldExecution bot detection test
-        await ensureDebuggerAttached();
+        await context.debugger.ensureAttached();
 
-        const result = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        // contextId/sessionId target an iframe (from Page.resolveFrame)
+        const result = await context.debugger.sendCommand(
           'Runtime.evaluate',
           {
             expression: expression,
-            returnByValue: true
-          }
+            returnByValue: true,
+            ...(cdpParams.contextId && { contextId: cdpParams.contextId })
+          },
+          cdpParams.sessionId
         );
 
         // Forward exceptionDetails if present (JavaScript syntax/runtime errors)
@@ -560,14 +456,13 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
     }
 
     case 'Input.dispatchMouseEvent':
-      return await handleMouseEvent(cdpParams);
+      return await handleMouseEvent(cdpParams, context);
 
     case 'Input.dispatchKeyEvent': {
       // Use Chrome debugger for real trusted key events (enables form submission, etc.)
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
       try {
-        await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.sendCommand(
           'Input.dispatchKeyEvent',
           cdpParams
         );
@@ -578,17 +473,36 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
       }
     }
 
+    case 'Input.insertText': {
+      // Inserts text like an IME commit (no key events)
+      await context.debugger.ensureAttached();
+      try {
+        await context.debugger.sendCommand('Input.insertText', cdpParams);
+        return { success: true };
+      } catch (error) {
+        logger.log(`[Background] Input.insertText error: ${error.message}`);
+        return { success: false, error: error.message };
+      }
+    }
+
+    case 'Emulation.setTouchEmulationEnabled':
+    case 'Input.dispatchTouchEvent': {
+      // Touch input only exists as real debugger input - there is no page-level equivalent
+      await context.debugger.ensureAttached();
+      await context.debugger.sendCommand(cdpMethod, cdpParams);
+      return { success: true };
+    }
+
     case 'DOM.querySelector': {
       // Use real Chrome debugger DOM APIs for true nodeIds
       const selector = cdpParams.selector;
       const nodeId = cdpParams.nodeId || 1; // Default to document root
 
       try {
-        await ensureDebuggerAttached();
+        await context.debugger.ensureAttached();
 
         // Query selector using real Chrome debugger
-        const result = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        const result = await context.debugger.sendCommand(
           'DOM.querySelector',
           { nodeId, selector }
         );
@@ -601,11 +515,10 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'DOM.enable': {
       // Enable DOM domain in Chrome debugger
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       try {
-        await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.sendCommand(
           'DOM.enable',
           {}
         );
@@ -618,11 +531,10 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'CSS.enable': {
       // Enable CSS domain in Chrome debugger
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       try {
-        await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.sendCommand(
           'CSS.enable',
           {}
         );
@@ -635,7 +547,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'CSS.getMatchedStylesForNode': {
       // Get matched CSS styles for a node
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       const selector = cdpParams.selector;
       const pseudoState = cdpParams.pseudoState || [];
@@ -644,33 +556,31 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
       try {
         // First, enable DOM and CSS domains
-        await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.sendCommand(
           'DOM.enable',
           {}
         );
 
-        await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.sendCommand(
           'CSS.enable',
           {}
         );
 
-        // Get document node
-        const docResult = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        // Get document node (node IDs are only handed out once the document was requested)
+        await context.debugger.sendCommand(
           'DOM.getDocument',
           { depth: 0 }
         );
 
-        const rootNodeId = docResult.root.nodeId;
-
-        // Query selector to get the target node ID
-        const queryResult = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
-          'DOM.querySelector',
-          { nodeId: rootNodeId, selector: selector }
+        // Find the element (also inside open shadow roots), then get its node ID
+        const evalResult = await context.debugger.sendCommand(
+          'Runtime.evaluate',
+          { expression: `(${deepQuerySelector.toString()})(document, ${JSON.stringify(selector)})` }
         );
+        const objectId = evalResult.result?.objectId;
+        const queryResult = objectId
+          ? await context.debugger.sendCommand('DOM.requestNode', { objectId })
+          : {};
 
         if (!queryResult.nodeId || queryResult.nodeId === 0) {
           throw new Error(`Element not found for selector: ${selector}`);
@@ -685,8 +595,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
           // Ensure pseudoState is an array
           const pseudoArray = Array.isArray(pseudoState) ? pseudoState : [pseudoState];
 
-          await chrome.debugger.sendCommand(
-            { tabId: attachedTabId },
+          await context.debugger.sendCommand(
             'CSS.forcePseudoState',
             {
               nodeId: nodeId,
@@ -696,16 +605,14 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
         }
 
         // Get matched styles for the node
-        const stylesResult = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        const stylesResult = await context.debugger.sendCommand(
           'CSS.getMatchedStylesForNode',
           { nodeId: nodeId }
         );
 
         // Get stylesheet URLs using document.styleSheets
         // This gives us the actual URLs, but we need to match them to styleSheetIds
-        const stylesheetInfo = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        const stylesheetInfo = await context.debugger.sendCommand(
           'Runtime.evaluate',
           {
             expression: `
@@ -748,8 +655,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
         // Clear forced pseudo-state if it was set
         if (nodeId && pseudoState.length > 0) {
           try {
-            await chrome.debugger.sendCommand(
-              { tabId: attachedTabId },
+            await context.debugger.sendCommand(
               'CSS.forcePseudoState',
               {
                 nodeId: nodeId,
@@ -766,11 +672,10 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'Network.enable': {
       // Enable Network domain in Chrome debugger
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       try {
-        await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.sendCommand(
           'Network.enable',
           {}
         );
@@ -783,11 +688,10 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'Network.getResponseBody': {
       // Get response body for a network request
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       try {
-        const result = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        const result = await context.debugger.sendCommand(
           'Network.getResponseBody',
           { requestId: cdpParams.requestId }
         );
@@ -799,11 +703,10 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'Network.getRequestPostData': {
       // Get POST data for a network request
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       try {
-        const result = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        const result = await context.debugger.sendCommand(
           'Network.getRequestPostData',
           { requestId: cdpParams.requestId }
         );
@@ -815,11 +718,10 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'Fetch.enable': {
       // Enable Fetch domain in Chrome debugger for request interception
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       try {
-        await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.sendCommand(
           'Fetch.enable',
           cdpParams || {}
         );
@@ -831,11 +733,10 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'Fetch.disable': {
       // Disable Fetch domain in Chrome debugger
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       try {
-        await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.sendCommand(
           'Fetch.disable',
           {}
         );
@@ -845,13 +746,36 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
       }
     }
 
+    case 'Fetch.addInterceptRule':
+      return { rule: await context.interceptor.addRule(cdpParams.rule) };
+
+    case 'Fetch.getInterceptRules':
+      return { rules: context.interceptor.getRules() };
+
+    case 'Fetch.removeInterceptRule':
+      return { removed: await context.interceptor.removeRule(cdpParams.id) };
+
+    case 'Fetch.clearInterceptRules':
+      return { cleared: await context.interceptor.clearRules() };
+
+    case 'Network.setConditions':
+      return await context.networkConditions.set(cdpParams);
+
+    case 'Network.getConditions':
+      return context.networkConditions.getState();
+
+    case 'Network.clearConditions':
+      return await context.networkConditions.clear();
+
+    case 'Network.sendWebSocketFrame':
+      return await sendWebSocketFrame(context.debugger, { requestId: cdpParams.requestId, url: cdpParams.url }, cdpParams.data);
+
     case 'DOM.getDocument': {
       // Get real document from Chrome debugger
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       try {
-        const result = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        const result = await context.debugger.sendCommand(
           'DOM.getDocument',
           { depth: cdpParams.depth || 0 }
         );
@@ -863,7 +787,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'CSS.forcePseudoState': {
       // Force pseudo-state on element using CDP
-      await ensureDebuggerAttached();
+      await context.debugger.ensureAttached();
 
       const params = {
         nodeId: cdpParams.nodeId,
@@ -871,8 +795,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
       };
 
       try {
-        await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.sendCommand(
           'CSS.forcePseudoState',
           params
         );
@@ -891,20 +814,19 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
       try {
         // Use Chrome Debugger Protocol for screenshots (works on non-visible tabs!)
-        await ensureDebuggerAttached();
+        await context.debugger.ensureAttached();
 
         let finalClip = null;
 
         // Option 1: Screenshot by selector (get element bounds)
         if (selector) {
           // Find element and get its bounding box
-          const evalResult = await chrome.debugger.sendCommand(
-            { tabId: attachedTabId },
+          const evalResult = await context.debugger.sendCommand(
             'Runtime.evaluate',
             {
               expression: `
                 (function() {
-                  const el = document.querySelector(${JSON.stringify(selector)});
+                  const el = (${deepQuerySelector.toString()})(document, ${JSON.stringify(selector)});
                   if (!el) return null;
                   const rect = el.getBoundingClientRect();
                   const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
@@ -945,8 +867,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
           if (coordinateSystem === 'page') {
             // Convert page coordinates to viewport coordinates
-            const scrollResult = await chrome.debugger.sendCommand(
-              { tabId: attachedTabId },
+            const scrollResult = await context.debugger.sendCommand(
               'Runtime.evaluate',
               {
                 expression: `({x: window.pageXOffset || document.documentElement.scrollLeft, y: window.pageYOffset || document.documentElement.scrollTop})`,
@@ -990,8 +911,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
         }
 
         // Capture screenshot (NO highlight yet - it will show AFTER)
-        const result = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        const result = await context.debugger.sendCommand(
           'Page.captureScreenshot',
           params
         );
@@ -1004,8 +924,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
           setTimeout(async () => {
             try {
-              await chrome.debugger.sendCommand(
-                { tabId: attachedTabId },
+              await context.debugger.sendCommand(
                 'Runtime.evaluate',
                 {
                   expression: `
@@ -1075,16 +994,57 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
     case 'Accessibility.getFullAXTree': {
       // Use DOM-based snapshot with SLIM-style compact notation
       // Includes smart grouping and collapsing optimizations
+      // Optional scope: root selector, maxDepth, roles filter, offset/limit pagination
       try {
         const results = await browserAdapter.executeScript(attachedTabId, {
           world: 'MAIN',  // Use MAIN world for DOM access
-          func: function() {
-            const maxLines = 200;
+          func: function(options) {
+            const { rootSelector, maxDepth, roles, offset } = options;
+            const maxLines = offset + options.limit;
+            // Lines are counted one past the page, so a page that ends exactly at the last line has no "more"
+            const countLimit = maxLines + 1;
             let lineCount = 0;
+            const isShown = () => lineCount >= offset && lineCount < maxLines;
+
+            // Elements shown in the snapshot, by ref placeholder index (resolved to backendDOMNodeId later)
+            const elements = [];
 
             // Never group these important navigation/structure elements
             const noGroupTags = new Set(['nav', 'ul', 'ol', 'header', 'footer', 'form', 'table']);
 
+            // Role filter - 'interactive' stands for all control roles
+            const interactiveRoles = ['button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'listbox', 'option', 'menuitem', 'tab', 'switch', 'slider', 'spinbutton'];
+            const roleFilter = roles ? new Set(roles.flatMap(role => role === 'interactive' ? interactiveRoles : [role])) : null;
+
+            function getRole(node) {
+              const explicitRole = node.getAttribute('role');
+              if (explicitRole) return explicitRole.split(' ')[0];
+
+              const tagName = node.nodeName.toLowerCase();
+              if (tagName === 'input') {
+                const type = (node.getAttribute('type') || 'text').toLowerCase();
+                const inputRoles = { checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox', button: 'button', submit: 'button', reset: 'button', image: 'button', hidden: null };
+                return type in inputRoles ? inputRoles[type] : 'textbox';
+              }
+              if (tagName === 'a' || tagName === 'area') return node.hasAttribute('href') ? 'link' : null;
+              if (tagName === 'select') return node.multiple || node.size > 1 ? 'listbox' : 'combobox';
+              if (/^h[1-6]$/.test(tagName)) return 'heading';
+
+              const tagRoles = {
+                button: 'button', summary: 'button', textarea: 'textbox', option: 'option', img: 'img',
+                nav: 'navigation', main: 'main', form: 'form', table: 'table', ul: 'list', ol: 'list',
+                li: 'listitem', dialog: 'dialog', header: 'banner', footer: 'contentinfo', aside: 'complementary'
+              };
+              return tagRoles[tagName] || null;
+            }
+
+            function matchesRoles(node) {
+              if (!roleFilter || roleFilter.has(getRole(node))) return true;
+              // Custom widgets: editable regions and focusable elements count as interactive
+              return roles.includes('interactive') &&
+                (node.isContentEditable || (node.hasAttribute('tabindex') && node.tabIndex >= 0));
+            }
+
             function getElementSignature(node) {
               // Get a short signature for skip messages
               let sig = node.nodeName.toLowerCase();
@@ -1104,20 +1064,20 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
             }
 
             function formatChildren(children, depth, parentTag) {
-              if (lineCount >= maxLines || depth > 10) return '';
+              if (lineCount >= countLimit || depth > maxDepth) return '';
               if (!children || children.length === 0) return '';
 
               const indent = '  '.repeat(depth);
               let output = '';
 
-              // Check if we should group this level
-              const shouldGroup = !noGroupTags.has(parentTag);
+              // Check if we should group this level (never with a role filter - groups would hide matches)
+              const shouldGroup = !roleFilter && !noGroupTags.has(parentTag);
 
               if (!shouldGroup) {
                 // Don't group - show all children
                 for (let child of children) {
                   if (child.nodeType !== 1) continue;
-                  if (lineCount >= maxLines) break;
+                  if (lineCount >= countLimit) break;
                   output += formatNode(child, depth);
                 }
                 return output;
@@ -1143,12 +1103,12 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
               // Format groups with deduplication
               for (let group of groups) {
-                if (lineCount >= maxLines) break;
+                if (lineCount >= countLimit) break;
 
                 // Show all if 5 or fewer (less aggressive)
                 if (group.nodes.length <= 5) {
                   for (let node of group.nodes) {
-                    if (lineCount >= maxLines) break;
+                    if (lineCount >= countLimit) break;
                     output += formatNode(node, depth);
                   }
                 } else {
@@ -1158,20 +1118,22 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
                   const last = group.nodes.slice(-1);
 
                   for (let node of first) {
-                    if (lineCount >= maxLines) break;
+                    if (lineCount >= countLimit) break;
                     output += formatNode(node, depth);
                   }
 
                   // Show what's being skipped
-                  if (lineCount < maxLines && middle.length > 0) {
+                  if (lineCount < countLimit && middle.length > 0) {
                     const signatures = middle.slice(0, 3).map(n => getElementSignature(n)).join(', ');
                     const more = middle.length > 3 ? `, ...${middle.length - 3} more` : '';
-                    output += `${indent}... ${middle.length} more: ${signatures}${more}\n`;
+                    if (isShown()) {
+                      output += `${indent}... ${middle.length} more: ${signatures}${more}\n`;
+                    }
                     lineCount++;
                   }
 
                   for (let node of last) {
-                    if (lineCount >= maxLines) break;
+                    if (lineCount >= countLimit) break;
                     output += formatNode(node, depth);
                   }
                 }
@@ -1181,7 +1143,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
             }
 
             function formatNode(node, depth) {
-              if (lineCount >= maxLines || depth > 10 || !node || node.nodeType !== 1) return '';
+              if (lineCount >= countLimit || depth > maxDepth || !node || node.nodeType !== 1) return '';
 
               const indent = '  '.repeat(depth);
               const tagName = node.nodeName.toLowerCase();
@@ -1228,6 +1190,13 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
                 if (src) attrs.push(`src="${src}"`);
               }
 
+              // Current state of form fields, so snapshot diffs show typing and toggling
+              if (['input', 'textarea', 'select'].includes(tagName) && node.type !== 'password') {
+                if (node.value && tagName !== 'select') attrs.push(`value="${node.value.substring(0, 50)}"`);
+                if (tagName === 'select' && node.selectedOptions?.length) attrs.push(`selected="${node.selectedOptions[0].text.substring(0, 50)}"`);
+                if (node.checked) attrs.push('checked');
+              }
+
               const attrStr = attrs.length > 0 ? ' ' + attrs.join(' ') : '';
 
               // Get text content for leaf nodes only
@@ -1250,39 +1219,122 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
                 return formatNode(node.children[0], depth);
               }
 
-              // Format the node line
-              let output = `${indent}${selector}${attrStr}${text}\n`;
+              // Filtered out by role - its matching descendants take its place
+              if (!matchesRoles(node)) {
+                return formatChildren(node.children, depth, tagName);
+              }
+
+              // Format the node line (lines before offset are counted but not shown)
+              let output = '';
+              if (isShown()) {
+                elements.push(node);
+                output = `${indent}${selector}${attrStr}${text} [ref=@${elements.length - 1}]\n`;
+              }
               lineCount++;
 
               // Process children
-              if (lineCount < maxLines && node.children.length > 0) {
+              if (lineCount < countLimit && node.children.length > 0) {
                 output += formatChildren(node.children, depth + 1, tagName);
               }
 
               return output;
             }
 
-            let snapshot = formatNode(document.body, 0);
+            // Same lookup as deepQuerySelector (executeScript functions must be self-contained)
+            const findRoot = (scope) => {
+              const found = scope.querySelector(rootSelector);
+              if (found) return found;
+              for (const el of scope.querySelectorAll('*')) {
+                const inner = el.shadowRoot && findRoot(el.shadowRoot);
+                if (inner) return inner;
+              }
+              return null;
+            };
+
+            const root = rootSelector ? findRoot(document) : document.body;
+            if (!root) {
+              return { error: `Snapshot root not found: ${rootSelector}` };
+            }
+
+            let snapshot = formatNode(root, 0);
+            const hasMore = lineCount > maxLines;
 
-            if (lineCount >= maxLines) {
-              snapshot += `\n--- Snapshot truncated at ${maxLines} lines ---\n`;
+            if (hasMore) {
+              snapshot += `\n--- Snapshot truncated at line ${maxLines} - use offset=${maxLines} to see more ---\n`;
             }
 
+            window.__blueprintSnapshotElements = elements;
+
             return {
               formattedSnapshot: {
                 preFormatted: true,
-                text: snapshot
+                text: snapshot,
+                nextOffset: hasMore ? maxLines : null
               }
             };
-          }
+          },
+          args: [{
+            rootSelector: cdpParams.root || null,
+            maxDepth: cdpParams.maxDepth ?? 10,
+            roles: cdpParams.roles?.length ? cdpParams.roles : null,
+            offset: cdpParams.offset || 0,
+            limit: cdpParams.limit || 200
+          }]
         });
 
-        return results[0] || { formattedSnapshot: { preFormatted: true, text: '' } };
+        const snapshot = results[0] || { formattedSnapshot: { preFormatted: true, text: '' } };
+        if (snapshot.error) {
+          return snapshot;
+        }
+        snapshot.formattedSnapshot.text = await assignSnapshotRefs(context, snapshot.formattedSnapshot.text);
+        return snapshot;
       } catch (error) {
         throw new Error(`DOM snapshot failed: ${error.message}`);
       }
     }
 
+    case 'DOM.resolveRef': {
+      // Mark the element behind a snapshot ref so the server can target it by selector
+      const { ref } = cdpParams;
+      try {
+        await context.debugger.ensureAttached();
+        const { object } = await context.debugger.sendCommand('DOM.resolveNode', {
+          backendNodeId: Number(ref.slice(1))
+        });
+        const marked = await context.debugger.sendCommand('Runtime.callFunctionOn', {
+          objectId: object.objectId,
+          functionDeclaration: 'function(ref) { if (!this.isConnected) return false; this.setAttribute("data-blueprint-ref", ref); return true; }',
+          arguments: [{ value: ref }],
+          returnByValue: true
+        });
+        await context.debugger.sendCommand('Runtime.releaseObject', { objectId: object.objectId });
+
+        if (!marked.result?.value) {
+          return { error: 'Element was removed from the page' };
+        }
+        return { selector: `[data-blueprint-ref="${ref}"]` };
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    case 'Page.resolveFrame': {
+      // Find an iframe by selector, name or URL and create an execution context in it
+      try {
+        await context.debugger.ensureAttached();
+        return await resolveFrame(context.debugger, cdpParams.frame);
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    case 'Input.dragAndDrop':
+      // HTML5 drag and drop when the source starts a drag, mouse drag otherwise
+      return await dragAndDrop(context.debugger, cdpParams.points);
+
+    case 'Input.dropFiles':
+      return await dropFiles(context.debugger, { x: cdpParams.x, y: cdpParams.y }, cdpParams.files);
+
     case 'Page.handleJavaScriptDialog': {
       const accept = cdpParams.accept !== false;
       const promptText = cdpParams.promptText || '';
@@ -1294,7 +1346,7 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
     }
 
     case 'Runtime.getConsoleMessages':
-      return { messages: consoleHandler.getMessages() };
+      return getConsoleMessages(context);
 
     case 'Network.getRequestLog': {
       const limit = cdpParams.limit || 20;
@@ -1350,9 +1402,8 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'Page.printToPDF': {
       try {
-        await ensureDebuggerAttached();
-        const result = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.ensureAttached();
+        const result = await context.debugger.sendCommand(
           'Page.printToPDF',
           {}
         );
@@ -1405,9 +1456,8 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
 
     case 'Performance.getMetrics': {
       try {
-        await ensureDebuggerAttached();
-        const result = await chrome.debugger.sendCommand(
-          { tabId: attachedTabId },
+        await context.debugger.ensureAttached();
+        const result = await context.debugger.sendCommand(
           'Performance.getMetrics',
           {}
         );
@@ -1431,13 +1481,59 @@ async function handleCDPCommand(cdpMethod, cdpParams) {
   }
 }
 
+/**
+ * Replace snapshot ref placeholders with refs backed by CDP backendDOMNodeId (e.g. "e42")
+ * The snapshot script leaves its elements in window.__blueprintSnapshotElements
+ */
+async function assignSnapshotRefs(context, text) {
+  const backendNodeIds = [];
+
+  try {
+    await context.debugger.ensureAttached();
+    const { result } = await context.debugger.sendCommand('Runtime.evaluate', {
+      expression: 'window.__blueprintSnapshotElements',
+      objectGroup: 'snapshot-refs'
+    });
+
+    if (result?.objectId) {
+      const { result: properties } = await context.debugger.sendCommand('Runtime.getProperties', {
+        objectId: result.objectId,
+        ownProperties: true
+      });
+      for (const property of properties) {
+        const index = Number(property.name);
+        if (!Number.isInteger(index) || !property.value?.objectId) continue;
+
+        const { node } = await context.debugger.sendCommand('DOM.describeNode', { objectId: property.value.objectId });
+        backendNodeIds[index] = node.backendNodeId;
+      }
+    }
+  } catch (error) {
+    // Snapshot is still useful without refs (e.g. debugger cannot attach to this page)
+    logger.log('[Background] Could not assign snapshot refs:', error.message);
+  }
+
+  try {
+    await context.debugger.sendCommand('Runtime.evaluate', { expression: 'delete window.__blueprintSnapshotElements' });
+    await context.debugger.sendCommand('Runtime.releaseObjectGroup', { objectGroup: 'snapshot-refs' });
+  } catch {
+    // Nothing to clean up
+  }
+
+  return text.replace(/ \[ref=@(\d+)\]/g, (match, index) => {
+    const backendNodeId = backendNodeIds[index];
+    return backendNodeId ? ` [ref=e${backendNodeId}]` : '';
+  });
+}
+
 // Mouse event handler
-// Track last mousedown for click synthesis
-let lastMouseDown = null;
+// Track last mousedown per tab for click synthesis (sessions may click concurrently)
+const lastMouseDowns = new Map(); // tabId -> { x, y, button, timestamp }
 
-async function handleMouseEvent(params) {
-  const attachedTabId = tabHandlers.getAttachedTabId();
-  const { type, x, y, button = 'left' } = params;
+async function handleMouseEvent(params, context) {
+  const attachedTabId = context.tabHandlers.getAttachedTabId();
+  const { type, x, y, button = 'left', modifiers = 0 } = params;
+  const lastMouseDown = lastMouseDowns.get(attachedTabId);
   // clickCount parameter not currently used
 
   // Only detect side effects on mouseReleased (final action of a click)
@@ -1479,69 +1575,136 @@ async function handleMouseEvent(params) {
   };
   const domEventType = eventTypeMap[type] || type;
 
+  // Moves only report a pressed button between mousePressed and mouseReleased (drags, not hovers)
+  const buttonMask = (name) => (name === 'left' ? 1 : name === 'right' ? 2 : 4);
+  const buttons = type === 'mouseMoved' ? (lastMouseDown ? buttonMask(lastMouseDown.button) : 0) : buttonMask(button);
+
   // Track mousedown for click synthesis
   if (type === 'mousePressed') {
-    lastMouseDown = { x, y, button, timestamp: Date.now() };
+    lastMouseDowns.set(attachedTabId, { x, y, button, timestamp: Date.now() });
   }
 
   // Step 3: Perform the click
-  const results = await browserAdapter.executeScript(attachedTabId, {
-    world: 'MAIN',  // Must use MAIN world for events to trigger handlers properly
-    func: (eventType, x, y, buttonIndex, buttons, shouldSynthesizeClick) => {
-      const el = document.elementFromPoint(x, y);
-      if (!el) {
-        return { success: false, error: 'No element at coordinates' };
-      }
+  // Held modifiers (Ctrl+click opens a new tab) only work with trusted input - see below
+  let clickResult = { success: false };
+  if (!modifiers) {
+    const results = await browserAdapter.executeScript(attachedTabId, {
+      world: 'MAIN',  // Must use MAIN world for events to trigger handlers properly
+      func: (eventType, x, y, buttonIndex, buttons, shouldSynthesizeClick) => {
+        let el = document.elementFromPoint(x, y);
+        if (!el) {
+          return { success: false, error: 'No element at coordinates' };
+        }
 
-      // Dispatch the mouse event
-      const event = new MouseEvent(eventType, {
-        view: window,
-        bubbles: true,
-        cancelable: true,
-        clientX: x,
-        clientY: y,
-        button: buttonIndex,
-        buttons: buttons
-      });
+        // Descend into open shadow roots and same-origin iframes under the point
+        let view = window;
+        while (true) {
+          const inner = el.shadowRoot?.elementFromPoint(x, y);
+          if (inner && inner !== el) {
+            el = inner;
+            continue;
+          }
+          if (el.tagName !== 'IFRAME' && el.tagName !== 'FRAME') {
+            break;
+          }
+          // contentDocument is null for cross-origin frames - those need real CDP input
+          if (!el.contentDocument) {
+            return { success: false, crossOriginFrame: true };
+          }
+          const rect = el.getBoundingClientRect();
+          x -= rect.left + el.clientLeft;
+          y -= rect.top + el.clientTop;
+          const frameElement = el.contentDocument.elementFromPoint(x, y);
+          if (!frameElement) {
+            break;
+          }
+          view = el.contentWindow;
+          el = frameElement;
+        }
 
-      el.dispatchEvent(event);
+        // Pointer events come first, like with real input (canvas editors and drag libraries use them)
+        const pointerEventType = { mousedown: 'pointerdown', mousemove: 'pointermove', mouseup: 'pointerup' }[eventType];
+        if (pointerEventType && view.PointerEvent) {
+          el.dispatchEvent(new view.PointerEvent(pointerEventType, {
+            view: view,
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            clientX: x,
+            clientY: y,
+            button: eventType === 'mousemove' ? -1 : buttonIndex,
+            buttons: buttons,
+            pointerId: 1,
+            pointerType: 'mouse',
+            isPrimary: true
+          }));
+        }
 
-      // If this is mouseup and we should synthesize a click, dispatch click event
-      if (shouldSynthesizeClick && eventType === 'mouseup') {
-        const clickEvent = new MouseEvent('click', {
-          view: window,
+        // Dispatch the mouse event
+        const event = new view.MouseEvent(eventType, {
+          view: view,
           bubbles: true,
           cancelable: true,
           clientX: x,
           clientY: y,
           button: buttonIndex,
-          buttons: 0  // No buttons pressed during click event
+          buttons: buttons
         });
-        el.dispatchEvent(clickEvent);
-      }
 
-      return { success: true, element: el.tagName, eventType: eventType };
-    },
-    args: [
-      domEventType,
-      x,
-      y,
-      button === 'left' ? 0 : button === 'right' ? 2 : 1,
-      button === 'left' ? 1 : button === 'right' ? 2 : 4,
-      // Synthesize click if this is mouseup and follows a recent mousedown at same position
-      type === 'mouseReleased' && lastMouseDown &&
-        lastMouseDown.x === x && lastMouseDown.y === y &&
-        lastMouseDown.button === button &&
-        (Date.now() - lastMouseDown.timestamp) < 1000  // Within 1 second
-    ]
-  });
+        el.dispatchEvent(event);
+
+        // If this is mouseup and we should synthesize a click, dispatch click event
+        if (shouldSynthesizeClick && eventType === 'mouseup') {
+          const clickEvent = new view.MouseEvent('click', {
+            view: view,
+            bubbles: true,
+            cancelable: true,
+            clientX: x,
+            clientY: y,
+            button: buttonIndex,
+            buttons: 0  // No buttons pressed during click event
+          });
+          el.dispatchEvent(clickEvent);
+        }
+
+        return { success: true, element: el.tagName, eventType: eventType };
+      },
+      args: [
+        domEventType,
+        x,
+        y,
+        button === 'left' ? 0 : button === 'right' ? 2 : 1,
+        buttons,
+        // Synthesize click if this is mouseup and follows a recent mousedown at same position
+        type === 'mouseReleased' && lastMouseDown &&
+          lastMouseDown.x === x && lastMouseDown.y === y &&
+          lastMouseDown.button === button &&
+          (Date.now() - lastMouseDown.timestamp) < 1000  // Within 1 second
+      ]
+    });
+    clickResult = results[0] || { success: false };
+  }
 
   // Clear mousedown tracking after mouseup
   if (type === 'mouseReleased') {
-    lastMouseDown = null;
+    lastMouseDowns.delete(attachedTabId);
   }
 
-  const clickResult = results[0] || { success: false };
+  // Cross-origin iframes can't be scripted from the page, and synthetic events ignore held
+  // modifiers - send real input through the debugger
+  if (clickResult.crossOriginFrame || modifiers) {
+    await context.debugger.ensureAttached();
+    await context.debugger.sendCommand('Input.dispatchMouseEvent', {
+      type,
+      x,
+      y,
+      button,
+      buttons,
+      clickCount: type === 'mouseMoved' ? 0 : 1,
+      modifiers
+    });
+    clickResult = { success: true, element: clickResult.crossOriginFrame ? 'IFRAME' : undefined, eventType: domEventType };
+  }
 
   // Step 4: Detect side effects (only for mouseReleased)
   if (shouldDetectSideEffects && clickResult.success) {
@@ -1632,45 +1795,23 @@ async function handleMouseEvent(params) {
   return clickResult;
 }
 
-// Register command handlers with WebSocket connection
-wsConnection.registerCommandHandler('getTabs', async () => {
-  return await tabHandlers.getTabs();
-});
-
-wsConnection.registerCommandHandler('get_build_info', async () => {
-  return { buildTimestamp };
-});
-
-wsConnection.registerCommandHandler('get_debug_storage', async () => {
-  // Read all debug storage values from extension background context
-  const storage = await chrome.storage.local.get([
+/**
+ * Read debug storage values from extension background context
+ */
+async function getDebugStorage() {
+  return await chrome.storage.local.get([
     'backgroundScriptLoaded',
     'listenerRegistered',
     'lastOnUpdatedEvent',
     'lastNavigation',
     'lastNotification'
   ]);
-  return storage;
-});
-
-wsConnection.registerCommandHandler('selectTab', async (params) => {
-  return await tabHandlers.selectTab(params);
-});
-
-wsConnection.registerCommandHandler('createTab', async (params) => {
-  return await tabHandlers.createTab(params);
-});
-
-wsConnection.registerCommandHandler('closeTab', async (params) => {
-  return await tabHandlers.closeTab(params?.index);
-});
-
-wsConnection.registerCommandHandler('focusTab', async () => {
-  return await tabHandlers.focusTab();
-});
+}
 
-wsConnection.registerCommandHandler('openTestPage', async () => {
-  // Open test page in new window
+/**
+ * Open test page in new window
+ */
+async function openTestPage() {
   const testPageUrl = 'https://blueprint-mcp.railsblueprint.com/test-page';
   const window = await chrome.windows.create({
     url: testPageUrl,
@@ -1685,13 +1826,12 @@ wsConnection.registerCommandHandler('openTestPage', async () => {
     windowId: window.id,
     tabId: window.tabs[0].id
   };
-});
-
-wsConnection.registerCommandHandler('forwardCDPCommand', async (params) => {
-  return await handleCDPCommand(params.method, params.params);
-});
+}
 
-wsConnection.registerCommandHandler('reloadExtensions', async (params) => {
+/**
+ * Reload unpacked extensions (all, or only the one named)
+ */
+async function reloadExtensions(params) {
   const extensionName = params?.extensionName;
   const currentExtensionId = chrome.runtime.id;
 
@@ -1737,109 +1877,261 @@ wsConnection.registerCommandHandler('reloadExtensions', async (params) => {
     skippedPacked: skippedPacked,
     extensions: extensions.filter(e => e.type === 'extension').map(e => e.name)
   };
-});
+}
+
+/**
+ * List installed extensions (not apps or themes)
+ */
+async function listExtensions() {
+  try {
+    const extensions = await chrome.management.getAll();
+
+    // Filter to only include extensions (not apps or themes)
+    const extensionsList = extensions
+      .filter(ext => ext.type === 'extension')
+      .map(ext => ({
+        id: ext.id,
+        name: ext.name,
+        version: ext.version,
+        enabled: ext.enabled,
+        description: ext.description || ''
+      }));
+
+    return { extensions: extensionsList };
+  } catch (error) {
+    throw new Error(`List extensions failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get network requests tracked for the context's attached tab
+ */
+function getNetworkRequests(context) {
+  const attachedTabId = context.tabHandlers.getAttachedTabId();
+  if (!attachedTabId) {
+    return { requests: [] };
+  }
 
-wsConnection.registerCommandHandler('getNetworkRequests', async () => {
   // Try CDP-tracked requests first (with proper requestIds for getResponseBody)
-  const cdpRequests = Array.from(cdpNetworkRequests.values());
+  const cdpRequests = context.buffers.getNetworkRequests(attachedTabId);
 
   // Fallback to webRequest tracker if no CDP requests
   if (cdpRequests.length === 0) {
     logger.log('[Background] No CDP requests, falling back to webRequest tracker');
-    return { requests: networkTracker.getRequests() };
+    return { requests: networkTracker.getRequests().filter(req => req.tabId === attachedTabId) };
   }
 
   return { requests: cdpRequests };
-});
+}
 
-wsConnection.registerCommandHandler('clearTracking', async () => {
-  // Clear both CDP and webRequest trackers
-  cdpNetworkRequests.clear();
-  networkTracker.clearRequests();
+/**
+ * Get WebSocket/EventSource connections and messages for the context's attached tab
+ */
+function getSocketFrames(context) {
+  const attachedTabId = context.tabHandlers.getAttachedTabId();
+  if (!attachedTabId) {
+    return { sockets: [], frames: [] };
+  }
+  return context.buffers.getSocketFrames(attachedTabId);
+}
+
+/**
+ * Clear network requests tracked for the context's attached tab
+ */
+function clearTracking(context) {
+  const attachedTabId = context.tabHandlers.getAttachedTabId();
+  if (attachedTabId) {
+    // Clear both CDP and webRequest trackers
+    context.buffers.clearNetworkRequests(attachedTabId);
+    context.buffers.clearSocketFrames(attachedTabId);
+    networkTracker.clearRequests(attachedTabId);
+  }
   return { success: true };
-});
+}
 
-wsConnection.registerCommandHandler('getResponseBody', async ({ requestId }) => {
-  const attachedTabId = tabHandlers.getAttachedTabId();
-  if (!attachedTabId) {
+/**
+ * Fetch request/response data for a tracked request via CDP
+ * (Network.getResponseBody or Network.getRequestPostData)
+ */
+async function getRequestData(context, cdpMethod, requestId) {
+  if (!context.tabHandlers.getAttachedTabId()) {
     return { error: 'No tab attached' };
   }
 
   try {
     // Ensure Network domain is enabled
-    await handleCDPCommand('Network.enable', {});
+    await handleCDPCommand('Network.enable', {}, context);
 
-    // Get response body via CDP
-    const result = await handleCDPCommand('Network.getResponseBody', { requestId });
-    return result;
+    return await handleCDPCommand(cdpMethod, { requestId }, context);
   } catch (error) {
     return { error: error.message };
   }
-});
+}
 
-wsConnection.registerCommandHandler('getRequestPostData', async ({ requestId }) => {
-  const attachedTabId = tabHandlers.getAttachedTabId();
+/**
+ * Get console messages for the context's attached tab
+ * Merges CDP-captured messages with those from the injected console capture
+ */
+function getConsoleMessages(context) {
+  const attachedTabId = context.tabHandlers.getAttachedTabId();
   if (!attachedTabId) {
-    return { error: 'No tab attached' };
+    return { messages: [] };
   }
 
-  try {
-    // Ensure Network domain is enabled
-    await handleCDPCommand('Network.enable', {});
+  const messages = [
+    ...context.buffers.getConsoleMessages(attachedTabId),
+    ...consoleHandler.getMessages(attachedTabId)
+  ].sort((a, b) => a.timestamp - b.timestamp);
+  return { messages };
+}
 
-    // Get POST data via CDP
-    const result = await handleCDPCommand('Network.getRequestPostData', { requestId });
-    return result;
-  } catch (error) {
-    return { error: error.message };
+/**
+ * Clear console messages for the context's attached tab
+ */
+function clearConsoleMessages(context) {
+  const attachedTabId = context.tabHandlers.getAttachedTabId();
+  if (attachedTabId) {
+    context.buffers.clearConsoleMessages(attachedTabId);
+    consoleHandler.clearMessages(attachedTabId);
   }
+  return { success: true };
+}
+
+// Register command handlers with WebSocket connection
+wsConnection.registerCommandHandler('getTabs', async () => {
+  return await tabHandlers.getTabs();
+});
+
+wsConnection.registerCommandHandler('get_build_info', async () => {
+  return { buildTimestamp };
+});
+
+wsConnection.registerCommandHandler('get_debug_storage', async () => {
+  return await getDebugStorage();
+});
+
+wsConnection.registerCommandHandler('selectTab', async (params) => {
+  return await tabHandlers.selectTab(params);
+});
+
+wsConnection.registerCommandHandler('createTab', async (params) => {
+  return await tabHandlers.createTab(params);
+});
+
+wsConnection.registerCommandHandler('closeTab', async (params) => {
+  return await tabHandlers.closeTab(params?.index);
+});
+
+wsConnection.registerCommandHandler('focusTab', async () => {
+  return await tabHandlers.focusTab();
+});
+
+wsConnection.registerCommandHandler('openTestPage', async () => {
+  return await openTestPage();
+});
+
+wsConnection.registerCommandHandler('forwardCDPCommand', async (params) => {
+  return await handleCDPCommand(params.method, params.params);
+});
+
+wsConnection.registerCommandHandler('reloadExtensions', async (params) => {
+  return await reloadExtensions(params);
+});
+
+wsConnection.registerCommandHandler('getNetworkRequests', async () => {
+  return getNetworkRequests(defaultContext);
+});
+
+wsConnection.registerCommandHandler('clearTracking', async () => {
+  return clearTracking(defaultContext);
+});
+
+wsConnection.registerCommandHandler('getSocketFrames', async () => {
+  return getSocketFrames(defaultContext);
+});
+
+wsConnection.registerCommandHandler('getResponseBody', async ({ requestId }) => {
+  return await getRequestData(defaultContext, 'Network.getResponseBody', requestId);
+});
+
+wsConnection.registerCommandHandler('getRequestPostData', async ({ requestId }) => {
+  return await getRequestData(defaultContext, 'Network.getRequestPostData', requestId);
 });
 
 wsConnection.registerCommandHandler('getConsoleMessages', async () => {
-  // Only return messages from the currently attached tab
-  const attachedTabId = tabHandlers.getAttachedTabId();
-  const messages = attachedTabId ? consoleHandler.getMessages(attachedTabId) : [];
-  return { messages };
+  return getConsoleMessages(defaultContext);
 });
 
 wsConnection.registerCommandHandler('clearConsoleMessages', async () => {
-  consoleHandler.clearMessages();
-  return { success: true };
+  return clearConsoleMessages(defaultContext);
 });
 
 wsConnection.registerCommandHandler('listExtensions', async () => {
-  try {
-    const extensions = await chrome.management.getAll();
-
-    // Filter to only include extensions (not apps or themes)
-    const extensionsList = extensions
-      .filter(ext => ext.type === 'extension')
-      .map(ext => ({
-        id: ext.id,
-        name: ext.name,
-        version: ext.version,
-        enabled: ext.enabled,
-        description: ext.description || ''
-      }));
+  return await listExtensions();
+});
 
-    return { extensions: extensionsList };
-  } catch (error) {
-    throw new Error(`List extensions failed: ${error.message}`);
+// A restarted server with the same client_id picks up the tab this browser still has attached
+let lastClientId = null;
+wsConnection.registerNotificationHandler('authenticated', (params) => {
+  const clientId = params?.client_id;
+  if (clientId && clientId === lastClientId && tabHandlers.getAttachedTabId()) {
+    wsConnection.sendNotification('notifications/session_resumed', {
+      clientId,
+      tab: tabHandlers.getAttachedTabInfo(),
+      stealthMode: tabHandlers.getStealthMode()
+    });
   }
+  lastClientId = clientId || lastClientId;
 });
 
 // Listen for page navigation to re-inject console capture and dialog overrides
 chrome.webNavigation.onCompleted.addListener(async (details) => {
   const attachedTabId = tabHandlers.getAttachedTabId();
-  if (details.tabId === attachedTabId && details.frameId === 0) {
+  // In multi-session mode, each session's attached tab needs re-injection too
+  const sessionTabIds = globalThis.multiSessionManager
+    ? globalThis.multiSessionManager.getAllSessions().map(session => session.tabHandlers.getAttachedTabId())
+    : [];
+  const isTracked = details.tabId === attachedTabId || sessionTabIds.includes(details.tabId);
+  if (isTracked && details.frameId === 0) {
     logger.log('[Background] Page loaded, re-injecting console capture and dialog overrides');
     await consoleHandler.injectConsoleCapture(details.tabId);
     await dialogHandler.setupDialogOverrides(details.tabId);
   }
 });
 
+// Drop captured network/console data when a tab is closed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  cdpBuffers.clearTab(tabId);
+  globalThis.multiSessionManager?.getAllSessions().forEach(session => {
+    session.buffers.clearTab(tabId);
+    session.tabHandlers.handleTabClosed(tabId);
+  });
+  globalThis.multiSessionManager?.handleTabRemoved(tabId);
+});
+
+// Multi-session: tabs opened from a session's tab (login popups, OAuth windows) join that session
+chrome.tabs.onCreated.addListener((tab) => {
+  if (!tab.openerTabId) return;
+  const owner = globalThis.multiSessionManager?.getTabOwner(tab.openerTabId);
+  if (owner) {
+    owner.tabHandlers.claimTab(tab.id);
+  }
+});
+
 // Listen for storage changes (enable/disable from popup)
 chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName === 'local' && (changes.networkBufferSize || changes.consoleBufferSize)) {
+    if (changes.networkBufferSize) {
+      bufferLimits.maxNetworkRequests = changes.networkBufferSize.newValue;
+    }
+    if (changes.consoleBufferSize) {
+      bufferLimits.maxConsoleMessages = changes.consoleBufferSize.newValue;
+    }
+    logger.log('[Background] Buffer limits changed:', bufferLimits);
+    cdpBuffers.setLimits(bufferLimits);
+    globalThis.multiSessionManager?.setBufferLimits(bufferLimits);
+  }
+
   if (areaName === 'local' && changes.extensionEnabled) {
     const isEnabled = changes.extensionEnabled.newValue !== false;
     logger.logAlways('[Background] Extension enabled state changed:', isEnabled);
@@ -1866,9 +2158,16 @@ if (multiSessionEnabled) {
 
   // Dynamic import for multi-session support
   const { MultiSessionManager } = await import('../../shared/connection/multiSession.js');
+  const { tabPoliciesFromStorage, TAB_POLICY_STORAGE_KEYS } = await import('../../shared/handlers/tabPolicies.js');
 
   const sessionManager = new MultiSessionManager(chrome, logger, iconManager, null);
   sessionManager.setBuildTimestamp(buildTimestamp);
+  sessionManager.setBufferLimits(bufferLimits);
+  sessionManager.setTabPolicies(tabPoliciesFromStorage(await chrome.storage.local.get(TAB_POLICY_STORAGE_KEYS)));
+  sessionManager.setTabInjectors(
+    (tabId) => consoleHandler.injectConsoleCapture(tabId),
+    (tabId) => dialogHandler.setupDialogOverrides(tabId)
+  );
 
   // Register session-aware command handlers
   // These wrap the existing handlers but use per-session tab state
@@ -1886,31 +2185,65 @@ if (multiSessionEnabled) {
   });
 
   sessionManager.registerCommandHandler('closeTab', async (params, session) => {
-    return await session.tabHandlers.closeTab(params?.index);
+    return await session.tabHandlers.closeTab(params?.index, params?.force);
   });
 
   sessionManager.registerCommandHandler('focusTab', async (params, session) => {
     return await session.tabHandlers.focusTab();
   });
 
-  sessionManager.registerCommandHandler('get_build_info', async (params, session) => {
+  sessionManager.registerCommandHandler('get_build_info', async () => {
     return { buildTimestamp };
   });
 
-  // For CDP commands, we need to use the session's attached tab
+  sessionManager.registerCommandHandler('get_debug_storage', async () => {
+    return await getDebugStorage();
+  });
+
+  sessionManager.registerCommandHandler('openTestPage', async () => {
+    return await openTestPage();
+  });
+
+  sessionManager.registerCommandHandler('reloadExtensions', async (params) => {
+    return await reloadExtensions(params);
+  });
+
+  sessionManager.registerCommandHandler('listExtensions', async () => {
+    return await listExtensions();
+  });
+
+  // CDP commands run against the session's own tab handlers and debugger
   sessionManager.registerCommandHandler('forwardCDPCommand', async (params, session) => {
-    // Override the global tabHandlers reference temporarily
-    // This is a workaround until full refactoring is complete
-    const originalGetAttachedTabId = tabHandlers.getAttachedTabId.bind(tabHandlers);
-    tabHandlers.getAttachedTabId = () => session.tabHandlers.getAttachedTabId();
+    return await handleCDPCommand(params.method, params.params, session);
+  });
 
-    try {
-      const result = await handleCDPCommand(params.method, params.params);
-      return result;
-    } finally {
-      // Restore original
-      tabHandlers.getAttachedTabId = originalGetAttachedTabId;
-    }
+  // Network and console data comes from the session's own buffers for its attached tab
+  sessionManager.registerCommandHandler('getNetworkRequests', async (params, session) => {
+    return getNetworkRequests(session);
+  });
+
+  sessionManager.registerCommandHandler('clearTracking', async (params, session) => {
+    return clearTracking(session);
+  });
+
+  sessionManager.registerCommandHandler('getSocketFrames', async (params, session) => {
+    return getSocketFrames(session);
+  });
+
+  sessionManager.registerCommandHandler('getResponseBody', async ({ requestId }, session) => {
+    return await getRequestData(session, 'Network.getResponseBody', requestId);
+  });
+
+  sessionManager.registerCommandHandler('getRequestPostData', async ({ requestId }, session) => {
+    return await getRequestData(session, 'Network.getRequestPostData', requestId);
+  });
+
+  sessionManager.registerCommandHandler('getConsoleMessages', async (params, session) => {
+    return getConsoleMessages(session);
+  });
+
+  sessionManager.registerCommandHandler('clearConsoleMessages', async (params, session) => {
+    return clearConsoleMessages(session);
   });
 
   // Session management commands
@@ -1918,14 +2251,42 @@ if (multiSessionEnabled) {
     return await sessionManager.getSessionsForListing(session.port);
   });
 
-  sessionManager.registerCommandHandler('closeSession', async (params, session) => {
-    return await sessionManager.closeSessionTab(params.port);
+  // Target a session by port or by the client_id it passed to enable
+  sessionManager.registerCommandHandler('closeSession', async (params) => {
+    const target = sessionManager.findSession(params);
+    if (!target) {
+      const label = params.clientId ? `client_id "${params.clientId}"` : `port ${params.port}`;
+      return { success: false, error: `No session found for ${label}` };
+    }
+    return await sessionManager.closeSessionTab(target.port);
   });
 
   sessionManager.registerCommandHandler('closeAllSessions', async (params, session) => {
     return await sessionManager.closeAllOtherSessionsTabs(session.port);
   });
 
+  // Apply tab policies now (policy overrides come from browser_sessions gc)
+  sessionManager.registerCommandHandler('collectGarbage', async (params) => {
+    return await sessionManager.collectGarbage(params?.policies);
+  });
+
+  // Apply tab policies every minute
+  if (chrome.alarms) {
+    chrome.alarms.create('session-gc', { periodInMinutes: 1 });
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === 'session-gc') {
+        sessionManager.collectGarbage();
+      }
+    });
+  }
+
+  // Pick up policy changes from the popup
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName === 'local' && TAB_POLICY_STORAGE_KEYS.some(key => changes[key])) {
+      sessionManager.setTabPolicies(tabPoliciesFromStorage(await chrome.storage.local.get(TAB_POLICY_STORAGE_KEYS)));
+    }
+  });
+
   // Start multi-session manager
   await sessionManager.start();
 
@@ -0,0 +1,107 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { CDPBuffers, DEFAULT_BUFFER_LIMITS } from '../../shared/handlers/cdpBuffers.js';
+
+const silentLogger = { log() {}, logAlways() {} };
+
+function requestEvent(requestId, url = `https://example.com/${requestId}`) {
+  return { requestId, type: 'XHR', request: { url, method: 'GET', headers: {} } };
+}
+
+function consoleEvent(text, type = 'log') {
+  return { type, args: [{ type: 'string', value: text }] };
+}
+
+describe('CDPBuffers', () => {
+  it('keeps network requests and console messages separate per tab', () => {
+    const buffers = new CDPBuffers(silentLogger);
+
+    buffers.handleEvent('Network.requestWillBeSent', requestEvent('1'), 101);
+    buffers.handleEvent('Network.requestWillBeSent', requestEvent('2'), 202);
+    buffers.handleEvent('Network.responseReceived', { requestId: '1', response: { status: 200, statusText: 'OK', headers: {}, mimeType: 'text/html' } }, 101);
+    buffers.handleEvent('Network.responseReceived', { requestId: '1', response: { status: 500 } }, 202);
+    buffers.handleEvent('Runtime.consoleAPICalled', consoleEvent('from 101', 'warning'), 101);
+
+    const tab101 = buffers.getNetworkRequests(101);
+    assert.deepStrictEqual(tab101.map(r => r.requestId), ['1']);
+    assert.strictEqual(tab101[0].statusCode, 200);
+    assert.strictEqual(tab101[0].tabId, 101);
+    assert.deepStrictEqual(buffers.getNetworkRequests(202).map(r => r.statusCode), [undefined]);
+
+    const messages = buffers.getConsoleMessages(101);
+    assert.strictEqual(messages.length, 1);
+    assert.strictEqual(messages[0].level, 'warn');
+    assert.strictEqual(messages[0].text, 'from 101');
+    assert.deepStrictEqual(buffers.getConsoleMessages(202), []);
+  });
+
+  it('drops the oldest entries beyond the configured limits', () => {
+    const buffers = new CDPBuffers(silentLogger, { maxNetworkRequests: 3, maxConsoleMessages: 2 });
+
+    for (let i = 1; i <= 5; i++) {
+      buffers.handleEvent('Network.requestWillBeSent', requestEvent(String(i)), 101);
+      buffers.handleEvent('Runtime.consoleAPICalled', consoleEvent(`m${i}`), 101);
+    }
+
+    assert.deepStrictEqual(buffers.getNetworkRequests(101).map(r => r.requestId), ['3', '4', '5']);
+    assert.deepStrictEqual(buffers.getConsoleMessages(101).map(m => m.text), ['m4', 'm5']);
+
+    // Shrinking trims existing buffers
+    buffers.setLimits({ maxNetworkRequests: 1 });
+    assert.deepStrictEqual(buffers.getNetworkRequests(101).map(r => r.requestId), ['5']);
+  });
+
+  it('ignores invalid limits', () => {
+    const buffers = new CDPBuffers(silentLogger, { maxNetworkRequests: 0, maxConsoleMessages: 'lots' });
+    assert.deepStrictEqual(buffers.limits, DEFAULT_BUFFER_LIMITS);
+  });
+
+  it('clears one tab without touching others', () => {
+    const buffers = new CDPBuffers(silentLogger);
+    buffers.handleEvent('Network.requestWillBeSent', requestEvent('1'), 101);
+    buffers.handleEvent('Network.requestWillBeSent', requestEvent('2'), 202);
+    buffers.handleEvent('Runtime.consoleAPICalled', consoleEvent('a'), 101);
+
+    buffers.clearNetworkRequests(101);
+    buffers.clearConsoleMessages(101);
+    assert.deepStrictEqual(buffers.getNetworkRequests(101), []);
+    assert.deepStrictEqual(buffers.getConsoleMessages(101), []);
+    assert.strictEqual(buffers.getNetworkRequests(202).length, 1);
+
+    buffers.clearTab(202);
+    assert.deepStrictEqual(buffers.getNetworkRequests(202), []);
+  });
+
+  it('captures WebSocket frames and EventSource messages per connection', () => {
+    const buffers = new CDPBuffers(silentLogger, { maxSocketFrames: 3 });
+    const frame = (requestId, payloadData, opcode = 1) => ({ requestId, response: { opcode, mask: false, payloadData } });
+
+    buffers.handleEvent('Network.webSocketCreated', { requestId: 'ws1', url: 'wss://app.test/live' }, 101);
+    buffers.handleEvent('Network.webSocketFrameSent', frame('ws1', '{"op":"subscribe"}'), 101);
+    buffers.handleEvent('Network.webSocketFrameReceived', frame('ws1', '{"op":"ack"}'), 101);
+    buffers.handleEvent('Network.webSocketFrameReceived', frame('unknown', 'dropped'), 101);
+    buffers.handleEvent('Network.webSocketClosed', { requestId: 'ws1' }, 101);
+    buffers.handleEvent('Network.requestWillBeSent', { ...requestEvent('es1', 'https://app.test/events'), type: 'EventSource' }, 101);
+    buffers.handleEvent('Network.eventSourceMessageReceived', { requestId: 'es1', eventName: 'price', eventId: '7', data: '{"p":1}' }, 101);
+
+    let { sockets, frames } = buffers.getSocketFrames(101);
+    assert.deepStrictEqual(sockets.map(s => [s.requestId, s.type, s.url, s.closed, s.frames]), [
+      ['ws1', 'websocket', 'wss://app.test/live', true, 2],
+      ['es1', 'eventsource', 'https://app.test/events', false, 1]
+    ]);
+    assert.deepStrictEqual(frames.map(f => [f.requestId, f.direction, f.data]), [
+      ['ws1', 'sent', '{"op":"subscribe"}'],
+      ['ws1', 'received', '{"op":"ack"}'],
+      ['es1', 'received', '{"p":1}']
+    ]);
+    assert.strictEqual(frames[2].eventName, 'price');
+    assert.deepStrictEqual(buffers.getSocketFrames(202), { sockets: [], frames: [] });
+
+    // Closed sockets go once their frames are gone; open ones stay
+    buffers.clearSocketFrames(101);
+    ({ sockets, frames } = buffers.getSocketFrames(101));
+    assert.deepStrictEqual(sockets.map(s => s.requestId), ['es1']);
+    assert.deepStrictEqual(frames, []);
+  });
+});
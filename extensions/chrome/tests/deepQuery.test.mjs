@@ -0,0 +1,51 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { deepQuerySelector } from '../../shared/utils/deepQuery.js';
+
+/**
+ * Scope (document, element or shadow root) over fake elements matched by id
+ */
+function scope(children) {
+  return {
+    children,
+    querySelectorAll(selector) {
+      const found = [];
+      const visit = (nodes) => nodes.forEach(el => {
+        if (selector === '*' || `#${el.id}` === selector) found.push(el);
+        visit(el.children);
+      });
+      visit(this.children);
+      return found;
+    },
+    querySelector(selector) {
+      return this.querySelectorAll(selector)[0] || null;
+    }
+  };
+}
+
+function element(id, children = [], shadowChildren = null) {
+  return { ...scope(children), id, shadowRoot: shadowChildren && scope(shadowChildren) };
+}
+
+describe('deepQuerySelector', () => {
+  it('prefers the light DOM and falls back to nested open shadow roots', () => {
+    const light = element('target');
+    const nested = element('nested');
+    const document = scope([
+      element('outer', [], [element('inner', [], [nested])]),
+      element('wrapper', [light])
+    ]);
+
+    assert.strictEqual(deepQuerySelector(document, '#target'), light);
+    assert.strictEqual(deepQuerySelector(document, '#nested'), nested);
+    assert.strictEqual(deepQuerySelector(document, '#missing'), null);
+  });
+
+  it('stays self-contained for page scripts', () => {
+    const document = scope([element('host', [], [element('drop')])]);
+    const run = new Function('document', `return (${deepQuerySelector.toString()})(document, '#drop');`);
+
+    assert.strictEqual(run(document).id, 'drop');
+  });
+});
@@ -0,0 +1,115 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { MultiSessionManager } from '../../shared/connection/multiSession.js';
+
+const silentLogger = { log() {}, logAlways() {}, error() {} };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Manager with fake port probes and connections
+ */
+function createManager(activePorts = []) {
+  const manager = new MultiSessionManager({}, silentLogger, null, null);
+  manager.active = new Set(activePorts);
+  manager.probes = [];
+  manager.inFlight = 0;
+  manager.maxInFlight = 0;
+
+  manager.checkServerActive = async (port) => {
+    manager.probes.push(port);
+    manager.inFlight++;
+    manager.maxInFlight = Math.max(manager.maxInFlight, manager.inFlight);
+    await sleep(1);
+    manager.inFlight--;
+    return manager.active.has(port);
+  };
+
+  manager.connectToServer = async (port) => {
+    const session = { port, status: 'connected', debugger: { detach() {} }, wsConnection: null };
+    manager.sessions.set(port, session);
+    return session;
+  };
+
+  return manager;
+}
+
+describe('MultiSessionManager discovery', () => {
+  it('probes all ports in parallel and connects to active servers', async () => {
+    const manager = createManager([5560, 5600]);
+
+    const changed = await manager.scanForServers();
+
+    assert.strictEqual(changed, true);
+    assert.strictEqual(manager.probes.length, 100);
+    assert.strictEqual(manager.maxInFlight, 100);
+    assert.deepStrictEqual([...manager.sessions.keys()].sort(), [5560, 5600]);
+    assert.strictEqual(await manager.scanForServers(), false);
+  });
+
+  it('backs off while nothing changes and resets when a server appears', async () => {
+    const manager = createManager();
+    manager.minScanInterval = 5;
+    manager.maxScanInterval = 20;
+    manager.scanDelay = 5;
+
+    const delays = [];
+    const scan = manager.scanForServers.bind(manager);
+    manager.scanForServers = async () => {
+      delays.push(manager.scanDelay);
+      return scan();
+    };
+
+    await manager.start();
+    await sleep(120);
+    manager.stop();
+
+    // First entry is the initial scan from start()
+    assert.deepStrictEqual(delays.slice(1, 5), [5, 10, 20, 20]);
+  });
+
+  it('finds a new server within a second after idling for a long time', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const manager = createManager();
+    manager.checkServerActive = async (port) => manager.active.has(port);
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    await manager.start();
+    for (let elapsed = 0; elapsed < 120000; elapsed += 250) {
+      t.mock.timers.tick(250);
+      await flush();
+    }
+
+    manager.active.add(5560);
+    t.mock.timers.tick(1000);
+    await flush();
+
+    assert.deepStrictEqual([...manager.sessions.keys()], [5560]);
+    manager.stop();
+  });
+
+  it('stops polling while a session is connected', async () => {
+    const manager = createManager([5555]);
+    manager.minScanInterval = 5;
+    manager.scanDelay = 5;
+
+    await manager.start();
+    const probes = manager.probes.length;
+    await sleep(50);
+
+    assert.strictEqual(manager.scanTimer, null);
+    assert.strictEqual(manager.probes.length, probes);
+    manager.stop();
+  });
+
+  it('connects to servers pushed by servers_changed without probing', async () => {
+    const manager = createManager();
+    manager.sessions.set(5555, { port: 5555, status: 'connected' });
+
+    await manager.handleServersChanged([{ port: 5555 }, { port: 5557 }]);
+
+    assert.deepStrictEqual([...manager.sessions.keys()], [5555, 5557]);
+    assert.strictEqual(manager.probes.length, 0);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { dragAndDrop, dropFiles } from '../../shared/handlers/dragDrop.js';
+import { createFakeDebugger } from './helpers/fakes.mjs';
+
+/**
+ * Debugger fake; with a drag source, the first move with the button held emits Input.dragIntercepted
+ */
+function createDebugger({ draggable }) {
+  const debuggerConnection = createFakeDebugger((method, params) => {
+    if (draggable && method === 'Input.dispatchMouseEvent' && params.type === 'mouseMoved' && params.buttons === 1) {
+      debuggerConnection.emit('Input.dragIntercepted', { data: { items: [{ mimeType: 'text/plain', data: 'card-1' }], dragOperationsMask: 1 } });
+    }
+  });
+  return debuggerConnection;
+}
+
+// Commands as [method, event type or enabled flag]
+const steps = (debuggerConnection) => debuggerConnection.commands.map(([method, params]) => [method, params.type ?? params.enabled]);
+
+const points = [{ x: 10, y: 10 }, { x: 60, y: 10 }, { x: 110, y: 10 }];
+
+describe('dragAndDrop', () => {
+  it('replays intercepted HTML5 drags with drag events', async () => {
+    const debuggerConnection = createDebugger({ draggable: true });
+
+    const result = await dragAndDrop(debuggerConnection, points);
+
+    assert.deepStrictEqual(result, { html5: true });
+    assert.deepStrictEqual(steps(debuggerConnection), [
+      ['Input.setInterceptDrags', true],
+      ['Input.dispatchMouseEvent', 'mouseMoved'],
+      ['Input.dispatchMouseEvent', 'mousePressed'],
+      ['Input.dispatchMouseEvent', 'mouseMoved'],
+      ['Input.setInterceptDrags', false],
+      ['Input.dispatchDragEvent', 'dragEnter'],
+      ['Input.dispatchDragEvent', 'dragOver'],
+      ['Input.dispatchDragEvent', 'dragOver'],
+      ['Input.dispatchDragEvent', 'drop']
+    ]);
+  });
+
+  it('falls back to a mouse drag when no drag starts', async () => {
+    const debuggerConnection = createDebugger({ draggable: false });
+
+    const result = await dragAndDrop(debuggerConnection, points);
+
+    assert.deepStrictEqual(result, { html5: false });
+    assert.deepStrictEqual(steps(debuggerConnection).slice(-3), [
+      ['Input.setInterceptDrags', false],
+      ['Input.dispatchMouseEvent', 'mouseMoved'],
+      ['Input.dispatchMouseEvent', 'mouseReleased']
+    ]);
+  });
+});
+
+describe('dropFiles', () => {
+  it('drags files in over the point and drops them', async () => {
+    const debuggerConnection = createDebugger({ draggable: false });
+
+    assert.deepStrictEqual(await dropFiles(debuggerConnection, { x: 5, y: 5 }, ['/tmp/a.png']), { dropped: 1 });
+    assert.deepStrictEqual(steps(debuggerConnection).map(([, type]) => type), ['dragEnter', 'dragOver', 'drop']);
+  });
+});
@@ -0,0 +1,76 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { resolveFrame } from '../../shared/handlers/frames.js';
+import { createFakeDebugger } from './helpers/fakes.mjs';
+
+/**
+ * Debugger connection fake for a page with a same-origin and a cross-origin iframe
+ */
+function createDebugger() {
+  const trees = {
+    top: {
+      frame: { id: 'MAIN', url: 'https://shop.test/' },
+      childFrames: [
+        { frame: { id: 'HELP', parentId: 'MAIN', name: 'help', url: 'https://shop.test/help' } },
+        { frame: { id: 'PAY', parentId: 'MAIN', url: 'https://pay.test/card' } }
+      ]
+    },
+    S1: { frame: { id: 'PAY', url: 'https://pay.test/card' } }
+  };
+
+  const debuggerConnection = createFakeDebugger((method, params, sessionId) => {
+    switch (method) {
+      case 'Page.getFrameTree':
+        return { frameTree: trees[sessionId || 'top'] };
+      case 'Runtime.evaluate':
+        return params.expression === 'document.querySelector("iframe#pay")'
+          ? { result: { objectId: 'obj1', subtype: 'node' } }
+          : { result: { type: 'object', subtype: 'null' } };
+      case 'DOM.describeNode':
+        return { node: { frameId: 'PAY' } };
+      case 'DOM.getFrameOwner':
+        return { backendNodeId: params.frameId === 'PAY' ? 11 : 12 };
+      case 'DOM.getBoxModel':
+        return { model: { content: params.backendNodeId === 11 ? [40, 300, 0, 0] : [0, 10, 0, 0] } };
+      case 'Page.createIsolatedWorld':
+        return { executionContextId: sessionId ? 21 : 22 };
+    }
+  });
+  debuggerConnection.childSessions.set('PAY', 'S1');
+  return debuggerConnection;
+}
+
+describe('resolveFrame', () => {
+  it('resolves a cross-origin iframe selector to its child session', async () => {
+    const debuggerConnection = createDebugger();
+
+    const frame = await resolveFrame(debuggerConnection, 'iframe#pay');
+
+    assert.deepStrictEqual(frame, {
+      frameId: 'PAY',
+      sessionId: 'S1',
+      contextId: 21,
+      offset: { x: 40, y: 300 },
+      url: 'https://pay.test/card'
+    });
+    // The iframe element is measured in the parent document
+    assert.ok(debuggerConnection.commands.some(([method, , sessionId]) => method === 'DOM.getBoxModel' && !sessionId));
+    assert.ok(debuggerConnection.commands.some(([method]) => method === 'Runtime.releaseObject'));
+  });
+
+  it('matches frames by name or URL', async () => {
+    const byName = await resolveFrame(createDebugger(), 'help');
+    assert.strictEqual(byName.frameId, 'HELP');
+    assert.strictEqual(byName.sessionId, undefined);
+    assert.strictEqual(byName.contextId, 22);
+
+    const byUrl = await resolveFrame(createDebugger(), 'pay.test');
+    assert.strictEqual(byUrl.frameId, 'PAY');
+  });
+
+  it('lists available frames when nothing matches', async () => {
+    const result = await resolveFrame(createDebugger(), 'missing');
+    assert.deepStrictEqual(result, { error: 'Frames on this page: help (https://shop.test/help), https://pay.test/card' });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Fakes shared by the extension tests
+ */
+
+export const silentLogger = { log() {}, logAlways() {}, error() {} };
+
+/**
+ * DebuggerConnection fake
+ * Records commands as [method, params] ([method, params, sessionId] for child sessions) and answers
+ * them with respond(method, params, sessionId); emit() fires CDP events, attach() runs attach handlers
+ */
+export function createFakeDebugger(respond = () => ({})) {
+  const commands = [];
+  let eventHandlers = [];
+  const attachHandlers = [];
+
+  return {
+    commands,
+    tabId: 7,
+    childSessions: new Map(),
+    isAttached() { return this.tabId !== null; },
+    async ensureAttached() {},
+    onEvent(handler) { eventHandlers.push(handler); },
+    offEvent(handler) { eventHandlers = eventHandlers.filter(other => other !== handler); },
+    onAttach(handler) { attachHandlers.push(handler); },
+    async sendCommand(method, params = {}, sessionId) {
+      commands.push(sessionId ? [method, params, sessionId] : [method, params]);
+      return (await respond(method, params, sessionId)) ?? {};
+    },
+    emit(method, params) {
+      eventHandlers.forEach(handler => handler(method, params, this.tabId));
+    },
+    async attach(tabId) {
+      this.tabId = tabId;
+      for (const handler of attachHandlers) await handler(tabId);
+    }
+  };
+}
+
+/**
+ * Browser API fake: chrome.debugger recording every attach/command per tab (tests fire CDP events
+ * and detaches), and tabs/windows/tabGroups with a single window holding one user tab
+ */
+export function createFakeBrowser() {
+  const eventListeners = [];
+  const detachListeners = [];
+  const attached = new Set();
+  const attachCalls = [];
+  const commands = [];
+  const tabs = [{ id: 1, windowId: 1, url: 'https://user.test/', title: 'User tab' }];
+  const groups = new Map(); // groupId -> { tabIds, title, color }
+  let nextTabId = 100;
+  let nextGroupId = 1;
+
+  const delay = () => new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * 5)));
+
+  return {
+    attached,
+    attachCalls,
+    commands,
+    fireEvent(tabId, method, params) {
+      eventListeners.forEach(listener => listener({ tabId }, method, params));
+    },
+    fireDetach(tabId, reason) {
+      attached.delete(tabId);
+      detachListeners.forEach(listener => listener({ tabId }, reason));
+    },
+    debugger: {
+      onEvent: { addListener: (listener) => eventListeners.push(listener) },
+      onDetach: { addListener: (listener) => detachListeners.push(listener) },
+      async attach({ tabId }) {
+        attachCalls.push(tabId);
+        await delay();
+        if (attached.has(tabId)) {
+          throw new Error('Another debugger is already attached to the tab');
+        }
+        attached.add(tabId);
+      },
+      async detach({ tabId }) {
+        attached.delete(tabId);
+      },
+      async sendCommand({ tabId }, method, params) {
+        if (!attached.has(tabId)) {
+          throw new Error(`Debugger is not attached to the tab with id: ${tabId}`);
+        }
+        await delay();
+        commands.push({ tabId, method, params });
+        return { tabId };
+      }
+    },
+    tabs: {
+      list: tabs,
+      async create({ url }) {
+        const tab = { id: nextTabId++, windowId: 1, url, title: url };
+        tabs.push(tab);
+        return tab;
+      },
+      async query() {
+        return [...tabs];
+      },
+      async get(tabId) {
+        return tabs.find(tab => tab.id === tabId);
+      },
+      async remove(tabIds) {
+        for (const tabId of [].concat(tabIds)) {
+          tabs.splice(tabs.findIndex(tab => tab.id === tabId), 1);
+        }
+      },
+      async group({ groupId, tabIds }) {
+        if (groupId === undefined) {
+          groupId = nextGroupId++;
+          groups.set(groupId, { tabIds: [] });
+        }
+        groups.get(groupId).tabIds.push(...tabIds);
+        return groupId;
+      }
+    },
+    tabGroups: {
+      groups,
+      async update(groupId, properties) {
+        Object.assign(groups.get(groupId), properties);
+      }
+    },
+    windows: {
+      async getAll() {
+        return [{ id: 1, tabs: [...tabs] }];
+      },
+      async update() {}
+    }
+  };
+}
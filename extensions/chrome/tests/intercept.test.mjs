@@ -0,0 +1,163 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { NetworkInterceptor, matchesUrlPattern } from '../../shared/handlers/intercept.js';
+import { createFakeDebugger, silentLogger } from './helpers/fakes.mjs';
+
+const paused = (requestId, url, method = 'GET', resourceType = 'XHR') => ({
+  requestId,
+  request: { url, method, headers: { Accept: '*/*', Authorization: 'Bearer a' } },
+  resourceType
+});
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('matchesUrlPattern', () => {
+  it('matches substrings, globs and regexes', () => {
+    assert.strictEqual(matchesUrlPattern('https://app.test/api/orders?page=2', '*/api/orders*'), true);
+    assert.strictEqual(matchesUrlPattern('https://app.test/api/users', '/api/orders'), false);
+    assert.strictEqual(matchesUrlPattern('https://app.test/orders/42', '/\\/orders\\/\\d+$/'), true);
+  });
+});
+
+describe('NetworkInterceptor', () => {
+  it('enables Fetch while there are rules and disables it when they are cleared', async () => {
+    const debuggerConnection = createFakeDebugger();
+    const interceptor = new NetworkInterceptor(debuggerConnection, silentLogger);
+
+    const rule = await interceptor.addRule({ url: '*/api/*', behavior: 'block' });
+    assert.strictEqual(rule.id, 'r1');
+    assert.strictEqual(await interceptor.clearRules(), 1);
+
+    assert.deepStrictEqual(debuggerConnection.commands.map(([method]) => method), ['Fetch.enable', 'Fetch.disable']);
+  });
+
+  it('enables Fetch on tabs the debugger attaches to later', async () => {
+    const debuggerConnection = createFakeDebugger();
+    const interceptor = new NetworkInterceptor(debuggerConnection, silentLogger);
+    await interceptor.addRule({ url: '*/api/*', behavior: 'block' });
+
+    await debuggerConnection.attach(8);
+
+    assert.deepStrictEqual(debuggerConnection.commands.map(([method]) => method), ['Fetch.enable', 'Fetch.enable']);
+  });
+
+  describe('with fulfill, modify and block rules', () => {
+    /**
+     * Interceptor with one rule of each behavior; answers a single paused request
+     */
+    async function handle(request) {
+      const debuggerConnection = createFakeDebugger();
+      const interceptor = new NetworkInterceptor(debuggerConnection, silentLogger);
+      await interceptor.addRule({ url: '/api/orders', method: 'POST', behavior: 'fulfill', status: 500, body: '{"error":"boom"}' });
+      await interceptor.addRule({ url: '/api/', behavior: 'modify', headers: { authorization: null, 'X-Test': '1' } });
+      await interceptor.addRule({ url: '*.png', resourceType: 'Image', behavior: 'block', errorReason: 'Failed' });
+      debuggerConnection.commands.length = 0;
+
+      debuggerConnection.emit('Fetch.requestPaused', request);
+      await flush();
+      return { commands: debuggerConnection.commands, hits: interceptor.rules.map(rule => rule.hits) };
+    }
+
+    it('fulfills with the canned response of the first matching rule', async () => {
+      const { commands, hits } = await handle(paused('1', 'https://app.test/api/orders', 'POST'));
+
+      assert.deepStrictEqual(commands, [['Fetch.fulfillRequest', {
+        requestId: '1',
+        responseCode: 500,
+        responseHeaders: [{ name: 'Content-Type', value: 'application/json' }],
+        body: Buffer.from('{"error":"boom"}').toString('base64')
+      }]]);
+      assert.deepStrictEqual(hits, [1, 0, 0]);
+    });
+
+    it('continues with changed headers, removing the ones set to null', async () => {
+      const { commands, hits } = await handle(paused('2', 'https://app.test/api/orders'));
+
+      assert.deepStrictEqual(commands, [['Fetch.continueRequest', {
+        requestId: '2',
+        headers: [{ name: 'Accept', value: '*/*' }, { name: 'X-Test', value: '1' }]
+      }]]);
+      assert.deepStrictEqual(hits, [0, 1, 0]);
+    });
+
+    it('fails requests matching a block rule', async () => {
+      const { commands } = await handle(paused('3', 'https://app.test/logo.png', 'GET', 'Image'));
+
+      assert.deepStrictEqual(commands, [['Fetch.failRequest', { requestId: '3', errorReason: 'Failed' }]]);
+    });
+
+    it('lets requests no rule matches through', async () => {
+      const { commands, hits } = await handle(paused('4', 'https://app.test/index.html', 'GET', 'Document'));
+
+      assert.deepStrictEqual(commands, [['Fetch.continueRequest', { requestId: '4' }]]);
+      assert.deepStrictEqual(hits, [0, 0, 0]);
+    });
+  });
+});
+
+describe('NetworkInterceptor errors', () => {
+  it('rejects rules with a /regex/ that does not compile', async () => {
+    const debuggerConnection = createFakeDebugger();
+    const interceptor = new NetworkInterceptor(debuggerConnection, silentLogger);
+
+    await assert.rejects(interceptor.addRule({ url: '/(/', behavior: 'block' }), /Invalid URL pattern \/\(\//);
+    assert.deepStrictEqual(interceptor.rules, []);
+    assert.deepStrictEqual(debuggerConnection.commands, []);
+  });
+
+  it('continues a paused request when handling it fails', async () => {
+    const debuggerConnection = createFakeDebugger();
+    const interceptor = new NetworkInterceptor(debuggerConnection, silentLogger);
+    interceptor.rules.push({ id: 'r1', url: '/(/', behavior: 'block', hits: 0 });
+
+    debuggerConnection.emit('Fetch.requestPaused', paused('1', 'https://app.test/api/orders'));
+    await flush();
+
+    assert.deepStrictEqual(debuggerConnection.commands, [['Fetch.continueRequest', { requestId: '1' }]]);
+  });
+});
+
+describe('NetworkInterceptor HAR replay', () => {
+  const responses = [
+    { method: 'GET', url: 'https://app.test/api/orders', status: 200, statusText: 'OK', headers: [{ name: 'Content-Type', value: 'application/json' }], body: '[]', base64Encoded: false },
+    { method: 'GET', url: 'https://app.test/api/orders', status: 200, statusText: 'OK', headers: [], body: 'WzFd', base64Encoded: true }
+  ];
+
+  it('serves recorded responses in order and lets unrecorded requests through', async () => {
+    const debuggerConnection = createFakeDebugger();
+    const interceptor = new NetworkInterceptor(debuggerConnection, silentLogger);
+    const rule = await interceptor.addRule({ behavior: 'har', notFound: 'continue', responses });
+    assert.strictEqual(rule.responses, 2);
+    debuggerConnection.commands.length = 0;
+
+    for (const requestId of ['1', '2', '3']) {
+      debuggerConnection.emit('Fetch.requestPaused', paused(requestId, 'https://app.test/api/orders'));
+    }
+    debuggerConnection.emit('Fetch.requestPaused', paused('4', 'https://app.test/api/users'));
+    await flush();
+
+    assert.deepStrictEqual(debuggerConnection.commands.map(([method, params]) => [method, params.body]), [
+      ['Fetch.fulfillRequest', 'W10='],
+      ['Fetch.fulfillRequest', 'WzFd'],
+      ['Fetch.fulfillRequest', 'WzFd'],
+      ['Fetch.continueRequest', undefined]
+    ]);
+    assert.deepStrictEqual(debuggerConnection.commands[0][1].responseHeaders, responses[0].headers);
+  });
+
+  it('fails unrecorded requests when replaying offline', async () => {
+    const debuggerConnection = createFakeDebugger();
+    const interceptor = new NetworkInterceptor(debuggerConnection, silentLogger);
+    await interceptor.addRule({ behavior: 'har', notFound: 'block', responses });
+    debuggerConnection.commands.length = 0;
+
+    debuggerConnection.emit('Fetch.requestPaused', paused('1', 'https://app.test/api/users'));
+    await flush();
+
+    assert.deepStrictEqual(debuggerConnection.commands, [
+      ['Fetch.failRequest', { requestId: '1', errorReason: 'InternetDisconnected' }]
+    ]);
+    assert.deepStrictEqual(interceptor.getRules()[0].responses, 2);
+  });
+});
@@ -0,0 +1,300 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { MultiSessionManager, Session } from '../../shared/connection/multiSession.js';
+import { createFakeBrowser, silentLogger } from './helpers/fakes.mjs';
+
+function createSession(browser, port, tabId) {
+  const session = new Session(port, `s${port}`, browser, silentLogger, null);
+  session.tabHandlers.attachedTabId = tabId;
+  return session;
+}
+
+/**
+ * Run a command the way background forwardCDPCommand does: ensure attached, then send
+ */
+async function run(session, method, params) {
+  await session.debugger.ensureAttached();
+  return await session.debugger.sendCommand(method, params);
+}
+
+describe('Session debugger ownership', () => {
+  it('drives two sessions concurrently without crossing tabs', async () => {
+    const browser = createFakeBrowser();
+    const sessionA = createSession(browser, 5555, 101);
+    const sessionB = createSession(browser, 5556, 202);
+
+    const calls = [];
+    for (let i = 0; i < 20; i++) {
+      calls.push(run(sessionA, 'Runtime.evaluate', { expression: `a${i}` }));
+      calls.push(run(sessionB, 'Runtime.evaluate', { expression: `b${i}` }));
+    }
+    const results = await Promise.all(calls);
+
+    results.forEach((result, i) => {
+      assert.strictEqual(result.tabId, i % 2 === 0 ? 101 : 202);
+    });
+
+    const evaluations = browser.commands.filter(c => c.method === 'Runtime.evaluate');
+    assert.strictEqual(evaluations.length, 40);
+    for (const command of evaluations) {
+      const expected = command.params.expression.startsWith('a') ? 101 : 202;
+      assert.strictEqual(command.tabId, expected, `${command.params.expression} ran on wrong tab`);
+    }
+
+    // Concurrent commands share one attach per tab
+    assert.deepStrictEqual(browser.attachCalls.sort(), [101, 202]);
+    assert.strictEqual(sessionA.debugger.tabId, 101);
+    assert.strictEqual(sessionB.debugger.tabId, 202);
+  });
+
+  it('routes CDP events only to the session that owns the tab', async () => {
+    const browser = createFakeBrowser();
+    const sessionA = createSession(browser, 5555, 101);
+    const sessionB = createSession(browser, 5556, 202);
+
+    const eventsA = [];
+    const eventsB = [];
+    sessionA.debugger.onEvent((method, params, tabId) => eventsA.push({ method, tabId }));
+    sessionB.debugger.onEvent((method, params, tabId) => eventsB.push({ method, tabId }));
+
+    await Promise.all([sessionA.debugger.ensureAttached(), sessionB.debugger.ensureAttached()]);
+
+    browser.fireEvent(101, 'Network.requestWillBeSent', {});
+    browser.fireEvent(202, 'Runtime.consoleAPICalled', {});
+    browser.fireEvent(303, 'Network.requestWillBeSent', {});
+
+    assert.deepStrictEqual(eventsA, [{ method: 'Network.requestWillBeSent', tabId: 101 }]);
+    assert.deepStrictEqual(eventsB, [{ method: 'Runtime.consoleAPICalled', tabId: 202 }]);
+  });
+
+  it('captures network and console events into the owning session buffers', async () => {
+    const browser = createFakeBrowser();
+    const sessionA = createSession(browser, 5555, 101);
+    const sessionB = createSession(browser, 5556, 202);
+
+    await Promise.all([sessionA.debugger.ensureAttached(), sessionB.debugger.ensureAttached()]);
+
+    browser.fireEvent(101, 'Network.requestWillBeSent', {
+      requestId: 'a1', request: { url: 'https://a.test/', method: 'GET', headers: {} }
+    });
+    browser.fireEvent(202, 'Runtime.consoleAPICalled', { type: 'log', args: [{ value: 'from b' }] });
+
+    assert.deepStrictEqual(sessionA.buffers.getNetworkRequests(101).map(r => r.url), ['https://a.test/']);
+    assert.deepStrictEqual(sessionA.buffers.getConsoleMessages(101), []);
+    assert.deepStrictEqual(sessionB.buffers.getNetworkRequests(202), []);
+    assert.deepStrictEqual(sessionB.buffers.getConsoleMessages(202).map(m => m.text), ['from b']);
+  });
+
+  it('keeps other sessions attached when one detaches or its tab closes', async () => {
+    const browser = createFakeBrowser();
+    const sessionA = createSession(browser, 5555, 101);
+    const sessionB = createSession(browser, 5556, 202);
+    const sessionC = createSession(browser, 5557, 303);
+
+    await Promise.all([
+      sessionA.debugger.ensureAttached(),
+      sessionB.debugger.ensureAttached(),
+      sessionC.debugger.ensureAttached()
+    ]);
+
+    await sessionA.debugger.detach();
+    browser.fireDetach(303, 'target_closed');
+
+    assert.strictEqual(sessionA.debugger.isAttached(), false);
+    assert.strictEqual(sessionC.debugger.isAttached(), false);
+    assert.strictEqual(sessionB.debugger.tabId, 202);
+    assert.deepStrictEqual(await run(sessionB, 'Page.reload', {}), { tabId: 202 });
+  });
+
+  it('moves the attachment when the session switches tabs', async () => {
+    const browser = createFakeBrowser();
+    const session = createSession(browser, 5555, 101);
+
+    await run(session, 'Page.reload', {});
+    session.tabHandlers.attachedTabId = 102;
+    await run(session, 'Page.reload', {});
+
+    assert.deepStrictEqual([...browser.attached], [102]);
+    assert.deepStrictEqual(browser.commands.filter(c => c.method === 'Page.reload').map(c => c.tabId), [101, 102]);
+  });
+
+  it('releases the tab and tells its server when another session takes the debugger over', async () => {
+    const browser = createFakeBrowser();
+    const sessionA = createSession(browser, 5555, 101);
+    const sessionB = createSession(browser, 5556, 101);
+    const notifications = [];
+    sessionA.wsConnection = { isConnected: true, sendNotification: (method, params) => notifications.push([method, params]) };
+    sessionA.tabHandlers.setOwnerLookup(() => sessionB);
+    await sessionA.debugger.ensureAttached();
+
+    await sessionB.debugger.ensureAttached();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(sessionA.attachedTabId, null);
+    assert.deepStrictEqual(notifications, [['notifications/tab_ownership_lost', {
+      tabId: 101,
+      wasAttached: true,
+      takenBy: { port: 5556, sessionId: 's5556', clientId: null }
+    }]]);
+    await assert.rejects(() => run(sessionA, 'Page.reload', {}), /No tab attached/);
+    assert.deepStrictEqual(await run(sessionB, 'Page.reload', {}), { tabId: 101 });
+  });
+
+  it('fails clearly when the session has no tab', async () => {
+    const browser = createFakeBrowser();
+    const session = createSession(browser, 5555, null);
+
+    await assert.rejects(() => session.debugger.ensureAttached(), /No tab attached/);
+  });
+});
+
+describe('Session names', () => {
+  it('uses client_id for display and tab tooltip once known', async () => {
+    const titles = [];
+    const browser = { ...createFakeBrowser(), action: { setTitle: async (options) => titles.push(options) } };
+    const session = new Session(5555, 'ab12', browser, silentLogger, null);
+
+    assert.strictEqual(session.getDisplayName(), 'ab12');
+
+    session.attachedTabId = 101;
+    await session.setClientId('frontend');
+
+    assert.strictEqual(session.getDisplayName(), 'frontend');
+    assert.deepStrictEqual(titles, [{ tabId: 101, title: 'Blueprint MCP - frontend (port 5555)' }]);
+  });
+
+  it('finds sessions by port or client_id', () => {
+    const browser = createFakeBrowser();
+    const manager = new MultiSessionManager(browser, silentLogger, null, null);
+    const sessionA = createSession(browser, 5555, 101);
+    const sessionB = createSession(browser, 5556, 202);
+    sessionB.clientId = 'backend';
+    manager.sessions.set(5555, sessionA);
+    manager.sessions.set(5556, sessionB);
+
+    assert.strictEqual(manager.findSession({ port: 5555 }), sessionA);
+    assert.strictEqual(manager.findSession({ clientId: 'backend' }), sessionB);
+    assert.strictEqual(manager.findSession({ clientId: 'missing' }), null);
+    assert.deepStrictEqual(manager.getStatusSummary().sessions.map(s => s.clientId), [null, 'backend']);
+  });
+});
+
+describe('Session resume', () => {
+  /**
+   * Manager over a fake browser with open tabs; sessions record sent notifications
+   */
+  function createManager(tabIds) {
+    const browser = {
+      ...createFakeBrowser(),
+      tabs: {
+        async get(tabId) {
+          if (!tabIds.includes(tabId)) throw new Error(`No tab with id: ${tabId}`);
+          return { id: tabId };
+        }
+      },
+      action: { async setBadgeText() {}, async setBadgeBackgroundColor() {}, async setTitle() {} }
+    };
+    const manager = new MultiSessionManager(browser, silentLogger, null, null);
+    manager._scheduleScan = () => {};
+    return manager;
+  }
+
+  function addSession(manager, port, sessionId, clientId) {
+    const session = new Session(port, sessionId, manager.browser, silentLogger, null);
+    session.status = 'connected';
+    session.clientId = clientId;
+    session.notifications = [];
+    session.wsConnection = {
+      isConnected: true,
+      sendNotification: (method, params) => session.notifications.push({ method, params }),
+      disconnect() {}
+    };
+    manager.sessions.set(port, session);
+    return session;
+  }
+
+  it('hands tabs, stealth flag and buffers to a restarted server with the same client_id', async () => {
+    const manager = createManager([101, 102]);
+    const old = addSession(manager, 5555, 'ab12', 'frontend');
+    old.tabHandlers.ownedTabs.add(101);
+    old.tabHandlers.ownedTabs.add(102);
+    old.tabHandlers.attachedTabId = 101;
+    old.tabHandlers.attachedTabInfo = { id: 101, title: 'App', url: 'https://app.test/' };
+    old.tabHandlers.stealthMode = true;
+    old.buffers.handleEvent('Runtime.consoleAPICalled', { type: 'log', args: [{ value: 'before restart' }] }, 101);
+
+    await manager.disconnectFromServer(5555);
+    assert.deepStrictEqual([...manager.orphanedTabs.keys()], [101, 102]);
+
+    const restarted = addSession(manager, 5556, 'cd34', null);
+    await manager.handleClientId(restarted, 'frontend');
+
+    assert.deepStrictEqual(restarted.tabHandlers.getOwnedTabIds(), [101, 102]);
+    assert.strictEqual(restarted.getAttachedTabId(), 101);
+    assert.strictEqual(restarted.tabHandlers.getStealthMode(), true);
+    assert.deepStrictEqual(restarted.buffers.getConsoleMessages(101).map(m => m.text), ['before restart']);
+    assert.strictEqual(manager.orphanedTabs.size, 0);
+    assert.strictEqual(manager.suspendedSessions.size, 0);
+    assert.deepStrictEqual(restarted.notifications, [{
+      method: 'notifications/session_resumed',
+      params: {
+        clientId: 'frontend',
+        tab: { id: 101, title: 'App', url: 'https://app.test/' },
+        stealthMode: true
+      }
+    }]);
+  });
+
+  it('skips closed tabs and does not resume for another client_id', async () => {
+    const manager = createManager([102]);
+    const old = addSession(manager, 5555, 'ab12', 'frontend');
+    old.tabHandlers.ownedTabs.add(101);
+    old.tabHandlers.ownedTabs.add(102);
+    old.tabHandlers.attachedTabId = 101;
+
+    await manager.disconnectFromServer(5555);
+
+    const other = addSession(manager, 5556, 'cd34', null);
+    await manager.handleClientId(other, 'backend');
+    assert.deepStrictEqual(other.tabHandlers.getOwnedTabIds(), []);
+
+    const restarted = addSession(manager, 5557, 'ef56', null);
+    await manager.handleClientId(restarted, 'frontend');
+    assert.deepStrictEqual(restarted.tabHandlers.getOwnedTabIds(), [102]);
+    assert.strictEqual(restarted.getAttachedTabId(), null);
+    assert.deepStrictEqual(restarted.notifications, []);
+  });
+
+  it('refuses a client_id that a live session already uses', async () => {
+    const manager = createManager([101]);
+    manager.checkServerActive = async () => true;
+    const first = addSession(manager, 5555, 'ab12', 'frontend');
+    first.tabHandlers.ownedTabs.add(101);
+
+    const second = addSession(manager, 5556, 'cd34', null);
+    await manager.handleClientId(second, 'frontend');
+
+    assert.strictEqual(second.clientId, null);
+    assert.deepStrictEqual(second.tabHandlers.getOwnedTabIds(), []);
+    assert.deepStrictEqual(second.notifications, [{
+      method: 'notifications/client_id_conflict',
+      params: { clientId: 'frontend', port: 5555 }
+    }]);
+    assert.strictEqual(manager.findSession({ clientId: 'frontend' }), first);
+  });
+
+  it('resumes the client_id of a session whose server is gone', async () => {
+    const manager = createManager([101]);
+    manager.checkServerActive = async () => false;
+    const old = addSession(manager, 5555, 'ab12', 'frontend');
+    old.tabHandlers.ownedTabs.add(101);
+
+    const restarted = addSession(manager, 5556, 'cd34', null);
+    await manager.handleClientId(restarted, 'frontend');
+
+    assert.deepStrictEqual([...manager.sessions.keys()], [5556]);
+    assert.deepStrictEqual(restarted.tabHandlers.getOwnedTabIds(), [101]);
+    assert.strictEqual(manager.findSession({ clientId: 'frontend' }), restarted);
+  });
+});
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { NetworkConditions } from '../../shared/handlers/networkConditions.js';
+import { NetworkInterceptor } from '../../shared/handlers/intercept.js';
+import { createFakeDebugger, silentLogger } from './helpers/fakes.mjs';
+
+const slow3g = { label: 'Slow 3G', offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 };
+const slow = { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 };
+const reset = { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+
+/**
+ * NetworkConditions over a fake debugger, with the interceptor it adds failure rules to
+ */
+function createConditions() {
+  const debuggerConnection = createFakeDebugger();
+  const interceptor = new NetworkInterceptor(debuggerConnection, silentLogger);
+  const conditions = new NetworkConditions(debuggerConnection, interceptor, silentLogger);
+  return { debuggerConnection, interceptor, conditions };
+}
+
+const emulated = (debuggerConnection) => debuggerConnection.commands
+  .filter(([method]) => method === 'Network.emulateNetworkConditions')
+  .map(([, params]) => params);
+
+describe('NetworkConditions', () => {
+  it('throttles the attached tab and every tab attached later', async () => {
+    const { debuggerConnection, conditions } = createConditions();
+
+    await conditions.set({ throttling: slow3g });
+    await debuggerConnection.attach(8);
+
+    assert.deepStrictEqual(emulated(debuggerConnection), [slow, slow]);
+  });
+
+  it('stops throttling on clear, also on tabs attached later', async () => {
+    const { debuggerConnection, conditions } = createConditions();
+    await conditions.set({ throttling: slow3g });
+
+    await conditions.clear();
+    await debuggerConnection.attach(9);
+
+    assert.deepStrictEqual(emulated(debuggerConnection), [slow, reset, reset]);
+  });
+
+  it('resets throttling left on a tab by its previous owner', async () => {
+    const { debuggerConnection } = createConditions();
+
+    await debuggerConnection.attach(8);
+
+    assert.deepStrictEqual(emulated(debuggerConnection), [reset]);
+  });
+
+  it('replaces its failure rules on set and keeps other intercept rules', async () => {
+    const { interceptor, conditions } = createConditions();
+    await interceptor.addRule({ url: '/api/users', behavior: 'fulfill', body: '[]' });
+
+    await conditions.set({ failures: [{ url: '/api/old' }] });
+    const state = await conditions.set({ failures: [{ url: '/api/orders', rate: 0.5, errorReason: 'TimedOut' }] });
+
+    assert.deepStrictEqual(state.failures, [{ id: 'r3', url: '/api/orders', rate: 0.5, errorReason: 'TimedOut', hits: 0 }]);
+    assert.deepStrictEqual(interceptor.getRules().map(rule => rule.id), ['r1', 'r3']);
+  });
+
+  it('fails a share of matching requests', async () => {
+    const { debuggerConnection, conditions } = createConditions();
+    await conditions.set({ failures: [{ url: '/api/orders', rate: 0.5, errorReason: 'TimedOut' }] });
+
+    const random = Math.random;
+    const draws = [0.2, 0.7];
+    Math.random = () => draws.shift();
+    try {
+      debuggerConnection.commands.length = 0;
+      for (const requestId of ['1', '2']) {
+        debuggerConnection.emit('Fetch.requestPaused', {
+          requestId, request: { url: 'https://app.test/api/orders', method: 'GET', headers: {} }, resourceType: 'XHR'
+        });
+      }
+      await new Promise(resolve => setTimeout(resolve, 0));
+    } finally {
+      Math.random = random;
+    }
+
+    assert.deepStrictEqual(debuggerConnection.commands, [
+      ['Fetch.failRequest', { requestId: '1', errorReason: 'TimedOut' }],
+      ['Fetch.continueRequest', { requestId: '2' }]
+    ]);
+    assert.strictEqual(conditions.getState().failures[0].hits, 1);
+  });
+});
@@ -0,0 +1,128 @@
+import assert from 'assert';
+import { createHmac } from 'crypto';
+import { describe, it } from 'node:test';
+
+import { createNonce, signPairingProof, proofsEqual } from '../../shared/utils/pairing.js';
+import { WebSocketConnection } from '../../shared/connection/websocket.js';
+
+const silentLogger = { log() {}, logAlways() {}, error() {} };
+const SECRET = 'test-pairing-secret';
+
+function serverProof(secret, role, firstNonce, secondNonce) {
+  return createHmac('sha256', secret).update(`${role}:${firstNonce}:${secondNonce}`).digest('hex');
+}
+
+/**
+ * WebSocketConnection with a fake open socket that records sent messages
+ */
+function createConnection(pairingSecret) {
+  const browser = {
+    runtime: { getManifest: () => ({ name: 'Blueprint MCP for Chrome', version: '1.0.0' }), sendMessage: () => Promise.resolve() },
+    storage: { local: { get: async () => ({}), set: async () => {} } }
+  };
+  const connection = new WebSocketConnection(browser, silentLogger, null);
+  connection.sent = [];
+  connection.socket = {
+    send: (data) => connection.sent.push(JSON.parse(data)),
+    close: () => { connection.closed = true; }
+  };
+  connection.isConnected = true;
+  connection.pairingSecret = pairingSecret;
+  connection.handshakeNonce = createNonce();
+  return connection;
+}
+
+describe('pairing proofs', () => {
+  it('match the server HMAC format', async () => {
+    const proof = await signPairingProof(SECRET, 'server', 'aa', 'bb');
+    assert.strictEqual(proof, serverProof(SECRET, 'server', 'aa', 'bb'));
+  });
+
+  it('compares proofs exactly', () => {
+    assert.strictEqual(proofsEqual('abcd', 'abcd'), true);
+    assert.strictEqual(proofsEqual('abcd', 'abce'), false);
+    assert.strictEqual(proofsEqual('abcd', 'abc'), false);
+    assert.strictEqual(proofsEqual(undefined, 'abc'), false);
+  });
+});
+
+describe('WebSocketConnection handshake', () => {
+  it('answers the challenge when the server proves the secret', async () => {
+    const connection = createConnection(SECRET);
+    const serverNonce = createNonce();
+    const waiting = connection.waitForHandshake(1000);
+
+    await connection._handleNotification({
+      method: 'session_info',
+      params: {
+        sessionId: 'ab12',
+        authRequired: true,
+        nonce: serverNonce,
+        proof: serverProof(SECRET, 'server', connection.handshakeNonce, serverNonce)
+      }
+    });
+
+    await waiting;
+    assert.strictEqual(connection.handshakeVerified, true);
+    assert.deepStrictEqual(connection.sent, [{
+      type: 'handshake_proof',
+      proof: serverProof(SECRET, 'extension', serverNonce, connection.handshakeNonce)
+    }]);
+  });
+
+  it('rejects a server with a different secret and refuses its commands', async () => {
+    const connection = createConnection(SECRET);
+    const serverNonce = createNonce();
+    let sessionInfoSeen = false;
+    connection.registerNotificationHandler('session_info', () => { sessionInfoSeen = true; });
+    connection.registerCommandHandler('getTabs', async () => ({ tabs: [] }));
+    const waiting = connection.waitForHandshake(1000);
+
+    await connection._handleNotification({
+      method: 'session_info',
+      params: { nonce: serverNonce, proof: serverProof('other', 'server', connection.handshakeNonce, serverNonce) }
+    });
+
+    await assert.rejects(waiting, /Pairing secret mismatch/);
+    assert.strictEqual(sessionInfoSeen, false);
+    assert.strictEqual(connection.closed, true);
+    await assert.rejects(() => connection._routeCommand({ method: 'getTabs' }), /Handshake not verified/);
+  });
+
+  it('rejects an unpaired server when the extension has a secret', async () => {
+    const connection = createConnection(SECRET);
+    const waiting = connection.waitForHandshake(1000);
+
+    await connection._handleNotification({ method: 'session_info', params: { sessionId: 'ab12' } });
+
+    await assert.rejects(waiting, /did not prove the pairing secret/);
+  });
+
+  it('reports a clear error when the server requires pairing but no secret is set', async () => {
+    const connection = createConnection(null);
+    const waiting = connection.waitForHandshake(1000);
+
+    await connection._handleNotification({ method: 'session_info', params: { authRequired: true, nonce: 'x', proof: 'y' } });
+
+    await assert.rejects(waiting, /Server requires a pairing secret/);
+  });
+
+  it('keeps working without a secret when the server does not require one', async () => {
+    const connection = createConnection(null);
+
+    await connection._handleNotification({ method: 'session_info', params: { sessionId: 'ab12' } });
+
+    await connection.waitForHandshake(1000);
+    assert.deepStrictEqual(connection.sent, []);
+  });
+
+  it('sends the reconnect token of an unpaired server with the next handshake', async () => {
+    const connection = createConnection(null);
+
+    await connection._handleNotification({ method: 'session_info', params: { sessionId: 'ab12', reconnectToken: 'tok' } });
+    connection._handleOpen();
+
+    assert.strictEqual(connection.sent[0].type, 'handshake');
+    assert.strictEqual(connection.sent[0].reconnectToken, 'tok');
+  });
+});
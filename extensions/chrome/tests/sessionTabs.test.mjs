@@ -0,0 +1,136 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { MultiSessionManager, Session } from '../../shared/connection/multiSession.js';
+import { createFakeBrowser, silentLogger } from './helpers/fakes.mjs';
+
+function createManager(browser) {
+  const manager = new MultiSessionManager(browser, silentLogger, null, null);
+  for (const port of [5555, 5556]) {
+    const session = new Session(port, `s${port}`, browser, silentLogger, null);
+    session.status = 'connected';
+    session.tabHandlers.setOwnerLookup((tabId) => manager.getTabOwner(tabId));
+    manager.sessions.set(port, session);
+  }
+  return { manager, sessionA: manager.getSession(5555), sessionB: manager.getSession(5556) };
+}
+
+function indexOf(browser, tabId) {
+  return browser.tabs.list.findIndex(tab => tab.id === tabId);
+}
+
+describe('Session tab ownership', () => {
+  it('keeps created tabs in one group named after the session', async () => {
+    const browser = createFakeBrowser();
+    const { sessionA } = createManager(browser);
+    sessionA.clientId = 'frontend';
+
+    const first = await sessionA.tabHandlers.createTab({ url: 'https://a.test/' });
+    const second = await sessionA.tabHandlers.createTab({ url: 'https://a.test/login' });
+
+    assert.deepStrictEqual(sessionA.tabHandlers.getOwnedTabIds(), [first.tab.id, second.tab.id]);
+    assert.deepStrictEqual([...browser.tabGroups.groups.values()], [
+      { tabIds: [first.tab.id, second.tab.id], title: 'frontend', color: 'green' }
+    ]);
+    assert.strictEqual(sessionA.tabHandlers.getAttachedTabId(), second.tab.id);
+  });
+
+  it('switches among own tabs but refuses tabs of other sessions', async () => {
+    const browser = createFakeBrowser();
+    const { sessionA, sessionB } = createManager(browser);
+
+    const first = await sessionA.tabHandlers.createTab({ url: 'https://a.test/' });
+    await sessionA.tabHandlers.createTab({ url: 'https://a.test/compare' });
+    const other = await sessionB.tabHandlers.createTab({ url: 'https://b.test/' });
+
+    await sessionA.tabHandlers.selectTab({ tabIndex: indexOf(browser, first.tab.id) });
+    assert.strictEqual(sessionA.tabHandlers.getAttachedTabId(), first.tab.id);
+
+    await assert.rejects(
+      () => sessionA.tabHandlers.selectTab({ tabIndex: indexOf(browser, other.tab.id) }),
+      /belongs to session "s5556" \(port 5556\)/
+    );
+    await assert.rejects(
+      () => sessionA.tabHandlers.closeTab(indexOf(browser, other.tab.id)),
+      /belongs to session "s5556"/
+    );
+    assert.strictEqual(sessionB.tabHandlers.getAttachedTabId(), other.tab.id);
+  });
+
+  it('marks own and other sessions\' tabs in the tab list', async () => {
+    const browser = createFakeBrowser();
+    const { sessionA, sessionB } = createManager(browser);
+
+    const own = await sessionA.tabHandlers.createTab({ url: 'https://a.test/' });
+    await sessionB.tabHandlers.createTab({ url: 'https://b.test/' });
+
+    const { tabs } = await sessionA.tabHandlers.getTabs();
+    assert.deepStrictEqual(tabs.map(tab => [tab.ownedBySession, tab.otherSession]), [
+      [false, null],
+      [true, null],
+      [false, 's5556']
+    ]);
+    assert.strictEqual(tabs[1].attachedToSession, 's5555');
+    assert.strictEqual(tabs[1].id, own.tab.id);
+  });
+
+  it('closes only the session\'s own tabs', async () => {
+    const browser = createFakeBrowser();
+    const { manager, sessionA, sessionB } = createManager(browser);
+
+    await sessionA.tabHandlers.createTab({ url: 'https://a.test/' });
+    await sessionA.tabHandlers.createTab({ url: 'https://a.test/popup' });
+    const other = await sessionB.tabHandlers.createTab({ url: 'https://b.test/' });
+
+    const result = await manager.closeSessionTab(5555);
+
+    assert.deepStrictEqual(result, { success: true, closedTabs: 2 });
+    assert.deepStrictEqual(browser.tabs.list.map(tab => tab.id), [1, other.tab.id]);
+    assert.strictEqual(sessionA.attachedTabId, null);
+    assert.strictEqual(manager.getTabOwner(other.tab.id), sessionB);
+  });
+
+  it('takes over a locked tab with force and notifies the previous owner', async () => {
+    const browser = createFakeBrowser();
+    const { sessionA, sessionB } = createManager(browser);
+    const notifications = [];
+    sessionB.wsConnection = { isConnected: true, sendNotification: (method, params) => notifications.push({ method, params }) };
+    sessionA.clientId = 'frontend';
+
+    const locked = await sessionB.tabHandlers.createTab({ url: 'https://b.test/' });
+    await sessionA.tabHandlers.selectTab({ tabIndex: indexOf(browser, locked.tab.id), force: true });
+
+    assert.strictEqual(sessionA.tabHandlers.getAttachedTabId(), locked.tab.id);
+    assert.strictEqual(sessionB.tabHandlers.ownsTab(locked.tab.id), false);
+    assert.strictEqual(sessionB.attachedTabId, null);
+    assert.deepStrictEqual(notifications, [{
+      method: 'notifications/tab_ownership_lost',
+      params: { tabId: locked.tab.id, wasAttached: true, takenBy: { port: 5555, sessionId: 's5555', clientId: 'frontend' } }
+    }]);
+  });
+
+  it('does not lock tabs of sessions that are no longer connected', async () => {
+    const browser = createFakeBrowser();
+    const { sessionA, sessionB } = createManager(browser);
+
+    const stale = await sessionB.tabHandlers.createTab({ url: 'https://b.test/' });
+    sessionB.status = 'disconnected';
+    await sessionA.tabHandlers.selectTab({ tabIndex: indexOf(browser, stale.tab.id) });
+
+    assert.strictEqual(sessionA.tabHandlers.ownsTab(stale.tab.id), true);
+    assert.strictEqual(sessionB.tabHandlers.ownsTab(stale.tab.id), false);
+  });
+
+  it('lists each session\'s locks', async () => {
+    const browser = createFakeBrowser();
+    const { manager, sessionA } = createManager(browser);
+
+    const own = await sessionA.tabHandlers.createTab({ url: 'https://a.test/' });
+    const { sessions } = await manager.getSessionsForListing(5555);
+
+    assert.deepStrictEqual(sessions.map(session => session.lockedTabs), [
+      [{ id: own.tab.id, title: 'https://a.test/', url: 'https://a.test/' }],
+      []
+    ]);
+  });
+});
@@ -0,0 +1,121 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { MultiSessionManager, Session } from '../../shared/connection/multiSession.js';
+import { DEFAULT_TAB_POLICIES, normalizeTabPolicies, tabPoliciesFromStorage } from '../../shared/handlers/tabPolicies.js';
+
+const silentLogger = { log() {}, logAlways() {} };
+const MINUTE = 60000;
+
+/**
+ * Fake browser recording closed/discarded tabs
+ */
+function createFakeBrowser(tabIds) {
+  const tabs = new Map(tabIds.map(id => [id, { id, discarded: false, active: false }]));
+  return {
+    tabs: {
+      map: tabs,
+      async get(tabId) {
+        if (!tabs.has(tabId)) throw new Error(`No tab with id: ${tabId}`);
+        return tabs.get(tabId);
+      },
+      async remove(tabId) {
+        tabs.delete(tabId);
+      },
+      async discard(tabId) {
+        tabs.get(tabId).discarded = true;
+      }
+    },
+    action: {
+      async setBadgeText() {},
+      async setBadgeBackgroundColor() {},
+      async setTitle() {}
+    },
+    debugger: {
+      onEvent: { addListener() {} },
+      onDetach: { addListener() {} }
+    }
+  };
+}
+
+function addSession(manager, port, tabIds) {
+  const session = new Session(port, `s${port}`, manager.browser, silentLogger, null);
+  session.status = 'connected';
+  tabIds.forEach(tabId => session.tabHandlers.ownedTabs.add(tabId));
+  manager.sessions.set(port, session);
+  return session;
+}
+
+function createManager(tabIds) {
+  const manager = new MultiSessionManager(createFakeBrowser(tabIds), silentLogger, null, null);
+  manager._scheduleScan = () => {};
+  return manager;
+}
+
+describe('Tab policies', () => {
+  it('fills in defaults for missing or invalid values', () => {
+    assert.deepStrictEqual(normalizeTabPolicies(), DEFAULT_TAB_POLICIES);
+    assert.deepStrictEqual(
+      normalizeTabPolicies({ disconnected: { action: 'close', minutes: 0 }, idle: { action: 'explode', minutes: -5 } }),
+      { disconnected: { action: 'close', minutes: 0 }, idle: DEFAULT_TAB_POLICIES.idle }
+    );
+    assert.deepStrictEqual(
+      tabPoliciesFromStorage({ idleTabPolicy: 'discard', idleTabMinutes: '15' }).idle,
+      { action: 'discard', minutes: 15 }
+    );
+  });
+
+  it('keeps tabs of disconnected sessions by default', async () => {
+    const manager = createManager([1, 2]);
+    addSession(manager, 5555, [1, 2]);
+
+    await manager.disconnectFromServer(5555);
+    const result = await manager.collectGarbage();
+
+    assert.deepStrictEqual(result, { closedTabs: [], discardedTabs: [] });
+    assert.deepStrictEqual([...manager.orphanedTabs.keys()], [1, 2]);
+  });
+
+  it('closes tabs of sessions disconnected longer than the policy allows', async () => {
+    const manager = createManager([1, 2]);
+    manager.setTabPolicies({ disconnected: { action: 'close', minutes: 30 } });
+    addSession(manager, 5555, [1]);
+    addSession(manager, 5556, [2]);
+
+    await manager.disconnectFromServer(5555);
+    await manager.disconnectFromServer(5556);
+    manager.orphanedTabs.get(1).since -= 31 * MINUTE;
+
+    const result = await manager.collectGarbage();
+
+    assert.deepStrictEqual(result.closedTabs, [1]);
+    assert.deepStrictEqual([...manager.browser.tabs.map.keys()], [2]);
+    assert.deepStrictEqual([...manager.orphanedTabs.keys()], [2]);
+  });
+
+  it('leaves orphaned tabs alone once another session adopts them', async () => {
+    const manager = createManager([1]);
+    addSession(manager, 5555, [1]);
+    await manager.disconnectFromServer(5555);
+    addSession(manager, 5556, [1]);
+
+    const result = await manager.collectGarbage({ disconnected: { action: 'close', minutes: 0 } });
+
+    assert.deepStrictEqual(result.closedTabs, []);
+    assert.strictEqual(manager.orphanedTabs.size, 0);
+  });
+
+  it('discards tabs of idle sessions', async () => {
+    const manager = createManager([1, 2, 3]);
+    manager.setTabPolicies({ idle: { action: 'discard', minutes: 10 } });
+    const idle = addSession(manager, 5555, [1, 2]);
+    addSession(manager, 5556, [3]);
+    idle.lastActivity -= 11 * MINUTE;
+    manager.browser.tabs.map.get(2).active = true; // Active tabs can't be discarded
+
+    const result = await manager.collectGarbage();
+
+    assert.deepStrictEqual(result, { closedTabs: [], discardedTabs: [1] });
+    assert.strictEqual(manager.browser.tabs.map.get(3).discarded, false);
+  });
+});
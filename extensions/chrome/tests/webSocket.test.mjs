@@ -0,0 +1,90 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+
+import { sendWebSocketFrame, tagWebSocket } from '../../shared/handlers/webSocket.js';
+import { createFakeDebugger } from './helpers/fakes.mjs';
+
+globalThis.WebSocket ??= { CONNECTING: 0, OPEN: 1 }; // Node 20 has no WebSocket global
+
+/**
+ * Debugger fake whose page sockets are plain objects with url, readyState and send()
+ */
+function createDebugger(sockets) {
+  return createFakeDebugger((method, params) => {
+    if (method === 'Runtime.evaluate') return { result: { objectId: 'proto' } };
+    if (method === 'Runtime.queryObjects') return { objects: { objectId: 'sockets' } };
+    if (method === 'Runtime.callFunctionOn') {
+      // Run the page function against the fake sockets
+      const fn = new Function(`return (${params.functionDeclaration})`)();
+      return { result: { value: fn.apply(sockets, params.arguments.map(arg => arg.value)) } };
+    }
+  });
+}
+
+const socket = (url, readyState = 1) => ({ url, readyState, sent: [], send(data) { this.sent.push(data); } });
+
+describe('sendWebSocketFrame', () => {
+  it('sends on the open socket with the given URL and releases the page objects', async () => {
+    const live = socket('wss://app.test/live');
+    const sockets = [socket('wss://app.test/live', 3), live, socket('wss://app.test/chat')];
+    const debuggerConnection = createDebugger(sockets);
+
+    const result = await sendWebSocketFrame(debuggerConnection, { url: 'wss://app.test/live' }, '{"op":"ping"}');
+
+    assert.deepStrictEqual(result, { url: 'wss://app.test/live' });
+    assert.deepStrictEqual(live.sent, ['{"op":"ping"}']);
+    assert.strictEqual(debuggerConnection.commands.at(-1)[0], 'Runtime.releaseObjectGroup');
+  });
+
+  it('explains when no socket matches the URL', async () => {
+    const sockets = [socket('wss://app.test/live'), socket('wss://app.test/chat')];
+
+    await assert.rejects(sendWebSocketFrame(createDebugger(sockets), { url: 'wss://app.test/other' }, 'x'), /No open WebSocket for wss:\/\/app.test\/other/);
+  });
+
+  it('asks for a URL when several sockets are open', async () => {
+    const sockets = [socket('wss://app.test/live'), socket('wss://app.test/chat')];
+
+    await assert.rejects(sendWebSocketFrame(createDebugger(sockets), {}, 'x'), /Several WebSockets are open/);
+  });
+
+  it('tells apart sockets to the same URL by the requestId they were tagged with', async () => {
+    const first = socket('wss://app.test/live', 0);
+    const sockets = [first];
+    const debuggerConnection = createDebugger(sockets);
+    assert.strictEqual(await tagWebSocket(debuggerConnection, 'ws1', 'wss://app.test/live'), true);
+    const second = socket('wss://app.test/live', 0);
+    sockets.push(second);
+    assert.strictEqual(await tagWebSocket(debuggerConnection, 'ws2', 'wss://app.test/live'), true);
+    first.readyState = second.readyState = 1;
+
+    await sendWebSocketFrame(debuggerConnection, { requestId: 'ws2', url: 'wss://app.test/live' }, 'to-second');
+    await sendWebSocketFrame(debuggerConnection, { requestId: 'ws1', url: 'wss://app.test/live' }, 'to-first');
+
+    assert.deepStrictEqual(first.sent, ['to-first']);
+    assert.deepStrictEqual(second.sent, ['to-second']);
+  });
+
+  it('falls back to the URL for sockets opened before the debugger attached', async () => {
+    const untagged = socket('wss://app.test/live');
+    const sockets = [untagged, socket('wss://app.test/chat')];
+
+    await sendWebSocketFrame(createDebugger(sockets), { requestId: 'ws9', url: 'wss://app.test/live' }, 'x');
+
+    assert.deepStrictEqual(untagged.sent, ['x']);
+  });
+
+  it('does not send on another socket when the tagged one is no longer open', async () => {
+    const closing = socket('wss://app.test/live', 0);
+    const sockets = [closing];
+    const debuggerConnection = createDebugger(sockets);
+    await tagWebSocket(debuggerConnection, 'ws1', 'wss://app.test/live');
+    closing.readyState = 2;
+    sockets.push(socket('wss://app.test/live'));
+
+    await assert.rejects(
+      sendWebSocketFrame(debuggerConnection, { requestId: 'ws1', url: 'wss://app.test/live' }, 'x'),
+      /No open WebSocket for wss:\/\/app.test\/live/
+    );
+  });
+});
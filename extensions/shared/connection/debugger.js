@@ -0,0 +1,295 @@
+/**
+ * Chrome DevTools Protocol connection for browser extensions
+ *
+ * Wraps chrome.debugger for a single owner (the single-session background or one
+ * multi-session Session). Each connection attaches to its owner's tab, sends CDP
+ * commands to that tab only, and receives only that tab's CDP events.
+ */
+
+// browserAPI -> Map(tabId -> DebuggerConnection holding that tab)
+// chrome.debugger allows one attachment per tab per extension, so a shared registry
+// routes events to the right owner and lets owners hand a tab over without re-attaching
+const registries = new WeakMap();
+
+/**
+ * Get (or create) the tab registry for a browser API instance
+ * Installs the global onEvent/onDetach listeners once per browser API
+ */
+function getRegistry(browserAPI) {
+  let registry = registries.get(browserAPI);
+  if (registry) {
+    return registry;
+  }
+
+  registry = new Map();
+  registries.set(browserAPI, registry);
+
+  browserAPI.debugger.onEvent.addListener((source, method, params) => {
+    const owner = registry.get(source.tabId);
+    if (owner) {
+      owner._handleEvent(method, params);
+    }
+  });
+
+  browserAPI.debugger.onDetach.addListener((source, reason) => {
+    const owner = registry.get(source.tabId);
+    if (owner) {
+      owner._handleDetach(reason);
+    }
+  });
+
+  return registry;
+}
+
+/**
+ * Debugger connection class
+ * Owns the debugger attachment for whichever tab getTabId() returns
+ */
+export class DebuggerConnection {
+  /**
+   * @param {object} browserAPI - Raw browser API (chrome)
+   * @param {object} logger - Logger instance
+   * @param {Function} getTabId - Returns the tab this connection should drive
+   */
+  constructor(browserAPI, logger, getTabId) {
+    this.browser = browserAPI;
+    this.logger = logger;
+    this.getTabId = getTabId;
+
+    this.tabId = null; // Tab the debugger is currently attached to
+    this.childSessions = new Map(); // targetId -> CDP sessionId of out-of-process iframes in the tab
+    this.eventHandlers = [];
+    this.attachHandlers = [];
+    this.detachHandlers = [];
+    this._attaching = null; // In-flight attach, shared by concurrent callers
+    this._registry = getRegistry(browserAPI);
+  }
+
+  /**
+   * Check if debugger is attached
+   */
+  isAttached() {
+    return this.tabId !== null;
+  }
+
+  /**
+   * Register a CDP event handler
+   * Handler receives (method, params, tabId) for events from this connection's tab
+   */
+  onEvent(handler) {
+    this.eventHandlers.push(handler);
+  }
+
+  /**
+   * Register a handler called with the tab ID after each attach or takeover
+   * Lets features that live in CDP domains (e.g. Fetch interception) follow the owner to a new tab
+   */
+  onAttach(handler) {
+    this.attachHandlers.push(handler);
+  }
+
+  /**
+   * Register a handler called with (tabId, reason) when the connection loses its tab
+   * reason is 'taken_over' when another connection took the tab, else the browser's detach reason
+   */
+  onDetach(handler) {
+    this.detachHandlers.push(handler);
+  }
+
+  /**
+   * Remove a handler registered with onEvent
+   */
+  offEvent(handler) {
+    this.eventHandlers = this.eventHandlers.filter(other => other !== handler);
+  }
+
+  /**
+   * Ensure debugger is attached to the owner's current tab
+   * @returns {Promise<number>} Attached tab ID
+   */
+  async ensureAttached() {
+    const tabId = this.getTabId();
+
+    if (!tabId) {
+      throw new Error('No tab attached');
+    }
+
+    // If debugger is already attached to this tab, we're good
+    if (this.tabId === tabId) {
+      return tabId;
+    }
+
+    if (this._attaching && this._attaching.tabId === tabId) {
+      return await this._attaching.promise;
+    }
+
+    const promise = this._attach(tabId);
+    this._attaching = { tabId, promise };
+    try {
+      return await promise;
+    } finally {
+      if (this._attaching?.promise === promise) {
+        this._attaching = null;
+      }
+    }
+  }
+
+  /**
+   * Attach to a tab, detaching from the previous one
+   */
+  async _attach(tabId) {
+    // Detach from previous tab if needed
+    if (this.tabId !== null) {
+      await this.detach();
+    }
+
+    // Another connection holds this tab - take it over instead of attaching twice
+    const previousOwner = this._registry.get(tabId);
+    if (previousOwner && previousOwner !== this) {
+      previousOwner.tabId = null;
+      this.childSessions = previousOwner.childSessions;
+      previousOwner.childSessions = new Map();
+      this._registry.set(tabId, this);
+      this.tabId = tabId;
+      this.logger.log(`[Debugger] Took over debugger on tab ${tabId}`);
+      previousOwner._notifyDetached(tabId, 'taken_over');
+      await this._notifyAttached(tabId);
+      return tabId;
+    }
+
+    try {
+      await this.browser.debugger.attach({ tabId }, '1.3');
+    } catch (error) {
+      throw new Error(`Failed to attach debugger: ${error.message}`);
+    }
+
+    this.tabId = tabId;
+    this._registry.set(tabId, this);
+    this.logger.log(`[Debugger] Attached debugger to tab ${tabId}`);
+
+    // Enable Network domain for CDP network tracking
+    try {
+      await this.browser.debugger.sendCommand({ tabId }, 'Network.enable', {});
+      this.logger.log(`[Debugger] Enabled Network domain for tab ${tabId}`);
+    } catch (netError) {
+      this.logger.log(`[Debugger] Warning: Could not enable Network domain: ${netError.message}`);
+    }
+
+    // Enable Runtime domain for console message capture (captures ALL console logs including extensions!)
+    try {
+      await this.browser.debugger.sendCommand({ tabId }, 'Runtime.enable', {});
+      this.logger.log(`[Debugger] Enabled Runtime domain for console capture on tab ${tabId}`);
+    } catch (runtimeError) {
+      this.logger.log(`[Debugger] Warning: Could not enable Runtime domain: ${runtimeError.message}`);
+    }
+
+    // Attach to out-of-process (cross-origin) iframes so commands can run inside them
+    try {
+      await this.browser.debugger.sendCommand({ tabId }, 'Target.setAutoAttach', {
+        autoAttach: true,
+        waitForDebuggerOnStart: false,
+        flatten: true
+      });
+    } catch (targetError) {
+      this.logger.log(`[Debugger] Warning: Could not auto-attach to iframes: ${targetError.message}`);
+    }
+
+    await this._notifyAttached(tabId);
+    return tabId;
+  }
+
+  /**
+   * Run attach handlers; a failing handler doesn't fail the attach
+   */
+  async _notifyAttached(tabId) {
+    for (const handler of this.attachHandlers) {
+      try {
+        await handler(tabId);
+      } catch (error) {
+        this.logger.log(`[Debugger] Error in attach handler: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Run detach handlers; a failing handler doesn't stop the others
+   */
+  _notifyDetached(tabId, reason) {
+    for (const handler of this.detachHandlers) {
+      try {
+        handler(tabId, reason);
+      } catch (error) {
+        this.logger.log(`[Debugger] Error in detach handler: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Send a CDP command to the attached tab
+   * Call ensureAttached() first
+   * @param {string} [sessionId] - Child session (from childSessions) to send to instead of the tab
+   */
+  async sendCommand(method, params = {}, sessionId) {
+    if (this.tabId === null) {
+      throw new Error('Debugger not attached');
+    }
+    const target = sessionId ? { tabId: this.tabId, sessionId } : { tabId: this.tabId };
+    return await this.browser.debugger.sendCommand(target, method, params);
+  }
+
+  /**
+   * Detach debugger from its tab
+   */
+  async detach() {
+    if (this.tabId === null) {
+      return;
+    }
+
+    const tabId = this.tabId;
+    this.tabId = null;
+    this.childSessions.clear();
+    if (this._registry.get(tabId) === this) {
+      this._registry.delete(tabId);
+    }
+
+    try {
+      await this.browser.debugger.detach({ tabId });
+      this.logger.log(`[Debugger] Detached debugger from tab ${tabId}`);
+    } catch (e) {
+      this.logger.log(`[Debugger] Failed to detach debugger: ${e.message}`);
+    }
+  }
+
+  /**
+   * Dispatch a CDP event from this connection's tab
+   */
+  _handleEvent(method, params) {
+    if (method === 'Target.attachedToTarget') {
+      this.childSessions.set(params.targetInfo.targetId, params.sessionId);
+    } else if (method === 'Target.detachedFromTarget') {
+      for (const [targetId, sessionId] of this.childSessions) {
+        if (sessionId === params.sessionId) this.childSessions.delete(targetId);
+      }
+    }
+
+    for (const handler of this.eventHandlers) {
+      try {
+        handler(method, params, this.tabId);
+      } catch (error) {
+        this.logger.log(`[Debugger] Error handling CDP event ${method}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Reset state when the browser detaches the debugger (tab closed, DevTools opened, etc.)
+   */
+  _handleDetach(reason) {
+    const tabId = this.tabId;
+    this.logger.log(`[Debugger] Debugger detached from tab ${tabId}, reason: ${reason}`);
+    this._registry.delete(tabId);
+    this.tabId = null;
+    this.childSessions.clear();
+    this._notifyDetached(tabId, reason);
+  }
+}
@@ -4,20 +4,37 @@
  * Manages connections to multiple MCP server instances running on different ports.
  * Each session gets its own tab context, allowing parallel Claude Code sessions.
  *
- * Port scanning discovers active MCP servers in range 5555-5654.
+ * Discovery is event-driven: connected servers push `servers_changed` whenever an
+ * MCP server starts or stops. Port scanning (range 5555-5654, all ports probed in
+ * parallel) only runs while no session is connected, backing off to once a second
+ * while nothing changes.
+ *
+ * Tabs of disconnected or idle sessions are closed/discarded by collectGarbage()
+ * according to the configured tab policies (see handlers/tabPolicies.js).
+ *
+ * Sessions are resumable by client_id: when a server restarts (new session ID,
+ * maybe a new port) and its MCP client enables again with the same client_id, the
+ * new session takes over the tabs, stealth flags and buffers the old one left behind.
  */
 
 import { WebSocketConnection } from './websocket.js';
 import { SessionTabHandlers } from '../handlers/sessionTabs.js';
+import { DebuggerConnection } from './debugger.js';
+import { CDPBuffers } from '../handlers/cdpBuffers.js';
+import { NetworkInterceptor } from '../handlers/intercept.js';
+import { NetworkConditions } from '../handlers/networkConditions.js';
+import { tagWebSockets } from '../handlers/webSocket.js';
+import { normalizeTabPolicies } from '../handlers/tabPolicies.js';
 
 /**
  * Session state for a single MCP server connection
  * Each session has its own tab context - completely isolated from other sessions
  */
-class Session {
+export class Session {
   constructor(port, sessionId, browserAPI, logger, iconManager) {
     this.port = port;
     this.sessionId = sessionId;
+    this.clientId = null; // client_id the MCP client passed to enable (human-readable name)
     this.browser = browserAPI;
     this.logger = logger;
     this.iconManager = iconManager;
@@ -32,6 +49,25 @@ class Session {
     // Create session-aware tab handlers
     this.tabHandlers = new SessionTabHandlers(this, browserAPI, logger, iconManager);
 
+    // Per-session debugger (attaches to this session's tab, receives only its CDP events)
+    this.debugger = new DebuggerConnection(browserAPI, logger, () => this.tabHandlers.getAttachedTabId());
+    this.debugger.onDetach((tabId, reason) => {
+      if (reason === 'taken_over') {
+        this.tabHandlers.handleDebuggerTakenOver(tabId).catch(error => {
+          logger.log(`[Session ${sessionId}] Failed to release tab ${tabId}: ${error.message}`);
+        });
+      }
+    });
+
+    // Per-session network/console capture (per tab, fed by this session's debugger)
+    this.buffers = new CDPBuffers(logger);
+    this.debugger.onEvent((method, params, tabId) => this.buffers.handleEvent(method, params, tabId));
+    tagWebSockets(this.debugger, logger);
+
+    // Per-session request interception rules and network conditions (applied to this session's attached tab)
+    this.interceptor = new NetworkInterceptor(this.debugger, logger);
+    this.networkConditions = new NetworkConditions(this.debugger, this.interceptor, logger);
+
     // Session metadata
     this.lastActivity = Date.now();
     this.status = 'disconnected'; // 'connecting', 'connected', 'disconnected'
@@ -41,6 +77,38 @@ class Session {
     this.lastActivity = Date.now();
   }
 
+  /**
+   * Human-readable session name (client_id, falls back to session ID)
+   */
+  getDisplayName() {
+    return this.clientId || this.sessionId;
+  }
+
+  /**
+   * Tooltip for tabs controlled by this session
+   */
+  getBadgeTitle() {
+    return `Blueprint MCP - ${this.getDisplayName()} (port ${this.port})`;
+  }
+
+  /**
+   * Set client_id and refresh the tab group name and attached tab's tooltip
+   */
+  async setClientId(clientId) {
+    this.clientId = clientId;
+    this.logger.log(`[Session ${this.sessionId}] Client ID set to ${clientId}`);
+    await this.tabHandlers.updateGroup();
+
+    if (this.attachedTabId) {
+      try {
+        await this.browser.action.setTitle({ tabId: this.attachedTabId, title: this.getBadgeTitle() });
+      } catch (error) {
+        // Tab may have been closed already
+        this.logger.log(`[Session ${this.sessionId}] Could not update tab title:`, error.message);
+      }
+    }
+  }
+
   /**
    * Get attached tab ID for this session
    */
@@ -48,6 +116,42 @@ class Session {
     return this.attachedTabId;
   }
 
+  /**
+   * Hand over tabs, stealth flags and captured buffers, leaving this session empty
+   * @returns {object} Snapshot for resume()
+   */
+  suspend() {
+    const snapshot = {
+      clientId: this.clientId,
+      tabs: this.tabHandlers.exportState(),
+      buffers: this.buffers,
+      since: Date.now()
+    };
+    this.tabHandlers.importState();
+    this.buffers = new CDPBuffers(this.logger, this.buffers.limits);
+    return snapshot;
+  }
+
+  /**
+   * Take over tabs, stealth flags and captured buffers of a suspended session
+   */
+  resume(snapshot) {
+    this.tabHandlers.importState(snapshot.tabs);
+    this.buffers = snapshot.buffers;
+    this.logger.log(`[Session ${this.sessionId}] Resumed ${snapshot.tabs.ownedTabs.length} tab(s) of ${snapshot.clientId}`);
+  }
+
+  /**
+   * Attached tab and stealth flag, as reported to the server after resuming
+   */
+  getResumeInfo() {
+    return {
+      clientId: this.clientId,
+      tab: this.tabHandlers.getAttachedTabInfo(),
+      stealthMode: this.tabHandlers.getStealthMode()
+    };
+  }
+
   /**
    * Set attached tab for this session
    */
@@ -131,14 +235,30 @@ export class MultiSessionManager {
     // Command handlers (registered before connecting, applied to each session)
     this.commandHandlers = new Map();
 
-    // Port scanning config
+    // Discovery config
     this.portRangeStart = 5555;
     this.portRangeEnd = 5654;
-    this.scanInterval = 5000; // Scan every 5 seconds
+    this.minScanInterval = 250; // Poll quickly after something changed
+    this.maxScanInterval = 1000; // Back off to once a second, so a new server shows up within a second
+    this.scanDelay = this.minScanInterval;
     this.scanTimer = null;
+    this.running = false;
+    this.connecting = new Set(); // Ports with a connection in progress
 
     // Build timestamp (will be set by consumer)
     this.buildTimestamp = null;
+
+    // Console/dialog injectors (will be set by consumer, applied to each session)
+    this.consoleInjector = null;
+    this.dialogInjector = null;
+
+    // CDP buffer sizes (will be set by consumer, applied to each session)
+    this.bufferLimits = {};
+
+    // Tab lifecycle policies and tabs left behind by disconnected sessions
+    this.tabPolicies = normalizeTabPolicies();
+    this.orphanedTabs = new Map(); // tabId -> { sessionId, name, since }
+    this.suspendedSessions = new Map(); // clientId -> snapshot from Session.suspend()
   }
 
   /**
@@ -148,20 +268,232 @@ export class MultiSessionManager {
     this.buildTimestamp = timestamp;
   }
 
+  /**
+   * Set console capture and dialog override injectors for session tabs
+   */
+  setTabInjectors(consoleInjector, dialogInjector) {
+    this.consoleInjector = consoleInjector;
+    this.dialogInjector = dialogInjector;
+  }
+
+  /**
+   * Set per-tab network/console buffer sizes for all sessions
+   * @param {object} limits - { maxNetworkRequests, maxConsoleMessages }
+   */
+  setBufferLimits(limits) {
+    this.bufferLimits = { ...limits };
+    for (const session of this.sessions.values()) {
+      session.buffers.setLimits(this.bufferLimits);
+    }
+  }
+
+  /**
+   * Set tab lifecycle policies
+   * @param {object} policies - { disconnected: {action, minutes}, idle: {action, minutes} }
+   */
+  setTabPolicies(policies) {
+    this.tabPolicies = normalizeTabPolicies(policies);
+    this.logger.log('[MultiSession] Tab policies:', this.tabPolicies);
+  }
+
+  /**
+   * Apply tab policies: close/discard tabs of disconnected sessions and of idle sessions
+   * @param {object} overrides - Policies to use instead of the configured ones
+   * @returns {Promise<{closedTabs: number[], discardedTabs: number[]}>}
+   */
+  async collectGarbage(overrides = {}) {
+    const policies = normalizeTabPolicies({ ...this.tabPolicies, ...overrides });
+    const now = Date.now();
+    const result = { closedTabs: [], discardedTabs: [] };
+
+    // Tabs left behind by disconnected sessions
+    const disconnectedAfter = policies.disconnected.minutes * 60000;
+    for (const [tabId, orphan] of this.orphanedTabs) {
+      // Adopted by another session in the meantime
+      if (this.getTabOwner(tabId)) {
+        this.orphanedTabs.delete(tabId);
+        continue;
+      }
+      if (now - orphan.since < disconnectedAfter) continue;
+
+      const action = await this._applyTabPolicy(tabId, policies.disconnected.action, result);
+      if (action === 'close') {
+        this.handleTabRemoved(tabId);
+      }
+    }
+
+    // Tabs of connected sessions that sent no commands for a while
+    const idleAfter = policies.idle.minutes * 60000;
+    for (const session of this.getAllSessions()) {
+      if (now - session.lastActivity < idleAfter) continue;
+
+      for (const tabId of session.tabHandlers.getOwnedTabIds()) {
+        const action = await this._applyTabPolicy(tabId, policies.idle.action, result);
+        if (action === 'close') {
+          await session.tabHandlers.handleTabClosed(tabId);
+        }
+      }
+    }
+
+    if (result.closedTabs.length > 0 || result.discardedTabs.length > 0) {
+      this.logger.log(`[MultiSession] Tab cleanup: closed ${result.closedTabs.length}, discarded ${result.discardedTabs.length}`);
+    }
+    return result;
+  }
+
+  /**
+   * Close or discard a tab according to a policy action
+   * @returns {Promise<string|null>} Action applied, or null if nothing was done
+   */
+  async _applyTabPolicy(tabId, action, result) {
+    if (action === 'keep') return null;
+
+    try {
+      if (action === 'close') {
+        await this.browser.tabs.remove(tabId);
+        result.closedTabs.push(tabId);
+        return action;
+      }
+
+      // Discard unloads the tab but keeps it in the tab strip (no-op if already discarded)
+      const tab = await this.browser.tabs.get(tabId);
+      if (tab.discarded || tab.active) return null;
+      await this.browser.tabs.discard(tabId);
+      result.discardedTabs.push(tabId);
+      return action;
+    } catch (error) {
+      // Tab may have been closed already
+      this.logger.log(`[MultiSession] Could not ${action} tab ${tabId}:`, error.message);
+      this.orphanedTabs.delete(tabId);
+      return null;
+    }
+  }
+
+  /**
+   * Forget a closed tab
+   */
+  handleTabRemoved(tabId) {
+    this.orphanedTabs.delete(tabId);
+
+    for (const [clientId, snapshot] of this.suspendedSessions) {
+      snapshot.buffers.clearTab(tabId);
+      snapshot.tabs.ownedTabs = snapshot.tabs.ownedTabs.filter(id => id !== tabId);
+      if (snapshot.tabs.ownedTabs.length === 0) {
+        this.suspendedSessions.delete(clientId);
+      }
+    }
+  }
+
+  /**
+   * Leave a session's tabs behind: mark them disconnected and keep their state,
+   * so a restarted server with the same client_id can resume them
+   */
+  async _suspendSession(session) {
+    const tabIds = session.tabHandlers.getOwnedTabIds();
+
+    for (const tabId of tabIds) {
+      await this.markTabDisconnected(tabId, session);
+      this.orphanedTabs.set(tabId, {
+        sessionId: session.sessionId,
+        name: session.getDisplayName(),
+        since: Date.now()
+      });
+    }
+
+    if (session.clientId && tabIds.length > 0) {
+      this.suspendedSessions.set(session.clientId, session.suspend());
+    }
+  }
+
+  /**
+   * Give a session the tabs a previous session with its client_id left behind
+   * @returns {Promise<boolean>} True if tabs were resumed
+   */
+  async _resumeSession(session) {
+    const snapshot = this.suspendedSessions.get(session.clientId);
+    if (!snapshot) return false;
+    this.suspendedSessions.delete(session.clientId);
+
+    // Drop tabs closed or taken by other sessions in the meantime
+    const tabs = snapshot.tabs;
+    const available = [];
+    for (const tabId of tabs.ownedTabs) {
+      if (this.getTabOwner(tabId)) continue;
+      try {
+        await this.browser.tabs.get(tabId);
+        available.push(tabId);
+      } catch {
+        // Tab was closed
+      }
+    }
+    if (available.length === 0) return false;
+
+    tabs.ownedTabs = available;
+    if (!available.includes(tabs.attachedTabId)) {
+      tabs.attachedTabId = null;
+      tabs.attachedTabInfo = null;
+    }
+
+    session.resume(snapshot);
+    for (const tabId of available) {
+      this.orphanedTabs.delete(tabId);
+      await this.markTabConnected(tabId, session);
+    }
+    // Group keeps the old session's colour otherwise (it follows the port)
+    await session.tabHandlers.updateGroup();
+    return true;
+  }
+
+  /**
+   * Handle client_id from a server (known once its MCP client called enable)
+   * Resumes tabs left by a previous server with the same client_id, then tells
+   * the server which tab it is attached to. A client_id already used by another
+   * live session is refused, so findSession({clientId}) stays unambiguous
+   */
+  async handleClientId(session, clientId) {
+    if (!clientId) return;
+
+    const other = this.getAllSessions().find(s => s !== session && s.clientId === clientId);
+    if (other) {
+      if (await this.checkServerActive(other.port)) {
+        this.logger.log(`[MultiSession] client_id "${clientId}" already used by port ${other.port} - refused for port ${session.port}`);
+        if (session.wsConnection?.isConnected) {
+          session.wsConnection.sendNotification('notifications/client_id_conflict', { clientId, port: other.port });
+        }
+        return;
+      }
+      // Its server is gone but the close was not noticed yet - suspend it so this session resumes its tabs
+      await this.disconnectFromServer(other.port);
+    }
+
+    // Another MCP client took over this port - keep the old client's tabs for it
+    if (session.clientId && session.clientId !== clientId) {
+      await this._suspendSession(session);
+      await session.debugger.detach();
+    }
+
+    await session.setClientId(clientId);
+
+    if (session.tabHandlers.getOwnedTabIds().length === 0) {
+      await this._resumeSession(session);
+    }
+
+    if (session.tabHandlers.getAttachedTabId() && session.wsConnection?.isConnected) {
+      session.wsConnection.sendNotification('notifications/session_resumed', session.getResumeInfo());
+    }
+  }
+
   /**
    * Start the multi-session manager
-   * Begins port scanning and connection management
+   * Scans once, then polls with backoff until a session connects
    */
   async start() {
     this.logger.log('[MultiSession] Starting multi-session manager...');
+    this.running = true;
 
     // Initial scan
     await this.scanForServers();
-
-    // Start periodic scanning
-    this.scanTimer = setInterval(() => {
-      this.scanForServers();
-    }, this.scanInterval);
+    this._scheduleScan();
 
     this.logger.log('[MultiSession] Multi-session manager started');
   }
@@ -171,15 +503,17 @@ export class MultiSessionManager {
    */
   stop() {
     this.logger.log('[MultiSession] Stopping multi-session manager...');
+    this.running = false;
 
     // Stop scanning
     if (this.scanTimer) {
-      clearInterval(this.scanTimer);
+      clearTimeout(this.scanTimer);
       this.scanTimer = null;
     }
 
     // Disconnect all sessions
     for (const [port, session] of this.sessions) {
+      session.debugger.detach();
       if (session.wsConnection) {
         session.wsConnection.disconnect();
       }
@@ -189,28 +523,71 @@ export class MultiSessionManager {
     this.logger.log('[MultiSession] Multi-session manager stopped');
   }
 
+  /**
+   * Check if any session is connected (and can push servers_changed)
+   */
+  hasConnectedSession() {
+    return this.getAllSessions().some(session => session.status === 'connected');
+  }
+
+  /**
+   * Schedule the next port scan
+   * No polling while a session is connected - servers push changes instead
+   */
+  _scheduleScan() {
+    if (this.scanTimer) {
+      clearTimeout(this.scanTimer);
+      this.scanTimer = null;
+    }
+
+    if (!this.running) return;
+
+    if (this.hasConnectedSession()) {
+      this.logger.log('[MultiSession] Session connected - polling paused, waiting for servers_changed');
+      return;
+    }
+
+    this.scanTimer = setTimeout(async () => {
+      this.scanTimer = null;
+      const changed = await this.scanForServers();
+
+      // Reset backoff when something changed, otherwise poll less often
+      this.scanDelay = changed
+        ? this.minScanInterval
+        : Math.min(this.scanDelay * 2, this.maxScanInterval);
+      this._scheduleScan();
+    }, this.scanDelay);
+  }
+
+  /**
+   * Scan immediately and restart polling from the shortest interval
+   */
+  async rescan() {
+    this.scanDelay = this.minScanInterval;
+    const changed = await this.scanForServers();
+    this._scheduleScan();
+    return changed;
+  }
+
   /**
    * Scan for active MCP servers and connect to new ones
+   * All ports are probed in parallel
+   * @returns {Promise<boolean>} True if sessions were added or removed
    */
   async scanForServers() {
-    const newPorts = [];
-    const deadPorts = [];
+    const ports = [];
+    for (let port = this.portRangeStart; port <= this.portRangeEnd; port++) {
+      ports.push(port);
+    }
 
     // Check which ports have active servers
-    for (let port = this.portRangeStart; port <= this.portRangeEnd; port++) {
-      const isActive = await this.checkServerActive(port);
+    const active = await Promise.all(ports.map(port => this.checkServerActive(port)));
 
-      if (isActive && !this.sessions.has(port)) {
-        newPorts.push(port);
-      } else if (!isActive && this.sessions.has(port)) {
-        deadPorts.push(port);
-      }
-    }
+    const newPorts = ports.filter((port, i) => active[i] && !this.sessions.has(port) && !this.connecting.has(port));
+    const deadPorts = ports.filter((port, i) => !active[i] && this.sessions.has(port));
 
     // Connect to new servers
-    for (const port of newPorts) {
-      await this.connectToServer(port);
-    }
+    await Promise.all(newPorts.map(port => this.connectToServer(port)));
 
     // Clean up dead connections
     for (const port of deadPorts) {
@@ -218,9 +595,40 @@ export class MultiSessionManager {
     }
 
     // Log session count if changed
-    if (newPorts.length > 0 || deadPorts.length > 0) {
+    const changed = newPorts.length > 0 || deadPorts.length > 0;
+    if (changed) {
       this.logger.log(`[MultiSession] Active sessions: ${this.sessions.size}`);
     }
+    return changed;
+  }
+
+  /**
+   * Handle servers_changed notification (server list pushed by a connected server)
+   * Connects to any server we don't have a session for yet
+   */
+  async handleServersChanged(servers = []) {
+    const newPorts = servers
+      .map(server => server.port)
+      .filter(port => !this.sessions.has(port) && !this.connecting.has(port));
+
+    if (newPorts.length === 0) return;
+
+    this.logger.log(`[MultiSession] Servers changed - connecting to ports: ${newPorts.join(', ')}`);
+    await Promise.all(newPorts.map(port => this.connectToServer(port)));
+  }
+
+  /**
+   * Handle a session's WebSocket closing
+   * Drops the session if its server is gone (otherwise the connection retries on its own)
+   */
+  async _handleSessionClosed(port) {
+    const session = this.sessions.get(port);
+    if (!session || session.status !== 'connected') return;
+
+    const isActive = await this.checkServerActive(port);
+    if (!isActive) {
+      await this.disconnectFromServer(port);
+    }
   }
 
   /**
@@ -254,20 +662,25 @@ export class MultiSessionManager {
    * Connect to an MCP server on a specific port
    */
   async connectToServer(port) {
+    if (this.sessions.has(port) || this.connecting.has(port)) {
+      return this.sessions.get(port) || null;
+    }
+
     this.logger.log(`[MultiSession] Connecting to server on port ${port}...`);
+    this.connecting.add(port);
 
+    let wsConnection = null;
     try {
-      // Get server info first
-      const response = await fetch(`http://127.0.0.1:${port}/`);
-      const serverInfo = await response.json();
-      const sessionId = serverInfo.sessionId || `port-${port}`;
-
-      // Create session with browser API for per-session tab operations
-      const session = new Session(port, sessionId, this.browser, this.logger, this.iconManager);
+      // Session ID and client_id arrive with session_info once the handshake passed
+      const session = new Session(port, `port-${port}`, this.browser, this.logger, this.iconManager);
       session.status = 'connecting';
+      session.tabHandlers.setConsoleInjector(this.consoleInjector);
+      session.tabHandlers.setDialogInjector(this.dialogInjector);
+      session.tabHandlers.setOwnerLookup((tabId) => this.getTabOwner(tabId));
+      session.buffers.setLimits(this.bufferLimits);
 
       // Create WebSocket connection with custom port
-      const wsConnection = new WebSocketConnection(
+      wsConnection = new WebSocketConnection(
         this.browser,
         this.logger,
         this.iconManager,
@@ -291,8 +704,25 @@ export class MultiSessionManager {
       wsConnection.registerNotificationHandler('session_info', (params) => {
         this.logger.log(`[MultiSession] Session info received for port ${port}:`, params);
         session.sessionId = params.sessionId || session.sessionId;
+        this.handleClientId(session, params.clientId);
+      });
+
+      // Server sends client_id (and its stable session ID) once the MCP client calls enable
+      wsConnection.registerNotificationHandler('authenticated', (params) => {
+        session.sessionId = params?.sessionId || session.sessionId;
+        this.handleClientId(session, params?.client_id);
+      });
+
+      // Connect to newly started servers as soon as any server reports them
+      wsConnection.registerNotificationHandler('servers_changed', (params) => {
+        this.handleServersChanged(params?.servers);
       });
 
+      // Drop the session when its server goes away
+      wsConnection.onClose = () => {
+        this._handleSessionClosed(port);
+      };
+
       // Register command handlers that inject session context
       for (const [method, handler] of this.commandHandlers) {
         wsConnection.registerCommandHandler(method, async (params) => {
@@ -305,8 +735,9 @@ export class MultiSessionManager {
       session.wsConnection = wsConnection;
       this.sessions.set(port, session);
 
-      // Connect
+      // Connect and wait for the server to pass the (optionally paired) handshake
       await wsConnection.connect();
+      await wsConnection.waitForHandshake();
       session.status = 'connected';
 
       // Set as active session if it's the only one
@@ -319,8 +750,14 @@ export class MultiSessionManager {
 
     } catch (error) {
       this.logger.log(`[MultiSession] Failed to connect to port ${port}:`, error.message);
+      if (wsConnection) {
+        wsConnection.onClose = null;
+        wsConnection.disconnect();
+      }
       this.sessions.delete(port);
       return null;
+    } finally {
+      this.connecting.delete(port);
     }
   }
 
@@ -333,15 +770,17 @@ export class MultiSessionManager {
 
     this.logger.log(`[MultiSession] Disconnecting from session ${session.sessionId} on port ${port}...`);
 
-    // Update UI indicator on attached tab BEFORE cleanup
-    // Tab stays open but shows disconnect indicator
-    if (session.attachedTabId) {
-      await this.markTabDisconnected(session.attachedTabId, session.sessionId);
-    }
+    // Update UI indicator on the session's tabs BEFORE cleanup
+    // Tabs stay open but show disconnect indicator until resumed or cleaned up by tab policies
+    await this._suspendSession(session);
 
     session.status = 'disconnected';
 
+    // Release the debugger so the tab is usable by other sessions
+    await session.debugger.detach();
+
     if (session.wsConnection) {
+      session.wsConnection.onClose = null;
       session.wsConnection.disconnect();
     }
 
@@ -354,13 +793,17 @@ export class MultiSessionManager {
     }
 
     this.logger.log(`[MultiSession] Disconnected from port ${port}`);
+
+    // Resume polling quickly if this was the last connected session
+    this.scanDelay = this.minScanInterval;
+    this._scheduleScan();
   }
 
   /**
    * Mark a tab as disconnected with visual indicator
    * Tab stays open but badge shows session ended
    */
-  async markTabDisconnected(tabId, sessionId) {
+  async markTabDisconnected(tabId, session) {
     try {
       // Check if tab still exists
       const tab = await this.browser.tabs.get(tabId);
@@ -375,8 +818,12 @@ export class MultiSessionManager {
         tabId: tabId,
         color: '#F44336'  // Red for disconnected
       });
+      await this.browser.action.setTitle({
+        tabId: tabId,
+        title: `Blueprint MCP - ${session.getDisplayName()} (disconnected)`
+      });
 
-      this.logger.log(`[MultiSession] Marked tab ${tabId} as disconnected (session ${sessionId})`);
+      this.logger.log(`[MultiSession] Marked tab ${tabId} as disconnected (session ${session.sessionId})`);
     } catch (error) {
       // Tab may have been closed already
       this.logger.log(`[MultiSession] Could not mark tab ${tabId} as disconnected:`, error.message);
@@ -385,9 +832,9 @@ export class MultiSessionManager {
 
   /**
    * Mark a tab as connected with visual indicator
-   * Shows session ID and green badge
+   * Shows session ID and green badge, session name in tooltip
    */
-  async markTabConnected(tabId, sessionId) {
+  async markTabConnected(tabId, session) {
     try {
       // Check if tab still exists
       const tab = await this.browser.tabs.get(tabId);
@@ -396,14 +843,18 @@ export class MultiSessionManager {
       // Set badge to show connected (green background, session ID prefix)
       await this.browser.action.setBadgeText({
         tabId: tabId,
-        text: sessionId.substring(0, 2)  // First 2 chars of session ID
+        text: session.sessionId.substring(0, 2)  // First 2 chars of session ID
       });
       await this.browser.action.setBadgeBackgroundColor({
         tabId: tabId,
         color: '#4CAF50'  // Green for connected
       });
+      await this.browser.action.setTitle({
+        tabId: tabId,
+        title: session.getBadgeTitle()
+      });
 
-      this.logger.log(`[MultiSession] Marked tab ${tabId} as connected (session ${sessionId})`);
+      this.logger.log(`[MultiSession] Marked tab ${tabId} as connected (session ${session.sessionId})`);
     } catch (error) {
       this.logger.log(`[MultiSession] Could not mark tab ${tabId} as connected:`, error.message);
     }
@@ -433,6 +884,27 @@ export class MultiSessionManager {
     }
   }
 
+  /**
+   * Find a session by port or client_id
+   * @param {object} target - { port, clientId }
+   */
+  findSession({ port, clientId } = {}) {
+    if (port) {
+      return this.sessions.get(port) || null;
+    }
+    if (clientId) {
+      return this.getAllSessions().find(session => session.clientId === clientId) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Find the session owning a tab
+   */
+  getTabOwner(tabId) {
+    return this.getAllSessions().find(session => session.tabHandlers.ownsTab(tabId)) || null;
+  }
+
   /**
    * Get all sessions
    */
@@ -479,14 +951,17 @@ export class MultiSessionManager {
       sessions.push({
         port,
         sessionId: session.sessionId,
+        clientId: session.clientId,
         status: session.status,
         attachedTabId: session.attachedTabId,
+        stealthMode: session.stealthMode,
         lastActivity: session.lastActivity
       });
     }
     return {
       totalSessions: this.sessions.size,
       activePort: this.activeSessionPort,
+      orphanedTabs: this.orphanedTabs.size,
       sessions
     };
   }
@@ -513,13 +988,26 @@ export class MultiSessionManager {
         }
       }
 
+      // Tabs locked by this session
+      const lockedTabs = [];
+      for (const tabId of session.tabHandlers.getOwnedTabIds()) {
+        try {
+          const tab = await this.browser.tabs.get(tabId);
+          lockedTabs.push({ id: tabId, title: tab.title, url: tab.url });
+        } catch {
+          // Tab may no longer exist
+        }
+      }
+
       sessions.push({
         port,
         sessionId: session.sessionId,
+        clientId: session.clientId,
         status: session.status,
         attachedTabId: session.attachedTabId,
         attachedTabTitle,
         attachedTabUrl,
+        lockedTabs,
         lastActivity: session.lastActivity,
         isCurrent: port === currentPort
       });
@@ -528,12 +1016,14 @@ export class MultiSessionManager {
     return {
       totalSessions: this.sessions.size,
       currentPort,
+      orphanedTabs: Array.from(this.orphanedTabs, ([tabId, orphan]) => ({ tabId, ...orphan })),
+      tabPolicies: this.tabPolicies,
       sessions
     };
   }
 
   /**
-   * Close a specific session's tab (releases the tab but keeps session info)
+   * Close a specific session's tabs (releases the tabs but keeps session info)
    */
   async closeSessionTab(port) {
     const session = this.sessions.get(port);
@@ -541,22 +1031,17 @@ export class MultiSessionManager {
       return { success: false, error: `No session found on port ${port}` };
     }
 
-    if (!session.attachedTabId) {
-      return { success: false, error: `Session on port ${port} has no attached tab` };
+    if (session.tabHandlers.getOwnedTabIds().length === 0) {
+      return { success: false, error: `Session on port ${port} has no tabs` };
     }
 
     try {
-      // Close the tab
-      await this.browser.tabs.remove(session.attachedTabId);
-
-      // Clear the attachment
-      session.attachedTabId = null;
-      session.attachedTabInfo = null;
+      const closedTabs = await session.tabHandlers.closeOwnedTabs();
 
-      this.logger.log(`[MultiSession] Closed tab for session on port ${port}`);
-      return { success: true };
+      this.logger.log(`[MultiSession] Closed ${closedTabs} tab(s) for session on port ${port}`);
+      return { success: true, closedTabs };
     } catch (error) {
-      this.logger.log(`[MultiSession] Failed to close tab for session on port ${port}:`, error.message);
+      this.logger.log(`[MultiSession] Failed to close tabs for session on port ${port}:`, error.message);
       return { success: false, error: error.message };
     }
   }
@@ -572,19 +1057,16 @@ export class MultiSessionManager {
         continue; // Skip current session
       }
 
-      if (session.attachedTabId) {
-        try {
-          await this.browser.tabs.remove(session.attachedTabId);
-          session.attachedTabId = null;
-          session.attachedTabInfo = null;
+      try {
+        if (await session.tabHandlers.closeOwnedTabs() > 0) {
           closedCount++;
-        } catch {
-          // Tab may already be closed
         }
+      } catch {
+        // Tabs may already be closed
       }
     }
 
-    this.logger.log(`[MultiSession] Closed ${closedCount} tabs from other sessions`);
+    this.logger.log(`[MultiSession] Closed tabs of ${closedCount} other session(s)`);
     return { success: true, closedCount };
   }
 }
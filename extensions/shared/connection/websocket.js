@@ -4,6 +4,7 @@
  */
 
 import { getUserInfoFromStorage, decodeJWT, refreshAccessToken } from '../utils/jwt.js';
+import { createNonce, signPairingProof, proofsEqual } from '../utils/pairing.js';
 
 /**
  * WebSocket connection manager class
@@ -30,6 +31,17 @@ export class WebSocketConnection {
 
     // Notification handlers - for handling server notifications
     this.notificationHandlers = new Map();
+
+    // Called when the socket closes (before reconnect is scheduled)
+    this.onClose = null;
+
+    // Pairing handshake state (Free mode)
+    this.pairingSecret = null; // Shared secret from storage (null = unpaired)
+    this.handshakeNonce = null; // Our nonce for the current connection
+    this.handshakeVerified = false;
+    this.handshakeError = null; // Why the last handshake failed
+    this.reconnectToken = null; // Issued by an unpaired server; lets us replace our own stale connection
+    this._handshakeWaiters = [];
   }
 
   /**
@@ -194,6 +206,10 @@ export class WebSocketConnection {
       const url = await this.getConnectionUrl();
       this.connectionUrl = url; // Store for logging
 
+      // Load pairing secret for the authenticated handshake
+      const pairing = await this.browser.storage.local.get(['pairingSecret']);
+      this.pairingSecret = pairing.pairingSecret || null;
+
       // Create WebSocket connection
       this.socket = new WebSocket(url);
 
@@ -306,11 +322,16 @@ export class WebSocketConnection {
     // In PRO mode (relay), don't send handshake - wait for authenticate request
     // In Free mode, send handshake
     if (!this.isPro) {
+      this.handshakeVerified = false;
+      this.handshakeError = null;
+      this.handshakeNonce = createNonce();
       this.send({
         type: 'handshake',
         browser: this._getBrowserName(),
         version: this.browser.runtime.getManifest().version,
-        buildTimestamp: this.buildTimestamp
+        buildTimestamp: this.buildTimestamp,
+        nonce: this.handshakeNonce,
+        ...(this.reconnectToken && { reconnectToken: this.reconnectToken })
       });
     } else {
       this.logger.log('[WebSocket] PRO mode: Waiting for authenticate request from proxy...');
@@ -386,6 +407,24 @@ export class WebSocketConnection {
     const { method, params } = message;
 
     // Built-in notification handlers
+    if (method === 'session_info') {
+      // Only pass session info on once the server has proven the pairing secret
+      const verified = await this._verifySessionInfo(params);
+      if (!verified) {
+        return;
+      }
+    }
+
+    if (method === 'handshake_rejected') {
+      this._failHandshake(`Server rejected connection: ${params?.reason || 'unknown reason'}`);
+    }
+
+    // Paired connections ignore everything else until the server proved the secret
+    if (!this.isPro && this.pairingSecret && !this.handshakeVerified) {
+      this.logger.log(`[WebSocket] Ignoring ${method} before handshake verified`);
+      return;
+    }
+
     if (method === 'authenticated' && params?.client_id) {
       this.projectName = params.client_id;
       this.logger.log('[WebSocket] Project name set:', this.projectName);
@@ -434,6 +473,101 @@ export class WebSocketConnection {
     }
   }
 
+  /**
+   * Verify session_info from server and answer its pairing challenge
+   * @returns {Promise<boolean>} True if the server is trusted
+   */
+  async _verifySessionInfo(params) {
+    if (!this.pairingSecret) {
+      if (params?.authRequired) {
+        this._failHandshake('Server requires a pairing secret. Set the secret from the server\'s pairing-secret file (or its --pairing-secret) in extension storage (pairingSecret).');
+        return false;
+      }
+      this.reconnectToken = params?.reconnectToken || null;
+      this._completeHandshake();
+      return true;
+    }
+
+    if (!params?.proof || !params?.nonce) {
+      this._failHandshake('Server did not prove the pairing secret. It runs with --no-pairing: restart it with pairing or remove pairingSecret from extension storage.');
+      return false;
+    }
+
+    const expected = await signPairingProof(this.pairingSecret, 'server', this.handshakeNonce, params.nonce);
+    if (!proofsEqual(params.proof, expected)) {
+      this._failHandshake('Pairing secret mismatch: the server pairing secret does not match this extension.');
+      return false;
+    }
+
+    const proof = await signPairingProof(this.pairingSecret, 'extension', params.nonce, this.handshakeNonce);
+    this.send({ type: 'handshake_proof', proof });
+    this._completeHandshake();
+    return true;
+  }
+
+  /**
+   * Mark handshake as verified and resolve waiters
+   */
+  _completeHandshake() {
+    this.handshakeVerified = true;
+    this.handshakeError = null;
+    const waiters = this._handshakeWaiters;
+    this._handshakeWaiters = [];
+    waiters.forEach(waiter => waiter.resolve());
+  }
+
+  /**
+   * Mark handshake as failed, reject waiters and close the socket
+   */
+  _failHandshake(reason) {
+    this.logger.logAlways(`[WebSocket] Handshake failed: ${reason}`);
+    this.handshakeVerified = false;
+    this.handshakeError = reason;
+
+    const waiters = this._handshakeWaiters;
+    this._handshakeWaiters = [];
+    waiters.forEach(waiter => waiter.reject(new Error(reason)));
+
+    if (this.iconManager) {
+      this.iconManager.setGlobalIcon('normal', reason);
+    }
+
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+
+  /**
+   * Wait until the server handshake (session_info) is verified
+   * @param {number} timeout - Max wait in milliseconds
+   */
+  waitForHandshake(timeout = 5000) {
+    if (this.handshakeVerified) {
+      return Promise.resolve();
+    }
+    if (this.handshakeError) {
+      return Promise.reject(new Error(this.handshakeError));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      };
+      const timer = setTimeout(() => {
+        this._handshakeWaiters = this._handshakeWaiters.filter(w => w !== waiter);
+        reject(new Error('Handshake timed out waiting for session_info'));
+      }, timeout);
+      this._handshakeWaiters.push(waiter);
+    });
+  }
+
   /**
    * Route command to appropriate handler
    */
@@ -445,6 +579,11 @@ export class WebSocketConnection {
       return await this._handleAuthenticate();
     }
 
+    // Paired connections only accept commands from a server that proved the secret
+    if (!this.isPro && this.pairingSecret && !this.handshakeVerified) {
+      throw new Error('Handshake not verified: refusing command from unpaired server');
+    }
+
     // Route to registered handler
     const handler = this.commandHandlers.get(method);
     if (handler) {
@@ -564,6 +703,10 @@ export class WebSocketConnection {
       // Popup may not be open, ignore error
     });
 
+    if (this.onClose) {
+      this.onClose(event);
+    }
+
     // Schedule reconnect
     this._scheduleReconnect();
   }
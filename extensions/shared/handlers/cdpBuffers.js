@@ -0,0 +1,329 @@
+/**
+ * Per-tab CDP event buffers for browser extensions
+ * Stores network requests, WebSocket/EventSource messages and console messages captured
+ * via chrome.debugger events
+ */
+
+/**
+ * Default buffer sizes (per tab)
+ */
+export const DEFAULT_BUFFER_LIMITS = {
+  maxNetworkRequests: 500,
+  maxConsoleMessages: 1000,
+  maxSocketFrames: 1000
+};
+
+/**
+ * Convert CDP RemoteObject arguments to a single string
+ */
+function formatConsoleArgs(args) {
+  return args.map(arg => {
+    if (arg.value !== undefined) {
+      return String(arg.value);
+    } else if (arg.description) {
+      return arg.description;
+    } else if (arg.type) {
+      return `[${arg.type}]`;
+    }
+    return '';
+  }).join(' ');
+}
+
+/**
+ * CDP buffers class
+ * Ring buffers of network requests, socket frames and console messages, kept separately for each tab
+ */
+export class CDPBuffers {
+  constructor(logger, limits = {}) {
+    this.logger = logger;
+    this.limits = { ...DEFAULT_BUFFER_LIMITS };
+    this.tabs = new Map(); // tabId -> { requests: Map(requestId -> request), sockets: Map(requestId -> socket), frames: [], consoleMessages: [] }
+
+    this.setLimits(limits);
+  }
+
+  /**
+   * Update buffer sizes, trimming existing buffers to fit
+   * @param {object} limits - { maxNetworkRequests, maxConsoleMessages, maxSocketFrames } (positive integers, others ignored)
+   */
+  setLimits(limits = {}) {
+    for (const key of Object.keys(DEFAULT_BUFFER_LIMITS)) {
+      const value = limits[key];
+      if (Number.isInteger(value) && value > 0) {
+        this.limits[key] = value;
+      }
+    }
+
+    for (const buffers of this.tabs.values()) {
+      this._trim(buffers);
+    }
+  }
+
+  /**
+   * Get buffers for a tab (creating them if needed)
+   */
+  _getTab(tabId) {
+    let buffers = this.tabs.get(tabId);
+    if (!buffers) {
+      buffers = { requests: new Map(), sockets: new Map(), frames: [], consoleMessages: [] };
+      this.tabs.set(tabId, buffers);
+    }
+    return buffers;
+  }
+
+  /**
+   * Drop oldest entries beyond the limits
+   */
+  _trim(buffers) {
+    while (buffers.requests.size > this.limits.maxNetworkRequests) {
+      const firstKey = buffers.requests.keys().next().value;
+      buffers.requests.delete(firstKey);
+    }
+    if (buffers.consoleMessages.length > this.limits.maxConsoleMessages) {
+      buffers.consoleMessages.splice(0, buffers.consoleMessages.length - this.limits.maxConsoleMessages);
+    }
+    if (buffers.frames.length > this.limits.maxSocketFrames) {
+      buffers.frames.splice(0, buffers.frames.length - this.limits.maxSocketFrames);
+      this._dropClosedSockets(buffers);
+    }
+  }
+
+  /**
+   * Forget closed sockets that have no buffered frames left
+   */
+  _dropClosedSockets(buffers) {
+    const withFrames = new Set(buffers.frames.map(frame => frame.requestId));
+    for (const [requestId, socket] of buffers.sockets) {
+      if (socket.closed && !withFrames.has(requestId)) {
+        buffers.sockets.delete(requestId);
+      }
+    }
+  }
+
+  /**
+   * Get a tracked socket, creating an EventSource entry on its first message
+   * (EventSources are plain requests until they receive something)
+   */
+  _getSocket(buffers, requestId, type) {
+    let socket = buffers.sockets.get(requestId);
+    if (!socket && type === 'eventsource') {
+      const request = buffers.requests.get(requestId);
+      socket = { requestId, type, url: request?.url || 'unknown', createdAt: Date.now(), closed: false, frames: 0 };
+      buffers.sockets.set(requestId, socket);
+    }
+    return socket || null;
+  }
+
+  /**
+   * Record a WebSocket frame or EventSource message
+   */
+  _addFrame(tabId, requestId, type, frame) {
+    const buffers = this._getTab(tabId);
+    const socket = this._getSocket(buffers, requestId, type);
+    if (!socket) return;
+
+    socket.frames++;
+    buffers.frames.push({ requestId, tabId, type, url: socket.url, timestamp: Date.now(), ...frame });
+    this._trim(buffers);
+  }
+
+  /**
+   * Record a CDP event from a tab
+   * Only Network (requests, WebSocket and EventSource) and Runtime console events are tracked
+   */
+  handleEvent(method, params, tabId) {
+    // Only track Network and Runtime events
+    if (!method.startsWith('Network.') && !method.startsWith('Runtime.')) return;
+    if (!tabId) return;
+
+    switch (method) {
+      case 'Network.requestWillBeSent': {
+        const buffers = this._getTab(tabId);
+        const request = params.request;
+
+        buffers.requests.set(params.requestId, {
+          requestId: params.requestId,
+          tabId,
+          url: request.url,
+          method: request.method,
+          requestHeaders: request.headers,
+          type: params.type || 'other',
+          timestamp: params.timestamp || Date.now() / 1000,
+          wallTime: params.wallTime,
+          postData: request.postData
+        });
+        this._trim(buffers);
+        break;
+      }
+
+      case 'Network.responseReceived': {
+        const existing = this.tabs.get(tabId)?.requests.get(params.requestId);
+        if (existing) {
+          const response = params.response;
+          existing.statusCode = response.status;
+          existing.statusText = response.statusText;
+          existing.responseHeaders = response.headers;
+          existing.mimeType = response.mimeType;
+          existing.protocol = response.protocol;
+          existing.remoteIPAddress = response.remoteIPAddress;
+          existing.timing = response.timing;
+        }
+        break;
+      }
+
+      case 'Network.loadingFinished': {
+        const existing = this.tabs.get(tabId)?.requests.get(params.requestId);
+        if (existing) {
+          existing.finished = true;
+          existing.encodedDataLength = params.encodedDataLength;
+          existing.endTimestamp = params.timestamp;
+        }
+        break;
+      }
+
+      case 'Network.loadingFailed': {
+        const existing = this.tabs.get(tabId)?.requests.get(params.requestId);
+        if (existing) {
+          existing.failed = true;
+          existing.errorText = params.errorText;
+        }
+        break;
+      }
+
+      case 'Network.webSocketCreated': {
+        const buffers = this._getTab(tabId);
+        buffers.sockets.set(params.requestId, {
+          requestId: params.requestId,
+          type: 'websocket',
+          url: params.url,
+          createdAt: Date.now(),
+          closed: false,
+          frames: 0
+        });
+        break;
+      }
+
+      case 'Network.webSocketHandshakeResponseReceived': {
+        const socket = this.tabs.get(tabId)?.sockets.get(params.requestId);
+        if (socket) {
+          socket.status = params.response.status;
+        }
+        break;
+      }
+
+      case 'Network.webSocketClosed': {
+        const socket = this.tabs.get(tabId)?.sockets.get(params.requestId);
+        if (socket) {
+          socket.closed = true;
+          socket.closedAt = Date.now();
+        }
+        break;
+      }
+
+      case 'Network.webSocketFrameSent':
+      case 'Network.webSocketFrameReceived': {
+        // Opcode 1 = text, 2 = binary (payloadData is base64)
+        const { opcode, payloadData } = params.response;
+        this._addFrame(tabId, params.requestId, 'websocket', {
+          direction: method === 'Network.webSocketFrameSent' ? 'sent' : 'received',
+          opcode,
+          data: payloadData
+        });
+        break;
+      }
+
+      case 'Network.webSocketFrameError':
+        this._addFrame(tabId, params.requestId, 'websocket', { direction: 'error', data: params.errorMessage });
+        break;
+
+      case 'Network.eventSourceMessageReceived':
+        this._addFrame(tabId, params.requestId, 'eventsource', {
+          direction: 'received',
+          eventName: params.eventName,
+          eventId: params.eventId,
+          data: params.data
+        });
+        break;
+
+      case 'Runtime.consoleAPICalled': {
+        // Capture ALL console messages (page + extensions) via CDP
+        const buffers = this._getTab(tabId);
+        const level = params.type; // 'log', 'warning', 'error', 'info', 'debug', etc
+
+        buffers.consoleMessages.push({
+          tabId,
+          level: level === 'warning' ? 'warn' : level, // Normalize 'warning' to 'warn'
+          text: formatConsoleArgs(params.args || []),
+          timestamp: Date.now(),
+          url: params.stackTrace?.callFrames?.[0]?.url || 'unknown'
+        });
+        this._trim(buffers);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Get network requests captured for a tab
+   */
+  getNetworkRequests(tabId) {
+    const buffers = this.tabs.get(tabId);
+    return buffers ? Array.from(buffers.requests.values()) : [];
+  }
+
+  /**
+   * Clear network requests captured for a tab
+   */
+  clearNetworkRequests(tabId) {
+    this.tabs.get(tabId)?.requests.clear();
+  }
+
+  /**
+   * Get WebSocket/EventSource connections and their messages captured for a tab
+   * @returns {{sockets: object[], frames: object[]}}
+   */
+  getSocketFrames(tabId) {
+    const buffers = this.tabs.get(tabId);
+    return buffers
+      ? { sockets: Array.from(buffers.sockets.values()), frames: buffers.frames.slice() }
+      : { sockets: [], frames: [] };
+  }
+
+  /**
+   * Clear socket messages captured for a tab (open sockets stay tracked)
+   */
+  clearSocketFrames(tabId) {
+    const buffers = this.tabs.get(tabId);
+    if (buffers) {
+      buffers.frames = [];
+      this._dropClosedSockets(buffers);
+    }
+  }
+
+  /**
+   * Get console messages captured for a tab
+   */
+  getConsoleMessages(tabId) {
+    const buffers = this.tabs.get(tabId);
+    return buffers ? buffers.consoleMessages.slice() : [];
+  }
+
+  /**
+   * Clear console messages captured for a tab
+   */
+  clearConsoleMessages(tabId) {
+    const buffers = this.tabs.get(tabId);
+    if (buffers) {
+      buffers.consoleMessages = [];
+    }
+  }
+
+  /**
+   * Drop all buffers for a tab (e.g. when it is closed)
+   */
+  clearTab(tabId) {
+    if (this.tabs.delete(tabId)) {
+      this.logger.log(`[CDPBuffers] Dropped buffers for tab ${tabId}`);
+    }
+  }
+}
@@ -47,11 +47,17 @@ export class ConsoleHandler {
   }
 
   /**
-   * Clear all captured messages
+   * Clear captured messages
+   * @param {number} tabId - Optional tab ID to clear only that tab's messages
    */
-  clearMessages() {
-    this.messages = [];
-    this.logger.log('[ConsoleHandler] Messages cleared');
+  clearMessages(tabId = null) {
+    if (tabId === null) {
+      this.messages = [];
+      this.logger.log('[ConsoleHandler] Messages cleared');
+      return;
+    }
+    this.messages = this.messages.filter(msg => msg.tabId !== tabId);
+    this.logger.log(`[ConsoleHandler] Messages cleared for tab ${tabId}`);
   }
 
   /**
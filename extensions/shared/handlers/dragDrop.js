@@ -0,0 +1,94 @@
+/**
+ * Drag and drop through the debugger
+ *
+ * Chrome only starts an HTML5 drag (dragstart with a DataTransfer the page fills) for
+ * trusted mouse input. With Input.setInterceptDrags on, the drag data comes back as
+ * Input.dragIntercepted instead of starting an OS drag, and Input.dispatchDragEvent
+ * replays it over the rest of the path and drops it on the target.
+ * Sources that don't start a drag (sliders, mouse-based sortables) get a plain mouse drag.
+ */
+
+const INTERCEPT_TIMEOUT = 500;
+const STEP_INTERVAL = 16;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Drag along viewport points with the left button held
+ * @param {object} debuggerConnection - DebuggerConnection for the tab
+ * @param {Array<{x: number, y: number}>} points - Press at the first point, release at the last
+ * @returns {Promise<{html5: boolean}>} Whether the page started an HTML5 drag
+ */
+export async function dragAndDrop(debuggerConnection, points) {
+  if (!points || points.length < 2) {
+    throw new Error('dragAndDrop needs at least two points');
+  }
+
+  const [start, ...moves] = points;
+  const end = moves[moves.length - 1];
+  const mouse = (type, point, extra = {}) => debuggerConnection.sendCommand('Input.dispatchMouseEvent', {
+    type, x: point.x, y: point.y, button: 'left', ...extra
+  });
+
+  let dragData = null;
+  let resolveIntercepted;
+  const intercepted = new Promise(resolve => { resolveIntercepted = resolve; });
+  const handler = (method, params) => {
+    if (method === 'Input.dragIntercepted') {
+      resolveIntercepted(params.data);
+    }
+  };
+
+  await debuggerConnection.ensureAttached();
+  debuggerConnection.onEvent(handler);
+  try {
+    await debuggerConnection.sendCommand('Input.setInterceptDrags', { enabled: true });
+    await mouse('mouseMoved', start, { button: 'none' });
+    await mouse('mousePressed', start, { buttons: 1, clickCount: 1 });
+
+    // The first move past the drag threshold starts an HTML5 drag if the source is draggable
+    await mouse('mouseMoved', moves[0], { buttons: 1 });
+    dragData = await Promise.race([intercepted, sleep(INTERCEPT_TIMEOUT).then(() => null)]);
+  } finally {
+    debuggerConnection.offEvent(handler);
+    await debuggerConnection.sendCommand('Input.setInterceptDrags', { enabled: false }).catch(() => {});
+  }
+
+  if (!dragData) {
+    for (const point of moves.slice(1)) {
+      await sleep(STEP_INTERVAL);
+      await mouse('mouseMoved', point, { buttons: 1 });
+    }
+    await mouse('mouseReleased', end, { clickCount: 1 });
+    return { html5: false };
+  }
+
+  const drag = (type, point) => debuggerConnection.sendCommand('Input.dispatchDragEvent', {
+    type, x: point.x, y: point.y, data: dragData
+  });
+
+  await drag('dragEnter', moves[0]);
+  for (const point of moves) {
+    await sleep(STEP_INTERVAL);
+    await drag('dragOver', point);
+  }
+  // Drop ends the drag: Chrome fires drop on the target and dragend on the source
+  await drag('drop', end);
+
+  return { html5: true };
+}
+
+/**
+ * Drop local files on a point, as if dragged in from the file manager
+ * @param {string[]} files - Absolute paths on the machine running the browser
+ */
+export async function dropFiles(debuggerConnection, point, files) {
+  // dragOperationsMask 1 = copy
+  const data = { items: [], files, dragOperationsMask: 1 };
+
+  await debuggerConnection.ensureAttached();
+  for (const type of ['dragEnter', 'dragOver', 'drop']) {
+    await debuggerConnection.sendCommand('Input.dispatchDragEvent', { type, x: point.x, y: point.y, data });
+  }
+  return { dropped: files.length };
+}
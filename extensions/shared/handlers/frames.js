@@ -0,0 +1,128 @@
+/**
+ * Frame resolution for iframe-scoped commands
+ *
+ * Finds an iframe by selector, name or URL and returns where to run code inside it:
+ * the CDP session that owns the frame (a child session for cross-origin iframes),
+ * an execution context in the frame, and the frame's offset within the tab.
+ */
+
+const WORLD_NAME = 'blueprint-mcp';
+
+/**
+ * Collect frames from the tab and its out-of-process iframe sessions
+ * @returns {Promise<Map>} frameId -> { frame, parentId, sessionId }
+ */
+async function collectFrames(debuggerConnection) {
+  const frames = new Map();
+  const sessions = [undefined, ...debuggerConnection.childSessions.values()];
+
+  for (const sessionId of sessions) {
+    let frameTree;
+    try {
+      ({ frameTree } = await debuggerConnection.sendCommand('Page.getFrameTree', {}, sessionId));
+    } catch {
+      continue; // Child target still loading or already gone
+    }
+
+    // A cross-origin iframe shows up in both trees - the child session owns its document
+    const visit = (node) => {
+      const known = frames.get(node.frame.id);
+      frames.set(node.frame.id, {
+        frame: node.frame,
+        parentId: node.frame.parentId || known?.parentId,
+        sessionId
+      });
+      node.childFrames?.forEach(visit);
+    };
+    visit(frameTree);
+  }
+
+  return frames;
+}
+
+/**
+ * Get the frame ID of the iframe element matching a CSS selector in the top document
+ */
+async function findFrameBySelector(debuggerConnection, selector) {
+  let evaluated;
+  try {
+    evaluated = await debuggerConnection.sendCommand('Runtime.evaluate', {
+      expression: `document.querySelector(${JSON.stringify(selector)})`
+    });
+  } catch {
+    return null;
+  }
+
+  const { objectId, subtype } = evaluated.result || {};
+  if (!objectId) {
+    return null;
+  }
+
+  try {
+    if (subtype !== 'node') {
+      return null; // Invalid selector (exception object) or not an element
+    }
+    const { node } = await debuggerConnection.sendCommand('DOM.describeNode', { objectId });
+    return node.frameId || null;
+  } finally {
+    await debuggerConnection.sendCommand('Runtime.releaseObject', { objectId }).catch(() => {});
+  }
+}
+
+/**
+ * Get a frame's content box position relative to the tab viewport
+ */
+async function getFrameOffset(debuggerConnection, frames, frameId) {
+  const entry = frames.get(frameId);
+  if (!entry?.parentId) {
+    return { x: 0, y: 0 };
+  }
+
+  // The iframe element lives in the parent frame's document
+  const parentSessionId = frames.get(entry.parentId)?.sessionId;
+  const { backendNodeId } = await debuggerConnection.sendCommand('DOM.getFrameOwner', { frameId }, parentSessionId);
+  const { model } = await debuggerConnection.sendCommand('DOM.getBoxModel', { backendNodeId }, parentSessionId);
+  const parentOffset = await getFrameOffset(debuggerConnection, frames, entry.parentId);
+
+  return { x: parentOffset.x + model.content[0], y: parentOffset.y + model.content[1] };
+}
+
+/**
+ * Resolve an iframe descriptor
+ * @param {DebuggerConnection} debuggerConnection - Attached connection for the tab
+ * @param {string} descriptor - Iframe CSS selector, frame name, or part of the frame URL
+ * @returns {Promise<object>} { frameId, sessionId, contextId, offset: {x, y}, url } or { error }
+ */
+export async function resolveFrame(debuggerConnection, descriptor) {
+  const frames = await collectFrames(debuggerConnection);
+  const childFrames = [...frames.entries()].filter(([, entry]) => entry.parentId);
+
+  let frameId = await findFrameBySelector(debuggerConnection, descriptor);
+  if (!frameId || !frames.has(frameId)) {
+    const match = childFrames.find(([, entry]) => entry.frame.name === descriptor) ||
+                  childFrames.find(([, entry]) => entry.frame.url.includes(descriptor));
+    frameId = match?.[0];
+  }
+
+  if (!frameId) {
+    const available = childFrames.map(([, entry]) => entry.frame.name ? `${entry.frame.name} (${entry.frame.url})` : entry.frame.url);
+    return {
+      error: available.length > 0 ? `Frames on this page: ${available.join(', ')}` : 'The page has no iframes'
+    };
+  }
+
+  const { sessionId, frame } = frames.get(frameId);
+  const { executionContextId } = await debuggerConnection.sendCommand('Page.createIsolatedWorld', {
+    frameId,
+    worldName: WORLD_NAME,
+    grantUniveralAccess: true
+  }, sessionId);
+
+  return {
+    frameId,
+    sessionId,
+    contextId: executionContextId,
+    offset: await getFrameOffset(debuggerConnection, frames, frameId),
+    url: frame.url
+  };
+}
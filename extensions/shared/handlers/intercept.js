@@ -0,0 +1,304 @@
+/**
+ * Request interception for browser extensions
+ *
+ * Rules match paused requests (Fetch.requestPaused) by URL pattern, method and resource type.
+ * The first matching rule decides what happens to the request:
+ * - block     fail it (errorReason, default BlockedByClient)
+ * - fulfill   answer with a canned status, headers and body without touching the network
+ * - modify    send it with changed request headers and/or body
+ * - continue  send it unchanged (with delay: a slow network for matching requests)
+ * - har       answer with responses recorded in a HAR file, matched by method and exact URL;
+ *             requests the recording doesn't have go to the network (notFound: 'continue')
+ *             or fail (notFound: 'block', fully offline)
+ * Any rule can hold the request for `delay` ms first, and match only a share of requests (`rate`,
+ * 0-1) to make an endpoint flaky. Requests no rule matches go through.
+ *
+ * Each owner (the single-session background or one multi-session Session) has its own rules,
+ * applied to whichever tab its debugger is attached to.
+ */
+
+export const RULE_BEHAVIORS = ['block', 'fulfill', 'modify', 'continue', 'har'];
+
+/**
+ * Compile a substring, glob or /regex/ pattern (same rules as the server's waits) into a matcher
+ * @throws {Error} For a /regex/ that doesn't compile
+ * @returns {function(string): boolean}
+ */
+export function compileUrlPattern(pattern) {
+  if (!pattern || pattern === '*') {
+    return () => true;
+  }
+  const regex = pattern.match(/^\/(.+)\/([dgimsuy]*)$/);
+  if (regex) {
+    let compiled;
+    try {
+      compiled = new RegExp(regex[1], regex[2]);
+    } catch (error) {
+      throw new Error(`Invalid URL pattern ${pattern}: ${error.message}`);
+    }
+    return url => compiled.test(url);
+  }
+  if (pattern.includes('*')) {
+    const glob = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const compiled = new RegExp(`^${glob}$`);
+    return url => compiled.test(url);
+  }
+  return url => url.includes(pattern);
+}
+
+/**
+ * Match a URL against a substring, glob or /regex/ pattern
+ */
+export function matchesUrlPattern(url, pattern) {
+  return compileUrlPattern(pattern)(url);
+}
+
+/**
+ * Base64-encode UTF-8 text (Fetch takes bodies as base64)
+ */
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Header object -> Fetch header entries
+ */
+function toHeaderEntries(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Rule as reported to the server: recorded HAR responses are summarized as a count
+ */
+function describeRule(rule) {
+  if (rule.behavior !== 'har') {
+    return rule;
+  }
+  const { responses, served, ...described } = rule;
+  return { ...described, responses: responses.length };
+}
+
+/**
+ * Network interceptor class
+ * Holds one owner's rules and answers that owner's paused requests
+ */
+export class NetworkInterceptor {
+  /**
+   * @param {object} debuggerConnection - DebuggerConnection of the owner
+   * @param {object} logger - Logger instance
+   */
+  constructor(debuggerConnection, logger) {
+    this.debugger = debuggerConnection;
+    this.logger = logger;
+    this.rules = [];
+    this.nextId = 1;
+    this.enabledTabId = null; // Tab with the Fetch domain enabled for these rules
+
+    debuggerConnection.onEvent((method, params) => {
+      if (method === 'Fetch.requestPaused') {
+        this._handlePaused(params);
+      }
+    });
+    // A newly attached tab starts without interception
+    debuggerConnection.onAttach(() => this._sync());
+  }
+
+  /**
+   * Add a rule and start intercepting
+   * @param {object} rule - { url, method, resourceType, behavior, delay, rate, status, headers, body, errorReason }
+   *   har rules also take responses ([{ method, url, status, statusText, headers, body, base64Encoded }],
+   *   headers as name/value entries)
+   *   and notFound ('continue' or 'block')
+   * @returns {Promise<object>} Stored rule with id and hits
+   */
+  async addRule(rule) {
+    if (!RULE_BEHAVIORS.includes(rule.behavior)) {
+      throw new Error(`Invalid behavior "${rule.behavior}". Use one of: ${RULE_BEHAVIORS.join(', ')}`);
+    }
+    if (rule.behavior === 'har' && !Array.isArray(rule.responses)) {
+      throw new Error('har rules need a responses list');
+    }
+    // A pattern that can't compile would fail every paused request
+    compileUrlPattern(rule.url);
+
+    const stored = { ...rule, url: rule.url || '*', id: `r${this.nextId++}`, hits: 0 };
+    if (stored.behavior === 'har') {
+      stored.served = {}; // Responses served per "METHOD url", so repeated requests replay in order
+    }
+    this.rules.push(stored);
+    await this.debugger.ensureAttached();
+    await this._sync();
+    return describeRule(stored);
+  }
+
+  /**
+   * Current rules, as reported to the server
+   */
+  getRules() {
+    return this.rules.map(describeRule);
+  }
+
+  /**
+   * Remove a rule by id
+   * @returns {Promise<boolean>} Whether the rule existed
+   */
+  async removeRule(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.rules.splice(index, 1);
+    await this._sync();
+    return true;
+  }
+
+  /**
+   * Remove all rules and stop intercepting
+   * @returns {Promise<number>} Number of rules removed
+   */
+  async clearRules() {
+    const count = this.rules.length;
+    this.rules = [];
+    await this._sync();
+    return count;
+  }
+
+  /**
+   * First rule matching a paused request
+   */
+  findRule(request, resourceType) {
+    return this.rules.find(rule =>
+      matchesUrlPattern(request.url, rule.url) &&
+      (!rule.method || rule.method.toUpperCase() === request.method) &&
+      (!rule.resourceType || rule.resourceType.toLowerCase() === (resourceType || '').toLowerCase()) &&
+      // A recording only handles what it has, unless it replaces the network entirely
+      (rule.behavior !== 'har' || rule.notFound === 'block' || this._findHarResponses(rule, request).length > 0) &&
+      (rule.rate === undefined || Math.random() < rule.rate)
+    ) || null;
+  }
+
+  /**
+   * Recorded responses for a request (same method and URL)
+   */
+  _findHarResponses(rule, request) {
+    return rule.responses.filter(response =>
+      response.method.toUpperCase() === request.method && response.url === request.url
+    );
+  }
+
+  /**
+   * Enable the Fetch domain while there are rules, disable it when there are none
+   * Must not call ensureAttached - it also runs from inside an attach
+   */
+  async _sync() {
+    if (!this.debugger.isAttached()) {
+      return;
+    }
+
+    const tabId = this.debugger.tabId;
+    if (this.rules.length > 0) {
+      await this.debugger.sendCommand('Fetch.enable', { patterns: [{ urlPattern: '*', requestStage: 'Request' }] });
+      this.enabledTabId = tabId;
+    } else if (this.enabledTabId === tabId) {
+      await this.debugger.sendCommand('Fetch.disable', {});
+      this.enabledTabId = null;
+    }
+  }
+
+  /**
+   * Apply the matching rule to a paused request
+   * Every paused request must be answered, or the page hangs waiting for it
+   */
+  async _handlePaused({ requestId, request, resourceType }) {
+    try {
+      const rule = this.findRule(request, resourceType);
+      if (!rule) {
+        await this.debugger.sendCommand('Fetch.continueRequest', { requestId });
+        return;
+      }
+
+      rule.hits++;
+      if (rule.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, rule.delay));
+      }
+
+      switch (rule.behavior) {
+        case 'block':
+          await this.debugger.sendCommand('Fetch.failRequest', {
+            requestId,
+            errorReason: rule.errorReason || 'BlockedByClient'
+          });
+          break;
+
+        case 'fulfill': {
+          const headers = { ...rule.headers };
+          const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+          if (rule.body !== undefined && !hasContentType) {
+            headers['Content-Type'] = /^\s*[[{]/.test(rule.body) ? 'application/json' : 'text/plain';
+          }
+          await this.debugger.sendCommand('Fetch.fulfillRequest', {
+            requestId,
+            responseCode: rule.status || 200,
+            responseHeaders: toHeaderEntries(headers),
+            body: encodeBase64(rule.body || '')
+          });
+          break;
+        }
+
+        case 'har': {
+          const responses = this._findHarResponses(rule, request);
+          if (responses.length === 0) {
+            await this.debugger.sendCommand('Fetch.failRequest', { requestId, errorReason: 'InternetDisconnected' });
+            break;
+          }
+          // Repeated requests get the recorded responses in order, then the last one again
+          const key = `${request.method} ${request.url}`;
+          const index = Math.min(rule.served[key] || 0, responses.length - 1);
+          rule.served[key] = index + 1;
+          const response = responses[index];
+          await this.debugger.sendCommand('Fetch.fulfillRequest', {
+            requestId,
+            responseCode: response.status,
+            ...(response.statusText && { responsePhrase: response.statusText }),
+            responseHeaders: response.headers || [],
+            body: response.base64Encoded ? response.body : encodeBase64(response.body || '')
+          });
+          break;
+        }
+
+        case 'modify': {
+          const params = { requestId };
+          if (rule.headers) {
+            // null removes a header; names compare case-insensitively
+            const headers = { ...request.headers };
+            for (const [name, value] of Object.entries(rule.headers)) {
+              for (const existing of Object.keys(headers)) {
+                if (existing.toLowerCase() === name.toLowerCase()) delete headers[existing];
+              }
+              if (value !== null) headers[name] = value;
+            }
+            params.headers = toHeaderEntries(headers);
+          }
+          if (rule.body !== undefined) {
+            params.postData = encodeBase64(rule.body);
+          }
+          await this.debugger.sendCommand('Fetch.continueRequest', params);
+          break;
+        }
+
+        default:
+          await this.debugger.sendCommand('Fetch.continueRequest', { requestId });
+      }
+    } catch (error) {
+      this.logger.log(`[Intercept] Failed to handle ${request.url}: ${error.message}`);
+      // Let the request through rather than leave it hanging; fails harmlessly if it was
+      // already answered or is gone (tab navigated or closed)
+      await this.debugger.sendCommand('Fetch.continueRequest', { requestId }).catch(() => {});
+    }
+  }
+}
@@ -65,11 +65,17 @@ export class NetworkTracker {
   }
 
   /**
-   * Clear all tracked requests
+   * Clear tracked requests
+   * @param {number} tabId - Optional tab ID to clear only that tab's requests
    */
-  clearRequests() {
-    this.requests = [];
-    this.logger.log('[NetworkTracker] Cleared all requests');
+  clearRequests(tabId = null) {
+    if (tabId === null) {
+      this.requests = [];
+      this.logger.log('[NetworkTracker] Cleared all requests');
+      return;
+    }
+    this.requests = this.requests.filter(r => r.tabId !== tabId);
+    this.logger.log(`[NetworkTracker] Cleared requests for tab ${tabId}`);
   }
 
   /**
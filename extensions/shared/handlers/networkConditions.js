@@ -0,0 +1,96 @@
+/**
+ * Network condition emulation for browser extensions
+ *
+ * Throttles the owner's tab (latency, download/upload throughput or offline) with
+ * Network.emulateNetworkConditions, and injects failures for URL patterns through the
+ * owner's interceptor as block rules that fire with a given rate.
+ *
+ * Emulation ends when the debugger leaves a tab, but a tab taken over from another owner
+ * keeps that owner's emulation - so every attach applies this owner's conditions, including
+ * no throttling.
+ */
+
+/**
+ * Network conditions class
+ * Holds one owner's throttling and failure rules
+ */
+export class NetworkConditions {
+  /**
+   * @param {object} debuggerConnection - DebuggerConnection of the owner
+   * @param {object} interceptor - NetworkInterceptor of the owner (for failure rules)
+   * @param {object} logger - Logger instance
+   */
+  constructor(debuggerConnection, interceptor, logger) {
+    this.debugger = debuggerConnection;
+    this.interceptor = interceptor;
+    this.logger = logger;
+    this.throttling = null; // { offline, latency, downloadThroughput, uploadThroughput }
+    this.failureRuleIds = [];
+
+    // Must not call ensureAttached from here
+    debuggerConnection.onAttach(() => this._apply());
+  }
+
+  /**
+   * Replace the current conditions
+   * @param {object} conditions - { throttling, failures: [{ url, rate, errorReason }] }
+   *   throttling null turns throttling off
+   * @returns {Promise<object>} Current state
+   */
+  async set({ throttling = null, failures = [] }) {
+    await this.debugger.ensureAttached();
+
+    this.throttling = throttling;
+    await this._apply();
+
+    for (const id of this.failureRuleIds) {
+      await this.interceptor.removeRule(id);
+    }
+    this.failureRuleIds = [];
+    for (const failure of failures) {
+      const rule = await this.interceptor.addRule({
+        url: failure.url,
+        behavior: 'block',
+        errorReason: failure.errorReason || 'Failed',
+        rate: failure.rate ?? 1
+      });
+      this.failureRuleIds.push(rule.id);
+    }
+
+    return this.getState();
+  }
+
+  /**
+   * Remove throttling and failure rules
+   */
+  async clear() {
+    return this.set({});
+  }
+
+  /**
+   * Current throttling and failure rules (rules the user removed by hand are left out)
+   */
+  getState() {
+    const failures = this.interceptor.getRules()
+      .filter(rule => this.failureRuleIds.includes(rule.id))
+      .map(({ id, url, rate, errorReason, hits }) => ({ id, url, rate, errorReason, hits }));
+    return { throttling: this.throttling, failures };
+  }
+
+  /**
+   * Apply throttling to the attached tab
+   */
+  async _apply() {
+    if (!this.debugger.isAttached()) {
+      return;
+    }
+
+    const throttling = this.throttling || {};
+    await this.debugger.sendCommand('Network.emulateNetworkConditions', {
+      offline: !!throttling.offline,
+      latency: throttling.latency || 0,
+      downloadThroughput: throttling.downloadThroughput ?? -1,
+      uploadThroughput: throttling.uploadThroughput ?? -1
+    });
+  }
+}
@@ -2,9 +2,15 @@
  * Session-aware Tab Handlers
  *
  * Provides the same interface as TabHandlers but operates on a per-session basis.
- * Each session gets its own attached tab, preventing conflicts between sessions.
+ * Each session owns a set of tabs (kept in a Chrome tab group named after the session)
+ * and attaches to one of them at a time. Owning a tab is a lock: tabs owned by another
+ * live session can't be attached or closed unless `force` is passed, which takes the
+ * tab over and notifies the previous owner's server.
  */
 
+// Tab group colors, picked by port so neighbouring sessions differ
+const GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
 /**
  * Session tab handlers class
  * Compatible with the original TabHandlers interface but session-scoped
@@ -23,6 +29,13 @@ export class SessionTabHandlers {
     this.tabStealthModes = {};
     this.techStackInfo = {};
 
+    // Tabs owned by this session (created, selected, or opened from an owned tab)
+    this.ownedTabs = new Set();
+    this.groupId = null; // Chrome tab group holding owned tabs
+
+    // Resolves the session owning a tab (set by MultiSessionManager)
+    this.ownerLookup = null;
+
     // Injection handlers
     this.consoleInjector = null;
     this.dialogInjector = null;
@@ -46,6 +59,35 @@ export class SessionTabHandlers {
     this.session.stealthMode = this.stealthMode;
   }
 
+  /**
+   * Export tab state (to hand it to a resumed session)
+   */
+  exportState() {
+    return {
+      ownedTabs: this.getOwnedTabIds(),
+      attachedTabId: this.attachedTabId,
+      attachedTabInfo: this.attachedTabInfo,
+      stealthMode: this.stealthMode,
+      tabStealthModes: { ...this.tabStealthModes },
+      techStackInfo: { ...this.techStackInfo },
+      groupId: this.groupId
+    };
+  }
+
+  /**
+   * Replace tab state (empty state resets the handlers)
+   */
+  importState(state = {}) {
+    this.ownedTabs = new Set(state.ownedTabs || []);
+    this.attachedTabId = state.attachedTabId ?? null;
+    this.attachedTabInfo = state.attachedTabInfo ?? null;
+    this.stealthMode = state.stealthMode ?? false;
+    this.tabStealthModes = { ...state.tabStealthModes };
+    this.techStackInfo = { ...state.techStackInfo };
+    this.groupId = state.groupId ?? null;
+    this.syncToSession();
+  }
+
   setConsoleInjector(injector) {
     this.consoleInjector = injector;
   }
@@ -54,6 +96,137 @@ export class SessionTabHandlers {
     this.dialogInjector = injector;
   }
 
+  setOwnerLookup(lookup) {
+    this.ownerLookup = lookup;
+  }
+
+  ownsTab(tabId) {
+    return this.ownedTabs.has(tabId);
+  }
+
+  getOwnedTabIds() {
+    return Array.from(this.ownedTabs);
+  }
+
+  /**
+   * Get the session owning a tab, if it's another session
+   */
+  _getOtherOwner(tabId) {
+    const owner = this.ownerLookup ? this.ownerLookup(tabId) : null;
+    return owner && owner !== this.session ? owner : null;
+  }
+
+  /**
+   * Check the tab lock before touching a tab
+   * Throws if another live session owns the tab (unless forced)
+   * @returns {Session|null} Previous owner to take the tab from
+   */
+  _checkTabLock(tabId, tabIndex, force) {
+    const owner = this._getOtherOwner(tabId);
+    if (owner && owner.status === 'connected' && !force) {
+      throw new Error(
+        `Tab ${tabIndex} belongs to session "${owner.getDisplayName()}" (port ${owner.port}). ` +
+        'Pass force: true to take it over.'
+      );
+    }
+    return owner;
+  }
+
+  /**
+   * Give up a tab another session took over
+   * Detaches from it and tells our MCP server the tab is gone
+   * @param {Session|null} newOwner - Session that has the tab now (null: not a session, e.g. the single-session tab)
+   */
+  async releaseTab(tabId, newOwner) {
+    if (!this.ownedTabs.has(tabId) && tabId !== this.attachedTabId) return;
+
+    this.ownedTabs.delete(tabId);
+    const wasAttached = tabId === this.attachedTabId;
+
+    if (wasAttached) {
+      this.attachedTabId = null;
+      this.attachedTabInfo = null;
+      this.syncToSession();
+    }
+
+    if (this.session.debugger.tabId === tabId) {
+      await this.session.debugger.detach();
+    }
+
+    this.logger.log(`[Session ${this.session.sessionId}] Tab ${tabId} taken over by ${newOwner ? `session ${newOwner.sessionId}` : 'another connection'}`);
+
+    if (this.session.wsConnection?.isConnected) {
+      this.session.wsConnection.sendNotification('notifications/tab_ownership_lost', {
+        tabId,
+        wasAttached,
+        takenBy: newOwner ? {
+          port: newOwner.port,
+          sessionId: newOwner.sessionId,
+          clientId: newOwner.clientId
+        } : {}
+      });
+    }
+  }
+
+  /**
+   * Give up the attached tab after another debugger connection took it over
+   */
+  async handleDebuggerTakenOver(tabId) {
+    if (tabId !== this.attachedTabId) return;
+    await this.releaseTab(tabId, this._getOtherOwner(tabId));
+  }
+
+  /**
+   * Take ownership of a tab and add it to the session's tab group
+   */
+  async claimTab(tabId) {
+    if (this.ownedTabs.has(tabId)) return;
+
+    this.ownedTabs.add(tabId);
+    this.logger.log(`[Session ${this.session.sessionId}] Owns tab ${tabId}`);
+    await this._addToGroup(tabId);
+  }
+
+  /**
+   * Add a tab to the session's tab group (Chrome only)
+   */
+  async _addToGroup(tabId) {
+    if (!this.browser.tabGroups || !this.browser.tabs.group) return;
+
+    if (this.groupId !== null) {
+      try {
+        await this.browser.tabs.group({ groupId: this.groupId, tabIds: [tabId] });
+        return;
+      } catch {
+        // Group was closed or lives in another window - start a new one
+      }
+    }
+
+    try {
+      this.groupId = await this.browser.tabs.group({ tabIds: [tabId] });
+      await this.updateGroup();
+    } catch (error) {
+      // Popup windows can't hold tab groups
+      this.logger.log(`[Session ${this.session.sessionId}] Could not group tab ${tabId}:`, error.message);
+    }
+  }
+
+  /**
+   * Name and color the tab group after the session
+   */
+  async updateGroup() {
+    if (this.groupId === null || !this.browser.tabGroups) return;
+
+    try {
+      await this.browser.tabGroups.update(this.groupId, {
+        title: this.session.getDisplayName(),
+        color: GROUP_COLORS[this.session.port % GROUP_COLORS.length]
+      });
+    } catch (error) {
+      this.logger.log(`[Session ${this.session.sessionId}] Could not update tab group:`, error.message);
+    }
+  }
+
   setTechStackInfo(tabId, techStack) {
     this.techStackInfo[tabId] = techStack;
     if (this.attachedTabId === tabId && this.attachedTabInfo) {
@@ -75,6 +248,7 @@ export class SessionTabHandlers {
 
   /**
    * Get all tabs (not session-specific)
+   * Marks tabs owned by this session and by other sessions
    */
   async getTabs() {
     const windows = await this.browser.windows.getAll({ populate: true });
@@ -97,7 +271,9 @@ export class SessionTabHandlers {
           index: tabIndex,
           automatable: isAutomatable,
           // Add session indicator if this tab is attached to THIS session
-          attachedToSession: tab.id === this.attachedTabId ? this.session.sessionId : null
+          attachedToSession: tab.id === this.attachedTabId ? this.session.sessionId : null,
+          ownedBySession: this.ownedTabs.has(tab.id),
+          otherSession: this._getOtherOwner(tab.id)?.getDisplayName() || null
         });
 
         tabIndex++;
@@ -125,6 +301,7 @@ export class SessionTabHandlers {
     this.stealthMode = stealth;
     this.tabStealthModes[tab.id] = stealth;
     this.attachedTabId = tab.id;
+    await this.claimTab(tab.id);
 
     // Get tab index
     const allTabs = await this.browser.tabs.query({});
@@ -159,6 +336,10 @@ export class SessionTabHandlers {
         tabId: tab.id,
         color: '#4CAF50' // Green for connected
       });
+      await this.browser.action.setTitle({
+        tabId: tab.id,
+        title: this.session.getBadgeTitle() // Session name on hover
+      });
     }
 
     // Inject handlers
@@ -189,6 +370,7 @@ export class SessionTabHandlers {
     const tabIndex = params.tabIndex;
     const activate = params.activate ?? false;
     const stealth = params.stealth ?? false;
+    const force = params.force ?? false;
 
     const allTabs = await this.browser.tabs.query({});
 
@@ -210,6 +392,11 @@ export class SessionTabHandlers {
       );
     }
 
+    const previousOwner = this._checkTabLock(selectedTab.id, tabIndex, force);
+    if (previousOwner) {
+      await previousOwner.tabHandlers.releaseTab(selectedTab.id, this.session);
+    }
+
     // Optional: activate tab
     if (activate) {
       await this.browser.tabs.update(selectedTab.id, { active: true });
@@ -220,6 +407,7 @@ export class SessionTabHandlers {
     this.stealthMode = stealth;
     this.tabStealthModes[selectedTab.id] = stealth;
     this.attachedTabId = selectedTab.id;
+    await this.claimTab(selectedTab.id);
     this.attachedTabInfo = {
       id: selectedTab.id,
       title: selectedTab.title,
@@ -243,6 +431,10 @@ export class SessionTabHandlers {
         tabId: selectedTab.id,
         color: '#4CAF50'
       });
+      await this.browser.action.setTitle({
+        tabId: selectedTab.id,
+        title: this.session.getBadgeTitle()
+      });
     }
 
     // Inject handlers
@@ -268,8 +460,10 @@ export class SessionTabHandlers {
 
   /**
    * Close a tab
+   * @param {number} index - Tab index (default: attached tab)
+   * @param {boolean} force - Close even if another live session owns the tab
    */
-  async closeTab(index) {
+  async closeTab(index, force = false) {
     let tabIdToClose;
     let wasAttached = false;
 
@@ -287,6 +481,10 @@ export class SessionTabHandlers {
       }
 
       tabIdToClose = allTabs[index].id;
+      const previousOwner = this._checkTabLock(tabIdToClose, index, force);
+      if (previousOwner) {
+        await previousOwner.tabHandlers.releaseTab(tabIdToClose, this.session);
+      }
       wasAttached = (tabIdToClose === this.attachedTabId);
     } else {
       if (!this.attachedTabId) {
@@ -309,6 +507,7 @@ export class SessionTabHandlers {
     }
 
     delete this.tabStealthModes[tabIdToClose];
+    this.ownedTabs.delete(tabIdToClose);
 
     this.logger.log(`[Session ${this.session.sessionId}] Closed tab ${tabIdToClose}`);
 
@@ -332,6 +531,24 @@ export class SessionTabHandlers {
 
     delete this.techStackInfo[tabId];
     delete this.tabStealthModes[tabId];
+    this.ownedTabs.delete(tabId);
+  }
+
+  /**
+   * Close every tab owned by this session
+   * @returns {number} Number of tabs closed
+   */
+  async closeOwnedTabs() {
+    const tabIds = this.getOwnedTabIds();
+    if (tabIds.length === 0) return 0;
+
+    await this.browser.tabs.remove(tabIds);
+    for (const tabId of tabIds) {
+      await this.handleTabClosed(tabId);
+    }
+
+    this.logger.log(`[Session ${this.session.sessionId}] Closed ${tabIds.length} owned tab(s)`);
+    return tabIds.length;
   }
 
   /**
@@ -0,0 +1,51 @@
+/**
+ * Tab lifecycle policies for multi-session mode
+ *
+ * Decide what happens to session tabs nobody is using:
+ * - disconnected: tabs left behind when a session's MCP server went away
+ * - idle: tabs of a connected session that sent no commands for a while
+ *
+ * Actions: 'keep' (leave tab alone), 'close' (remove tab), 'discard' (unload tab to free memory)
+ */
+
+export const TAB_POLICY_ACTIONS = ['keep', 'close', 'discard'];
+
+export const DEFAULT_TAB_POLICIES = {
+  disconnected: { action: 'keep', minutes: 30 },
+  idle: { action: 'keep', minutes: 60 }
+};
+
+/**
+ * Fill in defaults and drop invalid values
+ * @param {object} policies - { disconnected: {action, minutes}, idle: {action, minutes} }
+ */
+export function normalizeTabPolicies(policies = {}) {
+  const normalized = {};
+  for (const [kind, defaults] of Object.entries(DEFAULT_TAB_POLICIES)) {
+    const policy = policies[kind] || {};
+    const minutes = Number(policy.minutes);
+    normalized[kind] = {
+      action: TAB_POLICY_ACTIONS.includes(policy.action) ? policy.action : defaults.action,
+      minutes: Number.isFinite(minutes) && minutes >= 0 ? minutes : defaults.minutes
+    };
+  }
+  return normalized;
+}
+
+/**
+ * Read policies from extension storage values
+ * Keys: disconnectedTabPolicy, disconnectedTabMinutes, idleTabPolicy, idleTabMinutes
+ */
+export function tabPoliciesFromStorage(storage = {}) {
+  return normalizeTabPolicies({
+    disconnected: { action: storage.disconnectedTabPolicy, minutes: storage.disconnectedTabMinutes },
+    idle: { action: storage.idleTabPolicy, minutes: storage.idleTabMinutes }
+  });
+}
+
+export const TAB_POLICY_STORAGE_KEYS = [
+  'disconnectedTabPolicy',
+  'disconnectedTabMinutes',
+  'idleTabPolicy',
+  'idleTabMinutes'
+];
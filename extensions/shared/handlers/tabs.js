@@ -414,4 +414,23 @@ export class TabHandlers {
       await this.browser.storage.session.remove(`stealth_${tabId}`);
     }
   }
+
+  /**
+   * Drop the attached tab after another debugger connection (a multi-session session) took it over
+   * @returns {boolean} Whether it was the attached tab
+   */
+  handleDebuggerTakenOver(tabId) {
+    if (tabId !== this.attachedTabId) {
+      return false;
+    }
+
+    this.logger.log(`[TabHandlers] Attached tab ${tabId} taken over by another connection`);
+    this.attachedTabId = null;
+    this.attachedTabInfo = null;
+
+    if (this.iconManager) {
+      this.iconManager.setAttachedTab(null);
+    }
+    return true;
+  }
 }
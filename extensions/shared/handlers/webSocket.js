@@ -0,0 +1,111 @@
+/**
+ * Sending WebSocket frames through the debugger
+ *
+ * CDP can observe WebSocket traffic but has no command to send on a page's socket.
+ * Runtime.queryObjects finds the page's live WebSocket instances (no page hooks needed,
+ * so sockets opened before the debugger attached work too), and the frame is sent with
+ * the socket's own send().
+ *
+ * To tell apart sockets to the same URL, each socket is tagged with its CDP requestId
+ * when Network.webSocketCreated reports it (the new socket is the only untagged one to
+ * that URL still connecting). Sockets opened before the debugger attached are untagged
+ * and matched by URL.
+ */
+
+const OBJECT_GROUP = 'mcp-websocket-send';
+
+// Non-enumerable property holding the requestId of a page socket
+const TAG = '__mcpRequestId';
+
+/**
+ * Call a function on the array of the page's WebSocket instances
+ * @returns {Promise<*>} The function's return value
+ */
+async function callOnSockets(debuggerConnection, functionDeclaration, args) {
+  try {
+    const prototype = await debuggerConnection.sendCommand('Runtime.evaluate', {
+      expression: 'WebSocket.prototype',
+      objectGroup: OBJECT_GROUP
+    });
+    const { objects } = await debuggerConnection.sendCommand('Runtime.queryObjects', {
+      prototypeObjectId: prototype.result.objectId,
+      objectGroup: OBJECT_GROUP
+    });
+
+    const { result } = await debuggerConnection.sendCommand('Runtime.callFunctionOn', {
+      objectId: objects.objectId,
+      functionDeclaration,
+      arguments: args.map(value => ({ value })),
+      returnByValue: true
+    });
+    return result.value;
+  } finally {
+    await debuggerConnection.sendCommand('Runtime.releaseObjectGroup', { objectGroup: OBJECT_GROUP }).catch(() => {});
+  }
+}
+
+/**
+ * Tag page sockets with their requestId as the debugger reports them
+ * @param {object} debuggerConnection - DebuggerConnection of the owner
+ * @param {object} logger - Logger instance
+ */
+export function tagWebSockets(debuggerConnection, logger) {
+  debuggerConnection.onEvent((method, params) => {
+    if (method !== 'Network.webSocketCreated') {
+      return;
+    }
+    tagWebSocket(debuggerConnection, params.requestId, params.url).catch(error => {
+      logger.log(`[WebSocket] Failed to tag ${params.url}: ${error.message}`);
+    });
+  });
+}
+
+/**
+ * Tag the socket that was just created for a URL with its requestId
+ * @returns {Promise<boolean>} Whether exactly one socket could be tagged
+ */
+export async function tagWebSocket(debuggerConnection, requestId, url) {
+  return await callOnSockets(debuggerConnection, `function(tag, requestId, url) {
+    const created = this.filter(socket =>
+      socket.url === url && socket.readyState === WebSocket.CONNECTING && !Object.prototype.hasOwnProperty.call(socket, tag));
+    if (created.length !== 1) return false;
+    Object.defineProperty(created[0], tag, { value: requestId });
+    return true;
+  }`, [TAG, requestId, url]);
+}
+
+/**
+ * Send a text frame on an open WebSocket of the page
+ * @param {object} debuggerConnection - DebuggerConnection for the tab
+ * @param {object} target - { requestId, url } of the socket (as captured); both may be omitted
+ *   when only one socket is open. Sockets tagged with another requestId never match.
+ * @param {string} data - Frame payload
+ * @returns {Promise<{url: string}>} URL of the socket the frame was sent on
+ */
+export async function sendWebSocketFrame(debuggerConnection, { requestId, url } = {}, data) {
+  await debuggerConnection.ensureAttached();
+
+  const sent = await callOnSockets(debuggerConnection, `function(tag, requestId, url, data) {
+    const open = this.filter(socket => socket.readyState === WebSocket.OPEN);
+    // Untagged sockets (opened before the debugger attached) can only be told apart by URL
+    const matching = requestId && this.some(socket => socket[tag] === requestId)
+      ? open.filter(socket => socket[tag] === requestId)
+      : open.filter(socket => (!url || socket.url === url) && !(requestId && socket[tag]));
+    if (matching.length !== 1) {
+      return { error: matching.length === 0 ? 'no-match' : 'ambiguous', open: open.map(socket => socket.url) };
+    }
+    matching[0].send(data);
+    return { url: matching[0].url };
+  }`, [TAG, requestId || null, url || null, data]);
+
+  if (sent.error === 'no-match') {
+    const open = sent.open.length > 0 ? sent.open.join(', ') : 'none';
+    throw new Error(`No open WebSocket${url ? ` for ${url}` : ''} in the page (open: ${open})`);
+  }
+  if (sent.error === 'ambiguous') {
+    throw new Error(url
+      ? `Several WebSockets to ${url} are open - can't tell which one to send on`
+      : `Several WebSockets are open (${sent.open.join(', ')}) - pass the url of the one to send on`);
+  }
+  return { url: sent.url };
+}
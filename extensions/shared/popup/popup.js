@@ -59,12 +59,29 @@ let state = {
   port: '5555',
   connectionStatus: null,
   projectName: null,
+  sessions: null, // Multi-session mode: [{port, sessionId, clientId, status, attachedTabId}]
+  orphanedTabs: 0, // Multi-session mode: tabs left behind by disconnected sessions
+  tabPolicies: {
+    disconnectedTabPolicy: 'keep',
+    disconnectedTabMinutes: 30,
+    idleTabPolicy: 'keep',
+    idleTabMinutes: 60
+  },
   debugMode: false,
   version: '1.0.0',
   tokenInfo: null, // Token expiration info for debug display
   tokenRefreshInterval: null, // Interval for live token checking
 };
 
+// Utility: Escape text for HTML templates (session names come from MCP clients)
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Utility: Decode JWT (without validation - only for display)
 function decodeJWT(token) {
   try {
@@ -210,13 +227,25 @@ async function updateStatus() {
   // Get connection status from background
   const response = await browserAPI.runtime.sendMessage({ type: 'getConnectionStatus' });
 
-  const connectedTabId = response?.connectedTabId;
-  const isCurrentTabConnected = currentTab?.id === connectedTabId;
-
   state.anyConnected = response?.connected === true;
-  state.currentTabConnected = isCurrentTabConnected;
-  state.stealthMode = isCurrentTabConnected ? (response?.stealthMode ?? null) : null;
-  state.projectName = response?.projectName || null;
+
+  if (response?.multiSession) {
+    // Current tab belongs to whichever session has it attached
+    const owner = response.sessions.find(session => session.attachedTabId === currentTab?.id);
+    state.sessions = response.sessions;
+    state.orphanedTabs = response.orphanedTabs || 0;
+    state.currentTabConnected = !!owner;
+    state.stealthMode = owner ? (owner.stealthMode ?? null) : null;
+    state.projectName = owner ? (owner.clientId || owner.sessionId) : null;
+  } else {
+    const connectedTabId = response?.connectedTabId;
+    const isCurrentTabConnected = currentTab?.id === connectedTabId;
+
+    state.sessions = null;
+    state.currentTabConnected = isCurrentTabConnected;
+    state.stealthMode = isCurrentTabConnected ? (response?.stealthMode ?? null) : null;
+    state.projectName = response?.projectName || null;
+  }
 
   // Set connecting state: enabled but not connected
   const storage = await browserAPI.storage.local.get(['extensionEnabled']);
@@ -234,7 +263,11 @@ async function loadState() {
     'browserName',
     'mcpPort',
     'connectionStatus',
-    'debugMode'
+    'debugMode',
+    'disconnectedTabPolicy',
+    'disconnectedTabMinutes',
+    'idleTabPolicy',
+    'idleTabMinutes'
   ]);
 
   state.enabled = storage.extensionEnabled !== false;
@@ -243,6 +276,11 @@ async function loadState() {
   state.port = storage.mcpPort || '5555';
   state.connectionStatus = storage.connectionStatus || null;
   state.debugMode = storage.debugMode || false;
+  for (const key of Object.keys(state.tabPolicies)) {
+    if (storage[key] !== undefined) {
+      state.tabPolicies[key] = storage[key];
+    }
+  }
 
   // Load email from JWT token
   const userInfo = await getUserInfoFromStorage();
@@ -269,8 +307,8 @@ async function saveSettings() {
   // Stop token checker when leaving settings
   stopTokenExpirationChecker();
 
-  // Always save debug mode
-  await browserAPI.storage.local.set({ debugMode: state.debugMode });
+  // Always save debug mode and session tab policies
+  await browserAPI.storage.local.set({ debugMode: state.debugMode, ...state.tabPolicies });
 
   if (state.isPro) {
     // Save browser name for PRO users
@@ -291,10 +329,15 @@ async function cancelSettings() {
   stopTokenExpirationChecker();
 
   // Reload original values
-  const storage = await browserAPI.storage.local.get(['browserName', 'mcpPort', 'debugMode']);
+  const storage = await browserAPI.storage.local.get(['browserName', 'mcpPort', 'debugMode', ...Object.keys(state.tabPolicies)]);
   state.browserName = storage.browserName || getDefaultBrowserName();
   state.port = storage.mcpPort || '5555';
   state.debugMode = storage.debugMode || false;
+  for (const key of Object.keys(state.tabPolicies)) {
+    if (storage[key] !== undefined) {
+      state.tabPolicies[key] = storage[key];
+    }
+  }
   state.showSettings = false;
   render();
 }
@@ -338,6 +381,26 @@ function render() {
   }
 }
 
+// Render one tab policy row (action + minutes)
+function renderTabPolicy(label, actionKey, minutesKey) {
+  const action = state.tabPolicies[actionKey];
+  return `
+    <label class="settings-label">
+      ${label}:
+      <div style="display: flex; gap: 6px; align-items: center">
+        <select class="settings-input" data-policy="${actionKey}">
+          ${['keep', 'close', 'discard'].map(option => `
+            <option value="${option}" ${option === action ? 'selected' : ''}>${option[0].toUpperCase() + option.slice(1)}</option>
+          `).join('')}
+        </select>
+        <span>after</span>
+        <input type="number" class="settings-input" data-policy="${minutesKey}" value="${state.tabPolicies[minutesKey]}" min="0" style="width: 70px" />
+        <span>min</span>
+      </div>
+    </label>
+  `;
+}
+
 // Render settings view
 function renderSettings() {
   return `
@@ -378,6 +441,16 @@ function renderSettings() {
             </p>
           `}
 
+          ${state.sessions ? `
+            <div style="margin-top: 20px; padding-top: 16px; border-top: 1px solid #e0e0e0">
+              ${renderTabPolicy('Disconnected session tabs', 'disconnectedTabPolicy', 'disconnectedTabMinutes')}
+              ${renderTabPolicy('Idle session tabs', 'idleTabPolicy', 'idleTabMinutes')}
+              <p class="settings-help">
+                What to do with tabs of sessions whose terminal went away, or that sent no commands for a while.
+              </p>
+            </div>
+          ` : ''}
+
           <div style="margin-top: 20px; padding-top: 16px; border-top: 1px solid #e0e0e0">
             <label class="settings-label" style="display: flex; align-items: center; cursor: pointer; user-select: none">
               <input
@@ -471,7 +544,32 @@ function renderMain() {
           <div class="status-row">
             <span class="status-label"></span>
             <span class="status-text" style="font-size: 0.9em; color: #666">
-              ${state.projectName}
+              ${escapeHtml(state.projectName)}
+            </span>
+          </div>
+        ` : ''}
+
+        ${state.sessions && state.sessions.length > 0 ? `
+          <div class="status-row">
+            <span class="status-label">Sessions:</span>
+            <span class="status-text">${state.sessions.length}</span>
+          </div>
+          ${state.sessions.map(session => `
+            <div class="status-row">
+              <span class="status-label"></span>
+              <span class="status-text" style="font-size: 0.9em; color: #666">
+                ${session.status === 'connected' ? '🟢' : '🔴'} ${escapeHtml(session.clientId || session.sessionId)} (port ${session.port})
+              </span>
+            </div>
+          `).join('')}
+        ` : ''}
+
+        ${state.orphanedTabs > 0 ? `
+          <div class="status-row">
+            <span class="status-label">Orphaned tabs:</span>
+            <span class="status-text">
+              ${state.orphanedTabs}
+              <button class="signin-link" id="cleanupTabsButton">🧹 Close now</button>
             </span>
           </div>
         ` : ''}
@@ -582,6 +680,13 @@ function attachEventListeners() {
     if (saveButton) saveButton.addEventListener('click', saveSettings);
     if (cancelButton) cancelButton.addEventListener('click', cancelSettings);
 
+    document.querySelectorAll('[data-policy]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const key = e.target.dataset.policy;
+        state.tabPolicies[key] = e.target.type === 'number' ? Number(e.target.value) : e.target.value;
+      });
+    });
+
     // Restart token checker if already showing token info (e.g., after storage change or render)
     if (state.debugMode && state.isPro && state.tokenInfo) {
       startTokenExpirationChecker();
@@ -662,6 +767,14 @@ function attachEventListeners() {
     }
     if (signInButton) signInButton.addEventListener('click', handleSignIn);
     if (logoutButton) logoutButton.addEventListener('click', handleLogout);
+
+    const cleanupTabsButton = document.getElementById('cleanupTabsButton');
+    if (cleanupTabsButton) {
+      cleanupTabsButton.addEventListener('click', async () => {
+        await browserAPI.runtime.sendMessage({ type: 'collectSessionGarbage' });
+        await updateStatus();
+      });
+    }
   }
 }
 
@@ -0,0 +1,19 @@
+/**
+ * Element lookup through open shadow roots
+ * Selectors the server sends (including its data-blueprint-ref marks) may target
+ * elements inside shadow roots (must match deepQuerySelectorAll in server/src/locators.js)
+ */
+
+/**
+ * querySelector that also searches open shadow roots
+ * Runs in the page: embedded into Runtime.evaluate via toString(), so it must stay self-contained
+ */
+export function deepQuerySelector(root, selector) {
+  const found = root.querySelector(selector);
+  if (found) return found;
+  for (const el of root.querySelectorAll('*')) {
+    const inner = el.shadowRoot && deepQuerySelector(el.shadowRoot, selector);
+    if (inner) return inner;
+  }
+  return null;
+}
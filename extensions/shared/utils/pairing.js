@@ -0,0 +1,54 @@
+/**
+ * Pairing handshake helpers
+ * HMAC-SHA256 challenge-response proving both sides know the same pairing secret
+ * (must match signPairingProof in server/src/extensionServer.js)
+ */
+
+/**
+ * Convert bytes to hex string
+ */
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Generate a random handshake nonce
+ */
+export function createNonce() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return toHex(bytes);
+}
+
+/**
+ * Sign a pairing handshake proof
+ * role is 'server' or 'extension'; nonces are ordered as (peer's nonce, own nonce)
+ */
+export async function signPairingProof(secret, role, firstNonce, secondNonce) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${role}:${firstNonce}:${secondNonce}`));
+  return toHex(signature);
+}
+
+/**
+ * Compare two hex proofs without early exit
+ */
+export function proofsEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
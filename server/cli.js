@@ -27,6 +27,7 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const { ListToolsRequestSchema, CallToolRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
 const { Command } = require('commander');
 const { StatefulBackend } = require('./src/statefulBackend');
+const { loadPairingSecret } = require('./src/extensionServer');
 const { spawn } = require('child_process');
 const { PassThrough } = require('stream');
 const { getLogger } = require('./src/fileLogger');
@@ -34,11 +35,34 @@ const { getLogger } = require('./src/fileLogger');
 const packageJSON = require('./package.json');
 const { startScriptMode } = require('./src/scriptMode');
 
+// Pairing secret: --pairing-secret, MCP_PAIRING_SECRET, else this user's generated secret (unless --no-pairing)
+function resolvePairingSecret(options) {
+  const secret = options.pairingSecret || process.env.MCP_PAIRING_SECRET;
+  if (secret) {
+    return secret;
+  }
+  if (options.pairing === false || process.env.MCP_NO_PAIRING === '1') {
+    console.error('[Multi-Browser MCP] Pairing is off - any browser extension can connect');
+    return null;
+  }
+
+  const stored = loadPairingSecret();
+  if (stored.created) {
+    console.error(`[Multi-Browser MCP] Generated a pairing secret in ${stored.file}. Pair the extension once by running chrome.storage.local.set({ pairingSecret: '${stored.secret}' }) in its service worker console`);
+  }
+  return stored.secret;
+}
+
 // Simple config resolver
 function resolveConfig(options) {
   return {
     debug: options.debug === true,
     port: options.port || 5555,
+    pairingSecret: resolvePairingSecret(options),
+    allowTakeover: options.allowTakeover === true || process.env.MCP_ALLOW_TAKEOVER === '1',
+    allowedOrigins: options.allowedOrigins
+      ? options.allowedOrigins.split(',').map(origin => origin.trim()).filter(Boolean)
+      : null,
     server: {
       name: 'Blueprint MCP for Browser',
       version: packageJSON.version
@@ -231,6 +255,10 @@ program
   .option('--debug', 'Enable debug mode (shows reload/extension tools and verbose logging)')
   .option('--log-file <path>', 'Custom log file path (default: logs/mcp-debug.log)')
   .option('--port <number>', 'WebSocket server port (default: 5555)', parseInt)
+  .option('--pairing-secret <secret>', 'Secret the extension must prove on connect (or set MCP_PAIRING_SECRET; default: generated once per user)')
+  .option('--no-pairing', 'Insecure: let any browser extension connect without proving the pairing secret (or set MCP_NO_PAIRING=1)')
+  .option('--allow-takeover', 'Insecure: let any client replace the connected extension without a pairing secret or reconnect token (or set MCP_ALLOW_TAKEOVER=1)')
+  .option('--allowed-origins <origins>', 'Comma-separated extension origins allowed to connect (default: any browser extension)')
   .option('--child', 'Internal flag: indicates this is a child process spawned by wrapper')
   .option('--script-mode', 'Enable scripting mode (JSON-RPC over stdio for automation scripts)')
   .action(async (options) => {
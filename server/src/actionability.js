@@ -0,0 +1,151 @@
+/**
+ * Actionability checks
+ *
+ * Before click, hover, type, select_option and touch actions act on an element, the server polls it until:
+ * - visible         non-empty box, not display:none / visibility:hidden / opacity:0 (own or an ancestor's)
+ * - stable          same box on two consecutive polls (not animating) - compared by the server
+ * - enabled         not disabled (directly or by a disabled fieldset) and not aria-disabled
+ * - editable        not readonly (for typing)
+ * - receivesEvents  the element (or a descendant) is what sits under its center point
+ */
+
+const ACTION_CHECKS = {
+  click: ['visible', 'stable', 'enabled', 'receivesEvents'],
+  hover: ['visible', 'stable', 'receivesEvents'],
+  type: ['visible', 'enabled', 'editable'],
+  select_option: ['visible', 'enabled'],
+  tap: ['visible', 'stable', 'receivesEvents'],
+  long_press: ['visible', 'stable', 'receivesEvents'],
+  swipe: ['visible', 'stable'],
+  pinch: ['visible', 'stable']
+};
+
+const DEFAULT_ACTION_TIMEOUT = 5000;
+const POLL_INTERVAL = 50;
+
+/**
+ * Check one candidate set of elements
+ * Runs in the page: embedded into Runtime.evaluate via toString(), so it must stay self-contained
+ * @param {Element[]} elements - Matches for the selector; the first visible one is checked
+ * @param {string[]} checks - Checks to run (stable is handled by the caller)
+ * @param {string} mark - data-blueprint-ref value to put on the element once it is ready
+ * @returns {object} { state, reason?, coveredBy?, x, y, rect, total, visibleCount }
+ */
+function checkActionability(elements, checks, mark) {
+  const hiddenReason = (el) => {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    if (style.display === 'none') return 'display: none';
+    if (style.visibility === 'hidden') return 'visibility: hidden';
+    if (style.opacity === '0') return 'opacity: 0';
+    if (rect.width === 0 || rect.height === 0) return 'zero size';
+    // Opacity is not inherited - a transparent ancestor (also across shadow hosts) hides it too
+    for (let node = el.parentElement || el.getRootNode().host; node; node = node.parentElement || node.getRootNode().host) {
+      if (window.getComputedStyle(node).opacity === '0') return 'opacity: 0 on an ancestor';
+    }
+    return null;
+  };
+
+  const describe = (el) => {
+    const tag = el.tagName.toLowerCase();
+    let selector = tag;
+    if (el.id) {
+      selector = `#${CSS.escape(el.id)}`;
+    } else if (el.getAttribute('data-testid')) {
+      selector = `[data-testid="${el.getAttribute('data-testid')}"]`;
+    } else if (typeof el.className === 'string' && el.className.trim()) {
+      selector += '.' + el.className.trim().split(/\s+/).slice(0, 2).map(c => CSS.escape(c)).join('.');
+    }
+    const text = (el.textContent || '').trim().replace(/\s+/g, ' ').substring(0, 40);
+    return { selector, tag, text };
+  };
+
+  const visible = elements.filter(el => !hiddenReason(el));
+  const el = visible[0] || elements[0];
+  const counts = { total: elements.length, visibleCount: visible.length };
+  if (!el) {
+    return { state: 'missing', ...counts };
+  }
+
+  if (checks.includes('visible') && hiddenReason(el)) {
+    return { state: 'hidden', reason: hiddenReason(el), ...counts };
+  }
+
+  if (checks.includes('enabled')) {
+    if (el.matches(':disabled') || el.closest('[aria-disabled="true"]')) {
+      return { state: 'disabled', ...counts };
+    }
+  }
+
+  if (checks.includes('editable') && (el.readOnly || el.getAttribute('aria-readonly') === 'true')) {
+    return { state: 'readonly', ...counts };
+  }
+
+  // Bring the element into view before hit testing
+  let rect = el.getBoundingClientRect();
+  if (rect.bottom < 0 || rect.right < 0 || rect.top > window.innerHeight || rect.left > window.innerWidth) {
+    el.scrollIntoView({ block: 'center', inline: 'center' });
+    rect = el.getBoundingClientRect();
+  }
+  const x = rect.left + rect.width / 2;
+  const y = rect.top + rect.height / 2;
+  const box = { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+
+  if (checks.includes('receivesEvents')) {
+    let hit = document.elementFromPoint(x, y);
+    while (hit?.shadowRoot) {
+      const inner = hit.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === hit) break;
+      hit = inner;
+    }
+
+    // The element itself or anything inside it (including its shadow tree) counts
+    let owned = false;
+    for (let node = hit; node; node = node.parentNode || node.host) {
+      if (node === el) {
+        owned = true;
+        break;
+      }
+    }
+    if (hit && !owned) {
+      return { state: 'covered', coveredBy: describe(hit), x, y, rect: box, ...counts };
+    }
+  }
+
+  document.querySelectorAll(`[data-blueprint-ref="${mark}"]`).forEach(other => {
+    if (other !== el) other.removeAttribute('data-blueprint-ref');
+  });
+  el.setAttribute('data-blueprint-ref', mark);
+
+  return { state: 'ready', x, y, rect: box, ...counts };
+}
+
+/**
+ * Explain why an element never became actionable
+ */
+function formatActionabilityError(selector, check, timeout) {
+  const reasons = {
+    hidden: `Element is not visible (${check.reason})`,
+    disabled: 'Element is disabled',
+    readonly: 'Element is read-only',
+    unstable: 'Element is still moving (animation or layout shift)',
+    covered: check.coveredBy && `Element is covered by <${check.coveredBy.tag}> ` +
+      `(selector: ${check.coveredBy.selector})${check.coveredBy.text ? ` "${check.coveredBy.text}"` : ''}`
+  };
+
+  let message = `Element not actionable after ${timeout}ms: ${selector}\n\n${reasons[check.state] || check.state}`;
+  if (check.state === 'covered') {
+    message += `\n\n💡 Close or wait out the covering element, or pass force: true to act anyway`;
+  } else {
+    message += `\n\n💡 Raise timeout if the page is still loading, or pass force: true to act anyway`;
+  }
+  return message;
+}
+
+module.exports = {
+  ACTION_CHECKS,
+  DEFAULT_ACTION_TIMEOUT,
+  POLL_INTERVAL,
+  checkActionability,
+  formatActionabilityError
+};
@@ -6,11 +6,26 @@
  *
  * Multi-session support: Each MCP server instance gets a unique session ID
  * and auto-selects an available port from the range 5555-5654.
+ *
+ * Pairing: With a pairing secret (by default the per-user secret from
+ * loadPairingSecret()), the handshake becomes a mutual HMAC challenge-response. The extension sends a nonce in `handshake`, the server
+ * answers with its own nonce and a proof in `session_info`, and the extension
+ * replies with `handshake_proof`. Connections that fail (or skip) this are
+ * rejected and never replace the current extension connection. Without pairing,
+ * only browser extensions (by Origin) may connect.
+ *
+ * Discovery: Each server registers in a shared SessionRegistry directory and
+ * pushes `servers_changed` to its extension whenever servers come or go, so the
+ * extension connects to new sessions without port scanning.
  */
 
+const fs = require('fs');
 const http = require('http');
+const path = require('path');
+const envPaths = require('env-paths');
 const { WebSocketServer } = require('ws');
 const { getLogger } = require('./fileLogger');
+const { SessionRegistry } = require('./sessionRegistry');
 const crypto = require('crypto');
 const net = require('net');
 
@@ -48,6 +63,77 @@ async function findAvailablePort(startPort = 5555, endPort = 5654, host = '127.0
   throw new Error(`No available ports in range ${startPort}-${endPort}`);
 }
 
+// Close code and timeout for rejected/unfinished pairing handshakes
+const HANDSHAKE_REJECTED_CODE = 4401;
+const HANDSHAKE_TIMEOUT = 10000;
+
+// Origins allowed to open the extension WebSocket (browser extensions only, never web pages)
+const EXTENSION_ORIGIN_PREFIXES = ['chrome-extension://', 'moz-extension://', 'safari-web-extension://'];
+
+// Pairing secret shared by all servers of this user (e.g. ~/.config/blueprint-mcp/pairing-secret on Linux)
+const DEFAULT_PAIRING_SECRET_FILE = path.join(envPaths('blueprint-mcp', { suffix: '' }).config, 'pairing-secret');
+
+/**
+ * Check if a WebSocket upgrade Origin is allowed
+ * No Origin header means a non-browser client (local scripts, tests), which is only
+ * allowed when it has to pass the pairing handshake
+ */
+function isAllowedOrigin(origin, allowedOrigins = null, pairingRequired = false) {
+  if (!origin) {
+    return pairingRequired;
+  }
+  if (allowedOrigins && allowedOrigins.length > 0) {
+    return allowedOrigins.includes(origin);
+  }
+  return EXTENSION_ORIGIN_PREFIXES.some(prefix => origin.startsWith(prefix));
+}
+
+/**
+ * Sign a pairing handshake proof
+ * role is 'server' or 'extension'; nonces are ordered as (peer's nonce, own nonce)
+ */
+function signPairingProof(secret, role, firstNonce, secondNonce) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${role}:${firstNonce}:${secondNonce}`)
+    .digest('hex');
+}
+
+/**
+ * Read this user's pairing secret, generating it on first use
+ * @returns {{secret: string, file: string, created: boolean}}
+ */
+function loadPairingSecret(file = DEFAULT_PAIRING_SECRET_FILE) {
+  try {
+    const secret = fs.readFileSync(file, 'utf8').trim();
+    if (secret) {
+      return { secret, file, created: false };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  try {
+    fs.writeFileSync(file, `${secret}\n`, { mode: 0o600, flag: 'wx' });
+  } catch (error) {
+    // Another server created it first
+    if (error.code === 'EEXIST') return loadPairingSecret(file);
+    throw error;
+  }
+  return { secret, file, created: true };
+}
+
+/**
+ * Compare two hex proofs in constant time
+ */
+function proofsEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
 /**
  * Generate a short, readable session ID
  */
@@ -56,8 +142,19 @@ function generateSessionId() {
   return crypto.randomBytes(2).toString('hex');
 }
 
+/**
+ * Derive a session ID from client_id, so a restarted server keeps its identity
+ */
+function deriveSessionId(clientId) {
+  return crypto.createHash('sha256').update(clientId).digest('hex').slice(0, 12);
+}
+
 class ExtensionServer {
-  constructor(port = 5555, host = '127.0.0.1', autoPort = true) {
+  /**
+   * @param {object} options - { pairingSecret, allowedOrigins, registryDir, registry }
+   *   registry: false disables session registry (discovery falls back to extension polling)
+   */
+  constructor(port = 5555, host = '127.0.0.1', autoPort = true, options = {}) {
     this._requestedPort = port;
     this._port = port; // Will be updated if auto-port is used
     this._host = host;
@@ -68,11 +165,28 @@ class ExtensionServer {
     this._pendingRequests = new Map(); // requestId -> {resolve, reject}
     this.onReconnect = null; // Callback when extension reconnects (replaces old connection)
     this.onTabInfoUpdate = null; // Callback when tab info changes (for status header updates)
+    this.onTabOwnershipLost = null; // Callback when another session takes over our tab
+    this.onClientIdConflict = null; // Callback when another live session already uses our client_id
+    this.onSessionResumed = null; // Callback when the extension hands back tab state of an earlier server with our client_id
     this._clientId = null; // MCP client_id to display in extension
     this._browserType = 'chrome'; // Browser type: 'chrome' or 'firefox'
     this._buildTimestamp = null; // Extension build timestamp
     this._pingInterval = null; // Ping interval to keep connection alive
     this._sessionId = generateSessionId(); // Unique session ID for this server instance
+    this._pairingSecret = options.pairingSecret || null; // Shared secret for authenticated handshake
+    this._allowedOrigins = options.allowedOrigins || null; // Exact Origins allowed (default: any extension)
+    this._allowTakeover = !!options.allowTakeover; // Insecure: let any client replace the live connection
+    this._pendingHandshakes = new Map(); // ws -> {timer, extensionNonce, serverNonce} awaiting pairing proof
+    this._reconnectToken = null; // Issued to the current connection; proves a takeover comes from the same extension
+    this._lastRejection = null; // Reason the last extension connection was rejected
+    this._registry = options.registry === false ? null : new SessionRegistry(options.registryDir);
+  }
+
+  /**
+   * Check if the authenticated (paired) handshake is required
+   */
+  requiresPairing() {
+    return !!this._pairingSecret;
   }
 
   /**
@@ -122,18 +236,20 @@ class ExtensionServer {
     return new Promise((resolve, reject) => {
       // Create HTTP server
       this._httpServer = http.createServer((req, res) => {
-        // Return server info as JSON for discovery
+        // Return server info as JSON for discovery (session ID and client_id only go to the connected extension)
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
           type: 'multi-browser-mcp',
-          sessionId: this._sessionId,
           port: this._port,
           status: this._extensionWs ? 'connected' : 'waiting'
         }));
       });
 
-      // Create WebSocket server
-      this._wss = new WebSocketServer({ server: this._httpServer });
+      // Create WebSocket server (reject upgrades from web pages by Origin)
+      this._wss = new WebSocketServer({
+        server: this._httpServer,
+        verifyClient: (info, callback) => this._verifyClient(info, callback)
+      });
 
       // Register WebSocket server error handler
       this._wss.on('error', (error) => {
@@ -144,48 +260,8 @@ class ExtensionServer {
       this._wss.on('connection', (ws) => {
         debugLog(`Extension connection attempt (session: ${this._sessionId})`);
 
-        // Multi-session: Accept new connections, replacing old ones
-        // The extension may reconnect when switching between sessions
-        if (this._extensionWs && this._extensionWs.readyState === 1) {
-          debugLog('Replacing existing connection with new one');
-          // Close the old connection gracefully
-          this._extensionWs.close(1000, 'Replaced by new connection');
-        }
-
-        debugLog(`Extension connected (session: ${this._sessionId})`);
-
-        // Close previous connection if any (only if it's dead/closing)
-        const isReconnection = !!this._extensionWs;
-        if (this._extensionWs) {
-          debugLog('Closing previous extension connection - RECONNECTION DETECTED');
-          this._extensionWs.close();
-        }
-
-        this._extensionWs = ws;
-
-        // Clear old ping interval if any
-        if (this._pingInterval) {
-          clearInterval(this._pingInterval);
-          this._pingInterval = null;
-        }
-
-        // Start ping interval to keep connection alive (every 10 seconds)
-        // This prevents Chrome from suspending the service worker
-        this._pingInterval = setInterval(() => {
-          if (ws.readyState === 1) { // OPEN
-            ws.ping();
-            debugLog('Sent ping to extension');
-          }
-        }, 10000);
-
-        // Notify about reconnection after setting the new connection
-        if (isReconnection && this.onReconnect) {
-          debugLog('Calling onReconnect callback');
-          this.onReconnect();
-        }
-
         ws.on('message', (data) => {
-          this._handleMessage(data);
+          this._handleMessage(data, ws);
         });
 
         ws.on('pong', () => {
@@ -194,19 +270,41 @@ class ExtensionServer {
 
         ws.on('close', () => {
           debugLog('Extension disconnected');
+          this._clearPendingHandshake(ws);
           if (this._extensionWs === ws) {
             this._extensionWs = null;
-          }
-          // Clear ping interval when connection closes
-          if (this._pingInterval) {
-            clearInterval(this._pingInterval);
-            this._pingInterval = null;
+            // Clear ping interval when connection closes
+            if (this._pingInterval) {
+              clearInterval(this._pingInterval);
+              this._pingInterval = null;
+            }
           }
         });
 
         ws.on('error', (error) => {
           debugLog('WebSocket error:', error);
         });
+
+        // With a pairing secret, hold the connection until it proves it knows the secret
+        // so an unauthenticated client can never replace the current extension connection
+        if (this._pairingSecret) {
+          const timer = setTimeout(() => {
+            this._rejectConnection(ws, 'Pairing handshake not completed in time');
+          }, HANDSHAKE_TIMEOUT);
+          this._pendingHandshakes.set(ws, { timer, extensionNonce: null, serverNonce: null });
+          return;
+        }
+
+        // Without one, a live extension connection is only replaced by a client holding its reconnect token
+        if (this.isConnected() && !this._allowTakeover) {
+          const timer = setTimeout(() => {
+            this._rejectConnection(ws, 'Takeover handshake not completed in time');
+          }, HANDSHAKE_TIMEOUT);
+          this._pendingHandshakes.set(ws, { timer, takeover: true });
+          return;
+        }
+
+        this._acceptConnection(ws);
       });
 
       // Register HTTP server error handler BEFORE calling listen() to catch port-in-use errors
@@ -223,18 +321,170 @@ class ExtensionServer {
           console.error(`[Multi-Browser MCP] Port ${this._requestedPort} was in use, using port ${this._port} instead`);
         }
         console.error(`[Multi-Browser MCP] Session ${this._sessionId} ready on port ${this._port}`);
+        this._startRegistry();
         resolve();
       });
     });
   }
 
+  /**
+   * Register in the session registry and watch for other servers
+   */
+  _startRegistry() {
+    if (!this._registry) return;
+
+    try {
+      this._registry.register(this._port, this._sessionId);
+      this._registry.watch((servers) => this._notifyServersChanged(servers));
+    } catch (error) {
+      // Discovery still works through extension polling
+      debugLog('Session registry unavailable:', error.message);
+    }
+  }
+
+  /**
+   * Push the current server list to the extension
+   */
+  _notifyServersChanged(servers) {
+    if (!this.isConnected()) return;
+
+    debugLog('Servers changed:', servers.map(server => server.port).join(', '));
+    this._extensionWs.send(JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'servers_changed',
+      params: { servers }
+    }));
+  }
+
+  /**
+   * Verify WebSocket upgrade Origin (ws verifyClient hook)
+   */
+  _verifyClient(info, callback) {
+    const origin = info.origin || info.req?.headers?.origin;
+    if (isAllowedOrigin(origin, this._allowedOrigins, this.requiresPairing())) {
+      callback(true);
+      return;
+    }
+
+    const reason = origin
+      ? `Origin not allowed: ${origin}`
+      : 'No Origin: only browser extensions may connect while pairing is off (--no-pairing)';
+    this._lastRejection = reason;
+    console.error(`[Multi-Browser MCP] Rejected WebSocket connection - ${reason}`);
+    callback(false, 403, reason);
+  }
+
+  /**
+   * Make a connection the current extension connection
+   * Replaces any existing connection (callers check it may)
+   */
+  _acceptConnection(ws) {
+    // Multi-session: Accept new connections, replacing old ones
+    // The extension may reconnect when switching between sessions
+    if (this._extensionWs && this._extensionWs.readyState === 1) {
+      debugLog('Replacing existing connection with new one');
+      // Close the old connection gracefully
+      this._extensionWs.close(1000, 'Replaced by new connection');
+    }
+
+    debugLog(`Extension connected (session: ${this._sessionId})`);
+
+    // Close previous connection if any (only if it's dead/closing)
+    const isReconnection = !!this._extensionWs;
+    if (this._extensionWs) {
+      debugLog('Closing previous extension connection - RECONNECTION DETECTED');
+      this._extensionWs.close();
+    }
+
+    this._extensionWs = ws;
+    this._lastRejection = null;
+    this._reconnectToken = crypto.randomBytes(16).toString('hex');
+
+    // Clear old ping interval if any
+    if (this._pingInterval) {
+      clearInterval(this._pingInterval);
+      this._pingInterval = null;
+    }
+
+    // Start ping interval to keep connection alive (every 10 seconds)
+    // This prevents Chrome from suspending the service worker
+    this._pingInterval = setInterval(() => {
+      if (ws.readyState === 1) { // OPEN
+        ws.ping();
+        debugLog('Sent ping to extension');
+      }
+    }, 10000);
+
+    // Notify about reconnection after setting the new connection
+    if (isReconnection && this.onReconnect) {
+      debugLog('Calling onReconnect callback');
+      this.onReconnect();
+    }
+
+    // Tell the extension about all running servers right away
+    if (this._registry) {
+      this._notifyServersChanged(this._registry.list());
+    }
+  }
+
+  /**
+   * Reject a connection that failed the pairing handshake
+   * Tells the extension why before closing so it can show a clear error
+   */
+  _rejectConnection(ws, reason) {
+    this._clearPendingHandshake(ws);
+    this._lastRejection = reason;
+    console.error(`[Multi-Browser MCP] Rejected extension connection - ${reason}`);
+
+    if (ws.readyState === 1) {
+      ws.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'handshake_rejected',
+        params: { reason }
+      }));
+      ws.close(HANDSHAKE_REJECTED_CODE, reason.substring(0, 120));
+    }
+  }
+
+  /**
+   * Drop pending pairing state for a connection
+   */
+  _clearPendingHandshake(ws) {
+    const pending = this._pendingHandshakes.get(ws);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this._pendingHandshakes.delete(ws);
+    }
+  }
+
   /**
    * Handle incoming message from extension
    */
-  _handleMessage(data) {
+  _handleMessage(data, ws = this._extensionWs) {
     try {
       const message = JSON.parse(data.toString());
-      debugLog('Received from extension:', message.method || 'response');
+      debugLog('Received from extension:', message.method || message.type || 'response');
+
+      // Connections awaiting pairing may only complete the handshake
+      const pendingHandshake = this._pendingHandshakes.get(ws);
+      if (pendingHandshake?.takeover) {
+        if (message.type === 'handshake') {
+          this._handleTakeover(message, ws);
+        } else {
+          debugLog('Ignoring message from connection awaiting takeover:', message.method || message.type);
+        }
+        return;
+      }
+      if (pendingHandshake) {
+        if (message.type === 'handshake') {
+          this._handleHandshake(message, ws, pendingHandshake);
+        } else if (message.type === 'handshake_proof') {
+          this._handleHandshakeProof(message, ws, pendingHandshake);
+        } else {
+          debugLog('Ignoring message from unpaired connection:', message.method || message.type);
+        }
+        return;
+      }
 
       // Check if it's a response (has id but no method)
       if (message.id !== undefined && !message.method) {
@@ -261,25 +511,7 @@ class ExtensionServer {
 
       // Handle handshake from extension
       if (message.type === 'handshake') {
-        debugLog('Handshake received:', message);
-        this._browserType = message.browser || 'chrome';
-        this._buildTimestamp = message.buildTimestamp || null;
-        debugLog(`Browser type detected: ${this._browserType}, Build timestamp: ${this._buildTimestamp}`);
-        debugLog(`Session ID: ${this._sessionId}`);
-
-        // Send session info back to extension
-        if (this._extensionWs && this._extensionWs.readyState === 1) {
-          const sessionInfo = {
-            jsonrpc: '2.0',
-            method: 'session_info',
-            params: {
-              sessionId: this._sessionId,
-              port: this._port
-            }
-          };
-          this._extensionWs.send(JSON.stringify(sessionInfo));
-          debugLog('Sent session_info to extension');
-        }
+        this._handleHandshake(message, ws, null);
         return;
       }
 
@@ -293,6 +525,24 @@ class ExtensionServer {
           this.onTabInfoUpdate(message.params.currentTab);
         }
 
+        // Another session took over one of our tabs (multi-session mode)
+        if (message.method === 'notifications/tab_ownership_lost' && this.onTabOwnershipLost) {
+          debugLog('Tab ownership lost:', message.params);
+          this.onTabOwnershipLost(message.params || {});
+        }
+
+        // Another live session already uses our client_id (multi-session mode)
+        if (message.method === 'notifications/client_id_conflict' && this.onClientIdConflict) {
+          debugLog('Client ID conflict:', message.params);
+          this.onClientIdConflict(message.params || {});
+        }
+
+        // Extension still has a tab attached for our client_id (e.g. after a server restart)
+        if (message.method === 'notifications/session_resumed' && this.onSessionResumed) {
+          debugLog('Session resumed:', message.params);
+          this.onSessionResumed(message.params || {});
+        }
+
         return;
       }
     } catch (error) {
@@ -300,11 +550,103 @@ class ExtensionServer {
     }
   }
 
+  /**
+   * Handle handshake from extension and reply with session_info
+   * pendingHandshake is set when pairing is required
+   */
+  _handleHandshake(message, ws, pendingHandshake) {
+    debugLog('Handshake received:', message);
+    this._browserType = message.browser || 'chrome';
+    this._buildTimestamp = message.buildTimestamp || null;
+    debugLog(`Browser type detected: ${this._browserType}, Build timestamp: ${this._buildTimestamp}`);
+    debugLog(`Session ID: ${this._sessionId}`);
+
+    const params = {
+      sessionId: this._sessionId,
+      clientId: this._clientId,
+      port: this._port
+    };
+
+    if (pendingHandshake) {
+      if (!message.nonce) {
+        this._rejectConnection(ws, 'Pairing required: extension did not send a handshake nonce (update the extension and set its pairing secret)');
+        return;
+      }
+
+      // Prove we know the secret, and challenge the extension to do the same
+      pendingHandshake.extensionNonce = message.nonce;
+      pendingHandshake.serverNonce = crypto.randomBytes(16).toString('hex');
+      params.authRequired = true;
+      params.nonce = pendingHandshake.serverNonce;
+      params.proof = signPairingProof(this._pairingSecret, 'server', message.nonce, pendingHandshake.serverNonce);
+    }
+
+    // Unpaired connections prove a later takeover with this token
+    if (!pendingHandshake && ws === this._extensionWs) {
+      params.reconnectToken = this._reconnectToken;
+    }
+
+    // Send session info back to extension
+    if (ws && ws.readyState === 1) {
+      ws.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'session_info',
+        params
+      }));
+      debugLog('Sent session_info to extension');
+    }
+  }
+
+  /**
+   * Verify the extension's pairing proof and accept or reject the connection
+   */
+  _handleHandshakeProof(message, ws, pendingHandshake) {
+    if (!pendingHandshake.serverNonce) {
+      this._rejectConnection(ws, 'Pairing proof sent before handshake');
+      return;
+    }
+
+    const expected = signPairingProof(
+      this._pairingSecret,
+      'extension',
+      pendingHandshake.serverNonce,
+      pendingHandshake.extensionNonce
+    );
+
+    if (!proofsEqual(message.proof, expected)) {
+      this._rejectConnection(ws, 'Pairing secret mismatch: the extension pairing secret does not match this server');
+      return;
+    }
+
+    debugLog('Pairing proof verified');
+    this._clearPendingHandshake(ws);
+    this._acceptConnection(ws);
+  }
+
+  /**
+   * Accept a connection that arrived while another extension connection was live
+   * Only the current extension knows the reconnect token; anyone may connect once the old connection is gone
+   */
+  _handleTakeover(message, ws) {
+    if (this.isConnected() && !proofsEqual(message.reconnectToken, this._reconnectToken)) {
+      this._rejectConnection(ws, 'Another extension connection is active (start the server with --allow-takeover to let any client replace it)');
+      return;
+    }
+
+    debugLog('Takeover accepted');
+    this._clearPendingHandshake(ws);
+    this._acceptConnection(ws);
+    this._handleHandshake(message, ws, null);
+  }
+
   /**
    * Send a command to the extension and wait for response
    */
   async sendCommand(method, params = {}, timeout = 30000) {
     if (!this._extensionWs || this._extensionWs.readyState !== 1) {
+      if (this._lastRejection) {
+        throw new Error(`Extension connection rejected: ${this._lastRejection}. Check that the extension and server use the same pairing secret.`);
+      }
       throw new Error('Extension not connected. Please click the extension icon and click "Connect".');
     }
 
@@ -341,18 +683,31 @@ class ExtensionServer {
 
   /**
    * Set client_id and notify extension
+   * The session ID becomes derived from client_id, so the extension can resume our tabs after a restart
    */
   setClientId(clientId) {
     this._clientId = clientId;
     debugLog('Client ID set to:', clientId);
 
+    if (clientId) {
+      const sessionId = deriveSessionId(clientId);
+      if (sessionId !== this._sessionId) {
+        this._sessionId = sessionId;
+        debugLog('Session ID set to:', sessionId);
+        if (this._registry && this._httpServer?.listening) {
+          this._startRegistry();
+        }
+      }
+    }
+
     // Send notification to extension if connected
     if (this.isConnected()) {
       const notification = {
         jsonrpc: '2.0',
         method: 'authenticated',
         params: {
-          client_id: clientId
+          client_id: clientId,
+          sessionId: this._sessionId
         }
       };
       debugLog('Sending client_id notification to extension');
@@ -373,11 +728,25 @@ class ExtensionServer {
   async stop() {
     debugLog('Stopping server');
 
+    if (this._registry) {
+      this._registry.close();
+    }
+
+    if (this._pingInterval) {
+      clearInterval(this._pingInterval);
+      this._pingInterval = null;
+    }
+
     if (this._extensionWs) {
       this._extensionWs.close();
       this._extensionWs = null;
     }
 
+    for (const ws of this._pendingHandshakes.keys()) {
+      this._clearPendingHandshake(ws);
+      ws.close();
+    }
+
     if (this._wss) {
       this._wss.close();
       this._wss = null;
@@ -394,4 +763,4 @@ class ExtensionServer {
   }
 }
 
-module.exports = { ExtensionServer };
+module.exports = { ExtensionServer, isAllowedOrigin, signPairingProof, loadPairingSecret };
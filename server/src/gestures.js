@@ -0,0 +1,107 @@
+/**
+ * Touch gestures and pointer paths
+ *
+ * Builds Input.dispatchTouchEvent sequences for browser_interact:
+ * - tap          one finger down and up
+ * - long_press   one finger held for a duration (the caller waits between the two events)
+ * - swipe        one finger moved from a point to another
+ * - pinch        two fingers moved apart (scale > 1, zoom in) or together (scale < 1)
+ *
+ * Moves are interpolated so handlers see the intermediate positions; browser_drag uses
+ * the same interpolation for mouse paths.
+ */
+
+const DEFAULT_STEPS = 10;
+const DEFAULT_LONG_PRESS = 800;
+const DEFAULT_SWIPE_DISTANCE = 300;
+const DEFAULT_PINCH_DISTANCE = 100;
+const STEP_INTERVAL = 16; // About one frame between moves
+
+const DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
+/**
+ * Points along a path: the first point, then `steps` evenly spaced points per segment
+ * @param {Array<{x: number, y: number}>} points - Waypoints, at least one
+ * @param {number} steps - Moves per segment (1 = jump straight to each waypoint)
+ */
+function interpolatePath(points, steps = 1) {
+  const count = Math.max(1, Math.round(steps));
+  const path = [points[0]];
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    for (let step = 1; step <= count; step++) {
+      path.push({
+        x: from.x + (to.x - from.x) * step / count,
+        y: from.y + (to.y - from.y) * step / count
+      });
+    }
+  }
+
+  return path;
+}
+
+/**
+ * End point of a swipe: explicit toX/toY, or `distance` px from the start in `direction`
+ */
+function getSwipeEnd(from, { toX, toY, direction, distance = DEFAULT_SWIPE_DISTANCE }) {
+  if (typeof toX === 'number' && typeof toY === 'number') {
+    return { x: toX, y: toY };
+  }
+  const vector = DIRECTIONS[direction];
+  if (!vector) {
+    throw new Error('swipe needs toX and toY, or a direction (up, down, left, right)');
+  }
+  return { x: from.x + vector.x * distance, y: from.y + vector.y * distance };
+}
+
+/**
+ * Touch events for one finger following a path
+ */
+function getSwipeEvents(from, to, steps = DEFAULT_STEPS) {
+  const [start, ...moves] = interpolatePath([from, to], steps);
+  return [
+    { type: 'touchStart', touchPoints: [{ x: start.x, y: start.y, id: 0 }] },
+    ...moves.map(point => ({ type: 'touchMove', touchPoints: [{ x: point.x, y: point.y, id: 0 }] })),
+    { type: 'touchEnd', touchPoints: [] }
+  ];
+}
+
+/**
+ * Touch events for two fingers moving horizontally around a center
+ * @param {number} scale - Final finger distance relative to the start (2 = zoom in 2x, 0.5 = zoom out)
+ * @param {number} distance - Finger distance at the start in px
+ */
+function getPinchEvents(center, scale, distance = DEFAULT_PINCH_DISTANCE, steps = DEFAULT_STEPS) {
+  if (!(scale > 0)) {
+    throw new Error('pinch scale must be a positive number (e.g. 2 to zoom in, 0.5 to zoom out)');
+  }
+
+  const fingers = (spread) => [
+    { x: center.x - spread / 2, y: center.y, id: 0 },
+    { x: center.x + spread / 2, y: center.y, id: 1 }
+  ];
+  const spreads = interpolatePath([{ x: distance, y: 0 }, { x: distance * scale, y: 0 }], steps).map(point => point.x);
+
+  return [
+    { type: 'touchStart', touchPoints: fingers(spreads[0]) },
+    ...spreads.slice(1).map(spread => ({ type: 'touchMove', touchPoints: fingers(spread) })),
+    { type: 'touchEnd', touchPoints: [] }
+  ];
+}
+
+module.exports = {
+  DEFAULT_STEPS,
+  DEFAULT_LONG_PRESS,
+  STEP_INTERVAL,
+  interpolatePath,
+  getSwipeEnd,
+  getSwipeEvents,
+  getPinchEvents
+};
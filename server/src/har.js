@@ -0,0 +1,201 @@
+/**
+ * HTTP Archive (HAR 1.2)
+ *
+ * Builds HAR files from captured network requests (CDP buffer entries plus bodies fetched
+ * with getResponseBody/getRequestPostData), and reads HAR files back into responses the
+ * extension's interceptor can serve for offline replay.
+ */
+
+// CDP protocol names -> HAR httpVersion
+const HTTP_VERSIONS = { h2: 'HTTP/2.0', h3: 'HTTP/3.0', 'h3-29': 'HTTP/3.0' };
+
+/**
+ * Headers -> HAR name/value list
+ * Accepts CDP header objects, webRequest name/value arrays and null (not captured)
+ */
+function toHeaderList(headers) {
+  if (!headers) {
+    return [];
+  }
+  if (Array.isArray(headers)) {
+    return headers.map(({ name, value }) => ({ name, value: value === undefined ? '' : String(value) }));
+  }
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Find a header value in a HAR header list by name (case-insensitive)
+ */
+function getHeader(headerList, name) {
+  const header = headerList.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : undefined;
+}
+
+/**
+ * Request start in epoch ms
+ * CDP entries have wallTime (epoch seconds); their timestamp is monotonic seconds.
+ * webRequest entries (NetworkTracker) only have timestamp, already in epoch ms.
+ */
+function getStartedMs(request) {
+  if (request.wallTime) {
+    return request.wallTime * 1000;
+  }
+  return request.timestamp > 1e11 ? request.timestamp : request.timestamp * 1000;
+}
+
+/**
+ * HAR timings (ms) from CDP ResourceTiming
+ * Phases the request skipped (reused connection, no TLS) are -1
+ * @param {object} timing - Response timing from Network.responseReceived (offsets from requestTime)
+ * @param {number} [endTimestamp] - Network.loadingFinished timestamp (seconds)
+ */
+function getTimings(timing, endTimestamp) {
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 };
+  }
+
+  const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+  const receive = endTimestamp
+    ? Math.max(0, (endTimestamp - timing.requestTime) * 1000 - timing.receiveHeadersEnd)
+    : 0;
+
+  return {
+    blocked: firstStart > 0 ? firstStart : -1,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(0, timing.sendEnd - timing.sendStart),
+    wait: Math.max(0, timing.receiveHeadersEnd - timing.sendEnd),
+    receive
+  };
+}
+
+/**
+ * Total entry time: sum of the timings, ssl excluded (it is part of connect)
+ */
+function getTotalTime(timings) {
+  return ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((total, phase) => total + Math.max(0, timings[phase]), 0);
+}
+
+/**
+ * Build one HAR entry
+ * @param {object} request - Captured request (CDP buffer or webRequest NetworkTracker entry)
+ * @param {object} [bodies] - { postData, response: { body, base64Encoded } }
+ */
+function buildEntry(request, bodies = {}) {
+  const url = new URL(request.url);
+  const timings = getTimings(request.timing, request.endTimestamp);
+  const requestHeaders = toHeaderList(request.requestHeaders);
+  const responseHeaders = toHeaderList(request.responseHeaders);
+
+  // webRequest entries carry the whole status line ("HTTP/1.1 200 OK") as statusText
+  const statusLine = (request.statusText || '').match(/^(HTTP\/[\d.]+)\s+\d+\s*(.*)$/);
+  const statusText = statusLine ? statusLine[2] : request.statusText;
+  const protocol = request.protocol || (statusLine && statusLine[1].toLowerCase());
+  const httpVersion = HTTP_VERSIONS[protocol] || (protocol || 'http/1.1').toUpperCase();
+
+  const entry = {
+    startedDateTime: new Date(getStartedMs(request)).toISOString(),
+    time: getTotalTime(timings),
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion,
+      cookies: [],
+      headers: requestHeaders,
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: bodies.postData ? Buffer.byteLength(bodies.postData) : 0
+    },
+    response: {
+      status: request.statusCode || 0,
+      statusText: statusText || (request.failed ? request.errorText || 'Failed' : ''),
+      httpVersion,
+      cookies: [],
+      headers: responseHeaders,
+      content: {
+        size: 0,
+        mimeType: request.mimeType || getHeader(responseHeaders, 'content-type') || 'x-unknown'
+      },
+      redirectURL: getHeader(responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: request.encodedDataLength ?? -1
+    },
+    cache: {},
+    timings
+  };
+
+  if (bodies.postData) {
+    entry.request.postData = {
+      mimeType: getHeader(requestHeaders, 'content-type') || '',
+      text: bodies.postData
+    };
+  }
+
+  const body = bodies.response;
+  if (body && typeof body.body === 'string') {
+    entry.response.content.text = body.body;
+    entry.response.content.size = body.base64Encoded
+      ? Buffer.from(body.body, 'base64').length
+      : Buffer.byteLength(body.body);
+    if (body.base64Encoded) {
+      entry.response.content.encoding = 'base64';
+    }
+  }
+
+  if (request.remoteIPAddress) {
+    entry.serverIPAddress = request.remoteIPAddress;
+  }
+
+  return entry;
+}
+
+/**
+ * Build a HAR log
+ * @param {Array<{request: object, bodies: object}>} captured - Requests in capture order
+ * @param {object} creator - { name, version }
+ */
+function buildHar(captured, creator) {
+  return {
+    log: {
+      version: '1.2',
+      creator,
+      pages: [],
+      entries: captured.map(({ request, bodies }) => buildEntry(request, bodies))
+    }
+  };
+}
+
+/**
+ * Read the responses of a HAR file for replay
+ * Entries without a response (status 0: failed or never answered) are skipped
+ * @returns {Array<{method, url, status, statusText, headers, body, base64Encoded}>} headers as name/value list
+ */
+function parseHarResponses(har) {
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Not a HAR file: log.entries is missing');
+  }
+
+  return entries
+    .filter(entry => entry.request?.url && entry.response?.status > 0)
+    .map(entry => {
+      // Bodies are served decoded, so length/encoding headers of the recording no longer apply
+      const headers = (entry.response.headers || [])
+        .filter(({ name }) => !['content-encoding', 'content-length', 'transfer-encoding'].includes(name.toLowerCase()))
+        .map(({ name, value }) => ({ name, value: String(value) }));
+      return {
+        method: entry.request.method || 'GET',
+        url: entry.request.url,
+        status: entry.response.status,
+        statusText: entry.response.statusText || '',
+        headers,
+        body: entry.response.content?.text || '',
+        base64Encoded: entry.response.content?.encoding === 'base64'
+      };
+    });
+}
+
+module.exports = { getTimings, buildEntry, buildHar, parseHarResponses };
@@ -0,0 +1,162 @@
+/**
+ * Keyboard
+ *
+ * Key definitions and chord parsing for CDP Input.dispatchKeyEvent:
+ * - single keys: "Enter", "a", "F5", "ArrowDown"
+ * - chords: modifiers joined with "+", e.g. "Control+Shift+P", "Meta+A", "Shift++"
+ *
+ * Modifiers: Alt (Option), Control (Ctrl), Meta (Cmd, Command), Shift
+ */
+
+// CDP modifier bits
+const MODIFIERS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+
+const MODIFIER_ALIASES = { Ctrl: 'Control', Cmd: 'Meta', Command: 'Meta', Option: 'Alt' };
+
+const NAMED_KEYS = {
+  Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+  Tab: { code: 'Tab', keyCode: 9, text: '\t' },
+  Space: { key: ' ', code: 'Space', keyCode: 32, text: ' ' },
+  Escape: { code: 'Escape', keyCode: 27 },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  Insert: { code: 'Insert', keyCode: 45 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  PageDown: { code: 'PageDown', keyCode: 34 },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  Alt: { code: 'AltLeft', keyCode: 18 },
+  Control: { code: 'ControlLeft', keyCode: 17 },
+  Meta: { code: 'MetaLeft', keyCode: 91 },
+  Shift: { code: 'ShiftLeft', keyCode: 16 }
+};
+
+// Punctuation on a US layout: key -> [code, keyCode]
+const PUNCTUATION = {
+  '-': ['Minus', 189], '=': ['Equal', 187], '[': ['BracketLeft', 219], ']': ['BracketRight', 221],
+  '\\': ['Backslash', 220], ';': ['Semicolon', 186], "'": ['Quote', 222], ',': ['Comma', 188],
+  '.': ['Period', 190], '/': ['Slash', 191], '`': ['Backquote', 192], '+': ['Equal', 187]
+};
+
+// Editing shortcuts Chrome only performs for synthetic Meta chords when told the command (macOS)
+const META_COMMANDS = { a: 'selectAll', c: 'copy', x: 'cut', v: 'paste', z: 'undo' };
+
+/**
+ * Get CDP key fields for a key name or single character
+ * @returns {{key: string, code: string, keyCode: number, text: string}}
+ */
+function getKeyDefinition(key, shift = false) {
+  const named = NAMED_KEYS[key];
+  if (named) {
+    return { key: named.key || key, code: named.code, keyCode: named.keyCode, text: named.text || '' };
+  }
+
+  const fKey = key.match(/^F([1-9]|1[0-2])$/);
+  if (fKey) {
+    return { key, code: key, keyCode: 111 + Number(fKey[1]), text: '' };
+  }
+
+  // Other key names (CapsLock, MediaPlayPause, ...) go to Chrome as-is
+  if (key.length !== 1) {
+    return { key, code: key, keyCode: 0, text: '' };
+  }
+
+  if (/[a-z]/i.test(key)) {
+    const text = shift ? key.toUpperCase() : key;
+    return { key: text, code: `Key${key.toUpperCase()}`, keyCode: key.toUpperCase().charCodeAt(0), text };
+  }
+  if (/[0-9]/.test(key)) {
+    return { key, code: `Digit${key}`, keyCode: key.charCodeAt(0), text: key };
+  }
+
+  const [code, keyCode] = PUNCTUATION[key] || ['', 0];
+  return { key, code, keyCode, text: key };
+}
+
+/**
+ * Normalize modifier names to a CDP modifier bitmask
+ * @param {string[]} names - e.g. ['Control'] or ['Cmd', 'Shift']
+ */
+function getModifierMask(names = []) {
+  return names.reduce((mask, name) => {
+    const modifier = MODIFIER_ALIASES[name] || name;
+    if (!MODIFIERS[modifier]) {
+      throw new Error(`Unknown modifier "${name}". Use Alt, Control, Meta or Shift`);
+    }
+    return mask | MODIFIERS[modifier];
+  }, 0);
+}
+
+/**
+ * Split a chord into modifiers and the main key
+ * @returns {{modifiers: string[], key: string}}
+ */
+function parseKeyChord(chord) {
+  const modifiers = [];
+  let key = chord;
+
+  // A leading or trailing "+" is the key itself ("+", "Shift++")
+  let index = key.indexOf('+');
+  while (index > 0 && index < key.length - 1) {
+    const name = key.slice(0, index);
+    const modifier = MODIFIER_ALIASES[name] || name;
+    if (!MODIFIERS[modifier]) {
+      throw new Error(`Unknown modifier "${name}" in "${chord}". Use Alt, Control, Meta or Shift`);
+    }
+    modifiers.push(modifier);
+    key = key.slice(index + 1);
+    index = key.indexOf('+');
+  }
+
+  return { modifiers, key };
+}
+
+/**
+ * Get the Input.dispatchKeyEvent params that press a key or chord:
+ * modifiers down, key down/up, modifiers up in reverse order
+ */
+function getKeyChordEvents(chord) {
+  const { modifiers, key } = parseKeyChord(chord);
+  const events = [];
+  let mask = 0;
+
+  const keyFields = (definition) => ({
+    key: definition.key,
+    code: definition.code,
+    windowsVirtualKeyCode: definition.keyCode,
+    nativeVirtualKeyCode: definition.keyCode
+  });
+
+  for (const modifier of modifiers) {
+    mask |= MODIFIERS[modifier];
+    events.push({ type: 'rawKeyDown', modifiers: mask, ...keyFields(getKeyDefinition(modifier)) });
+  }
+
+  // In chords Shift decides the letter case ("Control+Shift+P" vs "Control+p")
+  const baseKey = modifiers.length > 0 && /^[a-z]$/i.test(key) ? key.toLowerCase() : key;
+  const definition = getKeyDefinition(baseKey, (mask & MODIFIERS.Shift) !== 0);
+  // Chords with Alt/Control/Meta are shortcuts - they don't type text
+  const text = (mask & ~MODIFIERS.Shift) === 0 ? definition.text : '';
+  const keyDown = { type: 'keyDown', modifiers: mask, ...keyFields(definition), text, unmodifiedText: text };
+
+  const command = (mask & ~MODIFIERS.Shift) === MODIFIERS.Meta && META_COMMANDS[key.toLowerCase()];
+  if (command) {
+    keyDown.commands = [command === 'undo' && (mask & MODIFIERS.Shift) ? 'redo' : command];
+  }
+
+  events.push(keyDown);
+  events.push({ type: 'keyUp', modifiers: mask, ...keyFields(definition) });
+
+  for (const modifier of [...modifiers].reverse()) {
+    mask &= ~MODIFIERS[modifier];
+    events.push({ type: 'keyUp', modifiers: mask, ...keyFields(getKeyDefinition(modifier)) });
+  }
+
+  return events;
+}
+
+module.exports = { MODIFIERS, getKeyDefinition, getModifierMask, parseKeyChord, getKeyChordEvents };
@@ -0,0 +1,398 @@
+/**
+ * Locators
+ *
+ * Playwright-like locator syntax, resolved in the page against roles and accessible names:
+ * - role=button[name="Save"]  ARIA role (explicit or implicit) with optional name/level/state filters
+ * - label=Email               form controls by their label (label element, aria-label, aria-labelledby)
+ * - placeholder=Search        elements by placeholder
+ * - text=Sign in              innermost elements containing the text
+ * - testid=submit             elements by data-testid
+ * - css=.item                 plain CSS (parts without an engine prefix are CSS too)
+ * - nth=0                     pick one of the previous matches (negative counts from the end)
+ *
+ * Parts chain with ">>", each searching inside the previous matches:
+ *   role=navigation >> role=link[name="Inbox"] >> nth=0
+ *
+ * Unquoted values match case-insensitive substrings; quoted values ("Save") must match exactly.
+ * All engines search inside open shadow roots.
+ *
+ * Roles and accessible names are computed from the DOM (role attribute or the tag's implicit
+ * role; aria-labelledby, aria-label, labels, alt or text content), not read from the browser's
+ * accessibility tree, so they can differ from the snapshot for unusual markup.
+ */
+
+const ENGINES = ['role', 'label', 'placeholder', 'text', 'testid', 'css', 'nth'];
+
+// ARIA role names that are not also HTML tags - bare use means a role locator
+const BARE_ROLES = [
+  'textbox', 'searchbox', 'link', 'heading', 'list', 'listitem', 'listbox',
+  'checkbox', 'radio', 'switch', 'slider', 'spinbutton', 'combobox', 'menuitem', 'tab',
+  'tabpanel', 'alertdialog', 'toolbar', 'tooltip', 'navigation', 'banner', 'contentinfo',
+  'complementary', 'region', 'row', 'cell', 'columnheader', 'rowheader', 'grid',
+  'paragraph', 'progressbar', 'separator', 'group', 'image'
+];
+
+const ROLE_STATES = ['checked', 'disabled', 'expanded', 'pressed', 'selected'];
+
+/**
+ * Split a selector on ">>" outside of quotes
+ */
+function splitChain(selector) {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '>' && selector[i + 1] === '>') {
+      parts.push(selector.slice(start, i).trim());
+      start = i + 2;
+      i++;
+    }
+  }
+  parts.push(selector.slice(start).trim());
+  return parts;
+}
+
+/**
+ * Parse a locator value: quoted means exact match
+ */
+function parseValue(raw) {
+  const text = raw.trim();
+  const quoted = text.match(/^(["'])(.*)\1$/s);
+  if (quoted) {
+    return { value: quoted[2].replace(/\\(.)/g, '$1'), exact: true };
+  }
+  return { value: text, exact: false };
+}
+
+/**
+ * Parse role=<role>[attr=value]... (attributes: name, level, and states like checked)
+ */
+function parseRole(body, part) {
+  const roleMatch = body.match(/^[a-z]+/);
+  if (!roleMatch) {
+    throw new Error(`Invalid locator "${part}": expected a role name, e.g. role=button[name="Save"]`);
+  }
+
+  const locator = { engine: 'role', role: roleMatch[0] };
+  let rest = body.slice(roleMatch[0].length).trim();
+
+  while (rest) {
+    const attrMatch = rest.match(/^\[\s*([a-z-]+)\s*(?:=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\]]*?))?\s*\]/s);
+    if (!attrMatch) {
+      throw new Error(`Invalid locator "${part}": could not parse "${rest}"`);
+    }
+    const [whole, key, rawValue] = attrMatch;
+
+    if (key === 'name') {
+      locator.name = parseValue(rawValue || '');
+    } else if (key === 'level') {
+      locator.level = Number(rawValue);
+      if (!Number.isInteger(locator.level)) {
+        throw new Error(`Invalid locator "${part}": level must be a number`);
+      }
+    } else if (ROLE_STATES.includes(key)) {
+      locator[key] = rawValue === undefined || parseValue(rawValue).value !== 'false';
+    } else {
+      throw new Error(`Invalid locator "${part}": unknown attribute "${key}" (use name, level, ${ROLE_STATES.join(', ')})`);
+    }
+    rest = rest.slice(whole.length).trim();
+  }
+
+  return locator;
+}
+
+/**
+ * Parse a CSS chain part, keeping support for :has-text("...")
+ */
+function parseCssPart(selector) {
+  const hasText = selector.match(/:has-text\(["']([^"']+)["']\)/);
+  if (!hasText) {
+    return [{ engine: 'css', selector }];
+  }
+
+  const parts = [{
+    engine: 'css',
+    selector: selector.substring(0, hasText.index) || '*',
+    hasText: hasText[1]
+  }];
+  const remainder = selector.substring(hasText.index + hasText[0].length).trim();
+  if (remainder) {
+    parts.push({ engine: 'css', selector: remainder });
+  }
+  return parts;
+}
+
+/**
+ * Parse one chain part
+ * @returns {Array<object>} Parsed parts (a :has-text CSS part may expand to two)
+ */
+function parsePart(part) {
+  if (!part) {
+    throw new Error('Invalid locator: empty part in ">>" chain');
+  }
+
+  const match = part.match(/^([a-z]+)=(.*)$/s);
+  if (!match || !ENGINES.includes(match[1])) {
+    return parseCssPart(part);
+  }
+
+  const [, engine, body] = match;
+  switch (engine) {
+    case 'css':
+      return parseCssPart(body.trim());
+
+    case 'nth': {
+      const index = Number(body);
+      if (!Number.isInteger(index)) {
+        throw new Error(`Invalid locator "${part}": expected an integer`);
+      }
+      return [{ engine, index }];
+    }
+
+    case 'role':
+      return [parseRole(body.trim(), part)];
+
+    default: {
+      const { value, exact } = parseValue(body);
+      if (!value) {
+        throw new Error(`Invalid locator "${part}": missing value`);
+      }
+      return [{ engine, value, exact }];
+    }
+  }
+}
+
+/**
+ * Parse a selector into a locator
+ * @returns {object|null} { type: 'locator', parts, originalSelector }, or null for plain CSS / :has-text selectors
+ */
+function parseLocator(selector) {
+  if (typeof selector !== 'string') return null;
+
+  const trimmed = selector.trim();
+  if (BARE_ROLES.includes(trimmed)) {
+    const role = trimmed === 'image' ? 'img' : trimmed;
+    return { type: 'locator', parts: [{ engine: 'role', role }], originalSelector: selector };
+  }
+
+  const chain = splitChain(trimmed);
+  const usesEngine = chain.some(part => {
+    const match = part.match(/^([a-z]+)=/);
+    return match && ENGINES.includes(match[1]);
+  });
+  if (chain.length === 1 && !usesEngine) return null;
+
+  return {
+    type: 'locator',
+    parts: chain.flatMap(parsePart),
+    originalSelector: selector
+  };
+}
+
+/**
+ * querySelectorAll that also searches open shadow roots
+ * Runs in the page: embedded into Runtime.evaluate via toString(), so it must stay self-contained
+ */
+function deepQuerySelectorAll(root, selector) {
+  const results = [];
+  const visit = (scope) => {
+    results.push(...scope.querySelectorAll(selector));
+    for (const el of scope.querySelectorAll('*')) {
+      if (el.shadowRoot) visit(el.shadowRoot);
+    }
+  };
+  visit(root);
+  return results;
+}
+
+/**
+ * Find elements matching parsed locator parts
+ * Runs in the page like deepQuerySelectorAll, which callers pass in as queryAll
+ */
+function findLocatorElements(parts, queryAll) {
+  const NAME_FROM_CONTENT = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch',
+    'tab', 'tooltip', 'treeitem'
+  ]);
+  const TAG_ROLES = {
+    article: 'article', aside: 'complementary', dialog: 'dialog', details: 'group',
+    fieldset: 'group', figure: 'figure', form: 'form', hr: 'separator', li: 'listitem',
+    main: 'main', menu: 'list', meter: 'meter', nav: 'navigation', ol: 'list', ul: 'list',
+    option: 'option', output: 'status', p: 'paragraph', progress: 'progressbar', search: 'search',
+    table: 'table', tbody: 'rowgroup', thead: 'rowgroup', tfoot: 'rowgroup', tr: 'row',
+    td: 'cell', th: 'columnheader', textarea: 'textbox', button: 'button'
+  };
+
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+  const matchesValue = (actual, expected) => {
+    const text = normalize(actual);
+    if (expected.exact) return text === expected.value;
+    return text.toLowerCase().includes(expected.value.toLowerCase());
+  };
+
+  const implicitRole = (el) => {
+    const tag = el.tagName.toLowerCase();
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return el.hasAttribute('href') ? 'link' : null;
+      case 'img':
+        return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+      case 'select':
+        return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      case 'header':
+      case 'footer':
+        if (el.parentElement?.closest('article, aside, main, nav, section')) return null;
+        return tag === 'header' ? 'banner' : 'contentinfo';
+      case 'section':
+        return el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null;
+      case 'input': {
+        const type = (el.getAttribute('type') || 'text').toLowerCase();
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox') return 'checkbox';
+        if (type === 'radio') return 'radio';
+        if (type === 'range') return 'slider';
+        if (type === 'number') return 'spinbutton';
+        if (['text', 'search', 'email', 'tel', 'url'].includes(type)) {
+          if (el.hasAttribute('list')) return 'combobox';
+          return type === 'search' ? 'searchbox' : 'textbox';
+        }
+        return null;
+      }
+      default:
+        return TAG_ROLES[tag] || null;
+    }
+  };
+
+  const getRole = (el) => (el.getAttribute('role') || '').trim().split(/\s+/)[0] || implicitRole(el);
+
+  const labelsOf = (el) => {
+    const labels = [];
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      labels.push(labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' '));
+    }
+    if (el.hasAttribute('aria-label')) labels.push(el.getAttribute('aria-label'));
+    if (el.labels) labels.push(...Array.from(el.labels).map(label => label.textContent));
+    return labels.map(normalize).filter(Boolean);
+  };
+
+  const accessibleName = (el, role) => {
+    const labels = labelsOf(el);
+    if (labels.length > 0) return labels[0];
+
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(el.type)) {
+      return normalize(el.value) || (el.type === 'submit' ? 'Submit' : el.type === 'reset' ? 'Reset' : '');
+    }
+    if ((tag === 'img' || tag === 'area' || (tag === 'input' && el.type === 'image')) && el.hasAttribute('alt')) {
+      return normalize(el.getAttribute('alt'));
+    }
+    if (NAME_FROM_CONTENT.has(role)) {
+      const text = normalize(el.textContent);
+      if (text) return text;
+    }
+    return normalize(el.getAttribute('title') || el.getAttribute('placeholder'));
+  };
+
+  const isHidden = (el) => {
+    if (el.closest('[aria-hidden="true"]')) return true;
+    if (el.checkVisibility) return !el.checkVisibility({ visibilityProperty: true });
+    return el.getClientRects().length === 0;
+  };
+
+  const stateOf = (el, state) => {
+    switch (state) {
+      case 'checked':
+        if (el.type === 'checkbox' || el.type === 'radio') return el.checked;
+        return el.getAttribute('aria-checked') === 'true';
+      case 'disabled':
+        return !!el.disabled || !!el.closest('[aria-disabled="true"]');
+      case 'selected':
+        if (el.tagName === 'OPTION') return el.selected;
+        return el.getAttribute('aria-selected') === 'true';
+      default:
+        return el.getAttribute(`aria-${state}`) === 'true';
+    }
+  };
+
+  const all = queryAll || ((root, selector) => Array.from(root.querySelectorAll(selector)));
+
+  const candidates = (root, part) => {
+    switch (part.engine) {
+      case 'css': {
+        const elements = all(root, part.selector);
+        if (!part.hasText) return elements;
+        const text = part.hasText.toLowerCase();
+        return elements.filter(el => (el.textContent || '').toLowerCase().includes(text));
+      }
+
+      case 'testid':
+        return all(root, '[data-testid]').filter(el => el.getAttribute('data-testid') === part.value);
+
+      case 'placeholder':
+        return all(root, '[placeholder]').filter(el => matchesValue(el.getAttribute('placeholder'), part));
+
+      case 'label':
+        return all(root, 'input, textarea, select, button, meter, output, progress, [aria-label], [aria-labelledby]')
+          .filter(el => labelsOf(el).some(label => matchesValue(label, part)));
+
+      case 'text':
+        // Innermost elements only: skip an element if one of its children matches too
+        return all(root, '*')
+          .filter(el => !['HTML', 'HEAD', 'TITLE', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName))
+          .filter(el => matchesValue(el.textContent, part))
+          .filter(el => !Array.from(el.children).some(child => matchesValue(child.textContent, part)));
+
+      case 'role':
+        return all(root, '*').filter(el => {
+          const role = getRole(el);
+          if (role !== part.role || isHidden(el)) return false;
+          if (part.name && !matchesValue(accessibleName(el, role), part.name)) return false;
+          if (part.level !== undefined) {
+            const level = Number(el.getAttribute('aria-level')) || Number(el.tagName.match(/^H([1-6])$/)?.[1]);
+            if (level !== part.level) return false;
+          }
+          for (const state of ['checked', 'disabled', 'expanded', 'pressed', 'selected']) {
+            if (part[state] !== undefined && stateOf(el, state) !== part[state]) return false;
+          }
+          return true;
+        });
+
+      default:
+        throw new Error(`Unknown locator engine: ${part.engine}`);
+    }
+  };
+
+  let current = [document];
+  for (const part of parts) {
+    if (part.engine === 'nth') {
+      const element = current.at(part.index);
+      current = element && element !== document ? [element] : [];
+      continue;
+    }
+
+    const found = new Set();
+    for (const root of current) {
+      candidates(root, part).forEach(el => found.add(el));
+    }
+    current = Array.from(found);
+  }
+
+  return current.filter(el => el !== document);
+}
+
+module.exports = { parseLocator, findLocatorElements, deepQuerySelectorAll, BARE_ROLES };
@@ -0,0 +1,79 @@
+/**
+ * Network conditions
+ *
+ * Throttling presets and custom settings for browser_network_conditions, converted to
+ * Network.emulateNetworkConditions values (latency in ms, throughput in bytes/s, -1 = unlimited).
+ * Preset values match Chrome DevTools.
+ */
+
+const PRESETS = {
+  slow_3g: { label: 'Slow 3G', latency: 2000, downloadKbps: 400, uploadKbps: 400 },
+  fast_3g: { label: 'Fast 3G', latency: 562.5, downloadKbps: 1440, uploadKbps: 675 },
+  offline: { label: 'Offline', offline: true }
+};
+
+const kbpsToBytes = (kbps) => (kbps > 0 ? Math.round(kbps * 1000 / 8) : -1);
+
+/**
+ * Throttling for a preset and/or custom values (custom values override the preset)
+ * @param {object} args - { preset, latency, downloadKbps, uploadKbps }
+ * @returns {object|null} { label, offline, latency, downloadThroughput, uploadThroughput }, null for no throttling
+ */
+function getThrottling({ preset, latency, downloadKbps, uploadKbps } = {}) {
+  if (preset && preset !== 'none' && !PRESETS[preset]) {
+    throw new Error(`Unknown preset "${preset}". Use one of: ${Object.keys(PRESETS).join(', ')}, none`);
+  }
+  for (const [name, value] of Object.entries({ latency, downloadKbps, uploadKbps })) {
+    if (value !== undefined && !(value >= 0)) {
+      throw new Error(`${name} must be a number >= 0`);
+    }
+  }
+
+  const base = (preset && PRESETS[preset]) || {};
+  const custom = latency !== undefined || downloadKbps !== undefined || uploadKbps !== undefined;
+  if (!base.label && !custom) {
+    return null;
+  }
+
+  const settings = {
+    latency: latency ?? base.latency ?? 0,
+    downloadKbps: downloadKbps ?? base.downloadKbps,
+    uploadKbps: uploadKbps ?? base.uploadKbps
+  };
+  return {
+    label: base.label && !custom ? base.label : 'Custom',
+    offline: !!base.offline,
+    latency: settings.latency,
+    downloadThroughput: kbpsToBytes(settings.downloadKbps),
+    uploadThroughput: kbpsToBytes(settings.uploadKbps)
+  };
+}
+
+/**
+ * One-line summary for the status header and tool results, e.g. "Slow 3G" or "Custom 100ms ↓1000kbps"
+ * @param {object} state - { throttling, failures } as reported by the extension
+ */
+function describeConditions(state) {
+  const parts = [];
+  const throttling = state && state.throttling;
+
+  if (throttling) {
+    if (throttling.label !== 'Custom') {
+      parts.push(throttling.label);
+    } else {
+      const values = [`${throttling.latency}ms`];
+      if (throttling.downloadThroughput > 0) values.push(`↓${throttling.downloadThroughput * 8 / 1000}kbps`);
+      if (throttling.uploadThroughput > 0) values.push(`↑${throttling.uploadThroughput * 8 / 1000}kbps`);
+      parts.push(`Custom ${values.join(' ')}`);
+    }
+  }
+
+  const failures = (state && state.failures) || [];
+  if (failures.length > 0) {
+    parts.push(`${failures.length} failure rule${failures.length === 1 ? '' : 's'}`);
+  }
+
+  return parts.join(', ');
+}
+
+module.exports = { PRESETS, getThrottling, describeConditions };
@@ -0,0 +1,353 @@
+/**
+ * Editable request replay
+ *
+ * Builds the request browser_network_requests replays from a captured one plus overrides
+ * (URL, query parameters, method, headers, body or a JSON Patch of the body), and compares
+ * the original and replayed responses side by side.
+ */
+
+// Headers fetch() refuses to set - the browser fills them in itself
+const FORBIDDEN_HEADERS = [
+  'accept-charset', 'accept-encoding', 'access-control-request-headers', 'access-control-request-method',
+  'connection', 'content-length', 'cookie', 'cookie2', 'date', 'dnt', 'expect', 'host', 'keep-alive',
+  'origin', 'referer', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'via'
+];
+
+const DIFF_COLUMN_WIDTH = 60;
+const MAX_DIFF_LINES = 1000;
+
+/**
+ * Decode one JSON Pointer (RFC 6901) into path segments
+ */
+function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  if (!pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer "${pointer}" - it must start with "/"`);
+  }
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Parent container and key of a pointer, checking that the parent exists
+ */
+function resolveParent(document, pointer) {
+  const segments = parsePointer(pointer);
+  const key = segments.pop();
+  let parent = document;
+  for (const segment of segments) {
+    if (parent === null || typeof parent !== 'object' || !(segment in parent)) {
+      throw new Error(`JSON Patch path "${pointer}" does not exist`);
+    }
+    parent = parent[segment];
+  }
+  if (parent === null || typeof parent !== 'object') {
+    throw new Error(`JSON Patch path "${pointer}" does not exist`);
+  }
+  return { parent, key };
+}
+
+function getValue(document, pointer) {
+  if (pointer === '') {
+    return document;
+  }
+  const { parent, key } = resolveParent(document, pointer);
+  if (!(key in parent)) {
+    throw new Error(`JSON Patch path "${pointer}" does not exist`);
+  }
+  return parent[key];
+}
+
+function removeValue(document, pointer) {
+  const { parent, key } = resolveParent(document, pointer);
+  if (!(key in parent)) {
+    throw new Error(`JSON Patch path "${pointer}" does not exist`);
+  }
+  const value = parent[key];
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+  return value;
+}
+
+function addValue(document, pointer, value) {
+  if (pointer === '') {
+    return value;
+  }
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : Number(key);
+    if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+      throw new Error(`JSON Patch path "${pointer}" is not a valid array index`);
+    }
+    parent.splice(index, 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) to a copy of a document
+ * @param {*} document - Parsed JSON
+ * @param {Array<{op: string, path: string, value?: *, from?: string}>} operations
+ * @returns {*} Patched copy
+ */
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error('jsonPatch must be a list of operations, e.g. [{"op": "replace", "path": "/quantity", "value": 2}]');
+  }
+
+  let result = JSON.parse(JSON.stringify(document));
+  for (const operation of operations) {
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+    switch (operation.op) {
+      case 'add':
+        result = addValue(result, operation.path, clone(operation.value));
+        break;
+      case 'remove':
+        removeValue(result, operation.path);
+        break;
+      case 'replace':
+        if (operation.path === '') {
+          result = clone(operation.value);
+        } else {
+          removeValue(result, operation.path);
+          result = addValue(result, operation.path, clone(operation.value));
+        }
+        break;
+      case 'move':
+        result = addValue(result, operation.path, removeValue(result, operation.from));
+        break;
+      case 'copy':
+        result = addValue(result, operation.path, clone(getValue(result, operation.from)));
+        break;
+      case 'test':
+        if (JSON.stringify(getValue(result, operation.path)) !== JSON.stringify(operation.value)) {
+          throw new Error(`JSON Patch test failed at "${operation.path}"`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown JSON Patch op "${operation.op}". Use add, remove, replace, move, copy or test`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Set or remove (null) entries by case-insensitive name
+ */
+function mergeHeaders(headers, overrides = {}) {
+  const merged = { ...headers };
+  for (const [name, value] of Object.entries(overrides)) {
+    for (const existing of Object.keys(merged)) {
+      if (existing.toLowerCase() === name.toLowerCase()) delete merged[existing];
+    }
+    if (value !== null) merged[name] = String(value);
+  }
+  return merged;
+}
+
+/**
+ * Build the request to replay
+ * @param {object} original - { url, method, headers, body } of the captured request
+ * @param {object} [overrides] - { url, query, method, headers, body, jsonPatch }
+ *   query and headers merge into the original; a null value removes the entry
+ * @returns {{url: string, method: string, headers: object, body: string|null, dropped: string[]}}
+ *   dropped lists headers fetch() can't send (the browser sets them, e.g. Cookie)
+ */
+function buildReplayRequest(original, overrides = {}) {
+  if (overrides.body !== undefined && overrides.jsonPatch !== undefined) {
+    throw new Error('Use either body or jsonPatch, not both');
+  }
+
+  const url = new URL(overrides.url || original.url);
+  for (const [name, value] of Object.entries(overrides.query || {})) {
+    if (value === null) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, String(value));
+    }
+  }
+
+  const method = (overrides.method || original.method || 'GET').toUpperCase();
+
+  const dropped = [];
+  const headers = {};
+  for (const [name, value] of Object.entries(mergeHeaders(original.headers, overrides.headers))) {
+    const lower = name.toLowerCase();
+    // HTTP/2 pseudo-headers (":authority") and forbidden names make fetch() throw or ignore them
+    if (lower.startsWith(':') || FORBIDDEN_HEADERS.includes(lower) || lower.startsWith('proxy-') || lower.startsWith('sec-')) {
+      dropped.push(name);
+    } else {
+      headers[name] = value;
+    }
+  }
+
+  let body = original.body ?? null;
+  if (overrides.body !== undefined) {
+    body = overrides.body === null || typeof overrides.body === 'string' ? overrides.body : JSON.stringify(overrides.body);
+  } else if (overrides.jsonPatch !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      throw new Error('jsonPatch needs a request with a JSON body');
+    }
+    body = JSON.stringify(applyJsonPatch(parsed, overrides.jsonPatch));
+  }
+  if (method === 'GET' || method === 'HEAD') {
+    body = null; // fetch() rejects bodies on GET/HEAD
+  }
+
+  return { url: url.toString(), method, headers, body, dropped };
+}
+
+/**
+ * Lines of a response body for diffing: JSON is pretty-printed so field changes line up
+ */
+function toDiffLines(body) {
+  if (!body) {
+    return [];
+  }
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2).split('\n');
+  } catch {
+    return body.split('\n');
+  }
+}
+
+/**
+ * Line diff (longest common subsequence)
+ * @returns {Array<{type: 'same'|'removed'|'added', text: string}>}
+ */
+function diffLines(before, after) {
+  const a = before.slice(0, MAX_DIFF_LINES);
+  const b = after.slice(0, MAX_DIFF_LINES);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+/**
+ * Pair diff lines into side-by-side rows: removed lines sit next to the added lines replacing them
+ * @returns {Array<{left: string|null, right: string|null, changed: boolean}>}
+ */
+function toSideBySide(lines) {
+  const rows = [];
+  let index = 0;
+  while (index < lines.length) {
+    if (lines[index].type === 'same') {
+      rows.push({ left: lines[index].text, right: lines[index].text, changed: false });
+      index++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (index < lines.length && lines[index].type !== 'same') {
+      (lines[index].type === 'removed' ? removed : added).push(lines[index].text);
+      index++;
+    }
+    for (let row = 0; row < Math.max(removed.length, added.length); row++) {
+      rows.push({ left: removed[row] ?? null, right: added[row] ?? null, changed: true });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Compare two responses: status, headers and body lines
+ * @param {object} original - { status, statusText, headers, body }
+ * @param {object} replayed - { status, statusText, headers, body }
+ */
+function diffResponses(original, replayed) {
+  const headerNames = new Set([...Object.keys(original.headers || {}), ...Object.keys(replayed.headers || {})]
+    .map(name => name.toLowerCase()));
+  const lookup = (headers = {}, name) => {
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+    return key === undefined ? null : String(headers[key]);
+  };
+
+  const headers = [...headerNames].sort()
+    .map(name => ({ name, original: lookup(original.headers, name), replayed: lookup(replayed.headers, name) }))
+    .filter(header => header.original !== header.replayed);
+
+  const body = toSideBySide(diffLines(toDiffLines(original.body), toDiffLines(replayed.body)));
+
+  return {
+    status: { original: original.status, replayed: replayed.status, changed: original.status !== replayed.status },
+    headers,
+    body,
+    bodyChanged: body.some(row => row.changed)
+  };
+}
+
+/**
+ * Render a response diff as two columns (Original | Replay), changed rows marked with "!"
+ * Unchanged stretches longer than `context` lines are collapsed
+ */
+function formatResponseDiff(diff, original, replayed, context = 3) {
+  const cell = (text) => {
+    const value = text === null ? '' : text;
+    return value.length > DIFF_COLUMN_WIDTH ? `${value.slice(0, DIFF_COLUMN_WIDTH - 1)}…` : value.padEnd(DIFF_COLUMN_WIDTH);
+  };
+  const row = (marker, left, right) => `${marker} ${cell(left)} │ ${right === null ? '' : right.slice(0, DIFF_COLUMN_WIDTH)}`.trimEnd();
+
+  const lines = [
+    row(' ', 'Original', 'Replay'),
+    row(diff.status.changed ? '!' : ' ', `${original.status} ${original.statusText || ''}`.trim(), `${replayed.status} ${replayed.statusText || ''}`.trim())
+  ];
+
+  for (const header of diff.headers) {
+    lines.push(row('!', header.original === null ? '' : `${header.name}: ${header.original}`,
+      header.replayed === null ? '' : `${header.name}: ${header.replayed}`));
+  }
+
+  lines.push(row(' ', '', ''));
+  const near = (index) => diff.body.slice(Math.max(0, index - context), index + context + 1).some(entry => entry.changed);
+  let skipped = 0;
+  diff.body.forEach((entry, index) => {
+    if (!entry.changed && !near(index)) {
+      skipped++;
+      return;
+    }
+    if (skipped > 0) {
+      lines.push(row(' ', `… ${skipped} unchanged line${skipped === 1 ? '' : 's'}`, ''));
+      skipped = 0;
+    }
+    lines.push(row(entry.changed ? '!' : ' ', entry.left, entry.right));
+  });
+  if (skipped > 0) {
+    lines.push(row(' ', `… ${skipped} unchanged line${skipped === 1 ? '' : 's'}`, ''));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { applyJsonPatch, buildReplayRequest, diffLines, diffResponses, formatResponseDiff };
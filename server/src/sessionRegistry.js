@@ -0,0 +1,158 @@
+/**
+ * Session Registry
+ *
+ * Shared directory where every running MCP server registers its port and session ID.
+ * Servers watch the directory and push the current server list to their connected
+ * extension, so the extension discovers new sessions immediately instead of polling.
+ *
+ * One file per server: <port>.json -> { port, sessionId, pid, startedAt }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const envPaths = require('env-paths');
+
+function debugLog(...args) {
+  if (global.DEBUG_MODE) {
+    console.error('[SessionRegistry]', ...args);
+  }
+}
+
+// Per-user temp directory (e.g. /tmp/<user>/blueprint-mcp/sessions on Linux)
+const DEFAULT_REGISTRY_DIR = path.join(envPaths('blueprint-mcp', { suffix: '' }).temp, 'sessions');
+
+// Coalesce bursts of file events into one change notification
+const WATCH_DEBOUNCE = 100;
+
+/**
+ * Check if a process is still running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+class SessionRegistry {
+  constructor(dir = DEFAULT_REGISTRY_DIR) {
+    this._dir = dir;
+    this._entryFile = null; // File registered by this server
+    this._watcher = null;
+    this._debounceTimer = null;
+  }
+
+  /**
+   * Get registry directory
+   */
+  getDir() {
+    return this._dir;
+  }
+
+  /**
+   * Register this server
+   */
+  register(port, sessionId) {
+    fs.mkdirSync(this._dir, { recursive: true });
+    this._entryFile = path.join(this._dir, `${port}.json`);
+    fs.writeFileSync(this._entryFile, JSON.stringify({
+      port,
+      sessionId,
+      pid: process.pid,
+      startedAt: Date.now()
+    }));
+    debugLog(`Registered session ${sessionId} on port ${port}`);
+  }
+
+  /**
+   * Remove this server's entry
+   */
+  unregister() {
+    if (!this._entryFile) return;
+
+    try {
+      fs.unlinkSync(this._entryFile);
+      debugLog(`Unregistered ${this._entryFile}`);
+    } catch (error) {
+      debugLog('Failed to unregister:', error.message);
+    }
+    this._entryFile = null;
+  }
+
+  /**
+   * List live servers, removing entries left behind by dead processes
+   * @returns {Array<{port: number, sessionId: string}>} Sorted by port
+   */
+  list() {
+    let files;
+    try {
+      files = fs.readdirSync(this._dir).filter(file => file.endsWith('.json'));
+    } catch {
+      return [];
+    }
+
+    const servers = [];
+    for (const file of files) {
+      const filePath = path.join(this._dir, file);
+      try {
+        const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!isProcessAlive(entry.pid)) {
+          debugLog(`Removing stale entry for port ${entry.port} (pid ${entry.pid})`);
+          fs.unlinkSync(filePath);
+          continue;
+        }
+        servers.push({ port: entry.port, sessionId: entry.sessionId });
+      } catch {
+        // Entry being written or removed concurrently - skip it this time
+      }
+    }
+
+    return servers.sort((a, b) => a.port - b.port);
+  }
+
+  /**
+   * Watch for servers registering/unregistering
+   * @param {Function} onChange - Called with the current server list after each change
+   */
+  watch(onChange) {
+    this.unwatch();
+    fs.mkdirSync(this._dir, { recursive: true });
+
+    try {
+      this._watcher = fs.watch(this._dir, () => {
+        clearTimeout(this._debounceTimer);
+        this._debounceTimer = setTimeout(() => onChange(this.list()), WATCH_DEBOUNCE);
+      });
+      this._watcher.on('error', (error) => {
+        debugLog('Watcher error:', error.message);
+      });
+    } catch (error) {
+      debugLog('Could not watch registry directory:', error.message);
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  unwatch() {
+    clearTimeout(this._debounceTimer);
+    this._debounceTimer = null;
+    if (this._watcher) {
+      this._watcher.close();
+      this._watcher = null;
+    }
+  }
+
+  /**
+   * Unregister and stop watching
+   */
+  close() {
+    this.unwatch();
+    this.unregister();
+  }
+}
+
+module.exports = { SessionRegistry, DEFAULT_REGISTRY_DIR };
@@ -0,0 +1,122 @@
+/**
+ * Snapshot diffs
+ *
+ * Compares two browser_snapshot texts by element ref (backendDOMNodeId), which stays
+ * stable while an element lives in the page, and reports what was added, removed or changed.
+ */
+
+const REF_LINE = /^(\s*)(.*?) \[ref=(e\d+)\](.*)$/;
+
+/**
+ * Parse snapshot text into nodes keyed by ref
+ * Lines without a ref (skip summaries, truncation notes) are ignored; "value:" lines
+ * belong to the node above them
+ * @returns {Map<string, {text: string, depth: number, parentRef: string|null, order: number}>}
+ */
+function parseSnapshot(text) {
+  const nodes = new Map();
+  const stack = []; // refs by depth
+  let last = null;
+
+  for (const line of (text || '').split('\n')) {
+    const match = line.match(REF_LINE);
+    if (!match) {
+      const value = line.trim();
+      if (last && value.startsWith('value: ')) {
+        last.text += ` ${value}`;
+      }
+      continue;
+    }
+
+    const [, indent, content, ref, rest] = match;
+    const depth = Math.floor(indent.length / 2);
+    stack.length = depth;
+    last = {
+      text: `${content}${rest}`.trim(),
+      depth,
+      parentRef: stack.slice().reverse().find(Boolean) || null,
+      order: nodes.size
+    };
+    nodes.set(ref, last);
+    stack[depth] = ref;
+  }
+
+  return nodes;
+}
+
+/**
+ * Compare two parsed snapshots
+ * @returns {{added: Array, removed: Array, changed: Array}} Entries carry ref and node (before/after for changed)
+ */
+function diffSnapshots(previous, current) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [ref, node] of current) {
+    const before = previous.get(ref);
+    if (!before) {
+      added.push({ ref, node });
+    } else if (before.text !== node.text) {
+      changed.push({ ref, before, after: node });
+    }
+  }
+
+  for (const [ref, node] of previous) {
+    if (!current.has(ref)) {
+      removed.push({ ref, node });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Format a diff as text
+ * Added subtrees keep their shape; their top nodes name the parent they were added under
+ */
+function formatSnapshotDiff(diff) {
+  const { added, removed, changed } = diff;
+  if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+    return 'No changes since the previous snapshot.';
+  }
+
+  const sections = [`${added.length} added, ${removed.length} removed, ${changed.length} changed since the previous snapshot`];
+
+  const formatTree = (entries, withParent) => {
+    const refs = new Set(entries.map(entry => entry.ref));
+    const minDepth = Math.min(...entries.map(entry => entry.node.depth));
+    return entries.map(({ ref, node }) => {
+      const indent = '  '.repeat(node.depth - minDepth + 1);
+      const parent = withParent && node.parentRef && !refs.has(node.parentRef) ? ` (in ${node.parentRef})` : '';
+      return `${indent}${node.text} [ref=${ref}]${parent}`;
+    }).join('\n');
+  };
+
+  if (added.length > 0) {
+    sections.push(`Added:\n${formatTree(added, true)}`);
+  }
+  if (removed.length > 0) {
+    sections.push(`Removed:\n${formatTree(removed, false)}`);
+  }
+  if (changed.length > 0) {
+    sections.push('Changed:\n' + changed.map(({ ref, before, after }) =>
+      `  [ref=${ref}]\n    - ${before.text}\n    + ${after.text}`
+    ).join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Plain-data form of a diff for rawResult callers
+ */
+function serializeSnapshotDiff(diff) {
+  return {
+    added: diff.added.map(({ ref, node }) => ({ ref, text: node.text, parentRef: node.parentRef })),
+    removed: diff.removed.map(({ ref, node }) => ({ ref, text: node.text })),
+    changed: diff.changed.map(({ ref, before, after }) => ({ ref, before: before.text, after: after.text }))
+  };
+}
+
+module.exports = { parseSnapshot, diffSnapshots, formatSnapshotDiff, serializeSnapshotDiff };
@@ -40,6 +40,7 @@ class StatefulBackend {
     this._availableBrowsers = null; // Cached list of available browsers from proxy (when multiple found)
     this._connectedBrowserName = null; // Name of currently connected browser
     this._attachedTab = null; // Currently attached tab {index, title, url}
+    this._tabLostNotice = null; // Shown in status header after another session took our tab or client_id
     this._stealthMode = false; // Track if current tab is in stealth mode
     this._browserDisconnected = false; // Track if browser extension disconnected (proxy still connected)
     this._lastConnectedBrowserId = null; // Remember browser ID for auto-reconnect
@@ -144,6 +145,7 @@ class StatefulBackend {
     // Tab - only show if browser not disconnected
     if (!this._browserDisconnected) {
       if (this._attachedTab) {
+        this._tabLostNotice = null;
         // Show tab index and current URL (more useful than title for navigation tracking)
         const url = this._attachedTab.url || 'about:blank';
         const shortUrl = url.length > 50 ? url.substring(0, 47) + '...' : url;
@@ -170,6 +172,8 @@ class StatefulBackend {
             parts.push(`⚠️ Obfuscated CSS`);
           }
         }
+      } else if (this._tabLostNotice) {
+        parts.push(`⚠️ ${this._tabLostNotice}`);
       } else {
         parts.push(`⚠️ No tab attached`);
       }
@@ -516,7 +520,11 @@ class StatefulBackend {
       // Auto-port enabled by default to support multiple concurrent sessions
       const port = this._config.port || 5555;
       const autoPort = this._config.autoPort !== false; // Default true
-      this._extensionServer = new ExtensionServer(port, '127.0.0.1', autoPort);
+      this._extensionServer = new ExtensionServer(port, '127.0.0.1', autoPort, {
+        pairingSecret: this._config.pairingSecret,
+        allowTakeover: this._config.allowTakeover,
+        allowedOrigins: this._config.allowedOrigins
+      });
       await this._extensionServer.start();
 
       // Log session info for multi-session awareness
@@ -533,6 +541,9 @@ class StatefulBackend {
       this._extensionServer.onReconnect = () => {
         debugLog('[StatefulBackend] Extension reconnected, resetting attached tab state...');
         this._attachedTab = null; // Clear attached tab since extension reloaded
+        if (this._activeBackend) {
+          this._activeBackend.extensionReconnected();
+        }
         // Resend client_id to newly connected extension
         if (this._clientId) {
           this._extensionServer.setClientId(this._clientId);
@@ -566,6 +577,41 @@ class StatefulBackend {
         }
       };
 
+      // Another session took over one of our tabs
+      this._extensionServer.onTabOwnershipLost = ({ wasAttached, takenBy = {} }) => {
+        if (!wasAttached) return;
+
+        const owner = takenBy.clientId || takenBy.sessionId;
+        debugLog(`[StatefulBackend] Attached tab taken over by ${owner ? `session ${owner}` : 'another connection'}`);
+        this._attachedTab = null;
+        this._tabLostNotice = owner
+          ? `Tab taken over by session "${owner}" (port ${takenBy.port})`
+          : 'Tab taken over by another session of the extension';
+      };
+
+      // Extension refused our client_id because another live session uses it
+      this._extensionServer.onClientIdConflict = ({ clientId, port }) => {
+        debugLog(`[StatefulBackend] client_id "${clientId}" already used by the session on port ${port}`);
+        this._attachedTab = null;
+        this._tabLostNotice = `client_id "${clientId}" is already used by the session on port ${port} - call enable with a different client_id`;
+      };
+
+      // Extension kept a tab attached for our client_id (server restart or extension reconnect)
+      this._extensionServer.onSessionResumed = ({ tab, stealthMode }) => {
+        if (!tab || this._attachedTab) return;
+
+        debugLog('[StatefulBackend] Resumed attached tab:', tab);
+        this._attachedTab = {
+          id: tab.id,
+          index: tab.index,
+          title: tab.title,
+          url: tab.url,
+          techStack: tab.techStack || null
+        };
+        this._stealthMode = !!stealthMode;
+        this._tabLostNotice = null;
+      };
+
       // Create transport using the extension server
       const transport = new DirectTransport(this._extensionServer);
 
@@ -68,4 +68,54 @@ class ProxyTransport extends Transport {
   }
 }
 
-module.exports = { Transport, DirectTransport, ProxyTransport };
+/**
+ * FrameTransport - runs page commands inside an iframe
+ * Wraps another transport: Runtime.evaluate runs in the frame's execution context,
+ * and frame-relative mouse, touch and drag coordinates are shifted by the frame's position in the tab
+ */
+class FrameTransport extends Transport {
+  /**
+   * @param {Transport} transport - Transport to wrap
+   * @param {object} frame - { contextId, sessionId, offset: {x, y} } from Page.resolveFrame
+   */
+  constructor(transport, frame) {
+    super();
+    this._transport = transport;
+    this._frame = frame;
+  }
+
+  async sendCommand(method, params) {
+    if (method === 'forwardCDPCommand' && params?.method === 'Runtime.evaluate') {
+      params = {
+        ...params,
+        params: { ...params.params, contextId: this._frame.contextId, sessionId: this._frame.sessionId }
+      };
+    } else if (method === 'forwardCDPCommand' && ['Input.dispatchMouseEvent', 'Input.dropFiles'].includes(params?.method)) {
+      const { x, y } = params.params;
+      params = {
+        ...params,
+        params: { ...params.params, x: x + this._frame.offset.x, y: y + this._frame.offset.y }
+      };
+    } else if (method === 'forwardCDPCommand' && params?.method === 'Input.dispatchTouchEvent') {
+      const touchPoints = params.params.touchPoints.map(point => ({
+        ...point,
+        x: point.x + this._frame.offset.x,
+        y: point.y + this._frame.offset.y
+      }));
+      params = { ...params, params: { ...params.params, touchPoints } };
+    } else if (method === 'forwardCDPCommand' && params?.method === 'Input.dragAndDrop') {
+      const points = params.params.points.map(point => ({
+        x: point.x + this._frame.offset.x,
+        y: point.y + this._frame.offset.y
+      }));
+      params = { ...params, params: { ...params.params, points } };
+    }
+    return await this._transport.sendCommand(method, params);
+  }
+
+  async close() {
+    // Wrapped transport is closed by its owner
+  }
+}
+
+module.exports = { Transport, DirectTransport, ProxyTransport, FrameTransport };
@@ -5,17 +5,57 @@
  * Uses Transport abstraction to send commands to extension.
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+const { parseLocator, findLocatorElements, deepQuerySelectorAll } = require('./locators');
+const { FrameTransport } = require('./transport');
+const { parseSnapshot, diffSnapshots, formatSnapshotDiff, serializeSnapshotDiff } = require('./snapshotDiff');
+const {
+  ACTION_CHECKS,
+  DEFAULT_ACTION_TIMEOUT,
+  POLL_INTERVAL,
+  checkActionability,
+  formatActionabilityError
+} = require('./actionability');
+const waits = require('./waits');
+const { getKeyChordEvents, getModifierMask } = require('./keyboard');
+const gestures = require('./gestures');
+const { buildHar, parseHarResponses } = require('./har');
+const { buildReplayRequest, diffResponses, formatResponseDiff } = require('./requestReplay');
+const { PRESETS, getThrottling, describeConditions } = require('./networkConditions');
+
 function debugLog(...args) {
   if (global.DEBUG_MODE) {
     console.error('[UnifiedBackend]', ...args);
   }
 }
 
+// State of the running tool call: its transport (a FrameTransport inside _inFrame)
+// and the elements it marked with data-blueprint-ref, removed when the call ends
+const callContext = new AsyncLocalStorage();
+
+// Schema description of the frame argument of tools that can run inside an iframe
+const FRAME_DESCRIPTION = 'Run inside this iframe: an iframe selector (e.g. "iframe#checkout"), frame name, or part of its URL. Works for cross-origin iframes; coordinates become relative to the frame. Refs from browser_snapshot point into the top page and are not supported with frame - use selectors or locators';
+
 class UnifiedBackend {
   constructor(config, transport) {
     this._config = config;
     this._transport = transport;
     this._lastForcedNodeIds = new Map(); // Cache nodeIds by selector
+    this._targetMarks = 0; // Counter for elements marked by _resolveTarget and _waitForActionable
+    this._lastSnapshots = new Map(); // Tab ID -> last snapshot text (baseline for diffs)
+    this._networkConditions = ''; // Summary of the session's throttling/failure injection for the status header
+    this._networkConditionsStale = false; // Re-read the summary before the next tool call (extension reconnected)
+  }
+
+  /**
+   * Transport for the current tool call - a FrameTransport inside _inFrame, so concurrent calls stay in their frame
+   */
+  get _transport() {
+    return callContext.getStore()?.transport || this._pageTransport;
+  }
+
+  set _transport(transport) {
+    this._pageTransport = transport;
   }
 
   async initialize(server, clientInfo, statefulBackend) {
@@ -60,6 +100,7 @@ class UnifiedBackend {
 
       // Clear disconnected flag
       this._statefulBackend._browserDisconnected = false;
+      this.extensionReconnected();
 
       // Try to reattach to last tab if we remember it
       if (this._statefulBackend._lastAttachedTab) {
@@ -106,7 +147,8 @@ class UnifiedBackend {
       if (textContent && textContent.text) {
         const statusEmoji = response.isError ? '❌' : '✅';
         const statusText = response.isError ? 'Error' : 'Success';
-        const header = this._statefulBackend._getStatusHeader().replace('\n---\n\n', ` | ${statusEmoji} ${statusText}\n---\n\n`);
+        const network = this._networkConditions ? ` | 📶 ${this._networkConditions}` : '';
+        const header = this._statefulBackend._getStatusHeader().replace('\n---\n\n', `${network} | ${statusEmoji} ${statusText}\n---\n\n`);
         textContent.text = header + debugInfo + textContent.text;
       }
     }
@@ -122,7 +164,7 @@ class UnifiedBackend {
       // Tab management
       {
         name: 'browser_tabs',
-        description: 'STEP 2 (after enable): Manage browser tabs. List available tabs, create a new tab, attach to an existing tab for automation, close a tab, or focus the attached tab. You must attach to a tab before using other browser_ tools like navigate or interact. Use "focus" to bring the attached tab to the foreground (useful when running multiple Claude sessions).',
+        description: 'STEP 2 (after enable): Manage browser tabs. List available tabs, create a new tab, attach to an existing tab for automation, close a tab, or focus the attached tab. In multi-session mode tabs you create or attach (and popups they open) belong to your session - you can switch among them, but attaching to or closing another session\'s tab fails unless you pass force: true (which takes it over). You must attach to a tab before using other browser_ tools like navigate or interact. Use "focus" to bring the attached tab to the foreground (useful when running multiple Claude sessions).',
         inputSchema: {
           type: 'object',
           properties: {
@@ -146,6 +188,10 @@ class UnifiedBackend {
             stealth: {
               type: 'boolean',
               description: 'Enable stealth mode to avoid bot detection'
+            },
+            force: {
+              type: 'boolean',
+              description: 'Take over a tab locked by another session (for attach/close actions, multi-session mode)'
             }
           },
           required: ['action']
@@ -161,12 +207,25 @@ class UnifiedBackend {
           properties: {
             action: {
               type: 'string',
-              enum: ['list', 'close', 'close_all'],
-              description: 'Action to perform. "list" shows all sessions, "close" closes a specific session\'s tab, "close_all" closes all other sessions\' tabs.'
+              enum: ['list', 'close', 'close_all', 'gc'],
+              description: 'Action to perform. "list" shows all sessions, "close" closes a specific session\'s tabs, "close_all" closes all other sessions\' tabs, "gc" cleans up tabs left behind by disconnected sessions.'
             },
             port: {
               type: 'number',
-              description: 'Port number of session to close (required for "close" action)'
+              description: 'Port number of session to close ("close" action needs port or client_id)'
+            },
+            client_id: {
+              type: 'string',
+              description: 'Client ID of session to close (the client_id it passed to enable)'
+            },
+            policy: {
+              type: 'string',
+              enum: ['close', 'discard'],
+              description: 'What "gc" does with tabs of disconnected sessions (default: close). "discard" unloads them but keeps them open.'
+            },
+            minutes: {
+              type: 'number',
+              description: 'Only "gc" tabs disconnected for at least this many minutes (default: 0)'
             }
           },
           required: ['action']
@@ -194,7 +253,7 @@ class UnifiedBackend {
       // Interaction
       {
         name: 'browser_interact',
-        description: 'Perform one or more browser interactions in sequence (click, type, press keys, hover, scroll, wait, force pseudo-states). When clicking on a <select> element, automatically detects it and returns all available options with their selector. Use select_option action to choose an option by value or text. Scroll actions report success/failure and detect all scrollable areas on the page. Use force_pseudo_state to permanently force CSS pseudo-states like :hover for testing and screenshots.',
+        description: 'Perform one or more browser interactions in sequence (click, type, press keys, hover, touch gestures, scroll, wait, force pseudo-states). The wait action waits for all conditions given (selector state, text, url, loadState, predicate, networkIdle, request, response) up to timeout, or just sleeps for timeout if none are given. When clicking on a <select> element, automatically detects it and returns all available options with their selector. Use select_option action to choose an option by value or text. Scroll actions report success/failure and detect all scrollable areas on the page. Use force_pseudo_state to permanently force CSS pseudo-states like :hover for testing and screenshots.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -206,12 +265,19 @@ class UnifiedBackend {
                 properties: {
                   type: {
                     type: 'string',
-                    enum: ['click', 'type', 'clear', 'press_key', 'hover', 'wait', 'mouse_move', 'mouse_click', 'scroll_to', 'scroll_by', 'scroll_into_view', 'select_option', 'file_upload', 'force_pseudo_state'],
+                    enum: ['click', 'type', 'clear', 'press_key', 'hover', 'wait', 'mouse_move', 'mouse_click', 'tap', 'long_press', 'swipe', 'pinch', 'scroll_to', 'scroll_by', 'scroll_into_view', 'select_option', 'file_upload', 'force_pseudo_state'],
                     description: 'Type of interaction'
                   },
-                  selector: { type: 'string', description: 'CSS selector (for click, type, clear, hover, scroll_to, scroll_by, scroll_into_view, select_option, file_upload, force_pseudo_state). For scroll_to/scroll_by: scrolls the element instead of the window' },
-                  text: { type: 'string', description: 'Text to type (for type action)' },
-                  key: { type: 'string', description: 'Key to press (for press_key action)' },
+                  selector: { type: 'string', description: 'CSS selector or locator (for click, type, clear, hover, tap, long_press, swipe, pinch, scroll_to, scroll_by, scroll_into_view, select_option, file_upload, force_pseudo_state). Locators: role=button[name="Save"], label=Email, placeholder=Search, text=Sign in, testid=submit, chained with >> and nth=N; quoted values match exactly, unquoted match substrings. For scroll_to/scroll_by: scrolls the element instead of the window' },
+                  ref: { type: 'string', description: 'Element ref from browser_snapshot (e.g. "e42"), used instead of selector' },
+                  text: { type: 'string', description: 'Text to type (for type action). For wait: text to wait for on the page' },
+                  mode: {
+                    type: 'string',
+                    enum: ['keys', 'insert', 'fill'],
+                    description: 'For type: "keys" types character by character (default), "insert" inserts the text in one go like an IME, "fill" replaces the value and fires input/change events (React-controlled inputs)'
+                  },
+                  delay: { type: 'number', description: 'For type in keys mode: ms to wait between characters (e.g. for autocomplete fields)' },
+                  key: { type: 'string', description: 'Key or chord to press (for press_key action), e.g. "Enter", "Control+Shift+P", "Meta+A"' },
                   value: { type: 'string', description: 'Option value or text to select (for select_option action). Matches by value first, then by text if value not found. Case-insensitive for text matching.' },
                   pseudoStates: {
                     type: 'array',
@@ -223,15 +289,40 @@ class UnifiedBackend {
                     items: { type: 'string' },
                     description: 'File paths to upload (for file_upload action)'
                   },
-                  x: { type: 'number', description: 'X coordinate in viewport coordinates (for mouse_move, mouse_click, scroll_to, scroll_by). Use viewport size, NOT screenshot pixel dimensions!' },
-                  y: { type: 'number', description: 'Y coordinate in viewport coordinates (for mouse_move, mouse_click, scroll_to, scroll_by). Use viewport size, NOT screenshot pixel dimensions!' },
+                  x: { type: 'number', description: 'X coordinate in viewport coordinates (for mouse_move, mouse_click, tap, long_press, swipe, pinch, scroll_to, scroll_by). Use viewport size, NOT screenshot pixel dimensions!' },
+                  y: { type: 'number', description: 'Y coordinate in viewport coordinates (for mouse_move, mouse_click, tap, long_press, swipe, pinch, scroll_to, scroll_by). Use viewport size, NOT screenshot pixel dimensions!' },
                   button: {
                     type: 'string',
                     enum: ['left', 'right', 'middle'],
                     description: 'Mouse button (for click actions)'
                   },
                   clickCount: { type: 'number', description: 'Number of clicks (default: 1)' },
-                  timeout: { type: 'number', description: 'Timeout in ms (for wait action)' }
+                  modifiers: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['Alt', 'Control', 'Meta', 'Shift'] },
+                    description: 'Modifier keys to hold (for click and mouse_click), e.g. ["Control"] to open a link in a new tab'
+                  },
+                  toX: { type: 'number', description: 'For swipe: X coordinate where the finger lifts' },
+                  toY: { type: 'number', description: 'For swipe: Y coordinate where the finger lifts' },
+                  direction: { type: 'string', enum: ['up', 'down', 'left', 'right'], description: 'For swipe without toX/toY: direction the finger moves' },
+                  distance: { type: 'number', description: 'For swipe with direction: px to move (default: 300). For pinch: px between the fingers at the start (default: 100)' },
+                  scale: { type: 'number', description: 'For pinch: final finger distance relative to the start - 2 zooms in, 0.5 zooms out (default: 2)' },
+                  steps: { type: 'number', description: 'For swipe and pinch: number of intermediate touch moves (default: 10)' },
+                  duration: { type: 'number', description: 'For long_press: ms to hold (default: 800)' },
+                  timeout: { type: 'number', description: 'Timeout in ms. For wait: how long to wait. For click, hover, type, select_option and touch actions with a selector: how long to wait for the element to be visible, stable, enabled and not covered (default: 5000)' },
+                  force: { type: 'boolean', description: 'Skip actionability checks and act immediately (for click, hover, type, select_option and touch actions)' },
+                  state: {
+                    type: 'string',
+                    enum: ['attached', 'detached', 'visible', 'hidden'],
+                    description: 'For wait with selector: element state to wait for (default: attached)'
+                  },
+                  url: { type: 'string', description: 'For wait: URL pattern the page URL must match (substring, glob with *, or /regex/)' },
+                  loadState: { type: 'string', enum: ['domcontentloaded', 'load'], description: 'For wait: page load state to reach' },
+                  predicate: { type: 'string', description: 'For wait: JavaScript expression that must become truthy, e.g. "window.appReady === true"' },
+                  networkIdle: { type: 'number', description: 'For wait: ms with no requests in flight (e.g. 500)' },
+                  request: { type: 'string', description: 'For wait: URL pattern of a request that must be sent' },
+                  response: { type: 'string', description: 'For wait: URL pattern of a request that must get a response' },
+                  status: { type: 'number', description: 'For wait with response: required HTTP status' }
                 },
                 required: ['type']
               }
@@ -240,7 +331,9 @@ class UnifiedBackend {
               type: 'string',
               enum: ['stop', 'ignore'],
               description: 'What to do on error: stop execution or ignore and continue (default: stop)'
-            }
+            },
+            frame: { type: 'string', description: FRAME_DESCRIPTION },
+            snapshotDiff: { type: 'boolean', description: 'Append a snapshot diff showing the elements the actions added, removed or changed (default: false)' }
           },
           required: ['actions']
         }
@@ -249,8 +342,27 @@ class UnifiedBackend {
       // Snapshot
       {
         name: 'browser_snapshot',
-        description: 'Get accessible DOM snapshot of the page',
-        inputSchema: { type: 'object', properties: {} }
+        description: 'Get accessible DOM snapshot of the page. Each element carries a ref (e.g. [ref=e42]) that browser_interact, browser_get_element_styles, browser_take_screenshot and browser_drag accept instead of a selector. Use mode "diff" after an action to get only the elements added, removed or changed since the previous snapshot of this tab.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: ['full', 'diff'],
+              description: 'full: whole snapshot (default). diff: only changes since the previous snapshot of this tab, keyed by ref'
+            },
+            selector: { type: 'string', description: 'Only snapshot this element and its descendants (CSS selector or locator)' },
+            ref: { type: 'string', description: 'Only snapshot the element with this ref and its descendants' },
+            maxDepth: { type: 'number', description: 'Maximum nesting depth below the root (default: 10)' },
+            roles: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only show elements with these roles, e.g. ["button", "link", "heading"], or ["interactive"] for all controls. Other elements are left out but their matching descendants are kept'
+            },
+            offset: { type: 'number', description: 'Line to start from (default: 0). Use with limit to page through large pages' },
+            limit: { type: 'number', description: 'Maximum lines to return (default: 200)' }
+          }
+        }
       },
 
       // Lookup elements
@@ -284,6 +396,10 @@ class UnifiedBackend {
               type: 'string',
               description: 'CSS selector for the element'
             },
+            ref: {
+              type: 'string',
+              description: 'Element ref from browser_snapshot (e.g. "e42"), used instead of selector'
+            },
             property: {
               type: 'string',
               description: 'Optional: Filter to show only this CSS property (e.g., "display", "color", "background-color"). If not specified, shows all styles.'
@@ -296,8 +412,7 @@ class UnifiedBackend {
               },
               description: 'Optional: Force pseudo-states on the element (e.g., ["hover"], ["focus"], ["hover", "active"]). Similar to DevTools "Toggle Element State".'
             }
-          },
-          required: ['selector']
+          }
         }
       },
 
@@ -315,6 +430,7 @@ class UnifiedBackend {
             highlightClickables: { type: 'boolean', description: 'Highlight clickable elements with green border and background (default: false)' },
             deviceScale: { type: 'number', description: 'Output scale factor: 1 for 1:1 CSS pixels (default), 0 for native device resolution (2x on retina). Works with all screenshot types.' },
             selector: { type: 'string', description: 'CSS selector to screenshot (partial screenshot by element). Red highlight shown automatically after capture.' },
+            ref: { type: 'string', description: 'Element ref from browser_snapshot (e.g. "e42") to screenshot, used instead of selector' },
             padding: { type: 'number', description: 'Padding in pixels around selector (default: 0)' },
             clip_x: { type: 'number', description: 'Clip X coordinate (for coordinate-based partial screenshot)' },
             clip_y: { type: 'number', description: 'Clip Y coordinate (for coordinate-based partial screenshot)' },
@@ -386,7 +502,8 @@ class UnifiedBackend {
                   value: { type: 'string' }
                 }
               }
-            }
+            },
+            frame: { type: 'string', description: FRAME_DESCRIPTION }
           },
           required: ['fields']
         }
@@ -395,14 +512,33 @@ class UnifiedBackend {
       // Mouse operations
       {
         name: 'browser_drag',
-        description: 'Drag element to another element',
+        description: 'Drag element to another element, by an offset, or along a path of points. Draggable sources get real HTML5 drag and drop (dragstart, dragover, drop with a DataTransfer); others get a mouse drag. Also drops local files on an element',
         inputSchema: {
           type: 'object',
           properties: {
             fromSelector: { type: 'string', description: 'Source element' },
-            toSelector: { type: 'string', description: 'Target element' }
-          },
-          required: ['fromSelector', 'toSelector']
+            toSelector: { type: 'string', description: 'Target element' },
+            fromRef: { type: 'string', description: 'Source element ref from browser_snapshot, used instead of fromSelector' },
+            toRef: { type: 'string', description: 'Target element ref from browser_snapshot, used instead of toSelector' },
+            path: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { x: { type: 'number' }, y: { type: 'number' } },
+                required: ['x', 'y']
+              },
+              description: 'Viewport points to drag through. Without from/to elements the drag follows the path from its first to its last point (e.g. drawing on a canvas)'
+            },
+            steps: { type: 'number', description: 'Intermediate mouse moves between consecutive points (default: 1)' },
+            offsetX: { type: 'number', description: 'Drag the source element this many px right (negative: left) instead of to a target - e.g. for sliders' },
+            offsetY: { type: 'number', description: 'Drag the source element this many px down (negative: up) instead of to a target' },
+            files: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Local file paths to drop on the target element (toSelector or toRef), as if dragged in from the file manager - e.g. for upload dropzones'
+            },
+            frame: { type: 'string', description: FRAME_DESCRIPTION }
+          }
         }
       },
 
@@ -452,48 +588,153 @@ class UnifiedBackend {
       // Network
       {
         name: 'browser_network_requests',
-        description: 'Powerful network monitoring and replay tool with multiple actions: list (lightweight overview with filtering/pagination), details (full request/response with headers/bodies), replay (re-execute request), clear (free memory). Supports JSONPath filtering for large JSON responses.',
+        description: 'Powerful network monitoring and replay tool with multiple actions: list (lightweight overview with filtering/pagination), details (full request/response with headers/bodies), replay (re-execute request in the page, optionally with overrides, and diff the responses), frames/send_frame (WebSocket and SSE messages), export_har (save as a HAR file), import_har (answer requests from a HAR file, e.g. to replay a captured session offline), clear (free memory). Supports JSONPath filtering for large JSON responses.',
         inputSchema: {
           type: 'object',
           properties: {
             action: {
               type: 'string',
-              enum: ['list', 'details', 'replay', 'clear'],
-              description: 'Action to perform: list (default, shows requests with filtering/pagination), details (get full data for specific request), replay (re-execute request), clear (clear history)'
+              enum: ['list', 'details', 'replay', 'frames', 'send_frame', 'export_har', 'import_har', 'clear'],
+              description: 'Action to perform: list (default, shows requests with filtering/pagination), details (get full data for specific request), replay (re-execute request, with optional overrides; shows the original and new response side by side), frames (WebSocket frames and Server-Sent Events messages, filter with requestId/urlPattern/direction/jsonPath), send_frame (send data on an open WebSocket), export_har (write requests to path as HAR 1.2 with timings, headers and bodies), import_har (serve responses recorded in the HAR at path through interception), clear (clear history)'
             },
             // List action filters
             urlPattern: {
               type: 'string',
-              description: 'Filter requests by URL substring (case-insensitive, for list action). Example: "api/users"'
+              description: 'Filter requests by URL substring (case-insensitive, for list, frames and export_har actions). Example: "api/users"'
             },
             method: {
               type: 'string',
-              description: 'Filter by HTTP method (for list action). Example: "GET", "POST"'
+              description: 'Filter by HTTP method (for list and export_har actions). Example: "GET", "POST"'
             },
             status: {
               type: 'number',
-              description: 'Filter by HTTP status code (for list action). Example: 200, 404, 500'
+              description: 'Filter by HTTP status code (for list and export_har actions). Example: 200, 404, 500'
             },
             resourceType: {
               type: 'string',
-              description: 'Filter by resource type (for list action). Examples: "document", "xhr", "fetch", "script", "stylesheet", "image"'
+              description: 'Filter by resource type (for list and export_har actions). Examples: "document", "xhr", "fetch", "script", "stylesheet", "image"'
             },
             limit: {
               type: 'number',
-              description: 'Maximum number of requests to return (for list action, default: 20)'
+              description: 'Maximum number of requests to return (for list action, default: 20; frames: messages, default: 50)'
             },
             offset: {
               type: 'number',
-              description: 'Number of requests to skip for pagination (for list action, default: 0)'
+              description: 'Number of requests to skip for pagination (for list action, default: 0; frames: newest messages to skip)'
             },
             // Details/replay actions
             requestId: {
               type: 'string',
-              description: 'Request ID from list view (required for details/replay actions). Format: "12345.67"'
+              description: 'Request ID from list view (required for details/replay actions). For frames/send_frame: the connection ID shown by frames. Format: "12345.67"'
             },
             jsonPath: {
               type: 'string',
-              description: 'JSONPath query to filter large JSON responses (optional, for details action). Examples: "$.data.items[0]", "$..name", "$.items[?(@.price < 100)]"'
+              description: 'JSONPath query to filter large JSON responses (optional, for details action; for frames: only JSON messages it matches, showing the matched values). Examples: "$.data.items[0]", "$..name", "$.items[?(@.price < 100)]"'
+            },
+            overrides: {
+              type: 'object',
+              description: 'For replay: changes to the captured request. The original response is compared with the new one.',
+              properties: {
+                url: { type: 'string', description: 'Replace the URL' },
+                query: { type: 'object', description: 'Set query parameters; null removes one. Example: {"page": 2, "debug": null}' },
+                method: { type: 'string', description: 'Replace the HTTP method' },
+                headers: { type: 'object', description: 'Set request headers; null removes one. Cookie and other browser-controlled headers cannot be set' },
+                body: { description: 'Replace the body (string, or an object sent as JSON)' },
+                jsonPatch: {
+                  type: 'array',
+                  items: { type: 'object' },
+                  description: 'JSON Patch (RFC 6902) applied to a JSON body. Example: [{"op": "replace", "path": "/quantity", "value": 5}]'
+                }
+              }
+            },
+            // Socket actions
+            direction: {
+              type: 'string',
+              enum: ['sent', 'received', 'error'],
+              description: 'For frames: only messages sent by the page, received from the server, or socket errors'
+            },
+            data: {
+              type: 'string',
+              description: 'For send_frame: text to send, e.g. a JSON message'
+            },
+            // HAR actions
+            path: {
+              type: 'string',
+              description: 'HAR file to write (export_har) or read (import_har)'
+            },
+            notFound: {
+              type: 'string',
+              enum: ['continue', 'block'],
+              description: 'For import_har: what happens to requests the HAR has no response for - continue to the network (default) or block them to replay fully offline'
+            }
+          }
+        }
+      },
+
+      {
+        name: 'browser_network_intercept',
+        description: 'Intercept requests of this session\'s tab with rules: block them, delay them, change their headers or body, or answer them with a canned response. Use it to test error, empty and slow states without touching the backend. The first matching rule wins; rules stay until removed or cleared.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            action: {
+              type: 'string',
+              enum: ['add', 'list', 'remove', 'clear'],
+              description: 'add a rule, list rules with their hit counts (default), remove one rule by id, or clear all rules'
+            },
+            url: { type: 'string', description: 'For add: URL pattern to match - substring, glob with * ("*/api/orders*") or /regex/ (default: all requests)' },
+            method: { type: 'string', description: 'For add: only match this HTTP method, e.g. "POST"' },
+            resourceType: { type: 'string', description: 'For add: only match this resource type, e.g. "Document", "XHR", "Fetch", "Script", "Image"' },
+            behavior: {
+              type: 'string',
+              enum: ['block', 'fulfill', 'modify', 'continue'],
+              description: 'For add: block fails the request, fulfill answers it with status/headers/body, modify sends it with changed headers/body, continue sends it unchanged (use with delay)'
+            },
+            delay: { type: 'number', description: 'For add: hold matching requests this many ms first' },
+            status: { type: 'number', description: 'For fulfill: response status (default: 200)' },
+            headers: { type: 'object', description: 'For fulfill: response headers. For modify: request headers to set (null removes one)' },
+            body: { type: 'string', description: 'For fulfill: response body (Content-Type defaults to JSON or plain text). For modify: new request body' },
+            errorReason: {
+              type: 'string',
+              enum: ['Failed', 'Aborted', 'TimedOut', 'AccessDenied', 'ConnectionClosed', 'ConnectionReset', 'ConnectionRefused', 'ConnectionAborted', 'ConnectionFailed', 'NameNotResolved', 'InternetDisconnected', 'AddressUnreachable', 'BlockedByClient', 'BlockedByResponse'],
+              description: 'For block: network error to fail with (default: BlockedByClient)'
+            },
+            id: { type: 'string', description: 'For remove: rule id from add or list (e.g. "r1")' }
+          }
+        }
+      },
+
+      {
+        name: 'browser_network_conditions',
+        description: 'Simulate slow, offline or flaky networks for this session\'s tab: throttle with a preset (Slow 3G, Fast 3G, offline) or custom latency and throughput, and make requests matching URL patterns fail. Conditions follow the session to newly attached tabs and are shown in the status header until cleared.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            action: {
+              type: 'string',
+              enum: ['set', 'get', 'clear'],
+              description: 'set replaces the current conditions, get shows them (default), clear restores the normal network'
+            },
+            preset: {
+              type: 'string',
+              enum: [...Object.keys(PRESETS), 'none'],
+              description: 'For set: throttling preset (none = no throttling)'
+            },
+            latency: { type: 'number', description: 'For set: added round-trip latency in ms (overrides the preset)' },
+            downloadKbps: { type: 'number', description: 'For set: download throughput in kbit/s (overrides the preset, 0 = unlimited)' },
+            uploadKbps: { type: 'number', description: 'For set: upload throughput in kbit/s (overrides the preset, 0 = unlimited)' },
+            failures: {
+              type: 'array',
+              description: 'For set: requests to fail. Example: [{"url": "*/api/orders*", "rate": 0.5}]',
+              items: {
+                type: 'object',
+                properties: {
+                  url: { type: 'string', description: 'URL pattern - substring, glob with * or /regex/' },
+                  rate: { type: 'number', description: 'Share of matching requests that fail, 0-1 (default: 1)' },
+                  errorReason: { type: 'string', description: 'Network error, e.g. Failed, TimedOut, ConnectionReset (default: Failed)' }
+                },
+                required: ['url']
+              }
             }
           }
         }
@@ -588,6 +829,17 @@ class UnifiedBackend {
    * @param {object} options - Options (rawResult: true for structured JSON output)
    */
   async callTool(name, args, options = {}) {
+    const call = { transport: null, marks: [] };
+    try {
+      return await callContext.run(call, () => this._callTool(name, args, options));
+    } finally {
+      if (call.marks.length > 0) {
+        await this._clearTargetMarks(call.marks);
+      }
+    }
+  }
+
+  async _callTool(name, args, options = {}) {
     debugLog(`callTool: ${name}`, args);
 
     try {
@@ -639,6 +891,11 @@ class UnifiedBackend {
         return this._addStatusHeader(errorResponse);
       }
 
+      // The extension may have lost its network conditions (reload) since they were shown
+      if (this._networkConditionsStale) {
+        await this._refreshNetworkConditions();
+      }
+
       let result;
 
       // Route to appropriate handler (pass options for rawResult support)
@@ -656,11 +913,11 @@ class UnifiedBackend {
           break;
 
         case 'browser_interact':
-          result = await this._handleInteract(args, options);
+          result = await this._inFrame(args.frame, () => this._handleInteract(args, options));
           break;
 
         case 'browser_snapshot':
-          result = await this._handleSnapshot(options);
+          result = await this._handleSnapshot(args, options);
           break;
 
         case 'browser_take_screenshot':
@@ -677,12 +934,12 @@ class UnifiedBackend {
 
         // Forms
         case 'browser_fill_form':
-          result = await this._handleFillForm(args, options);
+          result = await this._inFrame(args.frame, () => this._handleFillForm(args, options));
           break;
 
         // Mouse
         case 'browser_drag':
-          result = await this._handleDrag(args, options);
+          result = await this._inFrame(args.frame, () => this._handleDrag(args, options));
           break;
 
         // Window
@@ -704,6 +961,14 @@ class UnifiedBackend {
           result = await this._handleNetworkRequests(args, options);
           break;
 
+        case 'browser_network_intercept':
+          result = await this._handleNetworkIntercept(args, options);
+          break;
+
+        case 'browser_network_conditions':
+          result = await this._handleNetworkConditions(args, options);
+          break;
+
         // PDF
         case 'browser_pdf_save':
           result = await this._handlePdfSave(args, options);
@@ -825,7 +1090,9 @@ class UnifiedBackend {
             url: tab.url || 'about:blank',
             active: tab.active || false,
             automatable: tab.automatable !== false,
-            windowId: tab.windowId
+            windowId: tab.windowId,
+            ownedBySession: tab.ownedBySession || false,
+            otherSession: tab.otherSession || null
           })),
           focusedWindowId: result.focusedWindowId,
           totalTabs: tabs.length
@@ -854,6 +1121,12 @@ class UnifiedBackend {
           const markers = [];
           if (tab.active) markers.push('ACTIVE');
           if (!tab.automatable) markers.push('NOT AUTOMATABLE');
+          if (tab.attachedToSession) {
+            markers.push('ATTACHED');
+          } else if (tab.ownedBySession) {
+            markers.push('YOURS');
+          }
+          if (tab.otherSession) markers.push(`SESSION: ${tab.otherSession}`);
 
           const markerStr = markers.length > 0 ? ` [${markers.join(', ')}]` : '';
           return `  ${tab.index}. ${tab.title || 'Untitled'} (${tab.url || 'about:blank'})${markerStr}`;
@@ -923,7 +1196,8 @@ class UnifiedBackend {
       const result = await this._transport.sendCommand('selectTab', {
         tabIndex: args.index,
         activate: args.activate ?? false, // Default to false - don't steal focus
-        stealth: args.stealth || false
+        stealth: args.stealth || false,
+        force: args.force || false
       });
 
       // Store attached tab info for status tracking
@@ -964,7 +1238,8 @@ class UnifiedBackend {
     if (action === 'close') {
       // Close tab (by index if specified, otherwise currently attached)
       const result = await this._transport.sendCommand('closeTab', {
-        index: args.index
+        index: args.index,
+        force: args.force || false
       });
 
       // Only clear attached tab info if we closed the attached tab
@@ -1051,26 +1326,40 @@ class UnifiedBackend {
         const tabInfo = s.attachedTabId
           ? `Tab #${s.attachedTabId}: ${s.attachedTabTitle || 'Untitled'}`
           : 'No tab attached';
+        const locks = (s.lockedTabs || [])
+          .map(tab => `\n     🔒 Tab #${tab.id}: ${tab.title || 'Untitled'} (${tab.url || 'about:blank'})`)
+          .join('');
         const status = s.status === 'connected' ? '🟢' : '🔴';
-        return `  ${status} **Port ${s.port}** (Session: ${s.sessionId})\n     ${tabInfo}`;
+        const name = s.clientId ? `**${s.clientId}** - Port ${s.port}` : `**Port ${s.port}**`;
+        return `  ${status} ${name} (Session: ${s.sessionId})\n     ${tabInfo}${locks}`;
       }).join('\n\n');
 
+      const orphaned = result.orphanedTabs || [];
+      const orphanedInfo = orphaned.length > 0
+        ? `\n\n**Orphaned tabs:** ${orphaned.length} tab(s) left by disconnected sessions (${[...new Set(orphaned.map(tab => tab.name))].join(', ')})`
+        : '';
+      const policies = result.tabPolicies;
+      const policyInfo = policies
+        ? `\n**Tab policies:** disconnected → ${policies.disconnected.action} after ${policies.disconnected.minutes} min, idle → ${policies.idle.action} after ${policies.idle.minutes} min`
+        : '';
+
       return {
         content: [{
           type: 'text',
-          text: `### Browser Sessions\n\n**Total:** ${sessions.length} active session(s)\n**Current session:** Port ${result.currentPort}\n\n${sessionList}\n\n**Actions:**\n- Use \`browser_sessions\` with action "close" and port number to close a session's tab\n- Use \`browser_sessions\` with action "close_all" to close all other sessions' tabs`
+          text: `### Browser Sessions\n\n**Total:** ${sessions.length} active session(s)\n**Current session:** Port ${result.currentPort}\n\n${sessionList}${orphanedInfo}${policyInfo}\n\n**Actions:**\n- Use \`browser_sessions\` with action "close" and port number or client_id to close a session's tab\n- Use \`browser_sessions\` with action "close_all" to close all other sessions' tabs\n- Use \`browser_sessions\` with action "gc" to close tabs left by disconnected sessions`
         }],
         isError: false
       };
     }
 
     if (action === 'close') {
-      if (!args.port) {
-        throw new Error('Port number is required for "close" action');
+      if (!args.port && !args.client_id) {
+        throw new Error('Port number or client_id is required for "close" action');
       }
 
       const result = await this._transport.sendCommand('closeSession', {
-        port: args.port
+        port: args.port,
+        clientId: args.client_id
       });
 
       if (options.rawResult) {
@@ -1090,7 +1379,7 @@ class UnifiedBackend {
       return {
         content: [{
           type: 'text',
-          text: `### ✅ Session Closed\n\nSession on port ${args.port} has been closed and its tab has been released.`
+          text: `### ✅ Session Closed\n\nSession ${args.client_id ? `"${args.client_id}"` : `on port ${args.port}`} has been closed and its tabs have been released.`
         }],
         isError: false
       };
@@ -1112,6 +1401,28 @@ class UnifiedBackend {
       };
     }
 
+    if (action === 'gc') {
+      const result = await this._transport.sendCommand('collectGarbage', {
+        policies: {
+          disconnected: { action: args.policy || 'close', minutes: args.minutes ?? 0 }
+        }
+      });
+
+      if (options.rawResult) {
+        return result;
+      }
+
+      const closed = result.closedTabs?.length || 0;
+      const discarded = result.discardedTabs?.length || 0;
+      return {
+        content: [{
+          type: 'text',
+          text: `### ✅ Session Tabs Cleaned Up\n\nClosed ${closed} tab(s), discarded ${discarded} tab(s).`
+        }],
+        isError: false
+      };
+    }
+
     throw new Error(`Unknown browser_sessions action: ${action}`);
   }
 
@@ -1317,77 +1628,12 @@ class UnifiedBackend {
    * Returns array of {x, y, visible, reason} objects
    */
   async _findAllElements(selectorOrObj) {
-    // Handle :has-text() selector
-    if (typeof selectorOrObj === 'object' && selectorOrObj.type === 'has-text') {
-      const result = await this._transport.sendCommand('forwardCDPCommand', {
-        method: 'Runtime.evaluate',
-        params: {
-          expression: `
-            (() => {
-              const baseSelector = ${JSON.stringify(selectorOrObj.baseSelector)};
-              const searchText = ${JSON.stringify(selectorOrObj.searchText)};
-              const remainderSelector = ${JSON.stringify(selectorOrObj.remainderSelector)};
-              const elements = document.querySelectorAll(baseSelector);
-              const matches = [];
-
-              for (const el of elements) {
-                const text = (el.textContent || el.innerText || '').trim();
-                const searchTextLower = searchText.trim().toLowerCase();
-                if (text.toLowerCase().includes(searchTextLower)) {
-                  // If there's a remainder selector, find the descendant element to interact with
-                  let targetEl = el;
-                  if (remainderSelector) {
-                    const descendant = el.querySelector(remainderSelector);
-                    if (!descendant) continue; // Skip if descendant not found
-                    targetEl = descendant;
-                  }
-
-                  const rect = targetEl.getBoundingClientRect();
-                  const style = window.getComputedStyle(targetEl);
-
-                  // Check visibility
-                  let visible = true;
-                  let reason = '';
-
-                  if (style.display === 'none') {
-                    visible = false;
-                    reason = 'display: none';
-                  } else if (style.visibility === 'hidden') {
-                    visible = false;
-                    reason = 'visibility: hidden';
-                  } else if (style.opacity === '0') {
-                    visible = false;
-                    reason = 'opacity: 0';
-                  } else if (rect.width === 0 || rect.height === 0) {
-                    visible = false;
-                    reason = 'zero size';
-                  }
-
-                  matches.push({
-                    x: rect.left + rect.width / 2,
-                    y: rect.top + rect.height / 2,
-                    visible: visible,
-                    reason: reason
-                  });
-                }
-              }
-              return matches;
-            })()
-          `,
-          returnByValue: true
-        }
-      });
-
-      return result.result?.value || [];
-    }
-
-    // Handle regular CSS selector
     const result = await this._transport.sendCommand('forwardCDPCommand', {
       method: 'Runtime.evaluate',
       params: {
         expression: `
           (() => {
-            const elements = document.querySelectorAll(${JSON.stringify(selectorOrObj)});
+            const elements = ${this._getAllElementsExpression(selectorOrObj)};
             const matches = [];
 
             for (const el of elements) {
@@ -1429,6 +1675,240 @@ class UnifiedBackend {
     return result.result?.value || [];
   }
 
+  /**
+   * Wait until every condition of a wait action holds (see waits.js)
+   * @param {Set|null} networkBaseline - Request IDs seen before the interaction started
+   * @returns {Promise<string>} Result message
+   */
+  async _waitForConditions(action, networkBaseline) {
+    const timeout = action.timeout || waits.DEFAULT_WAIT_TIMEOUT;
+    const conditions = waits.getWaitConditions(action);
+
+    if (conditions.length === 0) {
+      // Simple timeout
+      await new Promise(resolve => setTimeout(resolve, timeout));
+      return `Waited ${timeout}ms`;
+    }
+
+    const pageExpression = this._getWaitProbeExpression(conditions);
+    const needsNetwork = conditions.some(waits.isNetworkCondition);
+    const tracker = {};
+    const started = Date.now();
+    let pending;
+
+    while (true) {
+      let page = {};
+      if (pageExpression) {
+        const probe = await this._transport.sendCommand('forwardCDPCommand', {
+          method: 'Runtime.evaluate',
+          params: { expression: pageExpression, returnByValue: true }
+        });
+        page = probe.exceptionDetails
+          ? { error: probe.exceptionDetails.exception?.description || probe.exceptionDetails.text }
+          : probe.result?.value || {};
+      }
+
+      let requests = [];
+      if (needsNetwork) {
+        requests = (await this._transport.sendCommand('getNetworkRequests')).requests || [];
+      }
+
+      pending = waits.checkWaitConditions(conditions, {
+        page,
+        requests,
+        baseline: networkBaseline,
+        tracker,
+        now: Date.now()
+      });
+      if (pending.length === 0) {
+        return `Waited for ${conditions.map(condition => condition.label).join(', ')} (${Date.now() - started}ms)`;
+      }
+
+      if (Date.now() - started >= timeout) break;
+      await new Promise(resolve => setTimeout(resolve, waits.POLL_INTERVAL));
+    }
+
+    throw new Error(waits.formatWaitTimeout(pending, timeout));
+  }
+
+  /**
+   * Get JavaScript expression probing the page-side wait conditions
+   * Returns { url, readyState, results } with one result per condition (null for network ones)
+   */
+  _getWaitProbeExpression(conditions) {
+    if (conditions.every(waits.isNetworkCondition)) {
+      return null;
+    }
+
+    const results = conditions.map(condition => {
+      switch (condition.kind) {
+        case 'element':
+          return `(() => {
+            const elements = ${this._getAllElementsExpression(this._processSelector(condition.selector))};
+            const visible = elements.filter(el => el.getClientRects().length > 0 &&
+              el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true }));
+            return { total: elements.length, visible: visible.length };
+          })()`;
+        case 'text':
+          return `(document.body?.innerText || '').includes(${JSON.stringify(condition.text)})`;
+        case 'predicate':
+          return `(() => {
+            try {
+              return { value: !!(${condition.expression}) };
+            } catch (error) {
+              return { error: error.message };
+            }
+          })()`;
+        default:
+          return 'null';
+      }
+    });
+
+    return `({ url: location.href, readyState: document.readyState, results: [${results.join(', ')}] })`;
+  }
+
+  /**
+   * Get JavaScript expression returning every element a selector matches
+   * For :has-text(), the matches are the elements to interact with (remainder descendants if given)
+   */
+  _getAllElementsExpression(selectorOrObj) {
+    if (selectorOrObj?.type === 'has-text') {
+      return `(() => {
+        const baseSelector = ${JSON.stringify(selectorOrObj.baseSelector)};
+        const searchText = ${JSON.stringify(selectorOrObj.searchText)};
+        const remainderSelector = ${JSON.stringify(selectorOrObj.remainderSelector)};
+        const queryAll = ${deepQuerySelectorAll.toString()};
+        const matches = [];
+
+        for (const el of queryAll(document, baseSelector)) {
+          const text = (el.textContent || el.innerText || '').trim();
+          if (!text.toLowerCase().includes(searchText.trim().toLowerCase())) continue;
+
+          // If there's a remainder selector, find the descendant element to interact with
+          if (remainderSelector) {
+            const descendant = queryAll(el, remainderSelector)[0];
+            if (descendant) matches.push(descendant);
+          } else {
+            matches.push(el);
+          }
+        }
+        return matches;
+      })()`;
+    }
+
+    if (selectorOrObj?.type === 'locator') {
+      return this._getLocatorExpression(selectorOrObj);
+    }
+    return this._getQueryAllExpression(selectorOrObj);
+  }
+
+  /**
+   * Wait until the element a selector points to is actionable (see actionability.js)
+   * The element is marked (until the tool call ends) so follow-up scripts can target exactly it
+   * @returns {Promise<object|null>} { x, y, warning, selector } or null if nothing matched before the timeout
+   */
+  async _waitForActionable(selectorOrObj, action) {
+    const checks = ACTION_CHECKS[action.type];
+    const timeout = action.timeout ?? DEFAULT_ACTION_TIMEOUT;
+    const deadline = Date.now() + timeout;
+    const mark = `m${++this._targetMarks}`;
+    this._trackTargetMark(mark);
+    const expression = `(${checkActionability.toString()})(` +
+      `${this._getAllElementsExpression(selectorOrObj)}, ${JSON.stringify(checks)}, ${JSON.stringify(mark)})`;
+
+    let check = null;
+    let lastRect = null;
+    while (true) {
+      const result = await this._transport.sendCommand('forwardCDPCommand', {
+        method: 'Runtime.evaluate',
+        params: { expression, returnByValue: true }
+      });
+      // A broken selector or page script will not fix itself - fail now instead of polling until the timeout
+      if (result.exceptionDetails) {
+        const description = result.exceptionDetails.exception?.description || result.exceptionDetails.text;
+        throw new Error(`Actionability check failed for ${action.selector}: ${description}`);
+      }
+      check = result.result?.value || { state: 'missing' };
+
+      // Stable = same box on two consecutive polls
+      if (check.state === 'ready' && checks.includes('stable')) {
+        const moved = lastRect && JSON.stringify(lastRect) !== JSON.stringify(check.rect);
+        const confirmed = lastRect && !moved;
+        lastRect = check.rect;
+        if (!confirmed) {
+          check = { ...check, state: moved ? 'unstable' : 'settling' };
+        }
+      }
+
+      if (check.state === 'ready') {
+        const warning = check.total > 1
+          ? `Found ${check.total} matching elements (${check.visibleCount} visible) - used the first visible one`
+          : '';
+        return { x: check.x, y: check.y, warning, selector: `[data-blueprint-ref="${mark}"]` };
+      }
+
+      if (Date.now() >= deadline) break;
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+
+    if (check.state === 'missing') {
+      return null;
+    }
+    throw new Error(formatActionabilityError(action.selector, check.state === 'settling' ? { state: 'unstable' } : check, timeout));
+  }
+
+  /**
+   * Viewport point a touch action starts at: the center of its selector/ref target, or its x/y
+   */
+  async _getTouchPoint(action) {
+    if (action.selector) {
+      const processedSelector = this._processSelector(action.selector);
+      const target = action.force
+        ? await this._findElement(processedSelector)
+        : await this._waitForActionable(processedSelector, action);
+      if (!target) {
+        throw new Error(`Element not found: ${action.selector}`);
+      }
+      return { x: target.x, y: target.y };
+    }
+
+    if (typeof action.x !== 'number' || typeof action.y !== 'number') {
+      throw new Error(`${action.type} needs a selector, ref, or x and y`);
+    }
+    return { x: action.x, y: action.y };
+  }
+
+  /**
+   * Send touch events, one frame apart between moves; { pause: ms } entries hold the gesture
+   * Touch emulation is on for the gesture so pages see a touch device (ontouchstart, pointer: coarse),
+   * and off again afterwards (nothing else turns it on) so later mouse actions stay mouse input
+   */
+  async _dispatchTouchEvents(events) {
+    const setTouchEmulation = (enabled) => this._transport.sendCommand('forwardCDPCommand', {
+      method: 'Emulation.setTouchEmulationEnabled',
+      params: enabled ? { enabled, maxTouchPoints: 5 } : { enabled }
+    });
+
+    await setTouchEmulation(true);
+    try {
+      for (const params of events) {
+        if (params.pause !== undefined) {
+          await new Promise(resolve => setTimeout(resolve, params.pause));
+          continue;
+        }
+        if (params.type === 'touchMove') {
+          await new Promise(resolve => setTimeout(resolve, gestures.STEP_INTERVAL));
+        }
+        await this._transport.sendCommand('forwardCDPCommand', {
+          method: 'Input.dispatchTouchEvent',
+          params
+        });
+      }
+    } finally {
+      await setTouchEmulation(false);
+    }
+  }
+
   /**
    * Find element and return its coordinates (prioritizes visible elements)
    * Handles both regular CSS selectors and :has-text() pseudo-selectors
@@ -1577,16 +2057,13 @@ class UnifiedBackend {
     };
   }
 
-  /**
-   * Validate CSS selector - reject common accessibility role names
-   */
   /**
    * Process selector: preprocess + validate
-   * Returns processed selector (string or object for :has-text)
+   * Returns processed selector (string, or object for :has-text and locators)
    */
   _processSelector(selector) {
     const processed = this._preprocessSelector(selector);
-    // Only validate if it's a simple string selector (not :has-text object)
+    // Only validate if it's a simple string selector (not :has-text or locator object)
     if (typeof processed === 'string') {
       this._validateSelector(processed);
     }
@@ -1604,13 +2081,14 @@ class UnifiedBackend {
         const baseSelector = ${JSON.stringify(selectorOrObj.baseSelector)};
         const searchText = ${JSON.stringify(selectorOrObj.searchText)};
         const remainderSelector = ${JSON.stringify(selectorOrObj.remainderSelector)};
-        const elements = document.querySelectorAll(baseSelector);
+        const queryAll = ${deepQuerySelectorAll.toString()};
+        const elements = queryAll(document, baseSelector);
         for (const el of elements) {
           const text = el.textContent || el.innerText || '';
           if (text.toLowerCase().includes(searchText.toLowerCase())) {
             // If there's a remainder selector, find the descendant element
             if (remainderSelector) {
-              const target = el.querySelector(remainderSelector);
+              const target = queryAll(el, remainderSelector)[0];
               if (target) return target;
             } else {
               return el;
@@ -1620,21 +2098,145 @@ class UnifiedBackend {
         return null;
       })()`;
     }
-    // Regular CSS selector
-    return `document.querySelector(${JSON.stringify(selectorOrObj)})`;
+    if (typeof selectorOrObj === 'object' && selectorOrObj.type === 'locator') {
+      return `(${this._getLocatorExpression(selectorOrObj)}[0] || null)`;
+    }
+    // Regular CSS selector (light DOM first, then open shadow roots)
+    return `(document.querySelector(${JSON.stringify(selectorOrObj)}) || ${this._getQueryAllExpression(selectorOrObj)}[0] || null)`;
   }
 
   /**
-   * Preprocess selector to translate Playwright-like syntax to valid CSS
-   * Supports:
-   * - 'button' -> button, input[type="button"], input[type="submit"], a.btn, a[role="button"]
-   * - ':has-text("...")' -> custom JS evaluation to find element by text content
+   * Get JavaScript expression returning all elements matching a CSS selector, including inside open shadow roots
    */
-  _preprocessSelector(selector) {
-    if (!selector) return selector;
+  _getQueryAllExpression(selector, root = 'document') {
+    return `(${deepQuerySelectorAll.toString()})(${root}, ${JSON.stringify(selector)})`;
+  }
 
-    // Handle :has-text() pseudo-selector
-    // Pattern: :has-text("some text") or :has-text('some text')
+  /**
+   * Get JavaScript expression returning all elements matching a locator
+   */
+  _getLocatorExpression(locator) {
+    return `(${findLocatorElements.toString()})(${JSON.stringify(locator.parts)}, ${deepQuerySelectorAll.toString()})`;
+  }
+
+  /**
+   * Find an iframe by selector, name or URL and get where to run code in it
+   * @returns {Promise<object>} { frameId, sessionId, contextId, offset: {x, y}, url }
+   */
+  async _resolveFrame(frame) {
+    const result = await this._transport.sendCommand('forwardCDPCommand', {
+      method: 'Page.resolveFrame',
+      params: { frame }
+    });
+
+    if (!result?.contextId) {
+      throw new Error(
+        `Frame not found: "${frame}". ${result?.error ? `${result.error}. ` : ''}` +
+        `Use an iframe selector (e.g. "iframe#checkout"), the frame name, or part of its URL.`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Run a tool handler inside an iframe: page scripts run in the frame,
+   * mouse coordinates are relative to the frame
+   */
+  async _inFrame(frame, handler) {
+    if (!frame) {
+      return await handler();
+    }
+
+    const transport = new FrameTransport(this._transport, await this._resolveFrame(frame));
+    return await callContext.run({ marks: callContext.getStore()?.marks || [], transport }, handler);
+  }
+
+  /**
+   * Remember an element mark of the current tool call, so it is removed when the call ends
+   */
+  _trackTargetMark(mark) {
+    callContext.getStore()?.marks.push({ mark, transport: this._transport });
+  }
+
+  /**
+   * Remove element marks from the page (and frames) they were set in
+   * Fails quietly: the page may have navigated away since
+   */
+  async _clearTargetMarks(marks) {
+    const byTransport = new Map();
+    for (const { mark, transport } of marks) {
+      byTransport.set(transport, [...(byTransport.get(transport) || []), mark]);
+    }
+
+    for (const [transport, values] of byTransport) {
+      await transport.sendCommand('forwardCDPCommand', {
+        method: 'Runtime.evaluate',
+        params: {
+          expression: `${this._getQueryAllExpression('[data-blueprint-ref]')}.forEach(el => {
+            if (${JSON.stringify(values)}.includes(el.getAttribute('data-blueprint-ref'))) el.removeAttribute('data-blueprint-ref');
+          })`,
+          returnByValue: true
+        }
+      }).catch(error => debugLog('Failed to clear element marks:', error.message));
+    }
+  }
+
+  /**
+   * Get a plain CSS selector for a tool's target element
+   * Selectors, locators and :has-text are resolved in the page (through open shadow roots)
+   * and the element is marked (until the tool call ends), for handlers that pass the
+   * selector on to the extension
+   */
+  async _resolveTarget(selector, ref) {
+    if (ref) {
+      return await this._resolveRef(ref);
+    }
+
+    const processed = this._processSelector(selector);
+    if (!processed) {
+      return processed;
+    }
+
+    const mark = `m${++this._targetMarks}`;
+    const result = await this._transport.sendCommand('forwardCDPCommand', {
+      method: 'Runtime.evaluate',
+      params: {
+        expression: `
+          (() => {
+            const el = ${this._getSelectorExpression(processed)};
+            if (!el) return false;
+            el.setAttribute('data-blueprint-ref', '${mark}');
+            return true;
+          })()
+        `,
+        returnByValue: true
+      }
+    });
+
+    if (!result.result?.value) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+    this._trackTargetMark(mark);
+    return `[data-blueprint-ref="${mark}"]`;
+  }
+
+  /**
+   * Preprocess selector to translate Playwright-like syntax to valid CSS
+   * Supports:
+   * - 'button' -> button, input[type="button"], input[type="submit"], a.btn, a[role="button"]
+   * - ':has-text("...")' -> custom JS evaluation to find element by text content
+   * - locators (role=, label=, placeholder=, text=, testid=, nth=, chained with >>) -> see locators.js
+   */
+  _preprocessSelector(selector) {
+    if (!selector) return selector;
+
+    const locator = parseLocator(selector);
+    if (locator) {
+      return locator;
+    }
+
+    // Handle :has-text() pseudo-selector
+    // Pattern: :has-text("some text") or :has-text('some text')
     const hasTextMatch = selector.match(/:has-text\(["']([^"']+)["']\)/);
     if (hasTextMatch) {
       const searchText = hasTextMatch[1];
@@ -1675,30 +2277,20 @@ class UnifiedBackend {
   }
 
   _validateSelector(selector, context = '') {
-    // Common accessibility roles that should NOT be used as CSS selectors
-    const INVALID_SELECTORS = [
-      'textbox', 'link', 'heading', 'list', 'listitem',
-      'checkbox', 'radio', 'combobox', 'menu', 'menuitem', 'tab',
-      'tabpanel', 'dialog', 'alertdialog', 'toolbar', 'tooltip',
-      'navigation', 'search', 'banner', 'main', 'contentinfo',
-      'complementary', 'region', 'article', 'form', 'table',
-      'row', 'cell', 'columnheader', 'rowheader', 'grid',
-      'StaticText', 'paragraph', 'figure', 'img', 'image'
-    ];
-
-    // Note: 'button' is now allowed and will be preprocessed
+    // Browser-internal accessibility node types, not roles or CSS
+    // (bare ARIA roles like 'textbox' are turned into role locators by _preprocessSelector)
+    const INVALID_SELECTORS = ['StaticText', 'InlineTextBox', 'LabelText'];
 
     if (INVALID_SELECTORS.includes(selector)) {
       const suggestion = context ? ` ${context}` : '';
       throw new Error(
-        `Invalid selector "${selector}". This is an accessibility role, not a CSS selector.${suggestion}\n\n` +
-        `Use CSS selectors instead:\n` +
-        `  - input[type="text"], input[placeholder="..."]  (for text fields)\n` +
-        `  - button, button[type="submit"]  (for buttons)\n` +
-        `  - #id, .class-name  (for any element with id or class)\n` +
-        `  - a[href="..."]  (for links)\n` +
-        `  - button:has-text("Click me")  (for buttons with text)\n\n` +
-        `Check the accessibility snapshot for element names and values to construct proper selectors.`
+        `Invalid selector "${selector}". This is an accessibility node type, not a CSS selector.${suggestion}\n\n` +
+        `Use a locator or CSS selector instead:\n` +
+        `  - text=Sign in, text="Exact text"  (for text)\n` +
+        `  - role=button[name="Save"], label=Email, placeholder=Search, testid=submit\n` +
+        `  - #id, .class-name, a[href="..."]  (CSS)\n` +
+        `  - role=list >> text=Inbox >> nth=0  (chained)\n\n` +
+        `Or use a ref from browser_snapshot.`
       );
     }
   }
@@ -1711,18 +2303,37 @@ class UnifiedBackend {
     // Install/check iframe monitor
     const iframeChanges = await this._checkIframeChanges();
 
+    // Request/response waits only count requests made during this call
+    let networkBaseline = null;
+    if (actions.some(action => action.type === 'wait' && (action.request || action.response))) {
+      const network = await this._transport.sendCommand('getNetworkRequests');
+      networkBaseline = new Set((network.requests || []).map(request => request.requestId));
+    }
+
+    // Diff needs a baseline from before the actions
+    if (args.snapshotDiff && !this._lastSnapshots.has(this._snapshotKey())) {
+      const baseline = await this._captureSnapshot();
+      if (baseline) {
+        this._recordSnapshot(baseline.snapshot);
+      }
+    }
+
     // Get tabs before interactions to detect new tabs
     const tabsBeforeResult = await this._transport.sendCommand('getTabs', {});
     const tabsBefore = tabsBeforeResult.tabs || [];
     const tabIdsBefore = new Set(tabsBefore.map(t => t.id));
 
     for (let i = 0; i < actions.length; i++) {
-      const action = actions[i];
+      let action = actions[i];
       const actionIndex = i + 1;
 
       try {
         let result = null;
 
+        if (action.ref) {
+          action = { ...action, selector: await this._resolveRef(action.ref) };
+        }
+
         switch (action.type) {
           case 'click': {
             // Process selector (preprocess + validate)
@@ -1774,7 +2385,9 @@ class UnifiedBackend {
 
             // Not a select - proceed with normal click
             // Get element location
-            const elemResult = await this._findElement(processedSelector);
+            const elemResult = action.force
+              ? await this._findElement(processedSelector)
+              : await this._waitForActionable(processedSelector, action);
 
             if (!elemResult) {
               // Try to find alternative selectors
@@ -1820,6 +2433,7 @@ class UnifiedBackend {
 
             const { x, y, warning } = elemResult;
             const button = action.button || 'left';
+            const modifiers = getModifierMask(action.modifiers);
 
             // Add visual click effect
             await this._transport.sendCommand('forwardCDPCommand', {
@@ -1870,7 +2484,8 @@ class UnifiedBackend {
               method: 'Input.dispatchMouseEvent',
               params: {
                 type: 'mouseMoved',
-                x, y
+                x, y,
+                ...(modifiers && { modifiers })
               }
             });
 
@@ -1884,7 +2499,8 @@ class UnifiedBackend {
                 type: 'mousePressed',
                 x, y,
                 button,
-                clickCount: action.clickCount || 1
+                clickCount: action.clickCount || 1,
+                ...(modifiers && { modifiers })
               }
             });
 
@@ -1895,7 +2511,8 @@ class UnifiedBackend {
                 type: 'mouseReleased',
                 x, y,
                 button,
-                clickCount: action.clickCount || 1
+                clickCount: action.clickCount || 1,
+                ...(modifiers && { modifiers })
               }
             });
 
@@ -1932,6 +2549,9 @@ class UnifiedBackend {
 
             // Normal click result (select elements are handled before clicking)
             result = `Clicked ${action.selector} at viewport(${Math.round(x)}, ${Math.round(y)}) page(${pageX}, ${pageY})`;
+            if (modifiers) {
+              result += ` with ${action.modifiers.join('+')}`;
+            }
             if (warning) {
               result += ` ⚠️ ${warning}`;
             }
@@ -1970,26 +2590,77 @@ class UnifiedBackend {
           case 'type': {
             // Process selector (preprocess + validate)
             const processedSelector = this._processSelector(action.selector);
-            const selectorExpr = this._getSelectorExpression(processedSelector);
+            let selectorExpr = this._getSelectorExpression(processedSelector);
 
-            // Focus element first
-            await this._transport.sendCommand('forwardCDPCommand', {
-              method: 'Runtime.evaluate',
-              params: {
-                expression: `${selectorExpr}?.focus()`,
-                returnByValue: false
+            if (!action.force) {
+              const target = await this._waitForActionable(processedSelector, action);
+              if (!target) {
+                throw new Error(`Element not found: ${action.selector}`);
               }
-            });
+              selectorExpr = this._getSelectorExpression(target.selector);
+            }
+
+            const mode = action.mode || 'keys';
+            if (!['keys', 'insert', 'fill'].includes(mode)) {
+              throw new Error(`Invalid type mode "${mode}". Use keys, insert or fill`);
+            }
 
-            // Type each character
-            for (const char of action.text) {
+            if (mode === 'fill') {
+              // Set the value through the native setter so React/Vue see the change, then notify listeners
               await this._transport.sendCommand('forwardCDPCommand', {
-                method: 'Input.dispatchKeyEvent',
+                method: 'Runtime.evaluate',
+                params: {
+                  expression: `
+                    (() => {
+                      const el = ${selectorExpr};
+                      if (!el) return false;
+                      el.focus();
+                      const text = ${JSON.stringify(action.text)};
+                      if (el.isContentEditable) {
+                        el.textContent = text;
+                      } else {
+                        const proto = el instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+                        Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, text);
+                      }
+                      el.dispatchEvent(new Event('input', { bubbles: true }));
+                      el.dispatchEvent(new Event('change', { bubbles: true }));
+                      return true;
+                    })()
+                  `,
+                  returnByValue: true
+                }
+              });
+            } else {
+              // Focus element first
+              await this._transport.sendCommand('forwardCDPCommand', {
+                method: 'Runtime.evaluate',
                 params: {
-                  type: 'char',
-                  text: char
+                  expression: `${selectorExpr}?.focus()`,
+                  returnByValue: false
                 }
               });
+
+              if (mode === 'insert') {
+                // One insertion, like an IME commit - no per-key events
+                await this._transport.sendCommand('forwardCDPCommand', {
+                  method: 'Input.insertText',
+                  params: { text: action.text }
+                });
+              } else {
+                // Type each character
+                for (const [index, char] of [...action.text].entries()) {
+                  if (action.delay && index > 0) {
+                    await new Promise(resolve => setTimeout(resolve, action.delay));
+                  }
+                  await this._transport.sendCommand('forwardCDPCommand', {
+                    method: 'Input.dispatchKeyEvent',
+                    params: {
+                      type: 'char',
+                      text: char
+                    }
+                  });
+                }
+              }
             }
 
             // Get the final value of the field after typing
@@ -2041,49 +2712,13 @@ class UnifiedBackend {
           case 'press_key': {
             const key = action.key;
 
-            // Map common keys to their key codes
-            const keyCodeMap = {
-              'Enter': 13,
-              'Escape': 27,
-              'Tab': 9,
-              'Backspace': 8,
-              'Delete': 46,
-              'ArrowUp': 38,
-              'ArrowDown': 40,
-              'ArrowLeft': 37,
-              'ArrowRight': 39,
-              'Space': 32
-            };
-
-            const code = keyCodeMap[key];
-            const text = key === 'Enter' ? '\r' : (key === 'Tab' ? '\t' : (key.length === 1 ? key : ''));
-
-            const baseParams = {
-              key: key,
-              code: key,
-              windowsVirtualKeyCode: code,
-              nativeVirtualKeyCode: code,
-              text: text,
-              unmodifiedText: text
-            };
-
-            // Send keyDown
-            await this._transport.sendCommand('forwardCDPCommand', {
-              method: 'Input.dispatchKeyEvent',
-              params: {
-                type: 'keyDown',
-                ...baseParams
-              }
-            });
-
-            // Send keyUp
-            await this._transport.sendCommand('forwardCDPCommand', {
-              method: 'Input.dispatchKeyEvent',
-              params: {
-                type: 'keyUp',
-                ...baseParams
-              }
-            });
+            // Modifiers down, key down/up, modifiers up
+            for (const params of getKeyChordEvents(key)) {
+              await this._transport.sendCommand('forwardCDPCommand', {
+                method: 'Input.dispatchKeyEvent',
+                params
+              });
+            }
 
             result = `Pressed key: ${key}`;
             break;
@@ -2094,7 +2729,9 @@ class UnifiedBackend {
             const processedSelector = this._processSelector(action.selector);
 
             // Get element location
-            const elemResult = await this._findElement(processedSelector);
+            const elemResult = action.force
+              ? await this._findElement(processedSelector)
+              : await this._waitForActionable(processedSelector, action);
 
             if (!elemResult) {
               // Try to find alternative selectors
@@ -2156,38 +2793,7 @@ class UnifiedBackend {
           }
 
           case 'wait': {
-            const timeout = action.timeout || 30000;
-            const selector = action.selector;
-
-            if (selector) {
-              // Wait for element
-              await this._transport.sendCommand('forwardCDPCommand', {
-                method: 'Runtime.evaluate',
-                params: {
-                  expression: `
-                    new Promise((resolve, reject) => {
-                      const timeout = setTimeout(() => reject(new Error('Timeout')), ${timeout});
-                      const check = () => {
-                        if (document.querySelector(${JSON.stringify(selector)})) {
-                          clearTimeout(timeout);
-                          resolve(true);
-                        } else {
-                          setTimeout(check, 100);
-                        }
-                      };
-                      check();
-                    })
-                  `,
-                  awaitPromise: true,
-                  returnByValue: true
-                }
-              });
-              result = `Waited for element: ${selector}`;
-            } else {
-              // Simple timeout
-              await new Promise(resolve => setTimeout(resolve, timeout));
-              result = `Waited ${timeout}ms`;
-            }
+            result = await this._waitForConditions(action, networkBaseline);
             break;
           }
 
@@ -2205,8 +2811,52 @@ class UnifiedBackend {
             break;
           }
 
+          case 'tap': {
+            const point = await this._getTouchPoint(action);
+            await this._dispatchTouchEvents([
+              { type: 'touchStart', touchPoints: [{ x: point.x, y: point.y, id: 0 }] },
+              { type: 'touchEnd', touchPoints: [] }
+            ]);
+
+            result = `Tapped at (${Math.round(point.x)}, ${Math.round(point.y)})`;
+            break;
+          }
+
+          case 'long_press': {
+            const point = await this._getTouchPoint(action);
+            const duration = action.duration ?? gestures.DEFAULT_LONG_PRESS;
+
+            await this._dispatchTouchEvents([
+              { type: 'touchStart', touchPoints: [{ x: point.x, y: point.y, id: 0 }] },
+              { pause: duration },
+              { type: 'touchEnd', touchPoints: [] }
+            ]);
+
+            result = `Long-pressed at (${Math.round(point.x)}, ${Math.round(point.y)}) for ${duration}ms`;
+            break;
+          }
+
+          case 'swipe': {
+            const from = await this._getTouchPoint(action);
+            const to = gestures.getSwipeEnd(from, action);
+            await this._dispatchTouchEvents(gestures.getSwipeEvents(from, to, action.steps));
+
+            result = `Swiped from (${Math.round(from.x)}, ${Math.round(from.y)}) to (${Math.round(to.x)}, ${Math.round(to.y)})`;
+            break;
+          }
+
+          case 'pinch': {
+            const center = await this._getTouchPoint(action);
+            const scale = action.scale ?? 2;
+            await this._dispatchTouchEvents(gestures.getPinchEvents(center, scale, action.distance, action.steps));
+
+            result = `Pinched ${scale > 1 ? 'out' : 'in'} (scale ${scale}) at (${Math.round(center.x)}, ${Math.round(center.y)})`;
+            break;
+          }
+
           case 'mouse_click': {
             const button = action.button || 'left';
+            const modifiers = getModifierMask(action.modifiers);
 
             // First, check what element is at these coordinates and add visual effect
             const elementAtPoint = await this._transport.sendCommand('forwardCDPCommand', {
@@ -2292,7 +2942,8 @@ class UnifiedBackend {
                 x: action.x,
                 y: action.y,
                 button,
-                clickCount: action.clickCount || 1
+                clickCount: action.clickCount || 1,
+                ...(modifiers && { modifiers })
               }
             });
 
@@ -2304,7 +2955,8 @@ class UnifiedBackend {
                 x: action.x,
                 y: action.y,
                 button,
-                clickCount: action.clickCount || 1
+                clickCount: action.clickCount || 1,
+                ...(modifiers && { modifiers })
               }
             });
 
@@ -2328,6 +2980,9 @@ class UnifiedBackend {
             }
 
             result = `Clicked at (${action.x}, ${action.y})`;
+            if (modifiers) {
+              result += ` with ${action.modifiers.join('+')}`;
+            }
 
             // Add element info if found
             const elementInfo = elementAtPoint.result?.value;
@@ -2593,6 +3248,11 @@ class UnifiedBackend {
 
 
           case 'file_upload': {
+            // DOM commands go to the top page's session, which can't reach nodes of cross-origin frames
+            if (callContext.getStore()?.transport) {
+              throw new Error('file_upload is not supported with frame - use browser_drag with files to drop them on the frame instead');
+            }
+
             // Process selector (preprocess + validate)
             const processedSelector = this._processSelector(action.selector);
             const selectorExpr = this._getSelectorExpression(processedSelector);
@@ -2770,7 +3430,15 @@ class UnifiedBackend {
           case 'select_option': {
             // Process selector (preprocess + validate)
             const processedSelector = this._processSelector(action.selector);
-            const selectorExpr = this._getSelectorExpression(processedSelector);
+            let selectorExpr = this._getSelectorExpression(processedSelector);
+
+            if (!action.force) {
+              const target = await this._waitForActionable(processedSelector, action);
+              if (!target) {
+                throw new Error(`Select element not found: ${action.selector}`);
+              }
+              selectorExpr = this._getSelectorExpression(target.selector);
+            }
 
             // Select option by value or text
             const value = action.value;
@@ -2963,6 +3631,17 @@ class UnifiedBackend {
       // Dialog event retrieval not supported or failed - ignore silently
     }
 
+    // Show what the actions changed on the page
+    let snapshotDiff = null;
+    let snapshotDiffInfo = '';
+    if (args.snapshotDiff) {
+      const captured = await this._captureSnapshot();
+      snapshotDiff = captured && this._recordSnapshot(captured.snapshot);
+      snapshotDiffInfo = snapshotDiff
+        ? `\n\n### Snapshot Diff\n\n${formatSnapshotDiff(snapshotDiff)}`
+        : '\n\n### Snapshot Diff\n\nNo diff available - use browser_snapshot to see the page.';
+    }
+
     // For rawResult, return structured data
     if (options.rawResult) {
       return {
@@ -2973,14 +3652,15 @@ class UnifiedBackend {
         results,
         newTabs: newTabs || [],
         iframeChanges: iframeChanges || null,
-        dialogDetected: dialogWarning ? true : false
+        dialogDetected: dialogWarning ? true : false,
+        ...(args.snapshotDiff && { snapshotDiff: snapshotDiff && serializeSnapshotDiff(snapshotDiff) })
       };
     }
 
     return {
       content: [{
         type: 'text',
-        text: `### Interactions Complete\n\nTotal: ${results.length}\nSucceeded: ${successCount}\nFailed: ${errorCount}\n\n${summary}${newTabsInfo}${iframeWarning}${dialogWarning}`
+        text: `### Interactions Complete\n\nTotal: ${results.length}\nSucceeded: ${successCount}\nFailed: ${errorCount}\n\n${summary}${newTabsInfo}${iframeWarning}${dialogWarning}${snapshotDiffInfo}`
       }],
       isError: errorCount > 0
     };
@@ -3073,49 +3753,12 @@ class UnifiedBackend {
   async _handlePressKey(args) {
     const key = args.key;
 
-    // Map common keys to their key codes
-    const keyCodeMap = {
-      'Enter': 13,
-      'Escape': 27,
-      'Tab': 9,
-      'Backspace': 8,
-      'Delete': 46,
-      'ArrowUp': 38,
-      'ArrowDown': 40,
-      'ArrowLeft': 37,
-      'ArrowRight': 39,
-      'Space': 32
-    };
-
-    const code = keyCodeMap[key];
-    const text = key === 'Enter' ? '\r' : (key === 'Tab' ? '\t' : (key.length === 1 ? key : ''));
-
-    const baseParams = {
-      key: key,
-      code: key,
-      windowsVirtualKeyCode: code,
-      nativeVirtualKeyCode: code,
-      text: text,
-      unmodifiedText: text
-    };
-
-    // Send keyDown
-    await this._transport.sendCommand('forwardCDPCommand', {
-      method: 'Input.dispatchKeyEvent',
-      params: {
-        type: 'keyDown',
-        ...baseParams
-      }
-    });
-
-    // Send keyUp
-    await this._transport.sendCommand('forwardCDPCommand', {
-      method: 'Input.dispatchKeyEvent',
-      params: {
-        type: 'keyUp',
-        ...baseParams
-      }
-    });
+    for (const params of getKeyChordEvents(key)) {
+      await this._transport.sendCommand('forwardCDPCommand', {
+        method: 'Input.dispatchKeyEvent',
+        params
+      });
+    }
 
     return {
       content: [{
@@ -3167,17 +3810,11 @@ class UnifiedBackend {
     };
   }
 
-  async _handleSnapshot(options = {}) {
-    // Get formatted accessibility tree snapshot from extension
-    // Extension now does the heavy processing (grouping, collapsing, truncating)
-    // and sends us a structured, compact JSON (~100KB instead of ~12MB)
-    const result = await this._transport.sendCommand('forwardCDPCommand', {
-      method: 'Accessibility.getFullAXTree',
-      params: {}
-    });
+  async _handleSnapshot(args = {}, options = {}) {
+    const scope = await this._getSnapshotScope(args);
+    const captured = await this._captureSnapshot(scope);
 
-    // Extension returns { formattedSnapshot: { nodes, totalLines, truncated } }
-    if (!result.formattedSnapshot) {
+    if (!captured) {
       if (options.rawResult) {
         return { success: false, error: 'no_snapshot', message: 'No formatted snapshot received from extension' };
       }
@@ -3190,21 +3827,24 @@ class UnifiedBackend {
       };
     }
 
-    const formatted = result.formattedSnapshot;
+    const { snapshot, truncationMessage } = captured;
+    const diff = this._recordSnapshot(snapshot, args);
 
-    // Check if snapshot is pre-formatted (Firefox) or structured (Chrome)
-    let snapshot;
-    let truncationMessage = '';
+    if (args.mode === 'diff' && diff) {
+      if (options.rawResult) {
+        return { success: true, mode: 'diff', truncated: captured.truncated, ...serializeSnapshotDiff(diff) };
+      }
 
-    if (formatted.preFormatted) {
-      // Firefox: already formatted as text
-      snapshot = formatted.text;
-      debugLog(`Received pre-formatted snapshot`);
-    } else {
-      // Chrome: structured nodes that need formatting
-      debugLog(`Received formatted snapshot: ${formatted.totalLines} lines, truncated: ${formatted.truncated}`);
-      snapshot = this._formatStructuredSnapshot(formatted.nodes);
-      truncationMessage = formatted.truncated ? `\n\n--- ${formatted.truncationMessage} ---` : '';
+      const truncationNote = captured.truncated
+        ? '\n\nNote: the snapshot is truncated - changes past the cut-off are not shown.'
+        : '';
+      return {
+        content: [{
+          type: 'text',
+          text: `### Snapshot Diff\n\n${formatSnapshotDiff(diff)}${truncationNote}`
+        }],
+        isError: false
+      };
     }
 
     // For rawResult, return structured data
@@ -3212,56 +3852,154 @@ class UnifiedBackend {
       return {
         success: true,
         snapshot,
-        totalLines: formatted.totalLines,
-        truncated: formatted.truncated || false,
-        truncationMessage: formatted.truncationMessage
+        totalLines: captured.totalLines,
+        truncated: captured.truncated,
+        truncationMessage: captured.truncationMessage,
+        nextOffset: captured.nextOffset ?? null
       };
     }
 
+    const diffNote = args.mode === 'diff'
+      ? '\n\nNo previous snapshot of this tab to compare with - showing the full snapshot.'
+      : '';
+
     return {
       content: [{
         type: 'text',
-        text: `### Page Snapshot\n\n${snapshot}${truncationMessage}`
+        text: `### Page Snapshot\n\n${snapshot}${truncationMessage}\n\nUse \`ref\` values (e.g. \`ref: "e42"\`) in place of selectors.${diffNote}`
       }],
       isError: false
     };
   }
 
   /**
-   * Convert structured snapshot nodes to plain text
+   * Get snapshot scope params from browser_snapshot args
+   * @returns {Promise<object>} { root, maxDepth, roles, offset, limit } with only the given keys
    */
-  _formatStructuredSnapshot(nodes, depth = 0) {
-    if (!nodes || nodes.length === 0) return '';
-
-    const indent = '  '.repeat(depth);
-    let output = '';
+  async _getSnapshotScope(args) {
+    const scope = {};
+    if (args.selector || args.ref) {
+      scope.root = await this._resolveTarget(args.selector, args.ref);
+    }
+    for (const key of ['maxDepth', 'roles', 'offset', 'limit']) {
+      if (args[key] !== undefined) {
+        scope[key] = args[key];
+      }
+    }
+    return scope;
+  }
 
-    for (const node of nodes) {
-      if (node.isGroupSummary) {
-        // Group summary line
-        output += `${indent}... ${node.groupCount} more ${node.role} element${node.groupCount > 1 ? 's' : ''} skipped\n`;
-      } else {
-        // Regular node
-        const nameStr = node.name ? `: ${node.name}` : '';
-        const selectorHint = node.selectorHint ? ` [${node.selectorHint}]` : '';
-        const valueStr = node.value ? `\n${indent}  value: "${node.value}"` : '';
+  /**
+   * Get the page snapshot text from the extension
+   * @param {object} [scope] - Root selector, maxDepth, roles, offset, limit
+   * @returns {Promise<object|null>} { snapshot, totalLines, truncated, truncationMessage, nextOffset } or null
+   */
+  async _captureSnapshot(scope = {}) {
+    // Get formatted accessibility tree snapshot from extension
+    // Extension now does the heavy processing (grouping, collapsing, truncating)
+    // and sends us a structured, compact JSON (~100KB instead of ~12MB)
+    const result = await this._transport.sendCommand('forwardCDPCommand', {
+      method: 'Accessibility.getFullAXTree',
+      params: scope
+    });
 
-        output += `${indent}${node.role}${nameStr}${selectorHint}${valueStr}\n`;
+    if (result.error) {
+      throw new Error(result.error);
+    }
 
-        // Recursively format children
-        if (node.children && node.children.length > 0) {
-          output += this._formatStructuredSnapshot(node.children, depth + 1);
-        }
-      }
+    // Extension returns { formattedSnapshot: { nodes, totalLines, truncated } }
+    if (!result.formattedSnapshot) {
+      return null;
     }
 
-    return output;
-  }
+    const formatted = result.formattedSnapshot;
 
-  _cleanTree(node) {
-    // Recursively clean children first
-    if (node.children && node.children.length > 0) {
-      for (const child of node.children) {
+    // Check if snapshot is pre-formatted (Firefox) or structured (Chrome)
+    if (formatted.preFormatted) {
+      // Firefox: already formatted as text
+      debugLog(`Received pre-formatted snapshot`);
+      return {
+        snapshot: formatted.text,
+        truncated: /--- Snapshot truncated/.test(formatted.text),
+        truncationMessage: '',
+        nextOffset: formatted.nextOffset
+      };
+    }
+
+    // Chrome: structured nodes that need formatting
+    debugLog(`Received formatted snapshot: ${formatted.totalLines} lines, truncated: ${formatted.truncated}`);
+    return {
+      snapshot: this._formatStructuredSnapshot(formatted.nodes),
+      totalLines: formatted.totalLines,
+      truncated: formatted.truncated || false,
+      truncationMessage: formatted.truncated ? `\n\n--- ${formatted.truncationMessage} ---` : ''
+    };
+  }
+
+  /**
+   * Key for the attached tab's diff baseline
+   * Scoped snapshots (root, filters, page) get their own baseline
+   */
+  _snapshotKey(args = {}) {
+    const tabKey = this._statefulBackend?._attachedTab?.id ?? 'current';
+    const scope = ['selector', 'ref', 'maxDepth', 'roles', 'offset', 'limit']
+      .filter(key => args[key] !== undefined)
+      .map(key => [key, args[key]]);
+    return scope.length > 0 ? `${tabKey}:${JSON.stringify(scope)}` : tabKey;
+  }
+
+  /**
+   * Store a snapshot as the attached tab's diff baseline
+   * @param {object} [args] - browser_snapshot args the snapshot was taken with
+   * @returns {object|null} Diff against the previous baseline, or null if there is none or the snapshot has no refs
+   */
+  _recordSnapshot(snapshot, args) {
+    const key = this._snapshotKey(args);
+    const previous = this._lastSnapshots.get(key);
+    this._lastSnapshots.set(key, snapshot);
+
+    const current = parseSnapshot(snapshot);
+    if (previous === undefined || current.size === 0) {
+      return null;
+    }
+    return diffSnapshots(parseSnapshot(previous), current);
+  }
+
+  /**
+   * Convert structured snapshot nodes to plain text
+   */
+  _formatStructuredSnapshot(nodes, depth = 0) {
+    if (!nodes || nodes.length === 0) return '';
+
+    const indent = '  '.repeat(depth);
+    let output = '';
+
+    for (const node of nodes) {
+      if (node.isGroupSummary) {
+        // Group summary line
+        output += `${indent}... ${node.groupCount} more ${node.role} element${node.groupCount > 1 ? 's' : ''} skipped\n`;
+      } else {
+        // Regular node
+        const nameStr = node.name ? `: ${node.name}` : '';
+        const refStr = node.ref ? ` [ref=${node.ref}]` : '';
+        const valueStr = node.value ? `\n${indent}  value: "${node.value}"` : '';
+
+        output += `${indent}${node.role}${nameStr}${refStr}${valueStr}\n`;
+
+        // Recursively format children
+        if (node.children && node.children.length > 0) {
+          output += this._formatStructuredSnapshot(node.children, depth + 1);
+        }
+      }
+    }
+
+    return output;
+  }
+
+  _cleanTree(node) {
+    // Recursively clean children first
+    if (node.children && node.children.length > 0) {
+      for (const child of node.children) {
         this._cleanTree(child);
       }
 
@@ -3341,19 +4079,35 @@ class UnifiedBackend {
   }
 
   /**
-   * Generate CSS selector hint for interactive elements
+   * Format the ref of an AX node (backed by its backendDOMNodeId)
    */
-  _generateSelectorHint(role, name, value) {
-    // Only provide hints for interactive form elements
-    const interactiveRoles = ['textbox', 'combobox', 'searchbox', 'spinbutton'];
+  _formatNodeRef(node) {
+    return node.backendDOMNodeId ? ` [ref=e${node.backendDOMNodeId}]` : '';
+  }
 
-    if (!interactiveRoles.includes(role)) {
-      return ''; // No hint for non-form elements
+  /**
+   * Turn a snapshot ref (e.g. "e42") into a selector for the element behind it
+   * Refs stay valid until the element is removed from the page
+   */
+  async _resolveRef(ref) {
+    if (!/^e\d+$/.test(ref)) {
+      throw new Error(`Invalid ref "${ref}". Refs look like "e42" - take them from browser_snapshot.`);
+    }
+    // Snapshot refs belong to the top page, not to an iframe's document
+    if (callContext.getStore()?.transport) {
+      throw new Error(`Ref "${ref}" can't be used with frame - refs point into the top page. Use a selector or locator instead.`);
     }
 
-    // Provide generic hint - we can't reliably suggest selectors from ARIA tree alone
-    // The 'name' is accessible name (from label/aria-label), not necessarily a real attribute
-    return ` [CSS: #id, input[type="..."], or input[name="..."]]`;
+    const result = await this._transport.sendCommand('forwardCDPCommand', {
+      method: 'DOM.resolveRef',
+      params: { ref }
+    });
+
+    if (!result?.selector) {
+      throw new Error(`Ref "${ref}" is stale - the element is no longer on the page. Take a new browser_snapshot to get current refs.`);
+    }
+    this._trackTargetMark(ref);
+    return result.selector;
   }
 
   _formatAXTree(nodes, depth = 0, totalLines = { count: 0 }, maxLines = 200) {
@@ -3392,8 +4146,7 @@ class UnifiedBackend {
           const value = node.value?.value || '';
           const nameStr = name ? `: ${name}` : '';
           const valueStr = value ? `\n${indent}  value: "${value}"` : '';
-          const selectorHint = this._generateSelectorHint(group.role, name, value);
-          output += `${indent}${group.role}${nameStr}${selectorHint}${valueStr}\n`;
+          output += `${indent}${group.role}${nameStr}${this._formatNodeRef(node)}${valueStr}\n`;
           totalLines.count++;
 
           if (node.children && totalLines.count < maxLines) {
@@ -3413,8 +4166,7 @@ class UnifiedBackend {
           const value = node.value?.value || '';
           const nameStr = name ? `: ${name}` : '';
           const valueStr = value ? `\n${indent}  value: "${value}"` : '';
-          const selectorHint = this._generateSelectorHint(group.role, name, value);
-          output += `${indent}${group.role}${nameStr}${selectorHint}${valueStr}\n`;
+          output += `${indent}${group.role}${nameStr}${this._formatNodeRef(node)}${valueStr}\n`;
           totalLines.count++;
 
           if (node.children && totalLines.count < maxLines) {
@@ -3435,8 +4187,7 @@ class UnifiedBackend {
           const value = node.value?.value || '';
           const nameStr = name ? `: ${name}` : '';
           const valueStr = value ? `\n${indent}  value: "${value}"` : '';
-          const selectorHint = this._generateSelectorHint(group.role, name, value);
-          output += `${indent}${group.role}${nameStr}${selectorHint}${valueStr}\n`;
+          output += `${indent}${group.role}${nameStr}${this._formatNodeRef(node)}${valueStr}\n`;
           totalLines.count++;
 
           if (node.children && totalLines.count < maxLines) {
@@ -3460,6 +4211,10 @@ class UnifiedBackend {
   }
 
   async _handleScreenshot(args, options = {}) {
+    if (args.ref || args.selector) {
+      args = { ...args, selector: await this._resolveTarget(args.selector, args.ref) };
+    }
+
     const format = args.type || 'jpeg';  // Default to JPEG for smaller file size
     const quality = args.quality !== undefined ? args.quality : 80;  // Default quality 80
     const highlightClickables = args.highlightClickables || false;  // Optional: highlight clickable elements
@@ -3943,8 +4698,8 @@ class UnifiedBackend {
         params: {
           expression: `
             (() => {
-              const el = document.querySelector(${JSON.stringify(field.selector)});
-              if (!el) throw new Error('Element not found: ${field.selector}');
+              const el = ${this._getSelectorExpression(this._processSelector(field.selector))};
+              if (!el) throw new Error(${JSON.stringify(`Element not found: ${field.selector}`)});
 
               // Handle checkboxes and radio buttons
               if (el.type === 'checkbox' || el.type === 'radio') {
@@ -4086,75 +4841,122 @@ class UnifiedBackend {
   }
 
   async _handleDrag(args, options = {}) {
-    // Get source position
-    const fromResult = await this._transport.sendCommand('forwardCDPCommand', {
-      method: 'Runtime.evaluate',
-      params: {
-        expression: `
-          (() => {
-            const el = document.querySelector(${JSON.stringify(args.fromSelector)});
-            if (!el) return null;
-            const rect = el.getBoundingClientRect();
-            return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
-          })()
-        `,
-        returnByValue: true
-      }
-    });
+    const files = args.files || [];
+    const waypoints = args.path || [];
+    const hasFrom = Boolean(args.fromSelector || args.fromRef);
+    const hasTo = Boolean(args.toSelector || args.toRef);
+    const hasOffset = args.offsetX !== undefined || args.offsetY !== undefined;
+
+    // Element centers in viewport coordinates, or null if one is missing
+    // All elements are scrolled into view before any is measured, since scrolling to one can move another
+    const getCenters = async (selectors) => {
+      const result = await this._transport.sendCommand('forwardCDPCommand', {
+        method: 'Runtime.evaluate',
+        params: {
+          expression: `
+            (() => {
+              const elements = [${selectors.map(selector => this._getSelectorExpression(selector)).join(', ')}];
+              if (elements.some(el => !el)) return null;
+              elements.forEach(el => el.scrollIntoView({ block: 'nearest', inline: 'nearest' }));
+              return elements.map(el => {
+                const rect = el.getBoundingClientRect();
+                return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+              });
+            })()
+          `,
+          returnByValue: true
+        }
+      });
+      return result.result?.value || null;
+    };
 
-    // Get target position
-    const toResult = await this._transport.sendCommand('forwardCDPCommand', {
-      method: 'Runtime.evaluate',
-      params: {
-        expression: `
-          (() => {
-            const el = document.querySelector(${JSON.stringify(args.toSelector)});
-            if (!el) return null;
-            const rect = el.getBoundingClientRect();
-            return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
-          })()
-        `,
-        returnByValue: true
+    if (files.length > 0) {
+      if (!hasTo) {
+        throw new Error('Provide toSelector or toRef to drop files on');
+      }
+      const toSelector = await this._resolveTarget(args.toSelector, args.toRef);
+      const [to] = (toSelector && await getCenters([toSelector])) || [];
+      if (!to) {
+        throw new Error(`Drop target not found: ${args.toRef || args.toSelector}`);
       }
-    });
 
-    const from = fromResult.result?.value;
-    const to = toResult.result?.value;
+      await this._transport.sendCommand('forwardCDPCommand', {
+        method: 'Input.dropFiles',
+        params: { x: to.x, y: to.y, files }
+      });
 
-    if (!from || !to) {
-      throw new Error('Element not found for drag operation');
+      if (options.rawResult) {
+        return { success: true, toSelector: args.toRef || args.toSelector, to, files };
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: `### Dropped Files\n\nTarget: ${args.toRef || args.toSelector}\nFiles: ${files.join(', ')}`
+        }],
+        isError: false
+      };
     }
 
-    // Perform drag
-    await this._transport.sendCommand('forwardCDPCommand', {
-      method: 'Input.dispatchMouseEvent',
-      params: { type: 'mousePressed', x: from.x, y: from.y, button: 'left' }
-    });
+    if (!(hasFrom && (hasTo || hasOffset)) && waypoints.length < 2) {
+      throw new Error('Provide fromSelector or fromRef with toSelector, toRef or offsetX/offsetY - or a path of at least two points');
+    }
 
-    await this._transport.sendCommand('forwardCDPCommand', {
-      method: 'Input.dispatchMouseEvent',
-      params: { type: 'mouseMoved', x: to.x, y: to.y }
-    });
+    let fromLabel = null;
+    let toLabel = null;
+    let points = waypoints;
+
+    if (hasFrom) {
+      const fromSelector = await this._resolveTarget(args.fromSelector, args.fromRef);
+      const toSelector = hasTo ? await this._resolveTarget(args.toSelector, args.toRef) : null;
+      const selectors = hasTo ? [fromSelector, toSelector] : [fromSelector];
+      const centers = (selectors.every(Boolean) && await getCenters(selectors)) || [];
+      const from = centers[0];
+      let to = centers[1];
+      if (hasTo) {
+        toLabel = args.toRef || args.toSelector;
+      } else if (from) {
+        // Drag by offset (sliders, resize handles)
+        to = { x: from.x + (args.offsetX || 0), y: from.y + (args.offsetY || 0) };
+      }
 
-    await this._transport.sendCommand('forwardCDPCommand', {
-      method: 'Input.dispatchMouseEvent',
-      params: { type: 'mouseReleased', x: to.x, y: to.y, button: 'left' }
+      if (!from || !to) {
+        throw new Error('Element not found for drag operation');
+      }
+
+      fromLabel = args.fromRef || args.fromSelector;
+      // Path points become waypoints between the two ends
+      points = [from, ...waypoints, to];
+    }
+
+    const moves = gestures.interpolatePath(points, args.steps ?? 1);
+    const from = moves[0];
+    const to = moves[moves.length - 1];
+    fromLabel = fromLabel || `(${Math.round(from.x)}, ${Math.round(from.y)})`;
+    toLabel = toLabel || `(${Math.round(to.x)}, ${Math.round(to.y)})`;
+
+    // HTML5 drag and drop if the source starts a drag, a mouse drag otherwise
+    const dragResult = await this._transport.sendCommand('forwardCDPCommand', {
+      method: 'Input.dragAndDrop',
+      params: { points: moves }
     });
+    const mode = dragResult?.html5 ? 'HTML5 drag and drop' : 'mouse';
 
     if (options.rawResult) {
       return {
         success: true,
-        fromSelector: args.fromSelector,
-        toSelector: args.toSelector,
+        fromSelector: hasFrom ? fromLabel : null,
+        toSelector: hasTo ? toLabel : null,
         from: { x: from.x, y: from.y },
-        to: { x: to.x, y: to.y }
+        to: { x: to.x, y: to.y },
+        moves: moves.length - 1,
+        html5: Boolean(dragResult?.html5)
       };
     }
 
     return {
       content: [{
         type: 'text',
-        text: `### Dragged\n\nFrom: ${args.fromSelector}\nTo: ${args.toSelector}`
+        text: `### Dragged\n\nFrom: ${fromLabel}\nTo: ${toLabel}\nMoves: ${moves.length - 1}\nMode: ${mode}`
       }],
       isError: false
     };
@@ -4271,43 +5073,6 @@ class UnifiedBackend {
     throw new Error(`Unknown window action: ${action}`);
   }
 
-  // ==================== WAIT ====================
-
-  async _handleWaitFor(args) {
-    const timeout = args.timeout || 30000;
-    const selector = args.selector;
-
-    await this._transport.sendCommand('forwardCDPCommand', {
-      method: 'Runtime.evaluate',
-      params: {
-        expression: `
-          new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => reject(new Error('Timeout')), ${timeout});
-            const check = () => {
-              if (document.querySelector(${JSON.stringify(selector)})) {
-                clearTimeout(timeout);
-                resolve(true);
-              } else {
-                setTimeout(check, 100);
-              }
-            };
-            check();
-          })
-        `,
-        awaitPromise: true,
-        returnByValue: true
-      }
-    });
-
-    return {
-      content: [{
-        type: 'text',
-        text: `### Element Found\n\nSelector: ${selector}`
-      }],
-      isError: false
-    };
-  }
-
   // ==================== VERIFICATION ====================
 
   async _handleVerifyTextVisible(args, options = {}) {
@@ -4342,7 +5107,7 @@ class UnifiedBackend {
       params: {
         expression: `
           (() => {
-            const el = document.querySelector(${JSON.stringify(args.selector)});
+            const el = ${this._getSelectorExpression(this._processSelector(args.selector))};
             if (!el) return false;
             const rect = el.getBoundingClientRect();
             return rect.width > 0 && rect.height > 0;
@@ -4389,6 +5154,19 @@ class UnifiedBackend {
       };
     }
 
+    // Action: import_har - serve the responses of a HAR file instead of the network
+    if (action === 'import_har') {
+      return await this._importHar(args, options);
+    }
+
+    // Actions: frames / send_frame - WebSocket and EventSource messages
+    if (action === 'frames') {
+      return await this._handleSocketFrames(args, options);
+    }
+    if (action === 'send_frame') {
+      return await this._sendSocketFrame(args, options);
+    }
+
     // Get requests list
     const result = await this._transport.sendCommand('getNetworkRequests');
     const requests = result.requests || [];
@@ -4498,12 +5276,17 @@ class UnifiedBackend {
       return {
         content: [{
           type: 'text',
-          text: `### Network Requests${filterText}${paginationInfo}\n\n${listItems}\n\n**Actions:**\n- \`action='details', requestId='...'\` - Get full details including headers and body\n- \`action='replay', requestId='...'\` - Replay a request\n- \`action='clear'\` - Clear history\n\n**Filters:** Add \`urlPattern\`, \`method\`, \`status\`, or \`resourceType\` parameters\n**Pagination:** Use \`limit\` (default: 20) and \`offset\` (default: 0) parameters`
+          text: `### Network Requests${filterText}${paginationInfo}\n\n${listItems}\n\n**Actions:**\n- \`action='details', requestId='...'\` - Get full details including headers and body\n- \`action='replay', requestId='...'\` - Replay a request\n- \`action='frames'\` - WebSocket and SSE messages\n- \`action='clear'\` - Clear history\n\n**Filters:** Add \`urlPattern\`, \`method\`, \`status\`, or \`resourceType\` parameters\n**Pagination:** Use \`limit\` (default: 20) and \`offset\` (default: 0) parameters`
         }],
         isError: false
       };
     }
 
+    // Action: export_har - save the (filtered) requests as an HTTP Archive
+    if (action === 'export_har') {
+      return await this._exportHar(requests, args, options);
+    }
+
     // Action: details - full details for specific request
     if (action === 'details') {
       const { requestId, jsonPath } = args;
@@ -4727,51 +5510,67 @@ This request was captured by the browser extension's background tracker (webRequ
         };
       }
 
-      try {
-        // Use CDP Fetch domain to replay the request
-        // First enable Fetch domain
-        await this._transport.sendCommand('forwardCDPCommand', {
-          method: 'Fetch.enable',
-          params: {
-            patterns: [{ urlPattern: '*' }]
+      // Normalize request body to string format
+      let bodyString = req.postData || null;
+      if (req.requestBody) {
+        if (typeof req.requestBody === 'string') {
+          bodyString = req.requestBody;
+        } else if (typeof req.requestBody === 'object' && req.requestBody !== null) {
+          // Convert webRequest format to string
+          if (req.requestBody.formData) {
+            // Convert form data to URL-encoded string
+            const formParams = Object.entries(req.requestBody.formData)
+              .map(([key, values]) => `${encodeURIComponent(key)}=${encodeURIComponent(values[0])}`)
+              .join('&');
+            bodyString = formParams;
+          } else {
+            bodyString = JSON.stringify(req.requestBody);
           }
-        });
+        }
+      } else if (!bodyString && ['POST', 'PUT', 'PATCH'].includes(req.method)) {
+        // Large bodies are not included in the captured request
+        const postDataResult = await this._transport.sendCommand('getRequestPostData', { requestId: req.requestId });
+        if (postDataResult.postData && !postDataResult.error) {
+          bodyString = postDataResult.postData;
+        }
+      }
 
-        // Normalize request body to string format
-        let bodyString = null;
-        if (req.requestBody) {
-          if (typeof req.requestBody === 'string') {
-            bodyString = req.requestBody;
-          } else if (typeof req.requestBody === 'object' && req.requestBody !== null) {
-            // Convert webRequest format to string
-            if (req.requestBody.formData) {
-              // Convert form data to URL-encoded string
-              const formParams = Object.entries(req.requestBody.formData)
-                .map(([key, values]) => `${encodeURIComponent(key)}=${encodeURIComponent(values[0])}`)
-                .join('&');
-              bodyString = formParams;
-            } else {
-              bodyString = JSON.stringify(req.requestBody);
-            }
+      const replayRequest = buildReplayRequest(
+        { url: req.url, method: req.method, headers: req.requestHeaders || {}, body: bodyString },
+        args.overrides
+      );
+
+      try {
+        // Original response, to compare against
+        let original = null;
+        if (req.statusCode && req.finished) {
+          const bodyResult = await this._transport.sendCommand('getResponseBody', { requestId: req.requestId });
+          if (typeof bodyResult.body === 'string' && !bodyResult.error) {
+            original = {
+              status: req.statusCode,
+              statusText: req.statusText,
+              headers: req.responseHeaders || {},
+              body: bodyResult.base64Encoded ? Buffer.from(bodyResult.body, 'base64').toString('utf-8') : bodyResult.body
+            };
           }
         }
 
         // Build fetch options
         const fetchOptions = {
-          method: req.method,
-          headers: req.requestHeaders
+          method: replayRequest.method,
+          headers: replayRequest.headers
         };
-        if (bodyString) {
-          fetchOptions.body = bodyString;
+        if (replayRequest.body !== null) {
+          fetchOptions.body = replayRequest.body;
         }
 
-        // Execute using Runtime.evaluate to use fetch API
+        // Execute with fetch in the page, so its cookies apply and the request is captured like any other
         const evalResult = await this._transport.sendCommand('forwardCDPCommand', {
           method: 'Runtime.evaluate',
           params: {
             expression: `
               (async () => {
-                const response = await fetch(${JSON.stringify(req.url)}, ${JSON.stringify(fetchOptions)});
+                const response = await fetch(${JSON.stringify(replayRequest.url)}, ${JSON.stringify(fetchOptions)});
                 const text = await response.text();
                 return {
                   status: response.status,
@@ -4786,36 +5585,59 @@ This request was captured by the browser extension's background tracker (webRequ
           }
         });
 
-        // Disable Fetch domain
-        await this._transport.sendCommand('forwardCDPCommand', {
-          method: 'Fetch.disable',
-          params: {}
-        });
-
         // Log the eval result for debugging
         debugLog('Replay evalResult:', JSON.stringify(evalResult, null, 2));
 
         if (evalResult.result && evalResult.result.value) {
           const replay = evalResult.result.value;
 
+          // The replayed request, as captured by network tracking
+          const knownIds = new Set(requests.map(r => r.requestId));
+          const after = await this._transport.sendCommand('getNetworkRequests');
+          const captured = (after.requests || [])
+            .filter(r => !knownIds.has(r.requestId) && r.url === replayRequest.url && r.method === replayRequest.method)
+            .pop();
+
+          const diff = original ? diffResponses(original, replay) : null;
+
           if (options.rawResult) {
             return {
               success: true,
               action: 'replay',
-              request: { url: req.url, method: req.method },
+              request: { url: replayRequest.url, method: replayRequest.method, headers: replayRequest.headers, body: replayRequest.body },
+              droppedHeaders: replayRequest.dropped,
+              capturedRequestId: captured ? captured.requestId : null,
+              original,
               response: {
                 status: replay.status,
                 statusText: replay.statusText,
                 headers: replay.headers,
                 body: replay.body
-              }
+              },
+              diff
             };
           }
 
-          let resultText = `### Request Replayed\n\n**${req.method} ${req.url}**\n\n**Response:**\nStatus: ${replay.status || 'unknown'} ${replay.statusText || ''}`;
-
-          // Try to parse body as JSON
-          if (replay.body) {
+          const overrideNames = Object.keys(args.overrides || {});
+          let resultText = `### Request Replayed\n\n**${replayRequest.method} ${replayRequest.url}**`;
+          if (overrideNames.length > 0) {
+            resultText += `\nOverrides: ${overrideNames.join(', ')}`;
+          }
+          if (replayRequest.dropped.length > 0) {
+            resultText += `\nSet by the browser, not replayed: ${replayRequest.dropped.join(', ')}`;
+          }
+          if (captured) {
+            resultText += `\nCaptured as: \`${captured.requestId}\``;
+          }
+          resultText += `\n\n**Response:**\nStatus: ${replay.status || 'unknown'} ${replay.statusText || ''}`;
+
+          if (diff) {
+            const unchanged = !diff.status.changed && diff.headers.length === 0 && !diff.bodyChanged;
+            resultText += unchanged
+              ? `\n\n_Same status, headers and body as the original response._`
+              : `\n\n**Original vs Replay** (changed lines marked with !):\n\`\`\`\n${formatResponseDiff(diff, original, replay)}\n\`\`\``;
+          } else if (replay.body) {
+            // Try to parse body as JSON
             try {
               const parsed = JSON.parse(replay.body);
               resultText += `\n\n**Body:**\n\`\`\`json\n${JSON.stringify(parsed, null, 2).substring(0, 2000)}${JSON.stringify(parsed, null, 2).length > 2000 ? '\n...(truncated)' : ''}\n\`\`\``;
@@ -4853,12 +5675,440 @@ This request was captured by the browser extension's background tracker (webRequ
     return {
       content: [{
         type: 'text',
-        text: `### Error\n\nUnknown action: \`${action}\`\n\nAvailable actions: \`list\`, \`details\`, \`replay\`, \`clear\``
+        text: `### Error\n\nUnknown action: \`${action}\`\n\nAvailable actions: \`list\`, \`details\`, \`replay\`, \`frames\`, \`send_frame\`, \`export_har\`, \`import_har\`, \`clear\``
       }],
       isError: true
     };
   }
 
+  /**
+   * Browse captured WebSocket frames and EventSource messages
+   * Filters: requestId (one connection), urlPattern, direction, jsonPath (JSON payloads only)
+   */
+  async _handleSocketFrames(args, options = {}) {
+    const { sockets = [], frames = [] } = await this._transport.sendCommand('getSocketFrames');
+
+    let filtered = frames;
+    if (args.requestId) {
+      filtered = filtered.filter(frame => frame.requestId === args.requestId);
+    }
+    if (args.urlPattern) {
+      const pattern = args.urlPattern.toLowerCase();
+      filtered = filtered.filter(frame => frame.url.toLowerCase().includes(pattern));
+    }
+    if (args.direction) {
+      filtered = filtered.filter(frame => frame.direction === args.direction);
+    }
+    if (args.jsonPath) {
+      // Keep JSON messages the query finds something in, and show what it found
+      const { JSONPath } = require('jsonpath-plus');
+      filtered = filtered.flatMap(frame => {
+        if (frame.opcode === 2) return [];
+        try {
+          const matches = JSONPath({ path: args.jsonPath, json: JSON.parse(frame.data) });
+          return matches.length > 0 ? [{ ...frame, data: JSON.stringify(matches.length === 1 ? matches[0] : matches) }] : [];
+        } catch {
+          return [];
+        }
+      });
+    }
+
+    // Newest last, like the page saw them; paginate from the end so the default shows the latest
+    const limit = args.limit !== undefined ? args.limit : 50;
+    const offset = args.offset || 0;
+    const end = Math.max(0, filtered.length - offset);
+    const page = filtered.slice(Math.max(0, end - limit), end);
+
+    if (options.rawResult) {
+      return { success: true, action: 'frames', sockets, total: frames.length, filtered: filtered.length, offset, limit, frames: page };
+    }
+
+    if (sockets.length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: `### Socket Messages\n\nNo WebSocket or EventSource connections captured yet.\n\n**Tip:** Connections opened before the tab was attached are not tracked - reload the page to capture them.`
+        }],
+        isError: false
+      };
+    }
+
+    const connectionLines = sockets.map(socket => {
+      const kind = socket.type === 'eventsource' ? 'EventSource' : 'WebSocket';
+      const state = socket.closed ? 'closed' : 'open';
+      return `- \`${socket.requestId}\` ${kind} ${socket.url} (${state}, ${socket.frames} message${socket.frames === 1 ? '' : 's'})`;
+    }).join('\n');
+
+    const arrows = { sent: '↑', received: '↓', error: '⚠️' };
+    const messageLines = page.map(frame => {
+      const time = new Date(frame.timestamp).toISOString().split('T')[1].split('.')[0];
+      const event = frame.eventName && frame.eventName !== 'message' ? ` (${frame.eventName})` : '';
+      const data = frame.opcode === 2
+        ? `[binary, ${Buffer.from(frame.data, 'base64').length} bytes]`
+        : (frame.data.length > 300 ? frame.data.substring(0, 300) + '...' : frame.data);
+      return `${arrows[frame.direction] || ''} ${time} \`${frame.requestId}\`${event} ${data}`;
+    }).join('\n');
+
+    const filterSummary = [];
+    if (args.requestId) filterSummary.push(`Connection: ${args.requestId}`);
+    if (args.urlPattern) filterSummary.push(`URL: *${args.urlPattern}*`);
+    if (args.direction) filterSummary.push(`Direction: ${args.direction}`);
+    if (args.jsonPath) filterSummary.push(`JSONPath: ${args.jsonPath}`);
+    const filterText = filterSummary.length > 0 ? `\n**Filters:** ${filterSummary.join(', ')}` : '';
+    const range = page.length > 0
+      ? `**Messages:** ${end - page.length + 1}-${end} of ${filtered.length}${end - page.length > 0 ? ` (use \`offset=${offset + limit}\` for older)` : ''}`
+      : '**Messages:** none match';
+
+    return {
+      content: [{
+        type: 'text',
+        text: `### Socket Messages${filterText}\n\n**Connections:**\n${connectionLines}\n\n${range}\n${messageLines}\n\n**Send:** \`action='send_frame', requestId='...', data='...'\` (WebSocket only)`
+      }],
+      isError: false
+    };
+  }
+
+  /**
+   * Send a text frame on an open WebSocket of the page
+   */
+  async _sendSocketFrame(args, options = {}) {
+    if (args.data === undefined) {
+      throw new Error('data is required to send a frame');
+    }
+
+    let url = null;
+    if (args.requestId) {
+      const { sockets = [] } = await this._transport.sendCommand('getSocketFrames');
+      const socket = sockets.find(s => s.requestId === args.requestId);
+      if (!socket) {
+        throw new Error(`No captured connection with requestId "${args.requestId}" (see action="frames")`);
+      }
+      if (socket.type !== 'websocket') {
+        throw new Error('Frames can only be sent on WebSockets - EventSource connections are receive-only');
+      }
+      if (socket.closed) {
+        throw new Error(`WebSocket ${socket.url} is closed`);
+      }
+      url = socket.url;
+    }
+
+    const data = typeof args.data === 'string' ? args.data : JSON.stringify(args.data);
+    const result = await this._transport.sendCommand('forwardCDPCommand', {
+      method: 'Network.sendWebSocketFrame',
+      params: { requestId: args.requestId || null, url, data }
+    });
+
+    if (options.rawResult) {
+      return { success: true, action: 'send_frame', url: result.url, data };
+    }
+    return {
+      content: [{
+        type: 'text',
+        text: `### Frame Sent\n\n**WebSocket:** ${result.url}\n**Data:** ${data.length > 300 ? data.substring(0, 300) + '...' : data}\n\nReplies show up in \`action='frames'\`.`
+      }],
+      isError: false
+    };
+  }
+
+  /**
+   * Write captured requests to a HAR 1.2 file, with bodies for CDP-captured requests
+   */
+  async _exportHar(requests, args, options = {}) {
+    if (!args.path) {
+      throw new Error('path is required to export a HAR file');
+    }
+
+    let selected = requests;
+    if (args.urlPattern) {
+      const pattern = args.urlPattern.toLowerCase();
+      selected = selected.filter(req => req.url.toLowerCase().includes(pattern));
+    }
+    if (args.method) {
+      selected = selected.filter(req => req.method === args.method.toUpperCase());
+    }
+    if (args.status) {
+      selected = selected.filter(req => req.statusCode === args.status);
+    }
+    if (args.resourceType) {
+      selected = selected.filter(req => req.type === args.resourceType);
+    }
+
+    // Bodies are only available through CDP (hex IDs) and only once loading finished
+    let withBodies = 0;
+    const captured = [];
+    for (const req of selected) {
+      const bodies = {};
+      const isWebRequestOnly = /^\d+$/.test(req.requestId);
+
+      if (!isWebRequestOnly) {
+        bodies.postData = req.postData;
+        if (!bodies.postData && ['POST', 'PUT', 'PATCH'].includes(req.method)) {
+          try {
+            const postDataResult = await this._transport.sendCommand('getRequestPostData', { requestId: req.requestId });
+            if (postDataResult.postData && !postDataResult.error) {
+              bodies.postData = postDataResult.postData;
+            }
+          } catch (error) {
+            debugLog(`Could not fetch POST data for ${req.requestId}:`, error);
+          }
+        }
+
+        if (req.finished) {
+          try {
+            const bodyResult = await this._transport.sendCommand('getResponseBody', { requestId: req.requestId });
+            if (typeof bodyResult.body === 'string' && !bodyResult.error) {
+              bodies.response = bodyResult;
+              withBodies++;
+            }
+          } catch (error) {
+            debugLog(`Could not fetch response body for ${req.requestId}:`, error);
+          }
+        }
+      }
+
+      captured.push({ request: req, bodies });
+    }
+
+    const { name, version } = require('../package.json');
+    const har = buildHar(captured, { name, version });
+    const fs = require('fs');
+    fs.writeFileSync(args.path, JSON.stringify(har, null, 2));
+
+    if (options.rawResult) {
+      return { success: true, action: 'export_har', path: args.path, entries: captured.length, withBodies };
+    }
+    return {
+      content: [{
+        type: 'text',
+        text: `### HAR Exported\n\n**File:** ${args.path}\n**Entries:** ${captured.length} (${withBodies} with response body)\n\nReplay it offline with \`action='import_har', path='${args.path}'\`.`
+      }],
+      isError: false
+    };
+  }
+
+  /**
+   * Serve the responses recorded in a HAR file through request interception
+   */
+  async _importHar(args, options = {}) {
+    if (!args.path) {
+      throw new Error('path is required to import a HAR file');
+    }
+    const notFound = args.notFound || 'continue';
+    if (!['continue', 'block'].includes(notFound)) {
+      throw new Error('notFound must be "continue" (unrecorded requests use the network) or "block" (offline)');
+    }
+
+    const fs = require('fs');
+    let har;
+    try {
+      har = JSON.parse(fs.readFileSync(args.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read HAR file ${args.path}: ${error.message}`);
+    }
+    const responses = parseHarResponses(har);
+
+    const result = await this._transport.sendCommand('forwardCDPCommand', {
+      method: 'Fetch.addInterceptRule',
+      params: { rule: { behavior: 'har', source: args.path, notFound, responses } }
+    });
+
+    if (options.rawResult) {
+      return { success: true, action: 'import_har', path: args.path, rule: result.rule };
+    }
+    const unrecorded = notFound === 'block' ? 'fail (offline)' : 'go to the network';
+    return {
+      content: [{
+        type: 'text',
+        text: `### HAR Imported\n\n**File:** ${args.path}\n**Responses:** ${responses.length}\n**Rule:** ${result.rule.id}\n\nMatching requests (same method and URL) are answered from the recording; other requests ${unrecorded}.\nStop replaying with \`browser_network_intercept action='remove', id='${result.rule.id}'\`.`
+      }],
+      isError: false
+    };
+  }
+
+  /**
+   * Manage request interception rules (applied by the extension to the session's tab)
+   */
+  async _handleNetworkIntercept(args = {}, options = {}) {
+    const action = args.action || 'list';
+
+    const formatRule = (rule) => {
+      const matcher = [rule.method, rule.url, rule.resourceType && `(${rule.resourceType})`].filter(Boolean).join(' ');
+      let behavior = rule.behavior;
+      if (rule.behavior === 'fulfill') behavior += ` ${rule.status || 200}`;
+      if (rule.behavior === 'block') behavior += ` ${rule.errorReason || 'BlockedByClient'}`;
+      if (rule.behavior === 'har') behavior += ` ${rule.source} (${rule.responses} responses, notFound ${rule.notFound})`;
+      const delay = rule.delay ? `, delay ${rule.delay}ms` : '';
+      const rate = rule.rate !== undefined ? `, ${Math.round(rule.rate * 100)}% of requests` : '';
+      return `- ${rule.id}: ${matcher} → ${behavior}${delay}${rate} (${rule.hits} hit${rule.hits === 1 ? '' : 's'})`;
+    };
+
+    if (action === 'add') {
+      if (!args.behavior) {
+        throw new Error('behavior is required to add a rule: block, fulfill, modify or continue');
+      }
+      if (args.behavior === 'modify' && args.headers === undefined && args.body === undefined) {
+        throw new Error('modify needs headers and/or body to change');
+      }
+      if (args.delay !== undefined && !(args.delay >= 0)) {
+        throw new Error('delay must be a number of ms');
+      }
+
+      const rule = {};
+      for (const key of ['url', 'method', 'resourceType', 'behavior', 'delay', 'status', 'headers', 'body', 'errorReason']) {
+        if (args[key] !== undefined) rule[key] = args[key];
+      }
+      const result = await this._transport.sendCommand('forwardCDPCommand', {
+        method: 'Fetch.addInterceptRule',
+        params: { rule }
+      });
+
+      if (options.rawResult) {
+        return { success: true, action, rule: result.rule };
+      }
+      return {
+        content: [{ type: 'text', text: `### Intercept Rule Added\n\n${formatRule(result.rule)}` }],
+        isError: false
+      };
+    }
+
+    if (action === 'list') {
+      const result = await this._transport.sendCommand('forwardCDPCommand', { method: 'Fetch.getInterceptRules', params: {} });
+      const rules = result.rules || [];
+
+      if (options.rawResult) {
+        return { success: true, action, rules };
+      }
+      const text = rules.length > 0
+        ? `### Intercept Rules\n\n${rules.map(formatRule).join('\n')}\n\nThe first matching rule handles a request.`
+        : '### Intercept Rules\n\nNo rules. Use action="add" to intercept requests.';
+      return { content: [{ type: 'text', text }], isError: false };
+    }
+
+    if (action === 'remove') {
+      if (!args.id) {
+        throw new Error('id is required to remove a rule (see action="list")');
+      }
+      const result = await this._transport.sendCommand('forwardCDPCommand', {
+        method: 'Fetch.removeInterceptRule',
+        params: { id: args.id }
+      });
+      if (!result.removed) {
+        throw new Error(`No intercept rule with id "${args.id}"`);
+      }
+      // Failure rules of browser_network_conditions are intercept rules too
+      if (this._networkConditions) {
+        await this._refreshNetworkConditions();
+      }
+
+      if (options.rawResult) {
+        return { success: true, action, id: args.id };
+      }
+      return { content: [{ type: 'text', text: `### Intercept Rule Removed\n\n${args.id}` }], isError: false };
+    }
+
+    if (action === 'clear') {
+      const result = await this._transport.sendCommand('forwardCDPCommand', { method: 'Fetch.clearInterceptRules', params: {} });
+      if (this._networkConditions) {
+        await this._refreshNetworkConditions();
+      }
+
+      if (options.rawResult) {
+        return { success: true, action, cleared: result.cleared };
+      }
+      return {
+        content: [{ type: 'text', text: `### Intercept Rules Cleared\n\nRemoved ${result.cleared} rule(s). Requests go to the network again.` }],
+        isError: false
+      };
+    }
+
+    throw new Error(`Unknown action "${action}". Use add, list, remove or clear`);
+  }
+
+  /**
+   * Re-read the session's network conditions for the status header
+   */
+  async _refreshNetworkConditions() {
+    this._networkConditionsStale = false;
+    try {
+      const state = await this._transport.sendCommand('forwardCDPCommand', { method: 'Network.getConditions', params: {} });
+      this._networkConditions = describeConditions(state);
+    } catch (error) {
+      debugLog('Failed to read network conditions:', error.message);
+      this._networkConditions = '';
+    }
+  }
+
+  /**
+   * Called when the extension reconnected: its network conditions may be gone (e.g. after a reload)
+   */
+  extensionReconnected() {
+    this._networkConditionsStale = !!this._networkConditions;
+  }
+
+  /**
+   * Throttle the session's tab and inject request failures
+   */
+  async _handleNetworkConditions(args = {}, options = {}) {
+    const action = args.action || 'get';
+    let state;
+
+    if (action === 'set') {
+      const failures = args.failures || [];
+      for (const failure of failures) {
+        if (!failure.url) {
+          throw new Error('Each failure needs a url pattern');
+        }
+        if (failure.rate !== undefined && !(failure.rate >= 0 && failure.rate <= 1)) {
+          throw new Error('failure rate must be between 0 and 1');
+        }
+      }
+      const throttling = getThrottling(args);
+      if (!throttling && failures.length === 0 && args.preset !== 'none') {
+        throw new Error('set needs a preset, latency/downloadKbps/uploadKbps or failures (use action="clear" to reset)');
+      }
+      state = await this._transport.sendCommand('forwardCDPCommand', {
+        method: 'Network.setConditions',
+        params: { throttling, failures }
+      });
+    } else if (action === 'get') {
+      state = await this._transport.sendCommand('forwardCDPCommand', { method: 'Network.getConditions', params: {} });
+    } else if (action === 'clear') {
+      state = await this._transport.sendCommand('forwardCDPCommand', { method: 'Network.clearConditions', params: {} });
+    } else {
+      throw new Error(`Unknown action "${action}". Use set, get or clear`);
+    }
+
+    this._networkConditions = describeConditions(state);
+
+    if (options.rawResult) {
+      return { success: true, action, ...state };
+    }
+
+    const throttling = state.throttling;
+    const lines = [];
+    if (throttling) {
+      const throughput = (bytes) => (bytes > 0 ? `${bytes * 8 / 1000} kbit/s` : 'unlimited');
+      lines.push(throttling.offline
+        ? '**Throttling:** Offline'
+        : `**Throttling:** ${throttling.label} (latency ${throttling.latency}ms, download ${throughput(throttling.downloadThroughput)}, upload ${throughput(throttling.uploadThroughput)})`);
+    } else {
+      lines.push('**Throttling:** none');
+    }
+    if (state.failures.length > 0) {
+      lines.push('**Failures:**');
+      for (const failure of state.failures) {
+        lines.push(`- ${failure.id}: ${failure.url} → ${failure.errorReason}, ${Math.round(failure.rate * 100)}% of requests (${failure.hits} failed)`);
+      }
+    } else {
+      lines.push('**Failures:** none');
+    }
+
+    return {
+      content: [{ type: 'text', text: `### Network Conditions\n\n${lines.join('\n')}` }],
+      isError: false
+    };
+  }
+
   // ==================== PDF ====================
 
   async _handlePdfSave(args, options = {}) {
@@ -5169,7 +6419,7 @@ ${clsEmoji} Cumulative Layout Shift (CLS): ${timing.cls?.toFixed(3) || 'N/A'}
           expression: `
             (() => {
               const mode = ${JSON.stringify(mode)};
-              const customSelector = ${JSON.stringify(selector)};
+              const customSelector = ${JSON.stringify(mode === 'selector' && selector ? await this._resolveTarget(selector) : selector)};
 
               // HTML to Markdown converter
               function htmlToMarkdown(element, baseUrl) {
@@ -5320,7 +6570,7 @@ ${clsEmoji} Cumulative Layout Shift (CLS): ${timing.cls?.toFixed(3) || 'N/A'}
                 if (!customSelector) {
                   throw new Error('Selector required when mode is "selector"');
                 }
-                contentElement = document.querySelector(customSelector);
+                contentElement = (${deepQuerySelectorAll.toString()})(document, customSelector)[0];
                 if (!contentElement) {
                   throw new Error(\`Element not found: \${customSelector}\`);
                 }
@@ -5571,7 +6821,10 @@ ${clsEmoji} Cumulative Layout Shift (CLS): ${timing.cls?.toFixed(3) || 'N/A'}
    * Get CSS styles for an element
    */
   async _handleGetElementStyles(args, options = {}) {
-    const selector = args.selector;
+    const selector = await this._resolveTarget(args.selector, args.ref);
+    if (!selector) {
+      throw new Error('Provide selector or ref');
+    }
     const propertyFilter = args.property ? args.property.toLowerCase() : null;
 
     // Ensure pseudoState is an array
@@ -0,0 +1,222 @@
+/**
+ * Wait conditions for the browser_interact wait action
+ *
+ * A wait action lists one or more conditions; it finishes when all of them hold:
+ * - selector + state   element is attached, detached, visible or hidden
+ * - text               text appears on the page
+ * - url                page URL matches a pattern
+ * - loadState          document reached domcontentloaded or load
+ * - predicate          JavaScript expression is truthy
+ * - networkIdle        no requests in flight for N ms
+ * - request / response a request was sent / answered for a URL pattern (optionally with status)
+ *
+ * URL patterns: substring, glob with * ("https://*.example.com/api/users*"), or /regex/flags.
+ */
+
+const DEFAULT_WAIT_TIMEOUT = 30000;
+const POLL_INTERVAL = 100;
+
+const ELEMENT_STATES = ['attached', 'detached', 'visible', 'hidden'];
+const LOAD_STATES = { domcontentloaded: ['interactive', 'complete'], load: ['complete'] };
+
+/**
+ * Match a URL against a substring, glob or /regex/ pattern
+ */
+function matchesUrlPattern(url, pattern) {
+  const regex = pattern.match(/^\/(.+)\/([dgimsuy]*)$/);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]).test(url);
+  }
+  if (pattern.includes('*')) {
+    const glob = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${glob}$`).test(url);
+  }
+  return url.includes(pattern);
+}
+
+/**
+ * Read the conditions of a wait action
+ * @returns {Array<object>} Conditions with kind and label
+ */
+function getWaitConditions(action) {
+  const conditions = [];
+
+  if (action.selector) {
+    const state = action.state || 'attached';
+    if (!ELEMENT_STATES.includes(state)) {
+      throw new Error(`Invalid wait state "${state}". Use one of: ${ELEMENT_STATES.join(', ')}`);
+    }
+    conditions.push({ kind: 'element', selector: action.selector, state, label: `${action.selector} ${state}` });
+  }
+  if (action.text !== undefined) {
+    conditions.push({ kind: 'text', text: action.text, label: `text "${action.text}"` });
+  }
+  if (action.url) {
+    conditions.push({ kind: 'url', pattern: action.url, label: `URL matching ${action.url}` });
+  }
+  if (action.loadState) {
+    if (!LOAD_STATES[action.loadState]) {
+      throw new Error(`Invalid loadState "${action.loadState}". Use one of: ${Object.keys(LOAD_STATES).join(', ')}`);
+    }
+    conditions.push({ kind: 'loadState', state: action.loadState, label: `${action.loadState} state` });
+  }
+  if (action.predicate) {
+    conditions.push({ kind: 'predicate', expression: action.predicate, label: `predicate ${action.predicate}` });
+  }
+  if (action.networkIdle !== undefined) {
+    const ms = action.networkIdle;
+    if (typeof ms !== 'number' || !(ms >= 0)) {
+      throw new Error(`Invalid networkIdle ${JSON.stringify(ms)}: give the idle time in ms (e.g. 500)`);
+    }
+    conditions.push({ kind: 'networkIdle', ms, label: `network idle for ${ms}ms` });
+  }
+  if (action.request) {
+    conditions.push({ kind: 'request', pattern: action.request, label: `request to ${action.request}` });
+  }
+  if (action.response) {
+    const status = action.status !== undefined ? ` with status ${action.status}` : '';
+    conditions.push({ kind: 'response', pattern: action.response, status: action.status, label: `response from ${action.response}${status}` });
+  }
+
+  return conditions;
+}
+
+/**
+ * Whether a condition is checked from the network log
+ */
+function isNetworkCondition(condition) {
+  return ['networkIdle', 'request', 'response'].includes(condition.kind);
+}
+
+/**
+ * A request that has neither a response nor a final state yet
+ */
+function isPending(request) {
+  return !request.finished && !request.failed && (request.statusCode === null || request.statusCode === undefined);
+}
+
+/**
+ * Check conditions against one poll of the page and network
+ * @param {Array<object>} conditions - From getWaitConditions
+ * @param {object} poll - { page: {url, readyState, results[] | error}, requests[], baseline: Set|null, tracker: {}, now }
+ *   tracker carries network idle state between polls
+ * @returns {Array<{label: string, detail: string}>} Conditions still pending
+ */
+function checkWaitConditions(conditions, poll) {
+  const { page = {}, requests = [], baseline = null, tracker, now } = poll;
+  const newRequests = baseline ? requests.filter(request => !baseline.has(request.requestId)) : requests;
+  const pending = [];
+
+  conditions.forEach((condition, index) => {
+    const result = page.results?.[index];
+    let detail = null;
+
+    if (!isNetworkCondition(condition) && page.error) {
+      pending.push({ label: condition.label, detail: `page check failed: ${page.error}` });
+      return;
+    }
+
+    switch (condition.kind) {
+      case 'element': {
+        const { total = 0, visible = 0 } = result || {};
+        const met = {
+          attached: total > 0,
+          detached: total === 0,
+          visible: visible > 0,
+          hidden: visible === 0
+        }[condition.state];
+        if (!met) {
+          detail = total === 0 ? 'no matching element' : `${total} matching, ${visible} visible`;
+        }
+        break;
+      }
+
+      case 'text':
+        if (!result) detail = 'not on the page';
+        break;
+
+      case 'url':
+        if (!page.url || !matchesUrlPattern(page.url, condition.pattern)) {
+          detail = `current URL is ${page.url || 'unknown'}`;
+        }
+        break;
+
+      case 'loadState':
+        if (!LOAD_STATES[condition.state].includes(page.readyState)) {
+          detail = `document is ${page.readyState || 'unknown'}`;
+        }
+        break;
+
+      case 'predicate':
+        if (result?.error) {
+          detail = `threw ${result.error}`;
+        } else if (!result?.value) {
+          detail = 'still falsy';
+        }
+        break;
+
+      case 'networkIdle': {
+        const inFlight = requests.filter(isPending);
+        const lastRequestId = requests[requests.length - 1]?.requestId;
+        if (inFlight.length > 0 || lastRequestId !== tracker.lastRequestId) {
+          tracker.idleSince = inFlight.length > 0 ? null : now;
+          tracker.lastRequestId = lastRequestId;
+        } else if (typeof tracker.idleSince !== 'number') {
+          tracker.idleSince = now;
+        }
+
+        if (inFlight.length > 0) {
+          const urls = inFlight.slice(0, 3).map(request => `${request.method} ${request.url}`).join(', ');
+          detail = `${inFlight.length} request${inFlight.length > 1 ? 's' : ''} in flight: ${urls}`;
+        } else if (now - tracker.idleSince < condition.ms) {
+          detail = `idle for ${now - tracker.idleSince}ms so far`;
+        }
+        break;
+      }
+
+      case 'request':
+        if (!newRequests.some(request => matchesUrlPattern(request.url, condition.pattern))) {
+          detail = 'no matching request sent';
+        }
+        break;
+
+      case 'response': {
+        const matching = newRequests.filter(request => matchesUrlPattern(request.url, condition.pattern));
+        const answered = matching.filter(request => request.statusCode !== null && request.statusCode !== undefined);
+        const met = answered.some(request => condition.status === undefined || request.statusCode === condition.status);
+        if (!met) {
+          if (answered.length > 0) {
+            detail = `got status ${answered.map(request => request.statusCode).join(', ')}`;
+          } else {
+            detail = matching.length > 0 ? 'request sent, no response yet' : 'no matching request sent';
+          }
+        }
+        break;
+      }
+    }
+
+    if (detail) {
+      pending.push({ label: condition.label, detail });
+    }
+  });
+
+  return pending;
+}
+
+/**
+ * Explain which conditions were still pending at the timeout
+ */
+function formatWaitTimeout(pending, timeout) {
+  const lines = pending.map(({ label, detail }) => `- ${label}: ${detail}`);
+  return `Timed out after ${timeout}ms waiting for:\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  DEFAULT_WAIT_TIMEOUT,
+  POLL_INTERVAL,
+  matchesUrlPattern,
+  getWaitConditions,
+  isNetworkCondition,
+  checkWaitConditions,
+  formatWaitTimeout
+};
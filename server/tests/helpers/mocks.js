@@ -14,10 +14,11 @@ function createMockServer() {
 
 /**
  * Create mock transport (DirectTransport or ProxyTransport)
+ * @param {Function|Object} respond - Result of every command, or (command, params) => result
  */
-function createMockTransport() {
+function createMockTransport(respond = { success: true }) {
   return {
-    sendCommand: jest.fn().mockResolvedValue({ success: true }),
+    sendCommand: jest.fn(async (command, params) => (typeof respond === 'function' ? respond(command, params) : respond)),
     close: jest.fn().mockResolvedValue(true)
   };
 }
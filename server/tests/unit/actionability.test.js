@@ -0,0 +1,47 @@
+/**
+ * Unit tests for actionability checks
+ */
+
+const { checkActionability } = require('../../src/actionability');
+
+/**
+ * Run checkActionability against fake elements, as Runtime.evaluate would in the page
+ */
+function runCheck(elements, checks) {
+  const window = { getComputedStyle: (el) => el.style, innerWidth: 800, innerHeight: 600 };
+  const document = { querySelectorAll: () => [] };
+  return new Function('window', 'document', 'elements', 'checks', `return (${checkActionability.toString()})(elements, checks, 'm1');`)(
+    window, document, elements, checks
+  );
+}
+
+function element(style = {}, parentElement = null, root = { host: null }) {
+  return {
+    style: { display: 'block', visibility: 'visible', opacity: '1', ...style },
+    parentElement,
+    getRootNode: () => root,
+    getBoundingClientRect: () => ({ left: 10, top: 20, right: 110, bottom: 50, width: 100, height: 30 }),
+    setAttribute() {}
+  };
+}
+
+describe('checkActionability', () => {
+  test('treats an element inside a transparent ancestor as hidden', () => {
+    const button = element({}, element({}, element({ opacity: '0' })));
+
+    expect(runCheck([button], ['visible'])).toMatchObject({ state: 'hidden', reason: 'opacity: 0 on an ancestor', visibleCount: 0 });
+  });
+
+  test('looks past shadow roots for transparent hosts', () => {
+    const host = element({ opacity: '0' });
+    const button = element({}, null, { host });
+
+    expect(runCheck([button], ['visible'])).toMatchObject({ state: 'hidden', reason: 'opacity: 0 on an ancestor' });
+  });
+
+  test('accepts an element whose ancestors are all visible', () => {
+    const button = element({}, element({ opacity: '0.5' }));
+
+    expect(runCheck([button], ['visible'])).toMatchObject({ state: 'ready', x: 60, y: 35, visibleCount: 1 });
+  });
+});
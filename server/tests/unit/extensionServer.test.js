@@ -2,7 +2,10 @@
  * Unit tests for ExtensionServer
  */
 
-const { ExtensionServer } = require('../../src/extensionServer');
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const http = require('http');
+const { ExtensionServer, signPairingProof } = require('../../src/extensionServer');
 
 describe('ExtensionServer', () => {
   test('initializes with port and host', () => {
@@ -25,9 +28,398 @@ describe('ExtensionServer', () => {
     expect(server._wss).toBe(null);
   }, 10000); // Increase timeout for network operations
 
+  test('reports tab ownership lost notifications', () => {
+    const server = new ExtensionServer(5558, '127.0.0.1');
+    const onTabOwnershipLost = jest.fn();
+    server.onTabOwnershipLost = onTabOwnershipLost;
+
+    const params = { tabId: 7, wasAttached: true, takenBy: { port: 5556, clientId: 'backend' } };
+    server._handleMessage(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tab_ownership_lost', params }));
+
+    expect(onTabOwnershipLost).toHaveBeenCalledWith(params);
+  });
+
+  test('derives a stable session ID from client_id', () => {
+    const first = new ExtensionServer(5558, '127.0.0.1', true, { registry: false });
+    const restarted = new ExtensionServer(5559, '127.0.0.1', true, { registry: false });
+    const sent = [];
+    restarted._extensionWs = { readyState: 1, send: (data) => sent.push(JSON.parse(data)) };
+
+    first.setClientId('frontend');
+    restarted.setClientId('frontend');
+
+    expect(restarted.getSessionId()).toBe(first.getSessionId());
+    expect(first.getSessionId()).toMatch(/^[0-9a-f]{12}$/);
+    expect(sent).toEqual([{
+      jsonrpc: '2.0',
+      method: 'authenticated',
+      params: { client_id: 'frontend', sessionId: first.getSessionId() }
+    }]);
+  });
+
+  test('reports resumed sessions', () => {
+    const server = new ExtensionServer(5558, '127.0.0.1');
+    const onSessionResumed = jest.fn();
+    server.onSessionResumed = onSessionResumed;
+
+    const params = { clientId: 'frontend', tab: { id: 7, title: 'App', url: 'https://app.test/' }, stealthMode: true };
+    server._handleMessage(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/session_resumed', params }));
+
+    expect(onSessionResumed).toHaveBeenCalledWith(params);
+  });
+
+  test('reports client_id conflicts', () => {
+    const server = new ExtensionServer(5558, '127.0.0.1');
+    const onClientIdConflict = jest.fn();
+    server.onClientIdConflict = onClientIdConflict;
+
+    const params = { clientId: 'frontend', port: 5556 };
+    server._handleMessage(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/client_id_conflict', params }));
+
+    expect(onClientIdConflict).toHaveBeenCalledWith(params);
+  });
+
   test('isConnected returns false when no extension connected', () => {
     const server = new ExtensionServer(5557, '127.0.0.1');
     // isConnected checks if WebSocket exists and is open
     expect(server.isConnected()).toBeFalsy();
   });
 });
+
+/**
+ * Open a client socket and collect messages until closed
+ */
+function connectClient(port, options = {}) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/extension`, { origin: 'chrome-extension://test', ...options });
+  ws.received = [];
+  ws.on('message', (data) => ws.received.push(JSON.parse(data.toString())));
+  ws.closed = new Promise((resolve) => ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+  return ws;
+}
+
+function nextMessage(ws, method) {
+  return new Promise((resolve) => {
+    const check = () => {
+      const message = ws.received.find(m => m.method === method);
+      if (message) {
+        resolve(message);
+      } else {
+        setTimeout(check, 10);
+      }
+    };
+    check();
+  });
+}
+
+async function handshake(ws) {
+  await new Promise((resolve) => ws.on('open', resolve));
+  const nonce = crypto.randomBytes(16).toString('hex');
+  ws.send(JSON.stringify({ type: 'handshake', browser: 'chrome', nonce }));
+  const sessionInfo = await nextMessage(ws, 'session_info');
+  return { nonce, sessionInfo };
+}
+
+describe('ExtensionServer pairing handshake', () => {
+  const SECRET = 'test-pairing-secret';
+
+  let server;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server = new ExtensionServer(5590, '127.0.0.1', true, { pairingSecret: SECRET });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    console.error.mockRestore();
+  });
+
+  test('accepts extension that proves the pairing secret', async () => {
+    const ws = connectClient(server.getPort());
+    const { nonce, sessionInfo } = await handshake(ws);
+
+    // Server proves it knows the secret
+    expect(sessionInfo.params.authRequired).toBe(true);
+    expect(sessionInfo.params.proof).toBe(signPairingProof(SECRET, 'server', nonce, sessionInfo.params.nonce));
+    expect(server.isConnected()).toBeFalsy();
+
+    ws.send(JSON.stringify({
+      type: 'handshake_proof',
+      proof: signPairingProof(SECRET, 'extension', sessionInfo.params.nonce, nonce)
+    }));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(server.isConnected()).toBeTruthy();
+    ws.close();
+  }, 10000);
+
+  test('rejects extension with wrong pairing secret', async () => {
+    const ws = connectClient(server.getPort());
+    const { nonce, sessionInfo } = await handshake(ws);
+
+    ws.send(JSON.stringify({
+      type: 'handshake_proof',
+      proof: signPairingProof('wrong-secret', 'extension', sessionInfo.params.nonce, nonce)
+    }));
+
+    const rejection = await nextMessage(ws, 'handshake_rejected');
+    expect(rejection.params.reason).toMatch(/Pairing secret mismatch/);
+    expect((await ws.closed).code).toBe(4401);
+    expect(server.isConnected()).toBeFalsy();
+    await expect(server.sendCommand('getTabs')).rejects.toThrow(/Extension connection rejected: Pairing secret mismatch/);
+  }, 10000);
+
+  test('rejects extension that does not send a nonce', async () => {
+    const ws = connectClient(server.getPort());
+    await new Promise((resolve) => ws.on('open', resolve));
+    ws.send(JSON.stringify({ type: 'handshake', browser: 'chrome' }));
+
+    const rejection = await nextMessage(ws, 'handshake_rejected');
+    expect(rejection.params.reason).toMatch(/Pairing required/);
+    expect((await ws.closed).code).toBe(4401);
+  }, 10000);
+
+  test('ignores commands and responses from unpaired connections', async () => {
+    const ws = connectClient(server.getPort());
+    await handshake(ws);
+    ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tab_info_update', params: { currentTab: { id: 1 } } }));
+
+    const onTabInfoUpdate = jest.fn();
+    server.onTabInfoUpdate = onTabInfoUpdate;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(onTabInfoUpdate).not.toHaveBeenCalled();
+    expect(server.isConnected()).toBeFalsy();
+    ws.close();
+  }, 10000);
+
+  test('rejects WebSocket upgrades from web page origins', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.getPort()}/extension`, { origin: 'https://evil.example' });
+    const statusCode = await new Promise((resolve) => {
+      ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.on('error', () => {});
+    });
+    expect(statusCode).toBe(403);
+  }, 10000);
+});
+
+describe('ExtensionServer takeover without pairing', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server = new ExtensionServer(5595, '127.0.0.1', true, { registry: false });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    console.error.mockRestore();
+  });
+
+  test('gives the accepted extension a reconnect token', async () => {
+    const ws = connectClient(server.getPort());
+    const { sessionInfo } = await handshake(ws);
+
+    expect(sessionInfo.params.reconnectToken).toMatch(/^[0-9a-f]{32}$/);
+    expect(server.isConnected()).toBeTruthy();
+    ws.close();
+  }, 10000);
+
+  test('rejects a client that tries to replace the live connection without the token', async () => {
+    const extension = connectClient(server.getPort());
+    await handshake(extension);
+
+    const intruder = connectClient(server.getPort());
+    await new Promise((resolve) => intruder.on('open', resolve));
+    intruder.send(JSON.stringify({ type: 'handshake', browser: 'chrome', reconnectToken: 'guess' }));
+
+    const rejection = await nextMessage(intruder, 'handshake_rejected');
+    expect(rejection.params.reason).toMatch(/Another extension connection is active/);
+    expect((await intruder.closed).code).toBe(4401);
+    expect(extension.readyState).toBe(WebSocket.OPEN);
+    extension.close();
+  }, 10000);
+
+  test('lets the extension replace its own connection with the token', async () => {
+    const extension = connectClient(server.getPort());
+    const { sessionInfo } = await handshake(extension);
+
+    const reconnected = connectClient(server.getPort());
+    await new Promise((resolve) => reconnected.on('open', resolve));
+    reconnected.send(JSON.stringify({ type: 'handshake', browser: 'chrome', reconnectToken: sessionInfo.params.reconnectToken }));
+
+    const next = await nextMessage(reconnected, 'session_info');
+    expect(next.params.reconnectToken).not.toBe(sessionInfo.params.reconnectToken);
+    await extension.closed;
+    expect(server.isConnected()).toBeTruthy();
+    reconnected.close();
+  }, 10000);
+
+  test('accepts any client once the previous connection closed', async () => {
+    const extension = connectClient(server.getPort());
+    await handshake(extension);
+    extension.close();
+    await extension.closed;
+
+    const next = connectClient(server.getPort());
+    await handshake(next);
+    expect(server.isConnected()).toBeTruthy();
+    next.close();
+  }, 10000);
+
+  test('rejects clients without an Origin', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.getPort()}/extension`);
+    const statusCode = await new Promise((resolve) => {
+      ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.on('error', () => {});
+    });
+    expect(statusCode).toBe(403);
+    expect(server.isConnected()).toBeFalsy();
+  }, 10000);
+
+  test('does not reveal session or client IDs over HTTP', async () => {
+    const info = await new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${server.getPort()}/`, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve(JSON.parse(body)));
+      }).on('error', reject);
+    });
+    expect(info).toEqual({ type: 'multi-browser-mcp', port: server.getPort(), status: expect.any(String) });
+  }, 10000);
+
+  test('lets any client take over with allowTakeover', async () => {
+    await server.stop();
+    server = new ExtensionServer(5595, '127.0.0.1', true, { registry: false, allowTakeover: true });
+    await server.start();
+
+    const extension = connectClient(server.getPort());
+    await handshake(extension);
+    const other = connectClient(server.getPort());
+    await handshake(other);
+
+    await extension.closed;
+    expect(server.isConnected()).toBeTruthy();
+    other.close();
+  }, 10000);
+});
+
+describe('isAllowedOrigin', () => {
+  const { isAllowedOrigin } = require('../../src/extensionServer');
+
+  test('allows extensions, and non-browser clients only when pairing is required', () => {
+    expect(isAllowedOrigin(undefined)).toBe(false);
+    expect(isAllowedOrigin(undefined, null, true)).toBe(true);
+    expect(isAllowedOrigin('chrome-extension://abcdef')).toBe(true);
+    expect(isAllowedOrigin('moz-extension://1234')).toBe(true);
+    expect(isAllowedOrigin('https://example.com')).toBe(false);
+    expect(isAllowedOrigin('null')).toBe(false);
+  });
+
+  test('restricts to explicit allow list when configured', () => {
+    const allowed = ['chrome-extension://abcdef'];
+    expect(isAllowedOrigin('chrome-extension://abcdef', allowed)).toBe(true);
+    expect(isAllowedOrigin('chrome-extension://other', allowed)).toBe(false);
+  });
+});
+
+describe('loadPairingSecret', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { loadPairingSecret } = require('../../src/extensionServer');
+
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-pairing-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('generates a private secret once and reuses it', () => {
+    const file = path.join(dir, 'config', 'pairing-secret');
+
+    const first = loadPairingSecret(file);
+    expect(first.created).toBe(true);
+    expect(first.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+
+    const second = loadPairingSecret(file);
+    expect(second).toEqual({ secret: first.secret, file, created: false });
+  });
+});
+
+describe('ExtensionServer discovery', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const WebSocket = require('ws');
+
+  let dir;
+  let servers;
+
+  function waitFor(predicate) {
+    return new Promise((resolve) => {
+      const check = () => (predicate() ? resolve() : setTimeout(check, 10));
+      check();
+    });
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-registry-'));
+    servers = [];
+  });
+
+  afterEach(async () => {
+    for (const server of servers) {
+      await server.stop();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.error.mockRestore();
+  });
+
+  async function startServer(port) {
+    const server = new ExtensionServer(port, '127.0.0.1', true, { registryDir: dir });
+    servers.push(server);
+    await server.start();
+    return server;
+  }
+
+  test('pushes servers_changed when another server starts', async () => {
+    const first = await startServer(5591);
+    const ws = new WebSocket(`ws://127.0.0.1:${first.getPort()}/extension`, { origin: 'chrome-extension://test' });
+    const lists = [];
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      if (message.method === 'servers_changed') {
+        lists.push(message.params.servers.map(server => server.port));
+      }
+    });
+    await new Promise((resolve) => ws.on('open', resolve));
+
+    // Current list right after connecting
+    await waitFor(() => lists.length > 0);
+    expect(lists[0]).toEqual([first.getPort()]);
+
+    const second = await startServer(5592);
+    await waitFor(() => lists[lists.length - 1].length === 2);
+    expect(lists[lists.length - 1]).toEqual([first.getPort(), second.getPort()]);
+
+    ws.close();
+  }, 10000);
+
+  test('unregisters on stop', async () => {
+    const server = await startServer(5593);
+    expect(fs.readdirSync(dir)).toEqual([`${server.getPort()}.json`]);
+
+    await server.stop();
+    servers = [];
+    expect(fs.readdirSync(dir)).toEqual([]);
+  }, 10000);
+});
@@ -0,0 +1,41 @@
+/**
+ * Unit tests for touch gestures and pointer paths
+ */
+
+const { interpolatePath, getSwipeEnd, getSwipeEvents, getPinchEvents } = require('../../src/gestures');
+
+describe('interpolatePath', () => {
+  test('adds evenly spaced points on every segment', () => {
+    expect(interpolatePath([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 20 }], 2)).toEqual([
+      { x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 10, y: 20 }
+    ]);
+    expect(interpolatePath([{ x: 0, y: 0 }, { x: 10, y: 10 }])).toEqual([{ x: 0, y: 0 }, { x: 10, y: 10 }]);
+  });
+});
+
+describe('swipe', () => {
+  test('moves one finger from start to end', () => {
+    const events = getSwipeEvents({ x: 100, y: 400 }, getSwipeEnd({ x: 100, y: 400 }, { direction: 'up', distance: 200 }), 4);
+
+    expect(events.map(event => event.type)).toEqual(['touchStart', 'touchMove', 'touchMove', 'touchMove', 'touchMove', 'touchEnd']);
+    expect(events[1].touchPoints).toEqual([{ x: 100, y: 350, id: 0 }]);
+    expect(events[4].touchPoints).toEqual([{ x: 100, y: 200, id: 0 }]);
+    expect(events[5].touchPoints).toEqual([]);
+  });
+
+  test('needs an end point or a direction', () => {
+    expect(getSwipeEnd({ x: 0, y: 0 }, { toX: 5, toY: 6 })).toEqual({ x: 5, y: 6 });
+    expect(() => getSwipeEnd({ x: 0, y: 0 }, {})).toThrow('swipe needs toX and toY, or a direction');
+  });
+});
+
+describe('pinch', () => {
+  test('spreads two fingers around the center', () => {
+    const events = getPinchEvents({ x: 200, y: 300 }, 2, 100, 2);
+
+    expect(events[0].touchPoints).toEqual([{ x: 150, y: 300, id: 0 }, { x: 250, y: 300, id: 1 }]);
+    expect(events[2].touchPoints).toEqual([{ x: 100, y: 300, id: 0 }, { x: 300, y: 300, id: 1 }]);
+    expect(events[3]).toEqual({ type: 'touchEnd', touchPoints: [] });
+    expect(() => getPinchEvents({ x: 0, y: 0 }, 0)).toThrow('pinch scale must be a positive number');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for HAR export and import
+ */
+
+const { getTimings, buildHar, parseHarResponses } = require('../../src/har');
+
+const request = {
+  requestId: 'A1',
+  url: 'https://app.test/api/orders?page=2',
+  method: 'POST',
+  requestHeaders: { 'Content-Type': 'application/json' },
+  timestamp: 100,
+  wallTime: 1700000000,
+  statusCode: 201,
+  statusText: 'Created',
+  responseHeaders: { 'content-type': 'application/json', 'content-encoding': 'gzip' },
+  mimeType: 'application/json',
+  protocol: 'h2',
+  timing: {
+    requestTime: 100, dnsStart: 1, dnsEnd: 5, connectStart: 5, connectEnd: 20, sslStart: 10, sslEnd: 20,
+    sendStart: 21, sendEnd: 22, receiveHeadersEnd: 50
+  },
+  finished: true,
+  endTimestamp: 100.08,
+  encodedDataLength: 120
+};
+
+describe('getTimings', () => {
+  test('splits CDP resource timing into HAR phases', () => {
+    const timings = getTimings(request.timing, request.endTimestamp);
+
+    expect(timings).toMatchObject({ blocked: 1, dns: 4, connect: 15, ssl: 10, send: 1, wait: 28 });
+    expect(timings.receive).toBeCloseTo(30);
+    expect(getTimings({ ...request.timing, dnsStart: -1, dnsEnd: -1, connectStart: -1, connectEnd: -1, sslStart: -1, sslEnd: -1 }))
+      .toMatchObject({ dns: -1, connect: -1, ssl: -1, receive: 0 });
+  });
+});
+
+describe('buildHar', () => {
+  test('writes HAR 1.2 entries with headers, query, post data and bodies', () => {
+    const har = buildHar([{
+      request,
+      bodies: { postData: '{"item":1}', response: { body: 'eyJpZCI6MX0=', base64Encoded: true } }
+    }], { name: 'test', version: '1.0.0' });
+
+    const [entry] = har.log.entries;
+    expect(har.log).toMatchObject({ version: '1.2', creator: { name: 'test', version: '1.0.0' } });
+    expect(entry.startedDateTime).toBe('2023-11-14T22:13:20.000Z');
+    expect(entry.request).toMatchObject({
+      httpVersion: 'HTTP/2.0',
+      headers: [{ name: 'Content-Type', value: 'application/json' }],
+      queryString: [{ name: 'page', value: '2' }],
+      postData: { mimeType: 'application/json', text: '{"item":1}' }
+    });
+    expect(entry.response).toMatchObject({
+      status: 201,
+      content: { size: 8, mimeType: 'application/json', text: 'eyJpZCI6MX0=', encoding: 'base64' },
+      bodySize: 120
+    });
+  });
+});
+
+describe('buildHar with webRequest entries', () => {
+  // Shape of NetworkTracker entries (the fallback when CDP captured nothing)
+  const tracked = {
+    requestId: '1234',
+    url: 'https://app.test/api/orders',
+    method: 'GET',
+    type: 'xmlhttprequest',
+    tabId: 7,
+    timestamp: 1700000000123,
+    statusCode: 200,
+    statusText: 'HTTP/1.1 200 OK',
+    requestHeaders: [{ name: 'Accept', value: 'application/json' }],
+    responseHeaders: [{ name: 'Content-Type', value: 'application/json' }, { name: 'X-Binary' }],
+    requestBody: null
+  };
+
+  test('reads name/value header arrays, ms timestamps and status lines', () => {
+    const [entry] = buildHar([{ request: tracked, bodies: {} }], { name: 'test', version: '1.0.0' }).log.entries;
+
+    expect(entry.startedDateTime).toBe('2023-11-14T22:13:20.123Z');
+    expect(entry.request.headers).toEqual([{ name: 'Accept', value: 'application/json' }]);
+    expect(entry.response).toMatchObject({
+      status: 200,
+      statusText: 'OK',
+      httpVersion: 'HTTP/1.1',
+      headers: [{ name: 'Content-Type', value: 'application/json' }, { name: 'X-Binary', value: '' }],
+      content: { mimeType: 'application/json' }
+    });
+  });
+
+  test('exports requests whose headers were never captured', () => {
+    const pending = { ...tracked, statusCode: null, statusText: null, requestHeaders: null, responseHeaders: null };
+
+    const [entry] = buildHar([{ request: pending, bodies: {} }], { name: 'test', version: '1.0.0' }).log.entries;
+
+    expect(entry.request.headers).toEqual([]);
+    expect(entry.response).toMatchObject({ status: 0, headers: [], content: { mimeType: 'x-unknown' } });
+  });
+});
+
+describe('parseHarResponses', () => {
+  test('reads recorded responses for replay and skips unanswered requests', () => {
+    const har = buildHar([
+      { request, bodies: { response: { body: '{"id":1}', base64Encoded: false } } },
+      { request: { ...request, statusCode: undefined, failed: true, errorText: 'net::ERR_FAILED' }, bodies: {} }
+    ], { name: 'test', version: '1.0.0' });
+
+    expect(parseHarResponses(har)).toEqual([{
+      method: 'POST',
+      url: 'https://app.test/api/orders?page=2',
+      status: 201,
+      statusText: 'Created',
+      headers: [{ name: 'content-type', value: 'application/json' }],
+      body: '{"id":1}',
+      base64Encoded: false
+    }]);
+    expect(() => parseHarResponses({})).toThrow('Not a HAR file');
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Unit tests for key definitions and chords
+ */
+
+const { getModifierMask, parseKeyChord, getKeyChordEvents } = require('../../src/keyboard');
+
+describe('parseKeyChord', () => {
+  test('splits modifiers from the key', () => {
+    expect(parseKeyChord('Control+Shift+P')).toEqual({ modifiers: ['Control', 'Shift'], key: 'P' });
+    expect(parseKeyChord('Cmd+a')).toEqual({ modifiers: ['Meta'], key: 'a' });
+    expect(parseKeyChord('Shift++')).toEqual({ modifiers: ['Shift'], key: '+' });
+    expect(parseKeyChord('Enter')).toEqual({ modifiers: [], key: 'Enter' });
+  });
+
+  test('rejects unknown modifiers', () => {
+    expect(() => parseKeyChord('Hyper+K')).toThrow('Unknown modifier "Hyper" in "Hyper+K"');
+    expect(() => getModifierMask(['Super'])).toThrow('Unknown modifier "Super"');
+  });
+});
+
+describe('getKeyChordEvents', () => {
+  test('presses modifiers around the key and types no text for shortcuts', () => {
+    const events = getKeyChordEvents('Control+Shift+P');
+
+    expect(events.map(event => [event.type, event.key, event.modifiers])).toEqual([
+      ['rawKeyDown', 'Control', 2],
+      ['rawKeyDown', 'Shift', 10],
+      ['keyDown', 'P', 10],
+      ['keyUp', 'P', 10],
+      ['keyUp', 'Shift', 2],
+      ['keyUp', 'Control', 0]
+    ]);
+    expect(events[2]).toMatchObject({ code: 'KeyP', windowsVirtualKeyCode: 80, text: '' });
+  });
+
+  test('types text for single keys and Shift chords', () => {
+    expect(getKeyChordEvents('Enter')[0]).toMatchObject({ type: 'keyDown', code: 'Enter', windowsVirtualKeyCode: 13, text: '\r' });
+    expect(getKeyChordEvents('Shift+a')[1]).toMatchObject({ key: 'A', text: 'A', modifiers: 8 });
+  });
+
+  test('adds editing commands to Meta shortcuts', () => {
+    expect(getKeyChordEvents('Meta+A')[1]).toMatchObject({ key: 'a', commands: ['selectAll'] });
+    expect(getKeyChordEvents('Meta+Shift+Z')[2]).toMatchObject({ commands: ['redo'] });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for locator parsing
+ */
+
+const { parseLocator } = require('../../src/locators');
+
+describe('parseLocator', () => {
+  test('leaves plain CSS and :has-text selectors alone', () => {
+    expect(parseLocator('#submit')).toBe(null);
+    expect(parseLocator('a[role=button] > span')).toBe(null);
+    expect(parseLocator('button:has-text("Save")')).toBe(null);
+  });
+
+  test('parses role locators with name, level and states', () => {
+    expect(parseLocator('role=button[name="Save"]').parts).toEqual([
+      { engine: 'role', role: 'button', name: { value: 'Save', exact: true } }
+    ]);
+    expect(parseLocator('role=heading[name=welcome][level=2]').parts).toEqual([
+      { engine: 'role', role: 'heading', name: { value: 'welcome', exact: false }, level: 2 }
+    ]);
+    expect(parseLocator('role=checkbox[checked=false][disabled]').parts).toEqual([
+      { engine: 'role', role: 'checkbox', checked: false, disabled: true }
+    ]);
+    expect(parseLocator('role=button[name="Say \\"hi\\" ]"]').parts[0].name).toEqual({ value: 'Say "hi" ]', exact: true });
+  });
+
+  test('parses text-based locators, exact when quoted', () => {
+    expect(parseLocator('label=Email').parts).toEqual([{ engine: 'label', value: 'Email', exact: false }]);
+    expect(parseLocator('placeholder="Search"').parts).toEqual([{ engine: 'placeholder', value: 'Search', exact: true }]);
+    expect(parseLocator('text=Sign in').parts).toEqual([{ engine: 'text', value: 'Sign in', exact: false }]);
+    expect(parseLocator('testid=submit').parts).toEqual([{ engine: 'testid', value: 'submit', exact: false }]);
+  });
+
+  test('parses chains with CSS parts and nth', () => {
+    expect(parseLocator('role=list >> li:has-text("Inbox") a >> text="a >> b" >> nth=-1').parts).toEqual([
+      { engine: 'role', role: 'list' },
+      { engine: 'css', selector: 'li', hasText: 'Inbox' },
+      { engine: 'css', selector: 'a' },
+      { engine: 'text', value: 'a >> b', exact: true },
+      { engine: 'nth', index: -1 }
+    ]);
+    expect(parseLocator('.menu >> css=.item').parts).toEqual([
+      { engine: 'css', selector: '.menu' },
+      { engine: 'css', selector: '.item' }
+    ]);
+  });
+
+  test('turns bare ARIA roles into role locators', () => {
+    expect(parseLocator('textbox').parts).toEqual([{ engine: 'role', role: 'textbox' }]);
+    expect(parseLocator('image').parts).toEqual([{ engine: 'role', role: 'img' }]);
+    expect(parseLocator('table')).toBe(null);
+  });
+
+  test('rejects malformed locators', () => {
+    expect(() => parseLocator('role=button[label="x"]')).toThrow(/unknown attribute "label"/);
+    expect(() => parseLocator('nth=first')).toThrow(/expected an integer/);
+    expect(() => parseLocator('text=')).toThrow(/missing value/);
+    expect(() => parseLocator('role=list >> >> text=a')).toThrow(/empty part/);
+  });
+});
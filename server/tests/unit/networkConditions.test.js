@@ -0,0 +1,28 @@
+/**
+ * Unit tests for network throttling presets and summaries
+ */
+
+const { getThrottling, describeConditions } = require('../../src/networkConditions');
+
+describe('getThrottling', () => {
+  test('converts presets and custom values to emulation settings', () => {
+    expect(getThrottling({ preset: 'slow_3g' })).toEqual({
+      label: 'Slow 3G', offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000
+    });
+    expect(getThrottling({ preset: 'fast_3g', latency: 100 })).toMatchObject({ label: 'Custom', latency: 100, downloadThroughput: 180000 });
+    expect(getThrottling({ preset: 'offline' })).toMatchObject({ offline: true, downloadThroughput: -1 });
+    expect(getThrottling({ preset: 'none' })).toBeNull();
+    expect(() => getThrottling({ preset: '2g' })).toThrow('Unknown preset "2g"');
+    expect(() => getThrottling({ latency: -5 })).toThrow('latency must be a number >= 0');
+  });
+});
+
+describe('describeConditions', () => {
+  test('summarizes throttling and failure rules', () => {
+    expect(describeConditions({ throttling: getThrottling({ preset: 'slow_3g' }), failures: [{ id: 'r1' }] }))
+      .toBe('Slow 3G, 1 failure rule');
+    expect(describeConditions({ throttling: getThrottling({ latency: 100, downloadKbps: 1000 }), failures: [] }))
+      .toBe('Custom 100ms ↓1000kbps');
+    expect(describeConditions({ throttling: null, failures: [] })).toBe('');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for editable request replay
+ */
+
+const { applyJsonPatch, buildReplayRequest, diffResponses, formatResponseDiff } = require('../../src/requestReplay');
+
+describe('applyJsonPatch', () => {
+  test('applies RFC 6902 operations to a copy', () => {
+    const document = { order: { items: [{ sku: 'a' }], quantity: 1 }, coupon: 'X' };
+
+    const patched = applyJsonPatch(document, [
+      { op: 'replace', path: '/order/quantity', value: 5 },
+      { op: 'add', path: '/order/items/-', value: { sku: 'b' } },
+      { op: 'remove', path: '/coupon' },
+      { op: 'copy', from: '/order/quantity', path: '/count' },
+      { op: 'test', path: '/count', value: 5 }
+    ]);
+
+    expect(patched).toEqual({ order: { items: [{ sku: 'a' }, { sku: 'b' }], quantity: 5 }, count: 5 });
+    expect(document.coupon).toBe('X');
+    expect(() => applyJsonPatch(document, [{ op: 'remove', path: '/missing/field' }])).toThrow('does not exist');
+    expect(() => applyJsonPatch(document, [{ op: 'test', path: '/coupon', value: 'Y' }])).toThrow('test failed');
+  });
+});
+
+describe('buildReplayRequest', () => {
+  const original = {
+    url: 'https://app.test/api/orders?page=1&debug=1',
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer a', Cookie: 'sid=1', ':authority': 'app.test' },
+    body: '{"quantity":1}'
+  };
+
+  test('merges query, header and body overrides', () => {
+    const request = buildReplayRequest(original, {
+      query: { page: 2, debug: null },
+      headers: { authorization: null, 'X-Trace': 'on' },
+      jsonPatch: [{ op: 'replace', path: '/quantity', value: 3 }]
+    });
+
+    expect(request).toEqual({
+      url: 'https://app.test/api/orders?page=2',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Trace': 'on' },
+      body: '{"quantity":3}',
+      dropped: ['Cookie', ':authority']
+    });
+  });
+
+  test('drops the body for GET and rejects conflicting body overrides', () => {
+    expect(buildReplayRequest(original, { method: 'get' })).toMatchObject({ method: 'GET', body: null });
+    expect(buildReplayRequest(original, { body: { quantity: 9 } }).body).toBe('{"quantity":9}');
+    expect(() => buildReplayRequest(original, { body: '{}', jsonPatch: [] })).toThrow('either body or jsonPatch');
+  });
+});
+
+describe('diffResponses', () => {
+  test('compares status, headers and body lines side by side', () => {
+    const original = { status: 200, statusText: 'OK', headers: { 'Content-Type': 'application/json', ETag: '1' }, body: '{"total":1,"items":["a"]}' };
+    const replayed = { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json', etag: '2' }, body: '{"total":2,"items":["a"]}' };
+
+    const diff = diffResponses(original, replayed);
+
+    expect(diff.status.changed).toBe(false);
+    expect(diff.headers).toEqual([{ name: 'etag', original: '1', replayed: '2' }]);
+    expect(diff.body.filter(row => row.changed)).toEqual([{ left: '  "total": 1,', right: '  "total": 2,', changed: true }]);
+    expect(formatResponseDiff(diff, original, replayed)).toContain('! etag: 1');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for SessionRegistry
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionRegistry } = require('../../src/sessionRegistry');
+
+describe('SessionRegistry', () => {
+  let dir;
+  let registry;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-registry-'));
+    registry = new SessionRegistry(dir);
+  });
+
+  afterEach(() => {
+    registry.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('registers and unregisters this server', () => {
+    registry.register(5555, 'ab12');
+    expect(registry.list()).toEqual([{ port: 5555, sessionId: 'ab12' }]);
+
+    registry.unregister();
+    expect(registry.list()).toEqual([]);
+  });
+
+  test('lists servers sorted by port', () => {
+    const other = new SessionRegistry(dir);
+    other.register(5600, 'cd34');
+    registry.register(5555, 'ab12');
+
+    expect(registry.list().map(server => server.port)).toEqual([5555, 5600]);
+    other.close();
+  });
+
+  test('removes entries of dead processes', () => {
+    const stale = path.join(dir, '5999.json');
+    // PIDs are capped well below this value on every platform
+    fs.writeFileSync(stale, JSON.stringify({ port: 5999, sessionId: 'dead', pid: 2 ** 30 }));
+
+    expect(registry.list()).toEqual([]);
+    expect(fs.existsSync(stale)).toBe(false);
+  });
+
+  test('returns empty list when directory does not exist', () => {
+    const missing = new SessionRegistry(path.join(dir, 'missing'));
+    expect(missing.list()).toEqual([]);
+  });
+
+  test('notifies watchers when servers come and go', async () => {
+    const changes = [];
+    registry.watch((servers) => changes.push(servers.map(server => server.port)));
+
+    const other = new SessionRegistry(dir);
+    other.register(5601, 'ef56');
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(changes[changes.length - 1]).toEqual([5601]);
+
+    other.close();
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(changes[changes.length - 1]).toEqual([]);
+  });
+});
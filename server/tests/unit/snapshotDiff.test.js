@@ -0,0 +1,65 @@
+/**
+ * Unit tests for snapshot diffs
+ */
+
+const { parseSnapshot, diffSnapshots, formatSnapshotDiff } = require('../../src/snapshotDiff');
+
+const BEFORE = [
+  'body [ref=e1]',
+  '  form#login [ref=e2]',
+  '    input type="email" [ref=e3]',
+  '    button "Sign in" [ref=e4]',
+  '  ... 4 more: li, li, li',
+  '  p.hint "Forgot password?" [ref=e5]'
+].join('\n');
+
+const AFTER = [
+  'body [ref=e1]',
+  '  form#login [ref=e2]',
+  '    input type="email" value="me@x.test" [ref=e3]',
+  '    button "Sign in" [ref=e4]',
+  '    div.error [ref=e9]',
+  '      span "Wrong password" [ref=e10]',
+  '  ... 4 more: li, li, li'
+].join('\n');
+
+describe('parseSnapshot', () => {
+  test('keys nodes by ref with their parent', () => {
+    const nodes = parseSnapshot(BEFORE);
+
+    expect([...nodes.keys()]).toEqual(['e1', 'e2', 'e3', 'e4', 'e5']);
+    expect(nodes.get('e3')).toMatchObject({ text: 'input type="email"', depth: 2, parentRef: 'e2' });
+    expect(nodes.get('e5').parentRef).toBe('e1');
+  });
+});
+
+describe('diffSnapshots', () => {
+  test('reports added, removed and changed nodes', () => {
+    const diff = diffSnapshots(parseSnapshot(BEFORE), parseSnapshot(AFTER));
+
+    expect(diff.added.map(entry => entry.ref)).toEqual(['e9', 'e10']);
+    expect(diff.removed.map(entry => entry.ref)).toEqual(['e5']);
+    expect(diff.changed.map(entry => entry.ref)).toEqual(['e3']);
+
+    expect(formatSnapshotDiff(diff)).toBe([
+      '2 added, 1 removed, 1 changed since the previous snapshot',
+      '',
+      'Added:',
+      '  div.error [ref=e9] (in e2)',
+      '    span "Wrong password" [ref=e10]',
+      '',
+      'Removed:',
+      '  p.hint "Forgot password?" [ref=e5]',
+      '',
+      'Changed:',
+      '  [ref=e3]',
+      '    - input type="email"',
+      '    + input type="email" value="me@x.test"'
+    ].join('\n'));
+  });
+
+  test('says so when nothing changed', () => {
+    const diff = diffSnapshots(parseSnapshot(BEFORE), parseSnapshot(BEFORE));
+    expect(formatSnapshotDiff(diff)).toBe('No changes since the previous snapshot.');
+  });
+});
@@ -5,6 +5,30 @@
  * escaped when embedded in JavaScript code, preventing syntax errors.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UnifiedBackend } = require('../../src/unifiedBackend');
+const { FrameTransport } = require('../../src/transport');
+const { deepQuerySelectorAll } = require('../../src/locators');
+const { createMockTransport } = require('../helpers/mocks');
+
+/**
+ * UnifiedBackend over a mock transport
+ * @param {Function|Object} respond - Result of every command, or (command, params) => result
+ */
+function createBackend(respond = {}) {
+  const transport = createMockTransport(respond);
+  return { backend: new UnifiedBackend({}, transport), transport };
+}
+
+/**
+ * Params of the CDP commands with the given method sent through the transport
+ */
+const cdpCalls = (transport, method) => transport.sendCommand.mock.calls
+  .filter(([command, params]) => command === 'forwardCDPCommand' && params.method === method)
+  .map(([, params]) => params.params);
+
 describe('UnifiedBackend - Selector Escaping', () => {
   describe('JSON.stringify escaping', () => {
     // These tests verify that our fix (using JSON.stringify) properly
@@ -135,3 +159,873 @@ describe('UnifiedBackend - Selector Escaping', () => {
     });
   });
 });
+
+describe('UnifiedBackend - browser_sessions', () => {
+  test('lists sessions by client_id', async () => {
+    const { backend } = createBackend({
+      currentPort: 5555,
+      sessions: [
+        { port: 5555, sessionId: 'ab12', clientId: 'frontend', status: 'connected', attachedTabId: null },
+        { port: 5556, sessionId: 'cd34', clientId: null, status: 'connected', attachedTabId: null }
+      ]
+    });
+
+    const result = await backend._handleBrowserSessions({ action: 'list' });
+
+    expect(result.content[0].text).toContain('**frontend** - Port 5555 (Session: ab12)');
+    expect(result.content[0].text).toContain('**Port 5556** (Session: cd34)');
+  });
+
+  test('closes a session by client_id', async () => {
+    const { backend, transport } = createBackend({ success: true });
+
+    const result = await backend._handleBrowserSessions({ action: 'close', client_id: 'frontend' });
+
+    expect(transport.sendCommand).toHaveBeenCalledWith('closeSession', { port: undefined, clientId: 'frontend' });
+    expect(result.content[0].text).toContain('Session "frontend" has been closed');
+  });
+
+  test('shows each session\'s tab locks', async () => {
+    const { backend } = createBackend({
+      currentPort: 5555,
+      sessions: [{
+        port: 5555, sessionId: 'ab12', clientId: 'frontend', status: 'connected', attachedTabId: 7,
+        attachedTabTitle: 'App', lockedTabs: [{ id: 7, title: 'App', url: 'https://app.test/' }, { id: 9, title: 'Login', url: 'https://sso.test/' }]
+      }]
+    });
+
+    const result = await backend._handleBrowserSessions({ action: 'list' });
+
+    expect(result.content[0].text).toContain('🔒 Tab #7: App (https://app.test/)');
+    expect(result.content[0].text).toContain('🔒 Tab #9: Login (https://sso.test/)');
+  });
+
+  test('gc closes tabs of disconnected sessions by default', async () => {
+    const { backend, transport } = createBackend({ closedTabs: [4, 5], discardedTabs: [] });
+
+    const result = await backend._handleBrowserSessions({ action: 'gc' });
+
+    expect(transport.sendCommand).toHaveBeenCalledWith('collectGarbage', {
+      policies: { disconnected: { action: 'close', minutes: 0 } }
+    });
+    expect(result.content[0].text).toContain('Closed 2 tab(s), discarded 0 tab(s)');
+  });
+
+  test('requires port or client_id to close', async () => {
+    const { backend } = createBackend({});
+    await expect(backend._handleBrowserSessions({ action: 'close' })).rejects.toThrow(/Port number or client_id is required/);
+  });
+});
+
+describe('UnifiedBackend - snapshot refs', () => {
+  test('resolves a ref to a selector for the element', async () => {
+    const { backend, transport } = createBackend({ selector: '[data-blueprint-ref="e42"]' });
+
+    await expect(backend._resolveRef('e42')).resolves.toBe('[data-blueprint-ref="e42"]');
+    expect(transport.sendCommand).toHaveBeenCalledWith('forwardCDPCommand', {
+      method: 'DOM.resolveRef',
+      params: { ref: 'e42' }
+    });
+  });
+
+  test('reports stale refs clearly', async () => {
+    const { backend } = createBackend({ error: 'No node with given id found' });
+
+    await expect(backend._resolveRef('e42')).rejects.toThrow(/Ref "e42" is stale.*browser_snapshot/);
+  });
+
+  test('rejects invalid refs without asking the extension', async () => {
+    const { backend, transport } = createBackend({});
+
+    await expect(backend._resolveRef('#submit')).rejects.toThrow(/Invalid ref "#submit"/);
+    expect(transport.sendCommand).not.toHaveBeenCalled();
+  });
+
+  test('prints refs of AX nodes from their backendDOMNodeId', () => {
+    const { backend } = createBackend({});
+
+    expect(backend._formatStructuredSnapshot([{ role: 'button', name: 'Save', ref: 'e7' }])).toBe('button: Save [ref=e7]\n');
+    expect(backend._formatNodeRef({ backendDOMNodeId: 12 })).toBe(' [ref=e12]');
+    expect(backend._formatNodeRef({})).toBe('');
+  });
+});
+
+describe('UnifiedBackend - locators', () => {
+  test('builds element expressions for locators', () => {
+    const { backend } = createBackend({});
+    const locator = backend._processSelector('role=button[name="Save"] >> nth=0');
+
+    expect(locator.type).toBe('locator');
+    const expression = backend._getSelectorExpression(locator);
+    expect(() => new Function(`return ${expression};`)).not.toThrow();
+    expect(expression).toContain('"role":"button"');
+  });
+
+  test('marks the element a locator resolves to for selector-only handlers', async () => {
+    const { backend, transport } = createBackend({ result: { value: true } });
+
+    await expect(backend._resolveTarget('label=Email')).resolves.toBe('[data-blueprint-ref="m1"]');
+    expect(transport.sendCommand.mock.calls[0][1].params.expression).toContain('"engine":"label"');
+  });
+
+  test('marks plain selectors too, so they reach into shadow roots', async () => {
+    const { backend, transport } = createBackend({ result: { value: true } });
+
+    await expect(backend._resolveTarget('#plain')).resolves.toBe('[data-blueprint-ref="m1"]');
+    const expression = transport.sendCommand.mock.calls[0][1].params.expression;
+    expect(expression).toContain('"#plain"');
+    expect(expression).toContain('shadowRoot');
+  });
+
+  test('reports locators that match nothing', async () => {
+    const { backend } = createBackend({ result: { value: false } });
+    await expect(backend._resolveTarget('text=Missing')).rejects.toThrow('Element not found: text=Missing');
+  });
+});
+
+describe('UnifiedBackend - shadow DOM and frames', () => {
+  const frame = { frameId: 'F1', sessionId: 'S1', contextId: 7, offset: { x: 100, y: 50 }, url: 'https://pay.test/' };
+
+  // Resolves any frame to the one above
+  const withFrame = () => createBackend((command, params) => (params.method === 'Page.resolveFrame' ? frame : {}));
+
+  test('searches open shadow roots when the light DOM has no match', () => {
+    const { backend } = createBackend();
+    const expression = backend._getSelectorExpression(backend._processSelector('#card-number'));
+
+    expect(() => new Function(`return ${expression};`)).not.toThrow();
+    expect(expression).toContain('document.querySelector("#card-number")');
+    expect(expression).toContain('shadowRoot');
+  });
+
+  /**
+   * Page with a card in the light DOM and a drop zone inside an open shadow root,
+   * enough to run the backend's page scripts (selectors: *, #id and [attr="value"])
+   */
+  function createShadowPage() {
+    const matches = (el, selector) => {
+      if (selector === '*') return true;
+      if (selector.startsWith('#')) return el.id === selector.slice(1);
+      const [, name, value] = selector.match(/^\[([\w-]+)="(.*)"\]$/) || [];
+      return name !== undefined && el.attributes[name] === value;
+    };
+    const scope = (children) => ({
+      children,
+      querySelectorAll(selector) {
+        const found = [];
+        const visit = (nodes) => nodes.forEach(el => {
+          if (matches(el, selector)) found.push(el);
+          visit(el.children);
+        });
+        visit(this.children);
+        return found;
+      },
+      querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+      }
+    });
+    const element = (id, rect, children = []) => ({
+      ...scope(children),
+      id,
+      attributes: {},
+      shadowRoot: null,
+      getAttribute(name) { return this.attributes[name] ?? null; },
+      setAttribute(name, value) { this.attributes[name] = String(value); },
+      removeAttribute(name) { delete this.attributes[name]; },
+      scrollIntoView() {},
+      getBoundingClientRect: () => rect
+    });
+
+    const card = element('card', { left: 0, top: 0, width: 100, height: 40 });
+    const dropzone = element('dropzone', { left: 200, top: 100, width: 100, height: 60 });
+    const host = element('host', { left: 200, top: 100, width: 100, height: 60 });
+    host.shadowRoot = scope([dropzone]);
+    const document = scope([card, host]);
+    const window = { innerWidth: 800, innerHeight: 600, devicePixelRatio: 1 };
+    const evaluate = (expression) => new Function('document', 'window', `return (${expression});`)(document, window);
+
+    return {
+      card,
+      dropzone,
+      evaluate,
+      // The extension looks selectors up through open shadow roots as well
+      find: (selector) => evaluate(`(${deepQuerySelectorAll.toString()})(document, ${JSON.stringify(selector)})[0]`)
+    };
+  }
+
+  test('drags onto and screenshots an element inside a shadow root', async () => {
+    const page = createShadowPage();
+    const png = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+    const { backend, transport } = createBackend((command, params) => {
+      if (params.method === 'Runtime.evaluate') return { result: { value: page.evaluate(params.params.expression) } };
+      if (params.method === 'Input.dragAndDrop') return { html5: true };
+      if (params.method === 'Page.captureScreenshot') return page.find(params.params.selector) === page.dropzone ? { data: png } : {};
+      return {};
+    });
+
+    const drag = await backend._handleDrag({ fromSelector: '#card', toSelector: '#dropzone' }, { rawResult: true });
+    expect(drag).toMatchObject({ from: { x: 50, y: 20 }, to: { x: 250, y: 130 }, toSelector: '#dropzone' });
+
+    const screenshot = await backend._handleScreenshot({ selector: '#dropzone' });
+    expect(screenshot.content.some(item => item.type === 'image')).toBe(true);
+    expect(page.find(cdpCalls(transport, 'Page.captureScreenshot')[0].selector)).toBe(page.dropzone);
+  });
+
+  test('runs scripts in the frame context', async () => {
+    const { backend, transport } = withFrame();
+
+    await backend._inFrame('iframe#checkout', () =>
+      backend._transport.sendCommand('forwardCDPCommand', { method: 'Runtime.evaluate', params: { expression: '1' } }));
+
+    expect(backend._transport).toBe(transport);
+    expect(transport.sendCommand.mock.calls[0][1]).toEqual({ method: 'Page.resolveFrame', params: { frame: 'iframe#checkout' } });
+    expect(transport.sendCommand.mock.calls[1][1].params).toEqual({ expression: '1', contextId: 7, sessionId: 'S1' });
+  });
+
+  test('offsets mouse events by the frame position', async () => {
+    const { backend, transport } = withFrame();
+
+    await backend._inFrame('iframe#checkout', () => backend._transport.sendCommand('forwardCDPCommand', {
+      method: 'Input.dispatchMouseEvent',
+      params: { type: 'mousePressed', x: 10, y: 20 }
+    }));
+
+    expect(cdpCalls(transport, 'Input.dispatchMouseEvent')).toEqual([{ type: 'mousePressed', x: 110, y: 70 }]);
+  });
+
+  test('reports frames that cannot be found', async () => {
+    const { backend, transport } = createBackend({ error: 'The page has no iframes' });
+
+    await expect(backend._inFrame('checkout', async () => {})).rejects.toThrow(
+      'Frame not found: "checkout". The page has no iframes.'
+    );
+    expect(backend._transport).toBe(transport);
+  });
+
+  test('keeps concurrent tool calls out of the frame', async () => {
+    const { backend, transport } = withFrame();
+    let release;
+    const inFrame = backend._inFrame('iframe#checkout', () => new Promise((resolve) => { release = resolve; }));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    await backend._transport.sendCommand('forwardCDPCommand', { method: 'Runtime.evaluate', params: { expression: '2' } });
+    release();
+    await inFrame;
+
+    expect(transport.sendCommand.mock.calls[1][1].params).toEqual({ expression: '2' });
+  });
+
+  test('rejects snapshot refs inside frames', async () => {
+    const { backend } = withFrame();
+
+    await expect(backend._inFrame('iframe#checkout', () => backend._resolveTarget(null, 'e42'))).rejects.toThrow(
+      'Ref "e42" can\'t be used with frame'
+    );
+  });
+
+  test('removes element marks when the tool call ends', async () => {
+    const { backend, transport } = createBackend({ result: { value: true } });
+    backend._handleLookup = async () => {
+      const selector = await backend._resolveTarget('role=button');
+      return { content: [{ type: 'text', text: selector }] };
+    };
+
+    const result = await backend.callTool('browser_lookup', {}, { rawResult: true });
+
+    expect(result.content[0].text).toBe('[data-blueprint-ref="m1"]');
+    const cleanup = transport.sendCommand.mock.calls[1][1].params.expression;
+    expect(cleanup).toContain('removeAttribute');
+    expect(cleanup).toContain('["m1"]');
+  });
+});
+
+describe('UnifiedBackend - snapshot diffs', () => {
+  /**
+   * Backend attached to tab 101 whose snapshots are the given texts, in order
+   */
+  function withSnapshots(snapshots) {
+    const { backend } = createBackend(() => ({ formattedSnapshot: { preFormatted: true, text: snapshots.shift() } }));
+    backend._statefulBackend = { _attachedTab: { id: 101 } };
+    return backend;
+  }
+
+  test('returns only changes since the previous snapshot of the tab', async () => {
+    const backend = withSnapshots(['body [ref=e1]\n  button "Open" [ref=e2]', 'body [ref=e1]\n  div.modal [ref=e7]']);
+
+    await backend._handleSnapshot({});
+    const result = await backend._handleSnapshot({ mode: 'diff' });
+
+    expect(result.content[0].text).toContain('### Snapshot Diff');
+    expect(result.content[0].text).toContain('div.modal [ref=e7] (in e1)');
+    expect(result.content[0].text).toContain('Removed:\n  button "Open" [ref=e2]');
+  });
+
+  test('falls back to the full snapshot without a baseline for the tab', async () => {
+    const backend = withSnapshots(['body [ref=e1]']);
+
+    const result = await backend._handleSnapshot({ mode: 'diff' });
+
+    expect(result.content[0].text).toContain('### Page Snapshot\n\nbody [ref=e1]');
+    expect(result.content[0].text).toContain('No previous snapshot of this tab');
+    expect(backend._lastSnapshots.get(101)).toBe('body [ref=e1]');
+  });
+});
+
+describe('UnifiedBackend - scoped snapshots', () => {
+  test('passes root, depth, role filter and page to the extension', async () => {
+    const { backend, transport } = createBackend((command, params) => (params.method === 'DOM.resolveRef'
+      ? { selector: '[data-blueprint-ref="e12"]' }
+      : { formattedSnapshot: { preFormatted: true, text: 'button "Save" [ref=e30]', nextOffset: 50 } }));
+
+    const result = await backend._handleSnapshot(
+      { ref: 'e12', maxDepth: 3, roles: ['interactive'], offset: 0, limit: 50 },
+      { rawResult: true }
+    );
+
+    expect(transport.sendCommand.mock.calls[1][1]).toEqual({
+      method: 'Accessibility.getFullAXTree',
+      params: { root: '[data-blueprint-ref="e12"]', maxDepth: 3, roles: ['interactive'], offset: 0, limit: 50 }
+    });
+    expect(result.nextOffset).toBe(50);
+  });
+
+  test('keeps a separate diff baseline per scope', async () => {
+    const { backend } = createBackend({ formattedSnapshot: { preFormatted: true, text: 'a [ref=e1]' } });
+
+    await backend._handleSnapshot({});
+    const result = await backend._handleSnapshot({ mode: 'diff', offset: 200 });
+
+    expect(result.content[0].text).toContain('No previous snapshot of this tab');
+    expect([...backend._lastSnapshots.keys()]).toEqual(['current', 'current:[["offset",200]]']);
+  });
+
+  test('reports a missing root', async () => {
+    const { backend } = createBackend({ result: { value: false } });
+
+    await expect(backend._handleSnapshot({ selector: '#nope' })).rejects.toThrow('Element not found: #nope');
+  });
+});
+
+describe('UnifiedBackend - actionability', () => {
+  const box = { left: 10, top: 20, width: 100, height: 30 };
+
+  // Answers each actionability check with the next state, then repeats the last one
+  const withChecks = (checks) => createBackend(() => ({ result: { value: checks.length > 1 ? checks.shift() : checks[0] } }));
+
+  test('waits for the element to settle and marks it', async () => {
+    const { backend, transport } = withChecks([
+      { state: 'hidden', reason: 'opacity: 0', total: 1, visibleCount: 0 },
+      { state: 'ready', x: 60, y: 35, rect: { ...box, top: 10 }, total: 1, visibleCount: 1 },
+      { state: 'ready', x: 60, y: 35, rect: box, total: 2, visibleCount: 1 },
+      { state: 'ready', x: 60, y: 35, rect: box, total: 2, visibleCount: 1 }
+    ]);
+
+    const target = await backend._waitForActionable('#save', { type: 'click', selector: '#save' });
+
+    expect(transport.sendCommand).toHaveBeenCalledTimes(4);
+    expect(target).toEqual({
+      x: 60,
+      y: 35,
+      warning: 'Found 2 matching elements (1 visible) - used the first visible one',
+      selector: '[data-blueprint-ref="m1"]'
+    });
+    const expression = transport.sendCommand.mock.calls[0][1].params.expression;
+    expect(() => new Function(`return ${expression};`)).not.toThrow();
+    expect(expression).toContain('["visible","stable","enabled","receivesEvents"]');
+  });
+
+  test('names the element covering the target', async () => {
+    const { backend } = withChecks([{
+      state: 'covered',
+      coveredBy: { tag: 'div', selector: 'div.modal-backdrop', text: '' },
+      x: 60, y: 35, rect: box, total: 1, visibleCount: 1
+    }]);
+
+    await expect(backend._waitForActionable('#save', { type: 'click', selector: '#save', timeout: 120 }))
+      .rejects.toThrow('Element not actionable after 120ms: #save\n\nElement is covered by <div> (selector: div.modal-backdrop)');
+  });
+
+  test('does not require stability for typing', async () => {
+    const { backend, transport } = withChecks([{ state: 'ready', x: 1, y: 1, rect: box, total: 1, visibleCount: 1 }]);
+
+    await expect(backend._waitForActionable('#email', { type: 'type', selector: '#email' }))
+      .resolves.toMatchObject({ selector: '[data-blueprint-ref="m1"]' });
+    expect(transport.sendCommand).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails at once when the check throws in the page', async () => {
+    const { backend, transport } = createBackend({
+      exceptionDetails: { text: 'Uncaught', exception: { description: "SyntaxError: '#a[' is not a valid selector" } }
+    });
+
+    await expect(backend._waitForActionable('#a[', { type: 'click', selector: '#a[' }))
+      .rejects.toThrow("Actionability check failed for #a[: SyntaxError: '#a[' is not a valid selector");
+    expect(transport.sendCommand).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports missing elements as null', async () => {
+    const { backend } = withChecks([{ state: 'missing', total: 0, visibleCount: 0 }]);
+
+    await expect(backend._waitForActionable('#gone', { type: 'hover', selector: '#gone', timeout: 0 }))
+      .resolves.toBe(null);
+  });
+});
+
+describe('UnifiedBackend - wait conditions', () => {
+  test('polls until every condition holds', async () => {
+    const pages = [
+      { url: 'https://app.test/', readyState: 'loading', results: [false, null] },
+      { url: 'https://app.test/', readyState: 'complete', results: [true, null] }
+    ];
+    const { backend, transport } = createBackend(() => ({ result: { value: pages.shift() } }));
+
+    const message = await backend._waitForConditions({ type: 'wait', text: 'Welcome', loadState: 'load' }, null);
+
+    expect(message).toMatch(/^Waited for text "Welcome", load state \(\d+ms\)$/);
+    expect(transport.sendCommand).toHaveBeenCalledTimes(2);
+    const expression = transport.sendCommand.mock.calls[0][1].params.expression;
+    expect(() => new Function(`return ${expression};`)).not.toThrow();
+  });
+
+  test('lists pending conditions on timeout', async () => {
+    const { backend } = createBackend((command) => (command === 'getNetworkRequests'
+      ? { requests: [] }
+      : { result: { value: { url: 'https://app.test/', readyState: 'complete', results: [null, { value: false }] } } }));
+
+    await expect(backend._waitForConditions(
+      { type: 'wait', request: '/api/orders', predicate: 'window.ready', timeout: 150 },
+      new Set()
+    )).rejects.toThrow(
+      'Timed out after 150ms waiting for:\n- predicate window.ready: still falsy\n- request to /api/orders: no matching request sent'
+    );
+  });
+});
+
+describe('UnifiedBackend - keyboard and typing modes', () => {
+  test('presses key chords with modifiers held', async () => {
+    const { backend, transport } = createBackend({ result: { value: null } });
+
+    await backend._handleInteract({ actions: [{ type: 'press_key', key: 'Control+Shift+P' }] });
+
+    const events = cdpCalls(transport, 'Input.dispatchKeyEvent');
+    expect(events.map(event => event.type)).toEqual(['rawKeyDown', 'rawKeyDown', 'keyDown', 'keyUp', 'keyUp', 'keyUp']);
+    expect(events[2]).toMatchObject({ key: 'P', modifiers: 10 });
+  });
+
+  test('inserts text in one go in insert mode', async () => {
+    const { backend, transport } = createBackend({ result: { value: null } });
+
+    await backend._handleInteract({ actions: [{ type: 'type', selector: '#q', text: 'hello', mode: 'insert', force: true }] });
+
+    expect(cdpCalls(transport, 'Input.insertText')).toEqual([{ text: 'hello' }]);
+    expect(cdpCalls(transport, 'Input.dispatchKeyEvent')).toEqual([]);
+  });
+
+  test('sets the value through the native setter in fill mode', async () => {
+    const { backend, transport } = createBackend({ result: { value: null } });
+
+    await backend._handleInteract({ actions: [{ type: 'type', selector: '#name', text: 'Ada', mode: 'fill', force: true }] });
+
+    expect(cdpCalls(transport, 'Input.dispatchKeyEvent')).toEqual([]);
+    const fill = cdpCalls(transport, 'Runtime.evaluate').find(params => params.expression.includes('"Ada"'));
+    expect(fill.expression).toContain("Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, text)");
+    expect(() => new Function(`return ${fill.expression};`)).not.toThrow();
+  });
+});
+
+describe('UnifiedBackend - touch and pointer paths', () => {
+  test('dispatches taps as touch events', async () => {
+    const { backend, transport } = createBackend({ result: { value: null } });
+
+    await backend._handleInteract({ actions: [{ type: 'tap', x: 50, y: 60 }] });
+
+    const touches = cdpCalls(transport, 'Input.dispatchTouchEvent');
+    expect(touches.map(event => event.type)).toEqual(['touchStart', 'touchEnd']);
+    expect(touches[0].touchPoints).toEqual([{ x: 50, y: 60, id: 0 }]);
+  });
+
+  test('dispatches swipes as touch moves in the given direction', async () => {
+    const { backend, transport } = createBackend({ result: { value: null } });
+
+    await backend._handleInteract({ actions: [{ type: 'swipe', x: 200, y: 500, direction: 'left', distance: 100, steps: 2 }] });
+
+    const touches = cdpCalls(transport, 'Input.dispatchTouchEvent');
+    expect(touches.map(event => event.type)).toEqual(['touchStart', 'touchMove', 'touchMove', 'touchEnd']);
+    expect(touches[2].touchPoints).toEqual([{ x: 100, y: 500, id: 0 }]);
+  });
+
+  test('turns touch emulation on for each gesture and off afterwards', async () => {
+    const { backend, transport } = createBackend({ result: { value: null } });
+
+    await backend._handleInteract({ actions: [{ type: 'long_press', x: 50, y: 60, duration: 10 }] });
+
+    expect(cdpCalls(transport, 'Emulation.setTouchEmulationEnabled')).toEqual([
+      { enabled: true, maxTouchPoints: 5 },
+      { enabled: false }
+    ]);
+    expect(cdpCalls(transport, 'Input.dispatchTouchEvent').map(event => event.type)).toEqual(['touchStart', 'touchEnd']);
+  });
+
+  test('turns touch emulation off when a gesture fails', async () => {
+    const { backend, transport } = createBackend((command, params) => {
+      if (params.method === 'Input.dispatchTouchEvent') throw new Error('Tab closed');
+      return {};
+    });
+
+    await expect(backend._dispatchTouchEvents([{ type: 'touchStart', touchPoints: [{ x: 1, y: 1, id: 0 }] }])).rejects.toThrow('Tab closed');
+    expect(cdpCalls(transport, 'Emulation.setTouchEmulationEnabled').pop()).toEqual({ enabled: false });
+  });
+
+  test('drags along a path with intermediate moves', async () => {
+    const { backend, transport } = createBackend({ result: { value: null } });
+
+    const result = await backend._handleDrag(
+      { path: [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 40 }], steps: 2 },
+      { rawResult: true }
+    );
+
+    expect(cdpCalls(transport, 'Input.dragAndDrop')).toEqual([{
+      points: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 20 }, { x: 40, y: 40 }]
+    }]);
+    expect(result).toMatchObject({ from: { x: 0, y: 0 }, to: { x: 40, y: 40 }, moves: 4 });
+  });
+
+  test('offsets touch points inside frames', async () => {
+    const inner = createMockTransport({});
+    const transport = new FrameTransport(inner, { contextId: 3, sessionId: 'S', offset: { x: 10, y: 100 } });
+
+    await transport.sendCommand('forwardCDPCommand', {
+      method: 'Input.dispatchTouchEvent',
+      params: { type: 'touchStart', touchPoints: [{ x: 5, y: 5, id: 0 }] }
+    });
+
+    expect(inner.sendCommand.mock.calls[0][1].params.touchPoints).toEqual([{ x: 15, y: 105, id: 0 }]);
+  });
+});
+
+describe('UnifiedBackend - drag and drop', () => {
+  // Every element is found and measures at (100, 50); the extension reports dragResult for drags
+  const withDrag = (dragResult = { html5: true }) => createBackend((command, params) => {
+    if (params?.method === 'Input.dragAndDrop') return dragResult;
+    if (params?.method === 'Input.dropFiles') return { dropped: params.params.files.length };
+    return { result: { value: [{ x: 100, y: 50 }, { x: 100, y: 50 }] } };
+  });
+
+  test('reports whether the page ran an HTML5 drag', async () => {
+    const { backend } = withDrag({ html5: true });
+
+    const result = await backend._handleDrag({ fromSelector: '.card', toSelector: '.column' });
+
+    expect(result.content[0].text).toContain('Mode: HTML5 drag and drop');
+  });
+
+  test('scrolls both elements into view before measuring either', async () => {
+    const { backend, transport } = withDrag();
+
+    await backend._handleDrag({ fromSelector: '.card', toSelector: '.column' });
+
+    // Both elements are marked first, then measured in one evaluation
+    const evaluations = cdpCalls(transport, 'Runtime.evaluate');
+    expect(evaluations).toHaveLength(3);
+    const measure = evaluations[2].expression;
+    expect(measure).toContain('[data-blueprint-ref=\\"m1\\"]');
+    expect(measure).toContain('[data-blueprint-ref=\\"m2\\"]');
+    expect(measure.indexOf('scrollIntoView')).toBeLessThan(measure.indexOf('getBoundingClientRect'));
+  });
+
+  test('drags by an offset from the source', async () => {
+    const { backend, transport } = withDrag({ html5: false });
+
+    const result = await backend._handleDrag({ fromSelector: '.slider-thumb', offsetX: 60, steps: 3 }, { rawResult: true });
+
+    expect(cdpCalls(transport, 'Input.dragAndDrop')[0].points).toEqual([
+      { x: 100, y: 50 }, { x: 120, y: 50 }, { x: 140, y: 50 }, { x: 160, y: 50 }
+    ]);
+    expect(result).toMatchObject({ to: { x: 160, y: 50 }, html5: false });
+  });
+
+  test('drops files on the target', async () => {
+    const { backend, transport } = withDrag();
+
+    const result = await backend._handleDrag({ toSelector: '.dropzone', files: ['/tmp/a.png', '/tmp/b.pdf'] });
+
+    expect(cdpCalls(transport, 'Input.dropFiles')).toEqual([{ x: 100, y: 50, files: ['/tmp/a.png', '/tmp/b.pdf'] }]);
+    expect(result.content[0].text).toBe('### Dropped Files\n\nTarget: .dropzone\nFiles: /tmp/a.png, /tmp/b.pdf');
+  });
+
+  test('requires a target to drop files on', async () => {
+    const { backend } = withDrag();
+
+    await expect(backend._handleDrag({ files: ['/tmp/a.png'] })).rejects.toThrow('Provide toSelector or toRef to drop files on');
+  });
+});
+
+describe('UnifiedBackend - network interception', () => {
+  test('adds rules and lists them with hit counts', async () => {
+    const rule = { id: 'r1', url: '*/api/orders*', method: 'POST', behavior: 'fulfill', status: 500, delay: 2000, hits: 3 };
+    const { backend, transport } = createBackend((command, params) => (params.method === 'Fetch.addInterceptRule'
+      ? { rule: { ...params.params.rule, id: 'r1', hits: 0 } }
+      : { rules: [rule] }));
+
+    await backend._handleNetworkIntercept({ action: 'add', url: '*/api/orders*', method: 'POST', behavior: 'fulfill', status: 500, delay: 2000 });
+    const list = await backend._handleNetworkIntercept({});
+
+    expect(transport.sendCommand.mock.calls[0][1].params.rule).toEqual({
+      url: '*/api/orders*', method: 'POST', behavior: 'fulfill', status: 500, delay: 2000
+    });
+    expect(list.content[0].text).toContain('- r1: POST */api/orders* → fulfill 500, delay 2000ms (3 hits)');
+  });
+
+  test('requires a behavior for new rules', async () => {
+    const { backend, transport } = createBackend({});
+
+    await expect(backend._handleNetworkIntercept({ action: 'add', url: '/api' })).rejects.toThrow('behavior is required');
+    expect(transport.sendCommand).not.toHaveBeenCalled();
+  });
+
+  test('requires headers or a body for modify rules', async () => {
+    const { backend, transport } = createBackend({});
+
+    await expect(backend._handleNetworkIntercept({ action: 'add', behavior: 'modify' })).rejects.toThrow('modify needs headers and/or body');
+    expect(transport.sendCommand).not.toHaveBeenCalled();
+  });
+
+  test('reports removing a rule that does not exist', async () => {
+    const { backend } = createBackend({ removed: false });
+
+    await expect(backend._handleNetworkIntercept({ action: 'remove', id: 'r9' })).rejects.toThrow('No intercept rule with id "r9"');
+  });
+});
+
+describe('UnifiedBackend - HAR export and import', () => {
+  /**
+   * Write a HAR file with one recorded GET of /api/orders
+   * @returns {string} Path of the file
+   */
+  function writeHar() {
+    const harPath = path.join(os.tmpdir(), `import-${process.pid}.har`);
+    fs.writeFileSync(harPath, JSON.stringify({
+      log: {
+        entries: [{
+          request: { method: 'GET', url: 'https://app.test/api/orders' },
+          response: { status: 200, statusText: 'OK', headers: [{ name: 'Content-Type', value: 'application/json' }], content: { text: '[]' } }
+        }]
+      }
+    }));
+    return harPath;
+  }
+
+  test('exports filtered requests with bodies from CDP-captured requests only', async () => {
+    const harPath = path.join(os.tmpdir(), `export-${process.pid}.har`);
+    const requests = [
+      { requestId: 'A1', url: 'https://app.test/api/orders', method: 'GET', statusCode: 200, finished: true, timestamp: 1 },
+      { requestId: '42', url: 'https://app.test/api/users', method: 'GET', statusCode: 200, finished: true, timestamp: 2 },
+      { requestId: 'B2', url: 'https://app.test/logo.png', method: 'GET', statusCode: 200, finished: true, timestamp: 3 }
+    ];
+    const { backend, transport } = createBackend((command) => (command === 'getNetworkRequests'
+      ? { requests }
+      : { body: '{"orders":[]}', base64Encoded: false }));
+
+    const result = await backend._handleNetworkRequests({ action: 'export_har', path: harPath, urlPattern: '/api/' }, { rawResult: true });
+    const har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+    fs.unlinkSync(harPath);
+
+    expect(result).toMatchObject({ success: true, entries: 2, withBodies: 1 });
+    expect(transport.sendCommand.mock.calls.filter(([command]) => command === 'getResponseBody'))
+      .toEqual([['getResponseBody', { requestId: 'A1' }]]);
+    expect(har.log.entries.map(entry => entry.response.content.text)).toEqual(['{"orders":[]}', undefined]);
+  });
+
+  test('imports a HAR file as a replay rule', async () => {
+    const harPath = writeHar();
+    const { backend, transport } = createBackend((command, params) => ({ rule: { ...params.params.rule, responses: 1, id: 'r1', hits: 0 } }));
+
+    const result = await backend._handleNetworkRequests({ action: 'import_har', path: harPath, notFound: 'block' });
+    fs.unlinkSync(harPath);
+
+    const { rule } = transport.sendCommand.mock.calls[0][1].params;
+    expect(rule).toMatchObject({ behavior: 'har', source: harPath, notFound: 'block' });
+    expect(rule.responses).toEqual([{
+      method: 'GET', url: 'https://app.test/api/orders', status: 200, statusText: 'OK',
+      headers: [{ name: 'Content-Type', value: 'application/json' }], body: '[]', base64Encoded: false
+    }]);
+    expect(result.content[0].text).toContain('other requests fail (offline)');
+  });
+
+  test('rejects an unknown notFound policy', async () => {
+    const harPath = writeHar();
+    const { backend, transport } = createBackend({});
+
+    await expect(backend._handleNetworkRequests({ action: 'import_har', path: harPath, notFound: 'maybe' }))
+      .rejects.toThrow('notFound must be');
+    fs.unlinkSync(harPath);
+    expect(transport.sendCommand).not.toHaveBeenCalled();
+  });
+});
+
+describe('UnifiedBackend - editable replay', () => {
+  test('replays with overrides in the page and diffs against the original response', async () => {
+    const original = {
+      requestId: 'A1', url: 'https://app.test/api/orders', method: 'POST', postData: '{"quantity":1}',
+      requestHeaders: { 'Content-Type': 'application/json' }, statusCode: 200, statusText: 'OK',
+      responseHeaders: {}, finished: true
+    };
+    const replayed = { ...original, requestId: 'B2' };
+    let listCalls = 0;
+    const { backend, transport } = createBackend((command, params) => {
+      if (command === 'getNetworkRequests') return { requests: listCalls++ === 0 ? [original] : [original, replayed] };
+      if (command === 'getResponseBody') return { body: '{"quantity":1,"total":10}', base64Encoded: false };
+      if (params.method === 'Runtime.evaluate') {
+        return { result: { value: { status: 200, statusText: 'OK', headers: {}, body: '{"quantity":3,"total":30}' } } };
+      }
+      return {};
+    });
+
+    const result = await backend._handleNetworkRequests({
+      action: 'replay',
+      requestId: 'A1',
+      overrides: { jsonPatch: [{ op: 'replace', path: '/quantity', value: 3 }] }
+    });
+
+    const [evaluate] = cdpCalls(transport, 'Runtime.evaluate');
+    expect(evaluate.expression).toContain(JSON.stringify({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"quantity":3}' }));
+    expect(transport.sendCommand.mock.calls.some(([, params]) => params && /^Fetch\./.test(params.method))).toBe(false);
+
+    const text = result.content[0].text;
+    expect(text).toContain('Captured as: `B2`');
+    expect(text).toContain('Overrides: jsonPatch');
+    expect(text).toMatch(/! {3}"quantity": 1, +│ {3}"quantity": 3,/);
+  });
+});
+
+describe('UnifiedBackend - network conditions', () => {
+  const statusLine = (backend) => backend._addStatusHeader({ content: [{ type: 'text', text: 'ok' }] }).content[0].text;
+
+  /**
+   * Backend with a status header; the extension echoes the throttling it is set to, with one failure rule
+   */
+  function withConditions() {
+    const created = createBackend((command, params) => (params.method === 'Network.setConditions'
+      ? { throttling: params.params.throttling, failures: [{ id: 'r1', url: '*/api/*', rate: 0.3, errorReason: 'Failed', hits: 0 }] }
+      : { throttling: null, failures: [] }));
+    created.backend._statefulBackend = { _getStatusHeader: () => '✅ FREE v1.0.0 | 📄 Tab 0: https://app.test\n---\n\n' };
+    return created;
+  }
+
+  test('sets conditions in the extension and lists them', async () => {
+    const { backend, transport } = withConditions();
+
+    const result = await backend._handleNetworkConditions({ action: 'set', preset: 'slow_3g', failures: [{ url: '*/api/*', rate: 0.3 }] });
+
+    expect(cdpCalls(transport, 'Network.setConditions')).toEqual([{
+      throttling: { label: 'Slow 3G', offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+      failures: [{ url: '*/api/*', rate: 0.3 }]
+    }]);
+    expect(result.content[0].text).toContain('- r1: */api/* → Failed, 30% of requests (0 failed)');
+  });
+
+  test('reports active conditions in the status header', async () => {
+    const { backend } = withConditions();
+
+    await backend._handleNetworkConditions({ action: 'set', preset: 'slow_3g', failures: [{ url: '*/api/*', rate: 0.3 }] });
+
+    expect(statusLine(backend)).toContain('📄 Tab 0: https://app.test | 📶 Slow 3G, 1 failure rule | ✅ Success');
+  });
+
+  test('drops the conditions from the status header on clear', async () => {
+    const { backend } = withConditions();
+    await backend._handleNetworkConditions({ action: 'set', preset: 'slow_3g' });
+
+    await backend._handleNetworkConditions({ action: 'clear' });
+
+    expect(statusLine(backend)).not.toContain('📶');
+  });
+
+  test('requires a url pattern for failure rules', async () => {
+    const { backend } = withConditions();
+
+    await expect(backend._handleNetworkConditions({ action: 'set', failures: [{ rate: 2 }] })).rejects.toThrow('needs a url pattern');
+  });
+
+  test('updates the status header when failure rules are removed through browser_network_intercept', async () => {
+    const { backend } = createBackend((command, params) => ({
+      'Fetch.clearInterceptRules': { cleared: 1 },
+      'Network.getConditions': { throttling: null, failures: [] }
+    })[params.method]);
+    backend._networkConditions = '1 failure rule';
+
+    await backend._handleNetworkIntercept({ action: 'clear' });
+
+    expect(backend._networkConditions).toBe('');
+  });
+
+  test('re-reads the conditions before the next tool call after the extension reconnected', async () => {
+    const { backend, transport } = createBackend({ throttling: null, failures: [] });
+    backend._networkConditions = 'Slow 3G';
+    backend._handleNetworkConditions = jest.fn(async () => ({ content: [{ type: 'text', text: 'ok' }] }));
+
+    backend.extensionReconnected();
+    await backend.callTool('browser_network_conditions', {}, { rawResult: true });
+
+    expect(transport.sendCommand).toHaveBeenCalledWith('forwardCDPCommand', { method: 'Network.getConditions', params: {} });
+    expect(backend._networkConditions).toBe('');
+  });
+});
+
+describe('UnifiedBackend - WebSocket and SSE frames', () => {
+  const captured = {
+    sockets: [
+      { requestId: 'ws1', type: 'websocket', url: 'wss://app.test/live', closed: false, frames: 3 },
+      { requestId: 'es1', type: 'eventsource', url: 'https://app.test/events', closed: false, frames: 1 }
+    ],
+    frames: [
+      { requestId: 'ws1', url: 'wss://app.test/live', direction: 'sent', opcode: 1, data: '{"op":"subscribe","channel":"orders"}', timestamp: 0 },
+      { requestId: 'ws1', url: 'wss://app.test/live', direction: 'received', opcode: 1, data: '{"op":"update","order":{"id":7}}', timestamp: 1000 },
+      { requestId: 'ws1', url: 'wss://app.test/live', direction: 'received', opcode: 2, data: 'AAEC', timestamp: 2000 },
+      { requestId: 'es1', url: 'https://app.test/events', direction: 'received', eventName: 'price', data: 'not json', timestamp: 3000 }
+    ]
+  };
+
+  // Captured frames for getSocketFrames; sends report the URL they went to
+  const withFrames = () => createBackend((command, params) => (command === 'getSocketFrames' ? captured : { url: params.params.url }));
+
+  test('filters frames by connection and direction', async () => {
+    const { backend } = withFrames();
+
+    const received = await backend._handleNetworkRequests({ action: 'frames', requestId: 'ws1', direction: 'received' });
+
+    const text = received.content[0].text;
+    expect(text).toContain('- `ws1` WebSocket wss://app.test/live (open, 3 messages)');
+    expect(text).toContain('**Messages:** 1-2 of 2');
+    expect(text).toContain('↓ 00:00:01 `ws1` {"op":"update","order":{"id":7}}');
+    expect(text).toContain('[binary, 3 bytes]');
+    expect(text).not.toContain('subscribe');
+  });
+
+  test('extracts JSONPath values and skips frames without them', async () => {
+    const { backend } = withFrames();
+
+    const orders = await backend._handleNetworkRequests({ action: 'frames', jsonPath: '$.order.id' }, { rawResult: true });
+
+    expect(orders.frames).toEqual([expect.objectContaining({ requestId: 'ws1', data: '7' })]);
+  });
+
+  test('sends frames on open WebSockets', async () => {
+    const { backend, transport } = withFrames();
+
+    const result = await backend._handleNetworkRequests({ action: 'send_frame', requestId: 'ws1', data: '{"op":"ping"}' }, { rawResult: true });
+
+    expect(transport.sendCommand).toHaveBeenLastCalledWith('forwardCDPCommand', {
+      method: 'Network.sendWebSocketFrame',
+      params: { requestId: 'ws1', url: 'wss://app.test/live', data: '{"op":"ping"}' }
+    });
+    expect(result).toMatchObject({ success: true, url: 'wss://app.test/live' });
+  });
+
+  test('refuses to send on EventSource connections', async () => {
+    const { backend } = withFrames();
+
+    await expect(backend._handleNetworkRequests({ action: 'send_frame', requestId: 'es1', data: 'x' }))
+      .rejects.toThrow('EventSource connections are receive-only');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for wait conditions
+ */
+
+const { matchesUrlPattern, getWaitConditions, checkWaitConditions } = require('../../src/waits');
+
+describe('matchesUrlPattern', () => {
+  test('matches substrings, globs and regexes', () => {
+    expect(matchesUrlPattern('https://app.test/api/users?page=2', '/api/users')).toBe(true);
+    expect(matchesUrlPattern('https://app.test/api/users?page=2', 'https://*.test/api/*')).toBe(true);
+    expect(matchesUrlPattern('https://app.test/login', 'https://*.test/api/*')).toBe(false);
+    expect(matchesUrlPattern('https://app.test/orders/42', '/\\/orders\\/\\d+$/')).toBe(true);
+  });
+});
+
+describe('checkWaitConditions', () => {
+  test('reports what each pending condition is waiting on', () => {
+    const conditions = getWaitConditions({
+      selector: '.spinner',
+      state: 'detached',
+      text: 'Saved',
+      url: '/done',
+      response: '/api/save',
+      status: 200
+    });
+    const pending = checkWaitConditions(conditions, {
+      page: { url: 'https://app.test/form', readyState: 'complete', results: [{ total: 1, visible: 1 }, false, null, null] },
+      requests: [
+        { requestId: '1', method: 'GET', url: 'https://app.test/api/save', statusCode: 200 },
+        { requestId: '2', method: 'POST', url: 'https://app.test/api/save', statusCode: 500 }
+      ],
+      baseline: new Set(['1']),
+      tracker: {},
+      now: 0
+    });
+
+    expect(pending).toEqual([
+      { label: '.spinner detached', detail: '1 matching, 1 visible' },
+      { label: 'text "Saved"', detail: 'not on the page' },
+      { label: 'URL matching /done', detail: 'current URL is https://app.test/form' },
+      { label: 'response from /api/save with status 200', detail: 'got status 500' }
+    ]);
+  });
+
+  test('waits for the network to stay idle long enough', () => {
+    const conditions = getWaitConditions({ networkIdle: 500 });
+    const tracker = {};
+    const inFlight = [{ requestId: '1', method: 'GET', url: 'https://app.test/feed', statusCode: null }];
+    const done = [{ ...inFlight[0], statusCode: 200, finished: true }];
+
+    expect(checkWaitConditions(conditions, { requests: inFlight, tracker, now: 0 })[0].detail)
+      .toBe('1 request in flight: GET https://app.test/feed');
+    expect(checkWaitConditions(conditions, { requests: done, tracker, now: 100 })[0].detail).toBe('idle for 0ms so far');
+    expect(checkWaitConditions(conditions, { requests: done, tracker, now: 600 })).toEqual([]);
+  });
+
+  test('rejects networkIdle values that are not a number of ms', () => {
+    expect(() => getWaitConditions({ networkIdle: true })).toThrow('Invalid networkIdle true');
+    expect(() => getWaitConditions({ networkIdle: -1 })).toThrow('Invalid networkIdle -1');
+  });
+
+  test('rejects unknown element states', () => {
+    expect(() => getWaitConditions({ selector: '#x', state: 'gone' })).toThrow('Invalid wait state "gone"');
+  });
+});